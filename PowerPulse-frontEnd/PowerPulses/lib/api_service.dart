@@ -134,7 +134,7 @@ class ApiService {
     }
   }
 
-  /// Fetches MQTT devices that are online and available for registration (not yet registered by any user).
+  /// Fetches the unregistered devices whose button was pressed during pairing (see [startDevicePairing]).
   /// Corresponds to: `GET /api/mqtt-devices` in server.js
   static Future<List<Map<String, dynamic>>> getAvailableMqttDevices(String token) async {
     final response = await http.get(
@@ -150,6 +150,21 @@ class ApiService {
     }
   }
 
+  /// Opens a pairing window: devices whose button is pressed while it is open can be added.
+  /// Corresponds to: `POST /api/device-pairing` in server.js. Returns the window and the devices pressed so far.
+  static Future<Map<String, dynamic>> startDevicePairing(String token) async {
+    final response = await http.post(
+      Uri.parse('$baseUrl/device-pairing'),
+      headers: {'Authorization': 'Bearer $token'},
+    );
+    if (response.statusCode == 201) {
+      return json.decode(response.body);
+    } else {
+      print('Failed to start device pairing: ${response.statusCode} ${response.body}');
+      throw Exception('Failed to start device pairing');
+    }
+  }
+
   /// Toggles a device's power state (on/off).
   /// Corresponds to: `POST /api/devices/:deviceId/toggle` in server.js.
   static Future<Map<String, dynamic>> controlDevice(String token, String deviceId, bool turnOn) async {
@@ -313,7 +328,7 @@ class ApiService {
   /// Logs in a user.
   /// Corresponds to: `POST /auth/login` in server.js
   /// Request body: `{'email': email, 'password': password}`
-  /// Expected response: `{'token': '...', 'user': {'id': '...', 'name': '...', 'email': '...'}}`
+  /// Expected response: `{'token': '...', 'expiresIn': seconds, 'refreshToken': '...', 'refreshTokenExpiresAt': '...', 'user': {'id': '...', 'name': '...', 'email': '...'}}`
   static Future<Map<String, dynamic>> loginUser(String email, String password) async {
     final response = await http.post(
       Uri.parse('$authUrl/login'),
@@ -321,12 +336,59 @@ class ApiService {
       body: json.encode({'email': email, 'password': password}),
     );
     if (response.statusCode == 200) {
-      return json.decode(response.body); // Expects {'token': '...', 'user': {...}}
+      return json.decode(response.body); // Expects {'token': '...', 'refreshToken': '...', 'user': {...}}
     } else {
       throw Exception('Failed to login: ${response.statusCode} ${response.body}');
     }
   }
 
+  /// Trades the refresh token for a new access token and refresh token (the old refresh token stops working).
+  /// Corresponds to: `POST /auth/refresh` in server.js
+  /// Expected response: `{'token': '...', 'expiresIn': seconds, 'refreshToken': '...', 'refreshTokenExpiresAt': '...'}`
+  /// Throws [SessionExpiredException] if the session has ended and the user has to log in again.
+  static Future<Map<String, dynamic>> refreshSession(String refreshToken) async {
+    final response = await http.post(
+      Uri.parse('$authUrl/refresh'),
+      headers: {'Content-Type': 'application/json'},
+      body: json.encode({'refreshToken': refreshToken}),
+    );
+    if (response.statusCode == 200) {
+      return json.decode(response.body);
+    } else if (response.statusCode == 401 || response.statusCode == 400) {
+      throw SessionExpiredException('Session ended: ${response.body}');
+    } else {
+      throw Exception('Failed to refresh session: ${response.statusCode} ${response.body}');
+    }
+  }
+
+  /// Ends the current session on the server.
+  /// Corresponds to: `POST /auth/logout` in server.js
+  static Future<void> logoutUser(String? token, String? refreshToken) async {
+    final response = await http.post(
+      Uri.parse('$authUrl/logout'),
+      headers: {
+        'Content-Type': 'application/json',
+        if (token != null) 'Authorization': 'Bearer $token',
+      },
+      body: json.encode({if (refreshToken != null) 'refreshToken': refreshToken}),
+    );
+    if (response.statusCode != 200) {
+      throw Exception('Failed to logout: ${response.statusCode} ${response.body}');
+    }
+  }
+
+  /// Ends every session of the user ("log out all devices"), including this one.
+  /// Corresponds to: `POST /auth/logout-all` in server.js
+  static Future<void> logoutAllDevices(String token) async {
+    final response = await http.post(
+      Uri.parse('$authUrl/logout-all'),
+      headers: {'Content-Type': 'application/json', 'Authorization': 'Bearer $token'},
+    );
+    if (response.statusCode != 200) {
+      throw Exception('Failed to logout all devices: ${response.statusCode} ${response.body}');
+    }
+  }
+
   /// Registers a new user.
   /// Corresponds to: `POST /auth/signup` in server.js
   /// Request body: `{'name': name, 'email': email, 'password': password}`
@@ -427,12 +489,14 @@ class ApiService {
         },
         onDone: () {
           _isConnecting = false;
+          if (_authToken == null) return; // Closed on purpose (logout or auth_error)
           print('[WebSocket] Connection closed. Attempting to reconnect...');
           _powerDataProvider?.setWebSocketConnectionStatus(false, 'Disconnected. Reconnecting...');
           _reconnectWebSocket(_authToken!, provider); // Use _authToken for reconnect
         },
         onError: (error) {
           _isConnecting = false;
+          if (_authToken == null) return;
           print('[WebSocket] WebSocket error: $error. Attempting to reconnect...');
           _powerDataProvider?.setWebSocketConnectionStatus(false, 'Error: $error. Reconnecting...');
           _reconnectWebSocket(_authToken!, provider); // Use _authToken for reconnect
@@ -457,17 +521,35 @@ class ApiService {
     }
   }
 
-  /// Attempts to reconnect the WebSocket after a delay.
+  /// Attempts to reconnect the WebSocket after a delay, with the latest access token.
   static void _reconnectWebSocket(String token, PowerDataProvider provider) {
     if (_isConnecting) return;
     Future.delayed(const Duration(seconds: 5), () {
+      if (_authToken == null) return; // Logged out in the meantime
       print('[WebSocket] Reconnecting...');
-      connectWebSocket(token, provider);
+      connectWebSocket(_authToken!, provider);
     });
   }
 
+  /// Updates the access token used for WebSocket reconnects after a refresh. The open connection stays
+  /// authenticated; the server closes it if the session is revoked.
+  static void updateWebSocketToken(String token) {
+    if (_authToken != null) {
+      _authToken = token;
+    }
+  }
+
   /// Call this when the user logs out to clean up the WebSocket connection.
   static void disconnectOnLogout() {
     _disconnectWebSocket();
   }
 }
+
+/// Thrown when the refresh token is no longer accepted (logged out, revoked or expired); the user has to log in again.
+class SessionExpiredException implements Exception {
+  final String message;
+  SessionExpiredException(this.message);
+
+  @override
+  String toString() => 'SessionExpiredException: $message';
+}
@@ -5,10 +5,11 @@ import 'package:flutter_secure_storage/flutter_secure_storage.dart';
 import 'api_service.dart';
 
 class AuthProvider with ChangeNotifier {
-  String? _token;
+  String? _token; // Short-lived access token
+  String? _refreshToken; // Renews the access token (POST /auth/refresh); replaced on every refresh
   Map<String, dynamic>? _user;
-  DateTime? _expiryDate;
-  Timer? _authTimer;
+  DateTime? _expiryDate; // When the access token expires
+  Timer? _authTimer; // Refreshes the access token shortly before it expires
 
   final _storage = new FlutterSecureStorage();
 
@@ -42,24 +43,15 @@ class AuthProvider with ChangeNotifier {
     try {
       final responseData = await ApiService.loginUser(email, password);
       _token = responseData['token'] as String?;
+      _refreshToken = responseData['refreshToken'] as String?;
       _user = responseData['user'] as Map<String, dynamic>?; // If backend sends user data
-      // final expiresIn = responseData['expiresIn'] as int?; // If backend sends expiry
-      // if (expiresIn != null) {
-      //   _expiryDate = DateTime.now().add(Duration(seconds: expiresIn));
-      //   _autoLogout();
-      // }
 
       if (_token == null) {
         throw Exception('Authentication failed: No token received.');
       }
+      _setExpiry(responseData['expiresIn'] as int?);
 
-      final userData = json.encode({
-        'token': _token,
-        'user': _user, // Store the whole user object
-        // 'userId': _user?['_id'], // Assuming your user object has an _id field
-        // 'expiryDate': _expiryDate?.toIso8601String(),
-      });
-      await _storage.write(key: 'userData', value: userData);
+      await _saveUserData();
       notifyListeners(); // Notify after successful login and token storage
     } catch (error) {
       print("Login error: $error");
@@ -69,6 +61,21 @@ class AuthProvider with ChangeNotifier {
     }
   }
 
+  void _setExpiry(int? expiresIn) {
+    _expiryDate = expiresIn != null ? DateTime.now().add(Duration(seconds: expiresIn)) : null;
+    _scheduleRefresh();
+  }
+
+  Future<void> _saveUserData() async {
+    final userData = json.encode({
+      'token': _token,
+      'refreshToken': _refreshToken,
+      'user': _user, // Store the whole user object
+      'expiryDate': _expiryDate?.toIso8601String(),
+    });
+    await _storage.write(key: 'userData', value: userData);
+  }
+
   Future<void> signup(String email, String password, String name) async {
     _setLoading(true);
     try {
@@ -95,29 +102,68 @@ class AuthProvider with ChangeNotifier {
     }
     final userData = json.decode(extractedUserData) as Map<String, dynamic>;
 
-    // final expiryDateString = userData['expiryDate'] as String?;
-    // if (expiryDateString != null) {
-    //   final expiryDate = DateTime.parse(expiryDateString);
-    //   if (expiryDate.isBefore(DateTime.now())) {
-    //     await logout(); // Token expired
-    //     return false;
-    //   }
-    //   _expiryDate = expiryDate;
-    //   _autoLogout();
-    // }
     _user = userData['user'] as Map<String, dynamic>?; // Retrieve the user object
     _token = userData['token'] as String?;
-    // _user = {'id': userData['userId']}; // Reconstruct user if needed
+    _refreshToken = userData['refreshToken'] as String?;
+    final expiryDateString = userData['expiryDate'] as String?;
+    _expiryDate = expiryDateString != null ? DateTime.parse(expiryDateString) : null;
 
-    if (_token != null) {
-      notifyListeners(); // Notify if auto-login is successful
+    if (_token == null || _refreshToken == null) {
+      // Stored by a version without refresh tokens; the server no longer accepts that token
+      await logout();
+      return false;
+    }
+    if (_expiryDate == null || _expiryDate!.isBefore(DateTime.now().add(const Duration(minutes: 1)))) {
+      final refreshed = await refreshSession();
+      if (!refreshed && _token == null) {
+        return false; // The session has ended
+      }
+    } else {
+      _scheduleRefresh();
+    }
+
+    notifyListeners(); // Notify if auto-login is successful
+    return true;
+  }
+
+  /// Renews the access token with the refresh token. Returns false if it could not be renewed; if the session has
+  /// ended (logged out elsewhere, revoked or expired) the user is logged out, otherwise (e.g. offline) it is retried.
+  Future<bool> refreshSession() async {
+    if (_refreshToken == null) return false;
+    try {
+      final responseData = await ApiService.refreshSession(_refreshToken!);
+      _token = responseData['token'] as String?;
+      _refreshToken = responseData['refreshToken'] as String?;
+      _setExpiry(responseData['expiresIn'] as int?);
+      await _saveUserData();
+      if (_token != null) {
+        ApiService.updateWebSocketToken(_token!);
+      }
+      // No notifyListeners(): screens read the token when they make a call, and notifying would reconnect the
+      // WebSocket (see the ProxyProvider in main.dart)
       return true;
+    } on SessionExpiredException catch (error) {
+      print("Session ended: $error");
+      await logout(notifyServer: false);
+      return false;
+    } catch (error) {
+      print("Token refresh failed, retrying shortly: $error");
+      _authTimer?.cancel();
+      _authTimer = Timer(const Duration(seconds: 30), refreshSession);
+      return false;
     }
-    return false;
   }
 
-  Future<void> logout() async {
+  Future<void> logout({bool notifyServer = true}) async {
+    if (notifyServer && (_token != null || _refreshToken != null)) {
+      try {
+        await ApiService.logoutUser(_token, _refreshToken);
+      } catch (error) {
+        print("Logout request failed (signing out locally anyway): $error");
+      }
+    }
     _token = null;
+    _refreshToken = null;
     _user = null;
     _expiryDate = null;
     if (_authTimer != null) {
@@ -128,16 +174,20 @@ class AuthProvider with ChangeNotifier {
     notifyListeners();
   }
 
-  // void _autoLogout() {
-  //   if (_authTimer != null) {
-  //     _authTimer!.cancel();
-  //   }
-  //   if (_expiryDate == null) return;
-  //   final timeToExpiry = _expiryDate!.difference(DateTime.now()).inSeconds;
-  //   if (timeToExpiry <= 0) {
-  //     logout();
-  //   } else {
-  //     _authTimer = Timer(Duration(seconds: timeToExpiry), logout);
-  //   }
-  // }
+  /// Signs out every device of this account (including this one).
+  Future<void> logoutAllDevices() async {
+    if (_token == null) return;
+    await ApiService.logoutAllDevices(_token!);
+    await logout(notifyServer: false);
+  }
+
+  void _scheduleRefresh() {
+    if (_authTimer != null) {
+      _authTimer!.cancel();
+    }
+    if (_expiryDate == null || _refreshToken == null) return;
+    // Renew a minute before the access token expires
+    final secondsUntilRefresh = _expiryDate!.difference(DateTime.now()).inSeconds - 60;
+    _authTimer = Timer(Duration(seconds: secondsUntilRefresh > 5 ? secondsUntilRefresh : 5), refreshSession);
+  }
 }
@@ -1619,6 +1619,7 @@ class HomePageContent extends StatelessWidget {
     List<String> mqttDeviceIds = [];
     String? dialogError;
     bool isLoadingMqttDevices = true;
+    bool pairingStarted = false; // New devices are listed once their button is pressed during pairing
 
     showModalBottomSheet(
       context: context,
@@ -1650,7 +1651,13 @@ class HomePageContent extends StatelessWidget {
                        isLoadingMqttDevices = false;
                     });
                  } else {
-                   ApiService.getAvailableMqttDevices(token).then((availableDevices) { // Use new method
+                   final Future<List<Map<String, dynamic>>> loadDevices = pairingStarted
+                       ? ApiService.getAvailableMqttDevices(token)
+                       : ApiService.startDevicePairing(token).then((pairing) {
+                           pairingStarted = true;
+                           return (pairing['devices'] as List<dynamic>).cast<Map<String, dynamic>>();
+                         });
+                   loadDevices.then((availableDevices) {
                      if (dialogContext.mounted) {
                        setDialogState(() {
                          mqttDeviceIds = availableDevices // This list is from /api/mqtt-devices
@@ -1701,7 +1708,15 @@ class HomePageContent extends StatelessWidget {
                   else if (mqttDeviceIds.isEmpty)
                     Padding(
                       padding: const EdgeInsets.symmetric(vertical: 20.0),
-                      child: Text("No new MQTT devices found to add.", textAlign: TextAlign.center, style: Theme.of(context).textTheme.bodyMedium),
+                      child: Column(
+                        children: [
+                          Text("Press the button on your new device, then tap Refresh.", textAlign: TextAlign.center, style: Theme.of(context).textTheme.bodyMedium),
+                          TextButton(
+                            onPressed: () => setDialogState(() { isLoadingMqttDevices = true; }),
+                            child: const Text("Refresh"),
+                          ),
+                        ],
+                      ),
                     )
                   else
                     DropdownButtonFormField<String>(
@@ -2833,6 +2848,19 @@ class SettingsPage extends StatelessWidget {
                                          child: const Text('Cancel'),
                                          onPressed: () => Navigator.of(ctx).pop(),
                                        ),
+                                       TextButton(
+                                         child: const Text('All devices'),
+                                         onPressed: () {
+                                           Provider.of<AuthProvider>(context, listen: false).logoutAllDevices().then((_) {
+                                             Navigator.of(ctx).pop();
+                                           }).catchError((error) {
+                                             Navigator.of(ctx).pop();
+                                             ScaffoldMessenger.of(context).showSnackBar(
+                                               SnackBar(content: Text("Could not log out all devices: $error")),
+                                             );
+                                           });
+                                         },
+                                       ),
                                        TextButton(
                                          child: Text('Logout', style: TextStyle(color: Theme.of(context).colorScheme.error)),
                                          onPressed: () {
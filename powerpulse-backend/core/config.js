@@ -0,0 +1,38 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// --- Configuration ---
+// Settings shared by the API (server.js) and ingest/realtime (mqttSubscriber.js), read once from the environment.
+// Feature-specific settings (tariffs, mail, sessions...) stay with their services.
+const FALLBACK_JWT_SECRET = 'fallback-secret-key-please-set-in-env';
+const realtimePort = process.env.MQTT_SUBSCRIBER_PORT || 3002;
+
+export const config = {
+  mongoUri: process.env.MONGO_URI_CLOUD,
+  dbName: process.env.DB_NAME,
+  readingsCollection: process.env.COLLECTION_NAME, // Power/energy readings
+  jwtSecret: process.env.JWT_SECRET || FALLBACK_JWT_SECRET,
+  apiPort: process.env.PORT || 3001,
+  realtimePort,
+  // Where the API process reaches mqttSubscriber.js when the two run separately (live totals, internal events)
+  realtimeUrl: (process.env.LIVE_STATE_URL || `http://localhost:${realtimePort}`).replace(/\/+$/, ''),
+  mqtt: {
+    brokerUrl: process.env.MQTT_BROKER_URL,
+    username: process.env.MQTT_USERNAME,
+    password: process.env.MQTT_PASSWORD
+  }
+};
+// Authenticates events the API process forwards to mqttSubscriber.js; both processes already share the JWT secret
+config.internalEventsSecret = process.env.INTERNAL_EVENTS_SECRET || config.jwtSecret;
+
+if (config.jwtSecret === FALLBACK_JWT_SECRET) {
+  console.warn("[SECURITY WARNING] JWT_SECRET is using a fallback value. Please set a strong, unique secret in your .env file.");
+}
+
+// Whether the module with this import.meta.url is the script node was started with (rather than imported by index.js)
+export function isEntryPoint(moduleUrl) {
+  return Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+}
@@ -0,0 +1,44 @@
+import { ObjectId } from 'mongodb';
+import { getUserTimePreferences, getDateString, getDatesForMonth } from '../services/userTime.js';
+import { DAILY_CONSUMPTION_COLLECTION, SYSTEM_TOTAL_DEVICE_ID } from './db.js';
+
+// --- Daily Consumption Totals ---
+// Whole-system energy of a user from the daily records: the SYSTEM_TOTAL_DAILY record kept by mqttSubscriber.js
+// while clients are connected, or the sum of the per-device records, which is always up to date.
+
+// Energy (Wh) of the SYSTEM_TOTAL_DAILY record for a date ('YYYY-MM-DD'), 0 if there is none
+export async function getSystemDailyConsumptionForDate(db, userId, dateString) {
+  if (!db) throw new Error("Database not initialized for getSystemDailyConsumptionForDate");
+  const dailySystemTotal = await db.collection(DAILY_CONSUMPTION_COLLECTION)
+    .findOne({ userId: new ObjectId(userId), deviceId: SYSTEM_TOTAL_DEVICE_ID, dateString });
+  return dailySystemTotal?.estimatedEnergyWhToday || 0;
+}
+
+// Sum of the per-device daily energy (Wh) on the given dates
+export async function getDeviceEnergyForDates(db, userId, dateStrings) {
+  const [result] = await db.collection(DAILY_CONSUMPTION_COLLECTION).aggregate([
+    { $match: { userId: new ObjectId(userId), deviceId: { $ne: SYSTEM_TOTAL_DEVICE_ID }, dateString: { $in: dateStrings } } },
+    { $group: { _id: null, totalWh: { $sum: '$estimatedEnergyWhToday' } } }
+  ]).toArray();
+  return result?.totalWh || 0;
+}
+
+// Today's whole-system energy (Wh) in the user's time zone, used by system-wide automation rules
+export async function getTodayDeviceEnergyWh(db, userId) {
+  if (!db) return 0;
+  const { timeZone } = await getUserTimePreferences(db, userId);
+  return getDeviceEnergyForDates(db, userId, [getDateString(new Date(), timeZone)]);
+}
+
+// This month's whole-system energy (Wh) so far. Needed by tiered tariffs, whose rate depends on how much has
+// already been consumed this month. Returns 0 if it cannot be determined.
+export async function getMonthToDateDeviceEnergyWh(db, userId, date = new Date()) {
+  if (!db) return 0;
+  try {
+    const timePreferences = await getUserTimePreferences(db, userId);
+    return await getDeviceEnergyForDates(db, userId, getDatesForMonth(date, timePreferences));
+  } catch (error) {
+    console.error(`[getMonthToDateDeviceEnergyWh] Error for user ${userId}:`, error);
+    return 0;
+  }
+}
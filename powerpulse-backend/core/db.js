@@ -0,0 +1,56 @@
+import { MongoClient } from 'mongodb';
+import { config } from './config.js';
+
+// --- Database ---
+// One MongoClient per process: when the API and ingest run in one process (index.js) they share the connection.
+export const DAILY_CONSUMPTION_COLLECTION = 'daily_device_consumptions'; // Daily energy (Wh) and cost per device
+export const SYSTEM_TOTAL_DEVICE_ID = 'SYSTEM_TOTAL_DAILY'; // Daily record holding a user's whole-system total
+
+let mongoClient = null; // Created on first use, so importing the helpers below does not need MONGO_URI_CLOUD
+let connecting = null;
+
+// Connects (once) and resolves to the database. A failed attempt can be retried by calling again.
+export function connectDb() {
+  if (!connecting) {
+    mongoClient ??= new MongoClient(config.mongoUri);
+    connecting = mongoClient.connect()
+      .then(client => client.db(config.dbName))
+      .catch(error => {
+        connecting = null;
+        throw error;
+      });
+  }
+  return connecting;
+}
+
+// Indexes on the collections both processes read and write. Each is attempted on its own; failures are logged.
+export async function ensureCoreIndexes(db, logPrefix) {
+  try {
+    const deviceStatusIndexes = await db.collection('device_status').listIndexes().toArray();
+    if (deviceStatusIndexes.some(idx => idx.name === 'deviceId_1' && !idx.unique)) {
+      console.log(`${logPrefix} Dropping conflicting non-unique 'deviceId_1' index from 'device_status'.`);
+      await db.collection('device_status').dropIndex('deviceId_1');
+    }
+  } catch (error) {
+    console.warn(`${logPrefix} Error checking or dropping index on 'device_status':`, error.message);
+  }
+
+  const indexes = [
+    ['devices', { id: 1 }, { unique: true }], // Device ids are globally unique
+    ['devices', { userId: 1 }],
+    ['devices', { id: 1, userId: 1 }, { unique: true }],
+    ['device_status', { deviceId: 1 }, { unique: true }],
+    [config.readingsCollection, { userId: 1, deviceId: 1, timeStamp: -1 }],
+    [DAILY_CONSUMPTION_COLLECTION, { userId: 1, deviceId: 1, dateString: 1 }, { unique: true }],
+    ['notifications', { userId: 1, timestamp: -1 }],
+    ['notifications', { userId: 1, isRead: 1, timestamp: -1 }]
+  ];
+  for (const [collectionName, keys, options = {}] of indexes) {
+    try {
+      await db.collection(collectionName).createIndex(keys, options);
+    } catch (error) {
+      console.warn(`${logPrefix} Could not create index ${JSON.stringify(keys)} on '${collectionName}' (may already exist):`, error.message);
+    }
+  }
+  console.log(`${logPrefix} Core indexes created/ensured.`);
+}
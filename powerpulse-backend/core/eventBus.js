@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+// --- Event Bus ---
+// Events that must reach live WebSocket clients wherever they originate:
+//   - 'notification'     { userId, notification }        a notification was stored
+//   - 'device_status'    { userId, deviceId, status }    a device's on/off status was changed through the API
+//   - 'devices_changed'  { userId }                      devices were added, removed or edited
+// mqttSubscriber.js, which holds the clients, subscribes to them. In one process (index.js) events are delivered
+// in memory. When the API runs as its own process, its bus forwards every event to mqttSubscriber.js over HTTP
+// (POST /internal/events, authenticated with the shared internal events secret); delivery is best effort, the
+// events' data itself is already stored in MongoDB.
+export const EVENT_TYPES = ['notification', 'device_status', 'devices_changed'];
+export const INTERNAL_EVENTS_PATH = '/internal/events';
+const SECRET_HEADER = 'x-internal-secret';
+const FORWARD_TIMEOUT_MS = 2000;
+const MAX_EVENT_BYTES = 1024 * 1024;
+
+function secretsMatch(provided, expected) {
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return typeof provided === 'string' && crypto.timingSafeEqual(hash(provided), hash(expected));
+}
+
+export function createEventBus({ logPrefix = '[Event Bus]' } = {}) {
+  const emitter = new EventEmitter();
+  let remote = null; // { url, secret } while forwarding to another process
+
+  async function forward(type, data) {
+    try {
+      const response = await fetch(remote.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SECRET_HEADER]: remote.secret },
+        body: JSON.stringify({ type, data }),
+        signal: AbortSignal.timeout(FORWARD_TIMEOUT_MS)
+      });
+      if (!response.ok) console.warn(`${logPrefix} Forwarding '${type}' failed: HTTP ${response.status}`);
+    } catch (error) {
+      console.warn(`${logPrefix} Forwarding '${type}' failed: ${error.message}`);
+    }
+  }
+
+  return {
+    // Handlers run asynchronously; their errors are logged, not thrown to the publisher.
+    subscribe(type, handler) {
+      emitter.on(type, (data) => {
+        Promise.resolve().then(() => handler(data)).catch(error => {
+          console.error(`${logPrefix} Handler for '${type}' failed:`, error);
+        });
+      });
+    },
+
+    // Delivers an event to this process' subscribers and, when forwarding, to the other process.
+    publish(type, data) {
+      emitter.emit(type, data);
+      if (remote) forward(type, data);
+    },
+
+    // Forwards every published event to the process listening at url (used by the API, run on its own, to reach
+    // mqttSubscriber.js's INTERNAL_EVENTS_PATH).
+    forwardTo(url, secret) {
+      remote = { url, secret };
+    },
+
+    // Reads a forwarded event from an HTTP request and delivers it locally. Returns { type } or { status, error }.
+    async receive(req, secret) {
+      if (!secretsMatch(req.headers[SECRET_HEADER], secret)) return { status: 403, error: 'Forbidden' };
+      let body = '';
+      for await (const chunk of req) {
+        body += chunk;
+        if (body.length > MAX_EVENT_BYTES) return { status: 413, error: 'Event too large' };
+      }
+      let event;
+      try {
+        event = JSON.parse(body);
+      } catch {
+        return { status: 400, error: 'Invalid JSON' };
+      }
+      if (!EVENT_TYPES.includes(event?.type)) return { status: 400, error: 'Unknown event type' };
+      emitter.emit(event.type, event.data);
+      return { type: event.type };
+    }
+  };
+}
+
+// The process-wide bus shared by server.js and mqttSubscriber.js
+export const eventBus = createEventBus();
@@ -0,0 +1,18 @@
+// --- Live Snapshot Access ---
+// mqttSubscriber.js keeps every user's live power totals in memory (services/liveState.js) and registers a reader
+// for them here. When the API runs in the same process (index.js) it reads them directly; on its own, nothing is
+// registered and it asks mqttSubscriber.js over HTTP (GET /api/power/current).
+let snapshotReader = null;
+
+export function registerLiveSnapshotReader(reader) {
+  snapshotReader = reader;
+}
+
+export function hasLiveSnapshotReader() {
+  return snapshotReader !== null;
+}
+
+// The user's live snapshot, or null if the live state has none
+export async function readLiveSnapshot(userId) {
+  return (await snapshotReader?.(userId)) || null;
+}
@@ -0,0 +1,23 @@
+import mqtt from 'mqtt';
+import { config } from './config.js';
+
+// --- MQTT Connection ---
+// One broker connection per process, used to publish commands (server.js) and to receive telemetry
+// (mqttSubscriber.js). Subscriptions are made by the caller on 'connect', so they are renewed after reconnects.
+let client = null;
+
+export function getMqttClient() {
+  if (!client) {
+    client = mqtt.connect(config.mqtt.brokerUrl, {
+      username: config.mqtt.username,
+      password: config.mqtt.password,
+      keepalive: 60,
+      clientId: `powerpulse_${Math.random().toString(16).substr(2, 8)}`,
+      reconnectPeriod: 5000,
+      connectTimeout: 10000
+    });
+    client.on('connect', () => { console.log('[MQTT] Connected to MQTT broker.'); });
+    client.on('error', (err) => { console.error('[MQTT Client Error]', err); });
+  }
+  return client;
+}
@@ -0,0 +1,59 @@
+import { ObjectId } from 'mongodb';
+import { evaluateNotification } from '../services/notificationSettings.js';
+import { isCloudUnavailableError } from '../services/offlineQueue.js';
+import { eventBus } from './eventBus.js';
+
+// --- Notifications ---
+// The one notification writer for both processes. The user's notification settings decide whether a notification
+// is stored and pushed (quiet hours store it silently). Stored notifications are published as 'notification'
+// events, which mqttSubscriber.js pushes to the user's WebSocket clients unless they are silent.
+export const NOTIFICATIONS_COLLECTION = 'notifications';
+
+// Creates notify(userId, message, type, options) for a process:
+//   getDb()                    -> the database, or null while it is unavailable (the default settings apply)
+//   save(doc)                  -> stores the notification (mqttSubscriber.js queues it while MongoDB is unreachable)
+//   onCloudUnavailable(error)  -> called when reading the settings failed because MongoDB is unreachable
+// options: { deviceId, deviceName, severity = 'info', isRead = false, dedupeKey, details }.
+// notify resolves to the stored notification, or null if it was suppressed or could not be stored.
+export function createNotifier({ getDb, save, onCloudUnavailable = null, logPrefix = '[Notification]' }) {
+  return async function notify(userId, message, type, options = {}) {
+    try {
+      const { deviceId = null, deviceName = null, severity = 'info', isRead = false, dedupeKey = null, details = null } = options;
+      const candidate = { type, severity, deviceId, dedupeKey };
+      let decision;
+      try {
+        decision = await evaluateNotification(getDb(), userId, candidate);
+      } catch (error) {
+        if (!onCloudUnavailable || !isCloudUnavailableError(error)) throw error;
+        onCloudUnavailable(error);
+        decision = await evaluateNotification(null, userId, candidate);
+      }
+      if (!decision.deliver) {
+        console.log(`${logPrefix} Suppressed. User: ${userId}, Type: ${type} (${decision.reason}).`);
+        return null;
+      }
+      const notification = {
+        _id: new ObjectId(), // Assigned up front so a queued notification keeps the id already pushed to clients
+        userId: new ObjectId(userId),
+        message,
+        type,
+        timestamp: new Date(),
+        isRead,
+        severity,
+      };
+      if (deviceId) notification.deviceId = deviceId;
+      if (deviceName) notification.deviceName = deviceName;
+      if (dedupeKey) notification.dedupeKey = dedupeKey;
+      if (details) notification.details = details; // Structured extras, e.g. expected vs observed values of an anomaly
+      if (decision.silent) notification.silent = true;
+
+      await save(notification);
+      console.log(`${logPrefix} Created. User: ${userId}, Type: ${type}, Msg: ${message.substring(0, 50)}...`);
+      eventBus.publish('notification', { userId: userId.toString(), notification });
+      return notification;
+    } catch (error) {
+      console.error(`${logPrefix} Create error. User ${userId}, Type: ${type}:`, error);
+      return null;
+    }
+  };
+}
@@ -0,0 +1,39 @@
+import { getDateString, getDatesForWeek, getDatesForMonth, getStartOfDay, addDaysToDateString } from '../services/userTime.js';
+
+// --- Date Helpers ---
+// Dates are 'YYYY-MM-DD' in the user's time zone; weeks start on their weekStartsOn (see services/userTime.js).
+export function getCurrentDateString(date, timePreferences) {
+  return getDateString(date, timePreferences.timeZone);
+}
+
+// Dates of the week containing currentDate, up to and including that day
+export function getDatesForCurrentWeek(currentDate, timePreferences) {
+  return getDatesForWeek(currentDate, timePreferences);
+}
+
+// Dates of the month containing currentDate, up to and including that day
+export function getDatesForCurrentMonth(currentDate, timePreferences) {
+  return getDatesForMonth(currentDate, timePreferences);
+}
+
+// Dates of a statistics period ('today', 'current_week' or 'current_month'), or null for an unknown period
+export function getDatesForPeriod(period, currentDate, timePreferences) {
+  if (period === 'today') return [getCurrentDateString(currentDate, timePreferences)];
+  if (period === 'current_week') return getDatesForCurrentWeek(currentDate, timePreferences);
+  if (period === 'current_month') return getDatesForCurrentMonth(currentDate, timePreferences);
+  return null;
+}
+
+// Dates of the current and previous day, week and month, for consumption comparisons
+export function getComparisonPeriods(currentDate, timePreferences) {
+  const todayString = getCurrentDateString(currentDate, timePreferences);
+  const thisWeekDates = getDatesForCurrentWeek(currentDate, timePreferences);
+  const thisMonthDates = getDatesForCurrentMonth(currentDate, timePreferences);
+  const endOfLastWeek = getStartOfDay(thisWeekDates[0], timePreferences.timeZone) - 1; // Last moment of the previous week
+  const endOfLastMonth = getStartOfDay(thisMonthDates[0], timePreferences.timeZone) - 1; // Last moment of the previous month
+  return {
+    daily: { current: [todayString], previous: [addDaysToDateString(todayString, -1)] },
+    weekly: { current: thisWeekDates, previous: getDatesForCurrentWeek(new Date(endOfLastWeek), timePreferences) },
+    monthly: { current: thisMonthDates, previous: getDatesForCurrentMonth(new Date(endOfLastMonth), timePreferences) }
+  };
+}
@@ -0,0 +1,11 @@
+import { startServer as startApi } from './server.js';
+import { startServer as startRealtime } from './mqttSubscriber.js';
+
+// --- Single-Process Mode ---
+// Runs the API (server.js) and ingest/realtime (mqttSubscriber.js) in one process: they share the MongoDB
+// connection, the MQTT connection, the event bus and the live state, so notifications and status changes made
+// through the API reach WebSocket clients without the internal HTTP channel, and the API reads live power totals
+// in memory. Ports stay the same (PORT and MQTT_SUBSCRIBER_PORT).
+// The two can still be run separately: node server.js and node mqttSubscriber.js.
+console.log('[index.js] Starting the API and the realtime server in one process.');
+await Promise.all([startRealtime(), startApi()]);
@@ -1,415 +1,782 @@
+import { config, isEntryPoint } from './core/config.js';
 import http from 'http';
 import url from 'url';
 import WebSocket from 'ws';
-import mqtt from 'mqtt';
-import { MongoClient, ObjectId } from 'mongodb';
-import dotenv from 'dotenv';
-import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+import { getTariffProfile, priceEnergySlice, getDailyRecordCost } from './services/tariffs.js';
+import { createAutomationEngine } from './services/automation.js';
+import {
+  sendSwitchCommand,
+  resolveCommandReply,
+  confirmCommandByStatus,
+  expireCommands,
+  rollbackCommand,
+  describeCommand
+} from './services/deviceCommands.js';
+import { parseDeviceMessage, getDriverSubscriptions, getDriver } from './services/deviceDrivers.js';
+import { getDiscoveryUpdate, recordDevicePress } from './services/deviceDiscovery.js';
+import { createOfflineQueue, isCloudUnavailableError } from './services/offlineQueue.js';
+import { createSinkHealth } from './services/syncHealth.js';
+import { createLiveState } from './services/liveState.js';
+import { verifyAccessToken, findActiveSessionIds } from './services/sessions.js';
+import { resolveHousehold, findActiveMemberships, hasHouseholdRole } from './services/households.js';
+import { createRealtimeHub, getChannelDeviceId, getDeviceChannel } from './services/realtimeHub.js';
+import { getUserTimePreferences, getDateString, splitIntervalByDay } from './services/userTime.js';
+import { connectDb, ensureCoreIndexes, DAILY_CONSUMPTION_COLLECTION } from './core/db.js';
+import { getMqttClient } from './core/mqtt.js';
+import { eventBus, INTERNAL_EVENTS_PATH } from './core/eventBus.js';
+import { registerLiveSnapshotReader } from './core/liveSnapshot.js';
+import { createNotifier } from './core/notifications.js';
+import { getTodayDeviceEnergyWh, getMonthToDateDeviceEnergyWh } from './core/consumption.js';
+
+// --- MongoDB Connection (shared with server.js when both run in one process, see core/db.js) ---
+let db;
 
-dotenv.config();
+// --- Offline Queue ---
+// Readings, status changes and notifications that cannot reach MongoDB are buffered in db.json and replayed in order.
+const OFFLINE_REPLAY_INTERVAL = 5000; // How often to check whether a replay is due (the circuit breaker backs off further)
+const offlineQueue = createOfflineQueue({
+  filePath: process.env.OFFLINE_QUEUE_FILE || './db.json',
+  readingsCollection: config.readingsCollection
+});
+const sinkHealth = createSinkHealth({ logPrefix: '[Offline Queue]' }); // Circuit breaker for MongoDB, shown on /health
+const knownDevices = new Map(); // deviceId -> { userId, driver }, so telemetry can still be attributed while MongoDB is unreachable
 
-// --- MongoDB Connection ---
-const mongoClient = new MongoClient(process.env.MONGO_URI_CLOUD);
-let db;
-const DAILY_CONSUMPTION_COLLECTION = 'daily_device_consumptions'; // New collection name for daily summaries
-const NOTIFICATIONS_COLLECTION = 'notifications'; // For writing notifications
-
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key-please-set-in-env';
-if (JWT_SECRET === 'fallback-secret-key-please-set-in-env') {
-  console.warn("[SECURITY WARNING] JWT_SECRET is using a fallback value. Please set a strong, unique secret in your .env file.");
-}
-
-// --- MQTT Client (for subscribing to Shelly device data) ---
-const mqttClient = mqtt.connect(process.env.MQTT_BROKER_URL, {
-  username: process.env.MQTT_USERNAME,
-  password: process.env.MQTT_PASSWORD,
-  keepalive: 60,
-  clientId: `mqtt_subscriber_${Math.random().toString(16).substr(2, 8)}`,
-  reconnectPeriod: 5000,
-  connectTimeout: 10000
+// Latest power per device and running day/week/month totals per user, updated on every reading (see services/liveState.js)
+const liveState = createLiveState({
+  getDb: () => (db && sinkHealth.isAvailable() ? db : null),
+  readingsCollectionName: config.readingsCollection
 });
+// The API reads it in memory when it runs in this process (index.js)
+registerLiveSnapshotReader(userId => liveState.getSnapshot(userId));
+
+const JWT_SECRET = config.jwtSecret;
+
+// --- MQTT Client (for subscribing to Shelly device data, see core/mqtt.js) ---
+const mqttClient = getMqttClient();
 
 // --- WebSocket Server ---
+// Authenticated clients, their channel subscriptions and the resumable event stream live in the realtime hub
+// (services/realtimeHub.js); events are published to it whether or not anyone is connected.
 const wss = new WebSocket.Server({ noServer: true });
-const activeWsConnections = new Map(); // Map: userId -> Set of WebSocket clients
-
-// --- Date Helper Functions ---
-function getCurrentDateString(date = new Date()) {
-  const year = date.getFullYear();
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
-}
-
-function getDatesForCurrentWeek(currentDate = new Date()) {
-    const dates = [];
-    const dayOfWeek = currentDate.getDay(); // Sunday - 0, Monday - 1, ..., Saturday - 6
-    const startOfWeek = new Date(currentDate);
-    startOfWeek.setDate(currentDate.getDate() - dayOfWeek); // Start of week (Sunday)
-    startOfWeek.setHours(0,0,0,0);
-
-    for (let i = 0; i < 7; i++) {
-        const dateInWeek = new Date(startOfWeek);
-        dateInWeek.setDate(startOfWeek.getDate() + i);
-        // Only include dates up to and including the current day to reflect "this week's" consumption so far
-        if (dateInWeek <= currentDate) { 
-            dates.push(getCurrentDateString(dateInWeek));
-        }
-    }
-    return dates;
+
+// --- WebSocket Event Handlers ---
+wss.on('connection', (ws) => {
+  console.log('[WebSocket] Client connected.');
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+  realtimeHub.accept(ws);
+  ws.on('close', () => { console.log('[WebSocket] Client disconnected.'); });
+  ws.on('error', (error) => { console.error('[WebSocket] Client error:', error); });
+});
+
+// Corrected WebSocket Ping
+setInterval(() => {
+  wss.clients.forEach((ws) => {
+    if (!ws.isAlive) return ws.terminate();
+    ws.isAlive = false;
+    ws.ping(); // Corrected: Send ping without arguments
+  });
+}, 30000);
+
+// --- Session and Household Checks ---
+// Access tokens are checked against their session (services/sessions.js), so logging out or "log out all devices"
+// also locks out the WebSocket. A client sees the data of its household (services/households.js); the last
+// resolved household is remembered so clients can still connect while MongoDB is unreachable, when only the token
+// itself can be checked.
+const SESSION_CHECK_INTERVAL = 60000; // How often open WebSockets are checked for revoked sessions and memberships
+const resolvedHouseholds = new Map(); // "userId:requestedHouseholdId" -> { id, ownerId, name, role }
+
+async function verifySessionToken(token) {
+  try {
+    return await verifyAccessToken(db && sinkHealth.isAvailable() ? db : null, token, JWT_SECRET);
+  } catch (error) {
+    if (!isCloudUnavailableError(error)) throw error;
+    markCloudUnreachable(error);
+    return verifyAccessToken(null, token, JWT_SECRET);
+  }
 }
 
-function getDatesForCurrentMonth(currentDate = new Date()) {
-    const dates = [];
-    const year = currentDate.getFullYear();
-    const month = currentDate.getMonth(); 
-    // Only include dates up to and including the current day to reflect "this month's" consumption so far
-    for (let i = 1; i <= currentDate.getDate() ; i++) {
-        dates.push(getCurrentDateString(new Date(year, month, i)));
+// The household a client acts on (the requested one, else the user's active household). Returns { household } or { error }.
+async function resolveClientHousehold(userId, requestedHouseholdId = null) {
+  const cacheKey = `${userId}:${requestedHouseholdId || ''}`;
+  if (db && sinkHealth.isAvailable()) {
+    try {
+      const { household, role, error } = await resolveHousehold(db, userId, requestedHouseholdId);
+      if (error) {
+        resolvedHouseholds.delete(cacheKey);
+        return { error };
+      }
+      const resolved = { id: household._id.toString(), ownerId: household.ownerId.toString(), name: household.name, role };
+      resolvedHouseholds.set(cacheKey, resolved);
+      return { household: resolved };
+    } catch (error) {
+      if (!isCloudUnavailableError(error)) throw error;
+      markCloudUnreachable(error);
     }
-    return dates;
+  }
+  const cached = resolvedHouseholds.get(cacheKey);
+  if (cached) return { household: cached };
+  if (requestedHouseholdId) return { error: 'Household cannot be checked right now' };
+  return { household: { id: null, ownerId: userId, name: null, role: 'owner' } }; // Their own data
 }
 
-// Function to get system daily consumption from the DAILY_CONSUMPTION_COLLECTION
-async function getSystemDailyConsumptionForDate(userId, dateString) {
-  if (!db) {
-    console.error("[getSystemDailyConsumptionForDate] DB not initialized.");
-    return 0;
-  }
+// Closes authenticated WebSockets whose session has ended or whose user has left the household since they connected
+async function closeRevokedSessionSockets() {
+  if (!db || !sinkHealth.isAvailable()) return;
+  const sockets = [...wss.clients].filter(ws => ws.sessionId);
+  if (sockets.length === 0) return;
   try {
-    const dailySystemTotal = await db.collection(DAILY_CONSUMPTION_COLLECTION) // Querying the correct collection
-      .findOne({ userId: new ObjectId(userId), deviceId: "SYSTEM_TOTAL_DAILY", dateString: dateString }); // Specific deviceId for system total
-    return dailySystemTotal?.estimatedEnergyWhToday || 0; // Use estimatedEnergyWhToday field
+    const activeSessionIds = await findActiveSessionIds(db, sockets.map(ws => ws.sessionId));
+    const withHousehold = sockets.filter(ws => ws.householdId);
+    const activeMemberships = await findActiveMemberships(db, withHousehold.map(ws => ({ householdId: ws.householdId, userId: ws.accountId })));
+    for (const ws of sockets) {
+      const sessionActive = activeSessionIds.has(ws.sessionId);
+      if (sessionActive && (!ws.householdId || activeMemberships.has(`${ws.householdId}:${ws.accountId}`))) continue;
+      console.log(`[WebSocket] ${sessionActive ? `User ${ws.accountId} is no longer a member of household ${ws.householdId}` : `Session ${ws.sessionId} of user ${ws.accountId} has ended`}. Closing its connection.`);
+      realtimeHub.sendDirect(ws, { type: 'auth_error', message: sessionActive ? 'Removed from household' : 'Session ended' });
+      ws.close();
+    }
   } catch (error) {
-    console.error(`[getSystemDailyConsumptionForDate] Error fetching daily total for ${dateString}, user ${userId}:`, error);
-    return 0;
+    if (!isCloudUnavailableError(error)) {
+      console.error('[WebSocket] Session check failed:', error);
+      return;
+    }
+    markCloudUnreachable(error);
+  }
+}
+setInterval(closeRevokedSessionSockets, SESSION_CHECK_INTERVAL);
+
+// --- Realtime Hub ---
+// Pushes are addressed to the household's data owner, so every member's socket is registered under it
+async function authenticateClient(message) {
+  const { user: userPayload, error: authError } = await verifySessionToken(message.token);
+  if (authError) {
+    console.warn('[WebSocket] Auth failed for token:', authError);
+    return { error: 'Authentication failed' };
+  }
+  const { household, error: householdError } = await resolveClientHousehold(userPayload.id, message.householdId);
+  if (householdError) {
+    console.warn(`[WebSocket] Household check failed for user ${userPayload.id}:`, householdError);
+    return { error: householdError };
   }
+  return { client: {
+    userId: household.ownerId,
+    accountId: userPayload.id,
+    sessionId: userPayload.sid,
+    householdId: household.id,
+    role: household.role,
+    household: { id: household.id, name: household.name, role: household.role }
+  } };
 }
 
+// A device channel is open to the clients of the device's owner only
+async function authorizeChannel(ws, channel) {
+  const deviceId = getChannelDeviceId(channel);
+  if (!deviceId) return null;
+  const registration = await getDeviceRegistration(deviceId);
+  return registration && registration.userId === ws.userId ? null : 'Device not found';
+}
 
-// --- WebSocket Event Handlers ---
-wss.on('connection', async (ws, request) => {
-  console.log('[WebSocket] Client connected.');
-  ws.isAlive = true;
-  ws.on('pong', () => { ws.isAlive = true; });
+async function getChannelSnapshot(ws, channel) {
+  if (channel === 'system') {
+    const snapshot = await liveState.getSnapshot(ws.userId);
+    return snapshot ? [{ type: 'current_power_update', payload: snapshot }] : [];
+  }
+  if (channel === 'devices') {
+    return [{ type: 'initial_devices_update', payload: await liveState.getDevices(ws.userId) }];
+  }
+  const deviceId = getChannelDeviceId(channel);
+  const device = deviceId ? await liveState.getDevice(ws.userId, deviceId) : null;
+  return device ? [{ type: 'device_power', payload: device }] : [];
+}
 
-  ws.on('message', async (message) => {
-    try {
-      const parsedMessage = JSON.parse(message.toString()); 
-      if (parsedMessage.type === 'auth' && parsedMessage.token) {
-        jwt.verify(parsedMessage.token, JWT_SECRET, async (err, userPayload) => {
-          if (err) {
-            console.warn('[WebSocket] Auth failed for token:', err.message);
-            ws.send(JSON.stringify({ type: 'auth_error', message: 'Authentication failed' }));
-            ws.close();
-            return;
-          }
-          ws.userId = userPayload.id;
-          console.log(`[WebSocket] Client authenticated. User ID: ${ws.userId}`);
-
-          if (!activeWsConnections.has(ws.userId)) {
-            activeWsConnections.set(ws.userId, new Set());
-          }
-          activeWsConnections.get(ws.userId).add(ws);
-          ws.send(JSON.stringify({ type: 'auth_success', message: 'Authenticated' }));
-
-          // --- Initial Data Sync after Authentication ---
-          try {
-            if (!db) {
-              console.error("[WebSocket] DB not initialized during initial data sync for user:", ws.userId);
-              return;
-            }
+// { type: 'command', command: 'toggle', deviceId, turnOn } - the socket counterpart of POST /api/devices/:id/toggle
+async function handleToggleCommand(ws, { deviceId, turnOn }) {
+  if (!hasHouseholdRole(ws.householdRole, 'member')) return { error: 'Requires the member role or higher' };
+  if (typeof deviceId !== 'string' || typeof turnOn !== 'boolean') return { error: 'deviceId and turnOn (boolean) are required' };
+  if (!db || !sinkHealth.isAvailable()) return { error: 'Database not available' };
+  console.log(`[CONTROL WS ${deviceId}] User: ${ws.accountId} (household owner ${ws.userId}). Request to set status to: ${turnOn}.`);
+  const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(ws.userId) }, { projection: { _id: 1 } });
+  if (!device) return { error: 'Device not found or you do not have permission to control it.' };
+  const command = await switchDevice(deviceId, ws.userId, turnOn, { source: 'websocket', requestedBy: ws.accountId });
+  // Confirmation (or rollback) follows as a 'command_update' event on the 'devices' channel
+  return { deviceId, status: turnOn, command: describeCommand(command) };
+}
 
-            const userDevices = await db.collection('devices')
-              .find({ userId: new ObjectId(ws.userId) })
-              .toArray();
-
-            const devicesWithStatus = userDevices.map(device => ({
-                id: device.id,
-                name: device.name,
-                status: typeof device.status === 'boolean' ? device.status : false
-            }));
-
-            // Calculate initial system power and energy totals for initial WebSocket push
-            let initialTotalSystemPower = 0;
-            // Iterate through user's active devices to sum their latest power
-            for (const device of userDevices) {
-              if (device.status === true) { // Only consider devices that are currently ON
-                const latestDevicePowerReading = await db.collection(process.env.COLLECTION_NAME)
-                  .find({ userId: new ObjectId(ws.userId), deviceId: device.id, power: { $exists: true, $ne: null } })
-                  .sort({ timeStamp: -1 }).limit(1).next();
-                if (latestDevicePowerReading && typeof latestDevicePowerReading.power === 'number') {
-                  initialTotalSystemPower += latestDevicePowerReading.power;
-                }
-              }
-            }
+const realtimeHub = createRealtimeHub({
+  authenticate: authenticateClient,
+  authorizeChannel,
+  getSnapshot: getChannelSnapshot,
+  commands: { toggle: handleToggleCommand }
+});
 
-            const today = new Date();
-            const todayString = getCurrentDateString(today);
-            let initialEnergyToday = 0;
-            // Sum estimatedEnergyWhToday from all daily device consumption records for today
-            const dailyDeviceConsumptions = await db.collection(DAILY_CONSUMPTION_COLLECTION)
-              .find({ userId: new ObjectId(ws.userId), dateString: todayString })
-              .toArray();
-            for (const dailyRec of dailyDeviceConsumptions) {
-              initialEnergyToday += (dailyRec.estimatedEnergyWhToday || 0);
-            }
-            console.log(`[WebSocket InitialSync] Calculated initial energy for today for user ${ws.userId}: ${initialEnergyToday.toFixed(3)}Wh`);
-            
-            let initialEnergyThisWeek = 0;
-            const weekDates = getDatesForCurrentWeek(today);
-            for (const dateStr of weekDates) {
-              initialEnergyThisWeek += await getSystemDailyConsumptionForDate(ws.userId, dateStr); // This calls the corrected function
-            }
-            console.log(`[WebSocket InitialSync] Calculated initial energy for this week for user ${ws.userId}: ${initialEnergyThisWeek.toFixed(3)}Wh`);
+// Publishes a device's latest power on its channel after a reading was recorded in the live state
+async function publishDevicePower(userId, deviceId) {
+  const device = await liveState.getDevice(userId, deviceId);
+  if (device) realtimeHub.publish(userId, getDeviceChannel(deviceId), 'device_power', device);
+}
 
-            let initialEnergyThisMonth = 0;
-            const monthDates = getDatesForCurrentMonth(today);
-            for (const dateStr of monthDates) {
-              initialEnergyThisMonth += await getSystemDailyConsumptionForDate(ws.userId, dateStr); // This calls the corrected function
-            }
-            console.log(`[WebSocket InitialSync] Calculated initial energy for this month for user ${ws.userId}: ${initialEnergyThisMonth.toFixed(3)}Wh`);
-
-            // Send initial values in Wh
-            ws.send(JSON.stringify({
-              type: 'current_power_update',
-              payload: {
-                power: parseFloat(initialTotalSystemPower.toFixed(3)),
-                energyToday: parseFloat(initialEnergyToday.toFixed(3)), // Rounded to 3 decimal places
-                energyThisWeek: parseFloat(initialEnergyThisWeek.toFixed(3)), // Rounded to 3 decimal places
-                energyThisMonth: parseFloat(initialEnergyThisMonth.toFixed(3)), // Rounded to 3 decimal places
-                timeStamp: new Date().toISOString(),
-              }
-            }));
-            console.log(`[WebSocket] Sent initial system power/energy for user ${ws.userId}: P=${initialTotalSystemPower.toFixed(3)}W, E(Today)=${initialEnergyToday.toFixed(3)}Wh, E(Week)=${initialEnergyThisWeek.toFixed(3)}Wh, E(Month)=${initialEnergyThisMonth.toFixed(3)}Wh`);
-            
-            ws.send(JSON.stringify({
-              type: 'initial_devices_update',
-              payload: devicesWithStatus
-            }));
-            console.log(`[WebSocket] Sent initial device list for user ${ws.userId} (${devicesWithStatus.length} devices)`);
-
-          } catch (syncErr) {
-            console.error(`[WebSocket] Error sending initial data to user ${ws.userId}:`, syncErr);
-          }
-        });
-      } else {
-        console.log('[WebSocket] Received non-auth message:', parsedMessage);
-      }
-    } catch (parseErr) {
-      console.error('[WebSocket] Failed to parse message:', message.toString(), parseErr);
-    }
-  });
+// --- Notification Helper (core/notifications.js; queued while MongoDB is unreachable) ---
+const createNotificationAndPush = createNotifier({
+  getDb: () => (db && sinkHealth.isAvailable() ? db : null),
+  save: (notification) => writeOrQueue('notification', { doc: notification }),
+  onCloudUnavailable: markCloudUnreachable,
+  logPrefix: '[MQTTSub Notification]'
+});
 
-  ws.on('close', () => {
-    console.log('[WebSocket] Client disconnected.');
-    if (ws.userId && activeWsConnections.has(ws.userId)) {
-      activeWsConnections.get(ws.userId).delete(ws);
-      if (activeWsConnections.get(ws.userId).size === 0) {
-        activeWsConnections.delete(ws.userId);
-      }
-    }
-  });
-  ws.on('error', (error) => { console.error('[WebSocket] Client error:', error); });
+// Sends a switch command (services/deviceCommands.js) and announces the requested status like the API does
+async function switchDevice(deviceId, userId, turnOn, options) {
+  const command = await sendSwitchCommand(db, mqttClient, deviceId, userId, turnOn, options);
+  eventBus.publish('device_status', { userId: userId.toString(), deviceId, status: turnOn });
+  return command;
+}
+
+// --- Event Bus Subscriptions ---
+// Notifications and changes made by either process (server.js forwards its events here when run on its own)
+// reach the live clients through these.
+eventBus.subscribe('notification', ({ userId, notification }) => {
+  // Silent notifications are only listed in the app
+  if (!notification.silent) realtimeHub.publish(userId, 'notifications', 'new_notification', notification);
 });
 
-// Corrected WebSocket Ping
-setInterval(() => {
-  wss.clients.forEach((ws) => {
-    if (!ws.isAlive) return ws.terminate();
-    ws.isAlive = false;
-    ws.ping(); // Corrected: Send ping without arguments
-  });
-}, 30000);
+eventBus.subscribe('device_status', async ({ userId, deviceId, status }) => {
+  await liveState.setDeviceStatus(userId, deviceId, status);
+  const device = await liveState.getDevice(userId, deviceId);
+  realtimeHub.publish(userId, 'devices', 'device_status_update', { id: deviceId, name: device?.name, status });
+  await calculateAndPushTotalSystemPower(userId);
+});
 
-// --- Notification Helper (for mqttSubscriber) ---
-async function createNotificationAndPush(userId, message, type, options = {}) {
-  if (!db) {
-    console.error("[MQTTSub Notification] Database not initialized.");
-    return;
+eventBus.subscribe('devices_changed', async ({ userId }) => {
+  liveState.invalidate(userId);
+  realtimeHub.publish(userId, 'devices', 'initial_devices_update', await liveState.getDevices(userId));
+  await calculateAndPushTotalSystemPower(userId);
+});
+
+// --- Offline Queue Helpers ---
+// A failed live write opens the circuit; from then on the replay loop probes with backoff.
+function markCloudUnreachable(error) {
+  if (sinkHealth.isAvailable()) sinkHealth.recordFailure(error);
+}
+
+// Writes a record to MongoDB, or queues it locally when the database cannot be reached. While anything is
+// queued, new records join the end of the queue so the database receives them in order.
+// Returns false if MongoDB is currently unreachable (callers skip work that needs the database).
+async function writeOrQueue(kind, payload) {
+  if (db && sinkHealth.isAvailable() && offlineQueue.size === 0) {
+    try {
+      await offlineQueue.apply(db, kind, payload);
+      sinkHealth.recordSuccess();
+      return true;
+    } catch (error) {
+      if (!isCloudUnavailableError(error)) throw error;
+      markCloudUnreachable(error);
+    }
   }
+  offlineQueue.enqueue(kind, payload);
+  return Boolean(db && sinkHealth.isAvailable());
+}
+
+// Pings MongoDB and drains the queue. Skipped while the circuit is open (backing off) and when there is nothing to do.
+async function replayOfflineQueue() {
+  if (!db || !sinkHealth.canAttempt()) return;
+  if (sinkHealth.isAvailable() && offlineQueue.size === 0) return;
   try {
-    const { deviceId = null, deviceName = null, severity = 'info', isRead = false } = options;
-    const notificationDoc = {
-      userId: new ObjectId(userId),
-      message,
-      type,
-      timestamp: new Date(),
-      isRead,
-      severity,
-    };
-    if (deviceId) notificationDoc.deviceId = deviceId;
-    if (deviceName) notificationDoc.deviceName = deviceName;
-
-    const insertResult = await db.collection(NOTIFICATIONS_COLLECTION).insertOne(notificationDoc);
-    console.log(`[MQTTSub Notification Created] User: ${userId}, Type: ${type}, Msg: ${message.substring(0,50)}...`);
-
-    // Push to WebSocket if user is connected
-    if (activeWsConnections.has(userId.toString())) {
-      const notificationForWs = { ...notificationDoc, _id: insertResult.insertedId }; // Include _id for client
-      activeWsConnections.get(userId.toString()).forEach(wsClient => {
-        if (wsClient.readyState === WebSocket.OPEN) {
-          wsClient.send(JSON.stringify({ type: 'new_notification', payload: notificationForWs }));
-        }
-      });
-    }
+    await db.command({ ping: 1 });
+    if (offlineQueue.size > 0) await offlineQueue.replay(db);
+    sinkHealth.recordSuccess();
   } catch (error) {
-    console.error(`[MQTTSub Notification Create Error] User ${userId}, Type: ${type}:`, error);
+    if (!isCloudUnavailableError(error)) {
+      console.error('[Offline Queue] Replay error:', error);
+      return;
+    }
+    sinkHealth.recordFailure(error);
+  }
+}
+setInterval(replayOfflineQueue, OFFLINE_REPLAY_INTERVAL);
+
+// Owner and driver of a registered device. Returns null if the device is not registered, or undefined if
+// MongoDB is unreachable and this process has not seen the device before.
+async function getDeviceRegistration(deviceId) {
+  if (db && sinkHealth.isAvailable()) {
+    try {
+      const deviceDoc = await db.collection('devices').findOne({ id: deviceId }, { projection: { userId: 1, driver: 1 } });
+      if (!deviceDoc) {
+        knownDevices.delete(deviceId);
+        return null;
+      }
+      const registration = { userId: deviceDoc.userId.toString(), driver: deviceDoc.driver };
+      knownDevices.set(deviceId, registration);
+      return registration;
+    } catch (error) {
+      if (!isCloudUnavailableError(error)) throw error;
+      markCloudUnreachable(error);
+    }
   }
+  return knownDevices.get(deviceId);
 }
 
+// --- Automation Engine (evaluates user rules against live telemetry) ---
+const automationEngine = createAutomationEngine({
+  getDb: () => db,
+  sendSwitchCommand: (deviceId, userId, turnOn) => switchDevice(deviceId, userId, turnOn, { source: 'automation' }),
+  notify: createNotificationAndPush,
+  getSystemEnergyToday: (userId) => getTodayDeviceEnergyWh(db, userId)
+});
+
 // --- MQTT Event Handlers ---
 mqttClient.on('connect', () => {
-  console.log('[MQTT] Connected to MQTT broker.');
-  const topicsToSubscribe = ['tele/#', 'stat/#', 'shellies/#', 'shellyplugus-a0dd6c4a81fc/#', 'shellyplugus-a0dd6c27ade0/#'];
+  const topicsToSubscribe = getDriverSubscriptions();
   mqttClient.subscribe(topicsToSubscribe, { qos: 0 }, (err) => {
     if (err) console.error('[MQTT] Failed to subscribe:', err);
     else console.log('[MQTT] Subscribed to topics:', topicsToSubscribe);
   });
 });
-mqttClient.on('error', (err) => { console.error('[MQTT Client Error]', err); });
 
-// This function will now update daily energy by integrating power over time
-async function updateDailyDeviceEnergyByPower(userId, deviceId, currentPowerW, currentTimestamp) {
+// Upper bound used to reject implausible counter jumps (a smart plug cannot draw more than this).
+const MAX_PLAUSIBLE_DEVICE_POWER_W = 20000;
+// Power readings further apart than this are not integrated: the device was offline and its draw is unknown.
+const MAX_INTEGRATION_SLICE_MS = 6 * 60 * 60 * 1000;
+
+// Combines two energy sources into the label stored on a daily record.
+function mergeEnergySource(existingSource, newSource) {
+  if (!existingSource) return newSource;
+  if (!newSource || existingSource === newSource) return existingSource;
+  return 'mixed';
+}
+
+// Adds the part of a slice that fell before midnight to that day's record (created if the device had no record that day).
+async function addToEarlierDay(userId, deviceId, dateString, energyWh, cost, energySource) {
+    const dailyCollection = db.collection(DAILY_CONSUMPTION_COLLECTION);
+    const filter = { userId: new ObjectId(userId), deviceId, dateString };
+    const existing = await dailyCollection.findOne(filter, { projection: { energySource: 1 } });
+    await dailyCollection.updateOne(
+        filter,
+        {
+            $inc: { estimatedEnergyWhToday: energyWh, estimatedCostToday: cost },
+            $set: { energySource: mergeEnergySource(existing?.energySource, energySource), updatedAt: new Date() }
+        },
+        { upsert: true }
+    );
+    console.log(`[DailyEnergyPower DBG] Booked ${energyWh.toFixed(3)}Wh of a slice spanning midnight to ${deviceId} on ${dateString}.`);
+}
+
+// Updates a device's daily energy. The device's cumulative energy counter (aenergy.total / ENERGY.total)
+// is authoritative when available: the energy since the previous counter reading is added, minus whatever
+// was already integrated from power-only messages in between. Without a usable counter (never reported,
+// reset to zero, rolled over or jumped implausibly) the slice is estimated by trapezoidal integration of power.
+// Each daily record carries energySource: 'counter', 'integration' or 'mixed'.
+// Days are those of the user's time zone. The previous power reading is kept on the device's status record, so
+// integration carries on across midnight; a slice spanning midnight is split across the days in proportion to
+// the time it spent in each.
+// Returns the device's updated totals for the reading's day { dateString, energyWh, costToday }, or undefined
+// if nothing was recorded.
+async function updateDailyDeviceEnergyByPower(userId, deviceId, currentPowerW, currentTimestamp, energyCounterWh) {
     if (!db) {
         console.error('[DailyEnergyPower] DB not initialized.');
         return;
     }
-    if (typeof currentPowerW !== 'number' || isNaN(currentPowerW)) {
+    const hasPower = typeof currentPowerW === 'number' && !isNaN(currentPowerW);
+    const hasCounter = typeof energyCounterWh === 'number' && isFinite(energyCounterWh) && energyCounterWh >= 0;
+    if (!hasPower && !hasCounter) {
         // console.warn(`[DailyEnergyPower] Invalid power value for ${deviceId}: ${currentPowerW}`);
         return;
     }
 
-    const todayString = getCurrentDateString();
     const dailyCollection = db.collection(DAILY_CONSUMPTION_COLLECTION); // Use correct collection name
 
     try {
+        const { timeZone } = await getUserTimePreferences(db, userId);
+        const todayString = getDateString(currentTimestamp, timeZone);
+        const tariffProfile = await getTariffProfile(db, userId);
         const existingDailyRecord = await dailyCollection.findOne({ userId: new ObjectId(userId), deviceId, dateString: todayString });
+        const counterState = await db.collection('device_status').findOne(
+            { deviceId },
+            { projection: { energyCounterWh: 1, energyCounterTimestamp: 1, energyIntegratedSinceCounterWh: 1, lastPowerReadingW: 1, lastPowerReadingTimestamp: 1 } }
+        );
+        // Previous power reading: on the status record, or on today's record for data written before it moved there
+        const lastPowerState = typeof counterState?.lastPowerReadingW === 'number' ? counterState : existingDailyRecord;
+        const hasCounterBaseline = typeof counterState?.energyCounterWh === 'number';
+
+        // 1. Energy measured by the meter since its previous counter reading
+        let counterDeltaWh = null;
+        if (hasCounter && hasCounterBaseline) {
+            const baselineTimestamp = new Date(counterState.energyCounterTimestamp);
+            const hoursSinceBaseline = Math.max((currentTimestamp.getTime() - baselineTimestamp.getTime()) / 3600000, 1 / 60);
+            const delta = energyCounterWh - counterState.energyCounterWh;
+            if (delta < 0) {
+                console.warn(`[DailyEnergyPower] Counter for ${deviceId} went backwards (${counterState.energyCounterWh}Wh -> ${energyCounterWh}Wh). Treating as reset/rollover and re-baselining.`);
+            } else if (delta > MAX_PLAUSIBLE_DEVICE_POWER_W * hoursSinceBaseline) {
+                console.warn(`[DailyEnergyPower] Counter for ${deviceId} jumped implausibly (+${delta.toFixed(1)}Wh in ${hoursSinceBaseline.toFixed(3)}h). Ignoring and re-baselining.`);
+            } else {
+                counterDeltaWh = delta;
+            }
+        }
+
+        let energyAddedWh = 0;
+        let sliceStart = null;
+        let energySource = null;
+        if (counterDeltaWh !== null) {
+            // Power-only messages since the baseline were already integrated; the counter replaces that estimate.
+            energyAddedWh = counterDeltaWh - (counterState.energyIntegratedSinceCounterWh || 0);
+            sliceStart = new Date(counterState.energyCounterTimestamp);
+            energySource = 'counter';
+        } else if (hasPower && lastPowerState && typeof lastPowerState.lastPowerReadingW === 'number') {
+            const lastPower = lastPowerState.lastPowerReadingW || 0;
+            const lastTimestamp = lastPowerState.lastPowerReadingTimestamp ? new Date(lastPowerState.lastPowerReadingTimestamp) : currentTimestamp;
+            const timeDeltaMs = currentTimestamp.getTime() - lastTimestamp.getTime();
+            if (timeDeltaMs > 0 && timeDeltaMs <= MAX_INTEGRATION_SLICE_MS) { // Only calculate if time has passed
+                const timeDeltaHours = timeDeltaMs / (1000 * 60 * 60);
+                // Average power over the interval
+                const averagePowerW = (lastPower + currentPowerW) / 2;
+                energyAddedWh = (averagePowerW * timeDeltaHours); // Calculate slice in Wh
+                sliceStart = lastTimestamp;
+                energySource = 'integration';
+            }
+        }
+
+        // Keep the counter baseline (and what was integrated since it) and the last power reading on the device's status record
+        const lastPowerFields = hasPower ? { lastPowerReadingW: currentPowerW, lastPowerReadingTimestamp: currentTimestamp } : {};
+        if (hasCounter) {
+            await db.collection('device_status').updateOne(
+                { deviceId },
+                { $set: { energyCounterWh, energyCounterTimestamp: currentTimestamp, energyIntegratedSinceCounterWh: 0, ...lastPowerFields } },
+                { upsert: true }
+            );
+        } else {
+            const update = { $set: lastPowerFields };
+            if (energySource === 'integration' && hasCounterBaseline) update.$inc = { energyIntegratedSinceCounterWh: energyAddedWh };
+            await db.collection('device_status').updateOne({ deviceId }, update, { upsert: true });
+        }
+
+        // Split the slice at midnight and price each part at the rate(s) in force while it was consumed
+        // (negative counter corrections are booked to today and refund at the same rates)
+        let sliceCost = 0;
+        if (sliceStart && energyAddedWh !== 0) {
+            const monthToDateWh = tariffProfile.type === 'tiered' ? await getMonthToDateDeviceEnergyWh(db, userId, currentTimestamp) : 0;
+            const sliceMs = currentTimestamp.getTime() - sliceStart.getTime();
+            const days = energyAddedWh > 0 && sliceMs > 0
+                ? splitIntervalByDay(sliceStart, currentTimestamp, timeZone)
+                : [{ dateString: todayString, start: sliceStart, end: currentTimestamp }];
+            const sliceEnergyWh = energyAddedWh;
+            energyAddedWh = 0; // From here on: the part of the slice that falls on today
+            for (const day of days) {
+                const dayEnergyWh = days.length === 1 ? sliceEnergyWh : sliceEnergyWh * (day.end.getTime() - day.start.getTime()) / sliceMs;
+                const dayCost = Math.sign(dayEnergyWh) * priceEnergySlice(tariffProfile, Math.abs(dayEnergyWh), day.start, day.end, monthToDateWh, timeZone);
+                if (day.dateString === todayString) {
+                    energyAddedWh = dayEnergyWh;
+                    sliceCost = dayCost;
+                } else {
+                    await addToEarlierDay(userId, deviceId, day.dateString, dayEnergyWh, dayCost, energySource);
+                }
+            }
+        }
 
         if (!existingDailyRecord) {
-            // First power reading for this device today
+            // First reading for this device today. With a counter, energy since the last reading (e.g. overnight) is kept.
+            const initialEnergyWh = Math.max(0, energyAddedWh);
+            const initialCost = initialEnergyWh > 0 ? sliceCost : 0;
             await dailyCollection.insertOne({
                 userId: new ObjectId(userId),
                 deviceId,
                 dateString: todayString,
-                estimatedEnergyWhToday: 0, // Start with 0 energy consumed today (stores Wh)
-                lastPowerReadingW: currentPowerW,
-                lastPowerReadingTimestamp: currentTimestamp,
+                estimatedEnergyWhToday: initialEnergyWh, // Stores Wh
+                estimatedCostToday: initialCost, // Cost of today's energy in the user's tariff currency
+                energySource: energySource || (hasCounter ? 'counter' : 'integration'),
                 updatedAt: new Date()
             });
-            console.log(`[DailyEnergyPower DBG] Initialized daily record for ${deviceId} on ${todayString} with power ${currentPowerW}W.`);
-        } else {
-            const lastPower = existingDailyRecord.lastPowerReadingW || 0;
-            const lastTimestamp = existingDailyRecord.lastPowerReadingTimestamp ? new Date(existingDailyRecord.lastPowerReadingTimestamp) : currentTimestamp;
-            let currentEstimatedEnergyWh = existingDailyRecord.estimatedEnergyWhToday || 0; // Read existing Wh
-
-            const timeDeltaMs = currentTimestamp.getTime() - lastTimestamp.getTime();
-
-            if (timeDeltaMs > 0) { // Only calculate if time has passed
-                const timeDeltaHours = timeDeltaMs / (1000 * 60 * 60);
-                // Average power over the interval
-                const averagePowerW = (lastPower + currentPowerW) / 2;
-                const energySliceWh = (averagePowerW * timeDeltaHours); // Calculate slice in Wh
-                
-                currentEstimatedEnergyWh += energySliceWh;
-                
-                console.log(`[DailyEnergyPower DBG] Device: ${deviceId}, PrevP: ${lastPower}W, CurrP: ${currentPowerW}W, AvgP: ${averagePowerW.toFixed(2)}W, TimeDeltaH: ${timeDeltaHours.toFixed(4)}, SliceWh: ${energySliceWh.toFixed(3)}, NewTotalEstWh: ${currentEstimatedEnergyWh.toFixed(3)}`);
-            }
+            console.log(`[DailyEnergyPower DBG] Initialized daily record for ${deviceId} on ${todayString} with ${initialEnergyWh.toFixed(3)}Wh (${energySource || 'no slice'}).`);
+            return { dateString: todayString, energyWh: initialEnergyWh, costToday: initialCost };
+        }
 
-            await dailyCollection.updateOne(
-                { _id: existingDailyRecord._id },
-                { $set: { 
-                    estimatedEnergyWhToday: currentEstimatedEnergyWh, // Store updated Wh
-                    lastPowerReadingW: currentPowerW,
-                    lastPowerReadingTimestamp: currentTimestamp,
-                    updatedAt: new Date() 
-                }}
-            );
+        const currentEstimatedEnergyWh = Math.max(0, (existingDailyRecord.estimatedEnergyWhToday || 0) + energyAddedWh);
+        const currentEstimatedCost = Math.max(0, getDailyRecordCost(existingDailyRecord, tariffProfile) + sliceCost);
+        if (energySource) {
+            console.log(`[DailyEnergyPower DBG] Device: ${deviceId}, Source: ${energySource}, P: ${hasPower ? currentPowerW : '-'}W, Counter: ${hasCounter ? energyCounterWh : '-'}Wh, SliceWh: ${energyAddedWh.toFixed(3)}, NewTotalEstWh: ${currentEstimatedEnergyWh.toFixed(3)}, SliceCost: ${sliceCost.toFixed(4)} ${tariffProfile.currency}`);
         }
+
+        await dailyCollection.updateOne(
+            { _id: existingDailyRecord._id },
+            { $set: {
+                estimatedEnergyWhToday: currentEstimatedEnergyWh, // Store updated Wh
+                estimatedCostToday: currentEstimatedCost,
+                energySource: mergeEnergySource(existingDailyRecord.energySource, energySource),
+                updatedAt: new Date()
+            }}
+        );
+        return { dateString: todayString, energyWh: currentEstimatedEnergyWh, costToday: currentEstimatedCost };
     } catch (error) {
-        console.error(`[DailyEnergyPower] Error updating daily energy by power for ${deviceId}:`, error);
+        console.error(`[DailyEnergyPower] Error updating daily energy for ${deviceId}:`, error);
     }
 }
 
 
 mqttClient.on('message', async (topic, message) => {
   try {
-    if (!db) {
-      console.warn(`[MQTT Message] DB not initialized. Skipping: ${topic}.`);
+    // The driver layer maps the topic to a device and normalises the payload into common readings
+    const parsed = parseDeviceMessage(topic, message.toString());
+    if (!parsed) return;
+    const { deviceId, driver, topicPrefix, readings } = parsed;
+
+    // Availability and what the device reports about itself are recorded even for unregistered devices so they
+    // can be discovered and claimed
+    const availability = readings.filter(r => r.type === 'online').at(-1);
+    const timeStamp = new Date();
+    const previousStatus = availability ? await getDeviceStatusRecord(deviceId) : undefined;
+    if (availability) await recordAvailability(deviceId, driver, topicPrefix, availability.online, previousStatus, timeStamp);
+    await recordDiscoveryInfo(deviceId, driver, topicPrefix, readings);
+
+    const registration = await getDeviceRegistration(deviceId);
+    if (registration === undefined) {
+      queueUnattributedReadings(deviceId, readings);
+      return;
+    }
+    if (!registration) {
+      await handleUnregisteredDevice(deviceId, driver, topicPrefix, readings);
       return;
     }
-    const msgString = message.toString();
-
-    let deviceId = null;
-    const shellyGenPattern = /(shelly(?:plus|pro)?(?:plug(?:us|s)|1pm|dimmer2|pmmini|trv|ht|dw2|button1|motionsensor2|blu|em|3em|rgbw2|uni|i4|i4dc|valve|air|gas|flood|smokeplus|motionsensor|contact|window|vintage|duo|bulb|colorbulb|vintage|dimmer|roller|switch25|plug|4pro|em|1|1l|2.5|rgbw)-([0-9a-fA-F]{6,12}|[a-zA-Z0-9\-_]+))/i;
-    let match = topic.match(shellyGenPattern);
-    if (match && match[2]) deviceId = match[2].toLowerCase();
-    else {
-      const standardShelliesPattern = /shellies\/(?:[a-zA-Z0-9\-_]+-)?([a-fA-F0-9]{6}|[a-fA-F0-9]{12})/;
-      match = topic.match(standardShelliesPattern);
-      if (match && match[1]) deviceId = match[1].toLowerCase();
+    // Devices registered with an explicit driver ignore look-alike topics from other drivers
+    if (registration.driver && registration.driver !== driver) return;
+    const userId = registration.userId;
+    if (availability && previousStatus !== undefined) {
+      await handleAvailabilityChange(deviceId, userId, previousStatus, availability.online, timeStamp);
     }
-    if (!deviceId) return;
 
-    let payload;
-    try { payload = JSON.parse(msgString); } catch (e) { payload = msgString; }
+    for (const reading of readings) {
+      if (reading.type === 'power') {
+        await handleShellyPowerData(deviceId, userId, reading.power, reading.energyCounterWh);
+      } else if (reading.type === 'status') {
+        if (typeof reading.switchOn === 'boolean') {
+          await reconcileCommand(() => confirmCommandByStatus(db, deviceId, reading.switchOn));
+        }
+        await handleShellyStatus(deviceId, userId, reading.switchOn, reading.power, reading.energyCounterWh);
+      } else if (reading.type === 'command_result') {
+        console.log(`[MQTT] Command result from ${deviceId} (rpc id ${reading.rpcId}): ${reading.success ? 'ok' : `error: ${reading.error}`}`);
+        await reconcileCommand(() => resolveCommandReply(db, deviceId, reading.rpcId, reading));
+      }
+    }
+  } catch (error) {
+    console.error('[MQTT Message Handler Error]', error);
+  }
+});
+
+// --- Device Availability (LWT) ---
+// The device_status record of a device, null if there is none, or undefined if MongoDB is unreachable.
+async function getDeviceStatusRecord(deviceId) {
+  if (!db || !sinkHealth.isAvailable()) return undefined;
+  try {
+    return await db.collection('device_status').findOne({ deviceId });
+  } catch (error) {
+    if (!isCloudUnavailableError(error)) throw error;
+    markCloudUnreachable(error);
+    return undefined;
+  }
+}
+
+// Records an availability message. Going offline starts an offline episode (lastOfflineTimestamp, as the offline
+// timeout in server.js does) only on an actual change, so a retained last will delivered again does not restart it.
+async function recordAvailability(deviceId, driver, topicPrefix, online, previousStatus, timeStamp) {
+  const set = { online, driver, topicPrefix };
+  if (online) {
+    set.lastSeen = timeStamp;
+    if (previousStatus !== undefined && !previousStatus?.online) set.lastOnlineTimestamp = timeStamp;
+  } else if (previousStatus?.online) {
+    set.lastOfflineTimestamp = timeStamp;
+  }
+  await writeOrQueue('device_status', { deviceId, set });
+}
 
-    const deviceDoc = await db.collection('devices').findOne({ id: deviceId });
-    if (!deviceDoc) return;
-    const userId = deviceDoc.userId.toString();
-    const currentTimestamp = new Date();
+// A registered device's availability changed: runs the device_offline rules, or announces it coming back
+// like handleShellyStatus does (a later status message then finds it online already).
+async function handleAvailabilityChange(deviceId, userId, previousStatus, online, timeStamp) {
+  if (online && !previousStatus?.online) {
+    const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) }, { projection: { name: 1 } });
+    await announceDeviceOnline(deviceId, userId, previousStatus, device?.name, timeStamp);
+  } else if (!online && previousStatus?.online) {
+    console.log(`[MQTT] ${deviceId} went offline (last will).`);
+    await automationEngine.handleDeviceEvent({ userId, deviceId, event: 'offline', timeStamp });
+  }
+}
 
-    if (topic.startsWith('tele/') && payload?.ENERGY) {
-      // Pass the instantaneous power to handleShellyPowerData
-      await handleShellyPowerData(deviceId, userId, payload.ENERGY.power, payload.ENERGY.total); // payload.ENERGY.total is the cumulative meter, not used for current power integration.
+// A registered device is back online: notifies the owner if its going offline was announced and runs device_online rules.
+async function announceDeviceOnline(deviceId, userId, deviceStatusRecord, deviceName, timeStamp) {
+  // Short blips whose offline notice was held back by the grace period are not announced either
+  const offlineWasAnnounced = !deviceStatusRecord || !deviceStatusRecord.lastOfflineTimestamp
+    || (deviceStatusRecord.offlineNotifiedAt && deviceStatusRecord.offlineNotifiedAt >= deviceStatusRecord.lastOfflineTimestamp);
+  if (offlineWasAnnounced) {
+    await createNotificationAndPush(
+      userId,
+      `${deviceName || deviceId} came online.`,
+      'device_online',
+      { deviceId, deviceName, severity: 'info' }
+    );
+  }
+  await automationEngine.handleDeviceEvent({ userId, deviceId, event: 'online', timeStamp });
+}
+
+// --- Device Discovery (services/deviceDiscovery.js) ---
+const INFO_REQUEST_INTERVAL_MS = 10 * 60 * 1000; // How often an unregistered device without info is asked for it
+const discoveryWrites = new Map(); // deviceId -> last discovery $set written, so unchanged details are not rewritten
+const infoRequestedAt = new Map(); // deviceId -> when its info was last requested
+
+async function recordDiscoveryInfo(deviceId, driver, topicPrefix, readings) {
+  const update = getDiscoveryUpdate(readings);
+  if (!update) return;
+  const key = `${driver}|${topicPrefix}|${JSON.stringify(update)}`;
+  if (discoveryWrites.get(deviceId) === key) return;
+  discoveryWrites.set(deviceId, key);
+  await writeOrQueue('device_status', { deviceId, set: { ...update, driver, topicPrefix } });
+}
+
+// Asks the device for its model, firmware and addresses, at most every INFO_REQUEST_INTERVAL_MS
+function requestDeviceInfo(deviceId, driver, topicPrefix) {
+  const infoRequest = getDriver(driver)?.buildInfoRequest?.(topicPrefix);
+  const lastRequest = infoRequestedAt.get(deviceId) || 0;
+  if (!infoRequest || Date.now() - lastRequest < INFO_REQUEST_INTERVAL_MS) return;
+  infoRequestedAt.set(deviceId, Date.now());
+  mqttClient.publish(infoRequest.topic, infoRequest.payload, { qos: 0 }, (err) => {
+    if (err) console.error(`[Discovery] Info request to ${deviceId} failed:`, err);
+  });
+}
+
+// Remembers an unregistered device's switch state and credits a button press (or a switch change, which nobody
+// can have commanded through PowerPulse) to the household that is pairing
+async function handleUnregisteredDevice(deviceId, driver, topicPrefix, readings) {
+  if (!db || !sinkHealth.isAvailable()) return;
+  try {
+    const now = new Date();
+    const switchOn = readings.find(r => r.type === 'status' && typeof r.switchOn === 'boolean')?.switchOn;
+    const set = { lastSeen: now, driver, topicPrefix };
+    if (switchOn !== undefined) set.lastSwitchOn = switchOn;
+    const previous = await db.collection('device_status').findOneAndUpdate({ deviceId }, { $set: set }, { upsert: true, returnDocument: 'before' });
+    if (!previous?.info?.model) requestDeviceInfo(deviceId, driver, topicPrefix);
+
+    const switchedLocally = switchOn !== undefined && typeof previous?.lastSwitchOn === 'boolean' && previous.lastSwitchOn !== switchOn;
+    if (!switchedLocally && !readings.some(r => r.type === 'button')) return;
+    const press = await recordDevicePress(db, deviceId, now);
+    if (press?.ambiguous) {
+      console.warn(`[Discovery] Button press on ${deviceId} while several households are pairing; not credited.`);
+    } else if (press) {
+      console.log(`[Discovery] Button press on ${deviceId} credited to the pairing window of user ${press.userId}.`);
+      realtimeHub.publish(press.userId, 'devices', 'pairing_device_found', { id: deviceId, driver, pressedAt: now });
     }
-    else if (topic.startsWith('stat/')) {
-      const parts = topic.split('/');
-      if (parts.length > 2 && (parts[2] === 'POWER' || parts[2] === 'RELAY')) {
-      const newStatus = (payload === 'ON' || payload?.switch === true);
-      await handleShellyStatus(deviceId, userId, newStatus);
-      }
+  } catch (error) {
+    if (!isCloudUnavailableError(error)) {
+      console.error(`[Discovery] Error for ${deviceId}:`, error);
+      return;
     }
-    else if (payload?.method === 'NotifyStatus' && payload?.params?.['switch:0']) {
-      const switchData = payload.params['switch:0'];
-      const newDeviceStatus = typeof switchData.output === 'boolean' ? switchData.output : undefined;
-      await handleShellyStatus(deviceId, userId, newDeviceStatus, switchData.apower, switchData.aenergy?.total);
+    markCloudUnreachable(error);
+  }
+}
+
+// --- Command Reconciliation ---
+// Switch commands (services/deviceCommands.js) are confirmed by the device's RPC reply or a status report with the
+// requested state. Commands that fail or are not confirmed in time are rolled back and the user is notified.
+const COMMAND_CHECK_INTERVAL = 2000;
+
+// Runs a command lookup (which needs MongoDB) and publishes its outcome. Skipped while MongoDB is unreachable;
+// commands still pending then time out once it is back.
+async function reconcileCommand(resolve) {
+  if (!db || !sinkHealth.isAvailable()) return;
+  try {
+    const command = await resolve();
+    if (!command) return;
+    if (command.status === 'confirmed') {
+      console.log(`[Commands] Command ${command._id} (${command.deviceId} -> ${command.requestedStatus ? 'on' : 'off'}) confirmed by ${command.confirmedBy}.`);
+      realtimeHub.publish(command.userId.toString(), 'devices', 'command_update', describeCommand(command));
+    } else {
+      await handleUnconfirmedCommand(command);
     }
-    else if (payload?.result?.on !== undefined) { // For RPC result
-      await handleShellyStatus(deviceId, userId, payload.result.on);
+  } catch (error) {
+    if (!isCloudUnavailableError(error)) {
+      console.error('[Commands] Reconciliation error:', error);
+      return;
     }
-    else if (topic.includes('/status/switch:0') && typeof payload?.output === 'boolean') {
-      await handleShellyStatus(deviceId, userId, payload.output, payload.apower, payload.aenergy?.total);
+    markCloudUnreachable(error);
+  }
+}
+
+// Rolls back a failed or timed-out command, tells the clients and notifies the user
+async function handleUnconfirmedCommand(command) {
+  const userId = command.userId.toString();
+  console.warn(`[Commands] Command ${command._id} (${command.deviceId} -> ${command.requestedStatus ? 'on' : 'off'}) ${command.status}: ${command.error}`);
+  const restoredStatus = await rollbackCommand(db, command);
+  const device = await db.collection('devices').findOne({ id: command.deviceId, userId: command.userId }, { projection: { name: 1 } });
+  const deviceName = device?.name || command.deviceId;
+  if (restoredStatus !== null) {
+    await liveState.setDeviceStatus(userId, command.deviceId, restoredStatus);
+    realtimeHub.publish(userId, 'devices', 'device_status_update', { id: command.deviceId, name: device?.name, status: restoredStatus });
+    await calculateAndPushTotalSystemPower(userId);
+  }
+  realtimeHub.publish(userId, 'devices', 'command_update', describeCommand({ ...command, rolledBack: restoredStatus !== null }));
+  await createNotificationAndPush(
+    userId,
+    `${deviceName} did not switch ${command.requestedStatus ? 'on' : 'off'}: ${command.status === 'timed_out' ? 'the device did not confirm the command' : command.error}.`,
+    'command_failed',
+    { deviceId: command.deviceId, deviceName, severity: 'warning', dedupeKey: `command:${command._id}` }
+  );
+}
+
+async function expirePendingCommands() {
+  if (!db || !sinkHealth.isAvailable()) return;
+  let expired;
+  try {
+    expired = await expireCommands(db);
+  } catch (error) {
+    if (!isCloudUnavailableError(error)) {
+      console.error('[Commands] Timeout check failed:', error);
+      return;
     }
-    else if (topic.endsWith('online')) {
-      const onlineStatus = msgString === 'true';
-      await db.collection('device_status').updateOne(
-        { deviceId: deviceId }, { $set: { online: onlineStatus, lastSeen: new Date() } }, { upsert: true }
-      );
+    markCloudUnreachable(error);
+    return;
+  }
+  for (const command of expired) {
+    await reconcileCommand(async () => command);
+  }
+}
+setInterval(expirePendingCommands, COMMAND_CHECK_INTERVAL);
+
+// Telemetry from a device this process cannot attribute while MongoDB is unreachable. The owner is looked up on replay.
+function queueUnattributedReadings(deviceId, readings) {
+  const timeStamp = new Date();
+  for (const reading of readings) {
+    if (reading.type === 'status' && typeof reading.switchOn === 'boolean') {
+      offlineQueue.enqueue('device_switch', { deviceId, userId: null, status: reading.switchOn });
+    }
+    if ((reading.type === 'power' || reading.type === 'status') && (typeof reading.power === 'number' || typeof reading.energyCounterWh === 'number')) {
+      const doc = { _id: new ObjectId(), deviceId, userId: null, timeStamp };
+      if (typeof reading.power === 'number') doc.power = reading.power;
+      if (typeof reading.energyCounterWh === 'number') doc.energyCounterWh = reading.energyCounterWh;
+      offlineQueue.enqueue('reading', { doc });
     }
-  } catch (error) {
-    console.error('[MQTT Message Handler Error]', error);
   }
-});
+}
 
 async function handleShellyPowerData(deviceId, userId, powerReadingForDevice, totalEnergyWhDeviceReported) {
   try {
-    if (!db) { console.error('[handleShellyPowerData] DB not initialized.'); return; }
     const powerToSave = typeof powerReadingForDevice === 'number' ? powerReadingForDevice : undefined;
+    const energyCounterWh = typeof totalEnergyWhDeviceReported === 'number' ? totalEnergyWhDeviceReported : undefined;
     const timeStamp = new Date();
-
-    if (powerToSave !== undefined) {
-      const readingToInsert = { deviceId, userId: new ObjectId(userId), timeStamp, power: powerToSave };
-      await db.collection(process.env.COLLECTION_NAME).insertOne(readingToInsert);
-      console.log(`[DB Insert Telemetry] ${deviceId}, P:${powerToSave}W`);
-
-      // Update daily energy estimate based on this power reading
-      await updateDailyDeviceEnergyByPower(userId, deviceId, powerToSave, timeStamp);
+    const hasTelemetry = powerToSave !== undefined || energyCounterWh !== undefined;
+
+    if (hasTelemetry) {
+      const readingToInsert = { _id: new ObjectId(), deviceId, userId: new ObjectId(userId), timeStamp };
+      if (powerToSave !== undefined) readingToInsert.power = powerToSave;
+      if (energyCounterWh !== undefined) readingToInsert.energyCounterWh = energyCounterWh;
+      await writeOrQueue('reading', { doc: readingToInsert });
+      console.log(`[DB Insert Telemetry] ${deviceId}, P:${powerToSave}W, Counter:${energyCounterWh}Wh`);
+    }
+    const cloudAvailable = await writeOrQueue('device_status', { deviceId, set: { online: true, lastSeen: timeStamp } });
+    // Daily energy catches up from the device's counter (or the next power reading) once MongoDB is back
+    if (!cloudAvailable) return;
+
+    if (hasTelemetry) {
+      // Update daily energy (meter counter if reported, otherwise integrated from this power reading)
+      const dailyTotals = await updateDailyDeviceEnergyByPower(userId, deviceId, powerToSave, timeStamp, energyCounterWh);
+      await liveState.recordReading(userId, deviceId, { powerW: powerToSave, timeStamp, energyTodayWh: dailyTotals?.energyWh, costToday: dailyTotals?.costToday, dateString: dailyTotals?.dateString });
+      await publishDevicePower(userId, deviceId);
+      await automationEngine.handleReading({ userId, deviceId, power: powerToSave, dailyEnergyWh: dailyTotals?.energyWh, timeStamp });
     }
-
-    await db.collection('device_status').updateOne(
-      { deviceId: deviceId }, { $set: { online: true, lastSeen: timeStamp } }, { upsert: true }
-    );
     await calculateAndPushTotalSystemPower(userId);
   } catch (error) {
     console.error(`[handleShellyPowerData] Error for ${deviceId}:`, error);
@@ -419,53 +786,49 @@ async function handleShellyPowerData(deviceId, userId, powerReadingForDevice, to
 async function handleShellyStatus(deviceId, userId, newStatus, currentPowerIfAvailable, cumulativeEnergyIfAvailableDeviceReported) {
   try {
     const timeStamp = new Date(); // Use a consistent timestamp for this event
-    if (!db) { console.error('[handleShellyStatus] DB not initialized.'); return; }
 
     if (typeof newStatus === 'boolean') {
-      const result = await db.collection('devices').updateOne(
-        { id: deviceId, userId: new ObjectId(userId) }, { $set: { status: newStatus } }
-      );
-      if (result.matchedCount > 0) console.log(`[DB Update] Dev '${deviceId}' ON/OFF status: ${newStatus}.`);
+      await writeOrQueue('device_switch', { deviceId, userId: new ObjectId(userId), status: newStatus });
+      console.log(`[DB Update] Dev '${deviceId}' ON/OFF status: ${newStatus}.`);
+      await liveState.setDeviceStatus(userId, deviceId, newStatus);
     }
 
     let powerValueToStore = undefined;
     if (typeof currentPowerIfAvailable === 'number') powerValueToStore = currentPowerIfAvailable;
     if (newStatus === false && powerValueToStore === undefined) powerValueToStore = 0;
-
-    if (powerValueToStore !== undefined) {
-      const newReadingEntry = { deviceId, userId: new ObjectId(userId), timeStamp, power: powerValueToStore };
-      await db.collection(process.env.COLLECTION_NAME).insertOne(newReadingEntry);
-      console.log(`[DB Insert Status] ${deviceId}, P:${powerValueToStore}W`);
-      await db.collection('device_status').updateOne(
-          { deviceId: deviceId }, { $set: { online: true, lastSeen: timeStamp } }, { upsert: true }
-      );
-      // Update daily energy estimate based on this power reading (or 0W if turning off)
-      await updateDailyDeviceEnergyByPower(userId, deviceId, powerValueToStore, timeStamp);
+    const energyCounterWh = typeof cumulativeEnergyIfAvailableDeviceReported === 'number' ? cumulativeEnergyIfAvailableDeviceReported : undefined;
+
+    if (powerValueToStore !== undefined || energyCounterWh !== undefined) {
+      const newReadingEntry = { _id: new ObjectId(), deviceId, userId: new ObjectId(userId), timeStamp };
+      if (powerValueToStore !== undefined) newReadingEntry.power = powerValueToStore;
+      if (energyCounterWh !== undefined) newReadingEntry.energyCounterWh = energyCounterWh;
+      await writeOrQueue('reading', { doc: newReadingEntry });
+      console.log(`[DB Insert Status] ${deviceId}, P:${powerValueToStore}W, Counter:${energyCounterWh}Wh`);
+      const cloudAvailable = await writeOrQueue('device_status', { deviceId, set: { online: true, lastSeen: timeStamp } });
+      if (!cloudAvailable) return; // The rest needs the database; daily energy catches up once it is back
+      // Update daily energy (meter counter if reported, otherwise integrated from this power reading or 0W if turning off)
+      const dailyTotals = await updateDailyDeviceEnergyByPower(userId, deviceId, powerValueToStore, timeStamp, energyCounterWh);
+      await liveState.recordReading(userId, deviceId, { powerW: powerValueToStore, timeStamp, energyTodayWh: dailyTotals?.energyWh, costToday: dailyTotals?.costToday, dateString: dailyTotals?.dateString });
+      await publishDevicePower(userId, deviceId);
+      await automationEngine.handleReading({ userId, deviceId, power: powerValueToStore, dailyEnergyWh: dailyTotals?.energyWh, timeStamp });
     }
+    if (!db || !sinkHealth.isAvailable()) return; // The switch state is queued; pushes and notifications need the database
 
     const deviceAfterUpdates = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) }, { projection: { name: 1, status: 1 } });
-    if (deviceAfterUpdates && activeWsConnections.has(userId)) {
+    if (deviceAfterUpdates) {
       const currentDeviceStatusForWS = typeof deviceAfterUpdates.status === 'boolean' ? deviceAfterUpdates.status : false;
-      const statusUpdateMessage = JSON.stringify({ type: 'device_status_update', payload: { id: deviceId, name: deviceAfterUpdates.name, status: currentDeviceStatusForWS }});
-      activeWsConnections.get(userId).forEach(wsClient => { 
-        if (wsClient.readyState === WebSocket.OPEN) wsClient.send(statusUpdateMessage); 
-      });
+      realtimeHub.publish(userId, 'devices', 'device_status_update', { id: deviceId, name: deviceAfterUpdates.name, status: currentDeviceStatusForWS });
     }
 
     // Check if device came online after being offline
     const deviceStatusRecord = await db.collection('device_status').findOne({ deviceId });
     // If it was previously marked offline (or doesn't exist yet and newStatus is true) and is now online
     if (newStatus === true && (!deviceStatusRecord || !deviceStatusRecord.online)) {
-        await createNotificationAndPush(
-            userId,
-            `${deviceAfterUpdates?.name || deviceId} came online.`,
-            'device_online',
-            { deviceId: deviceId, deviceName: deviceAfterUpdates?.name, severity: 'info' }
-        );
+        await announceDeviceOnline(deviceId, userId, deviceStatusRecord, deviceAfterUpdates?.name, timeStamp);
     }
     // Update device_status collection (ensure it's marked as online if status is true)
     if (newStatus === true) {
-        await db.collection('device_status').updateOne({ deviceId }, { $set: { online: true, lastSeen: timeStamp, lastOnlineTimestamp: timeStamp } }, { upsert: true });
+        await writeOrQueue('device_status', { deviceId, set: { online: true, lastSeen: timeStamp, lastOnlineTimestamp: timeStamp } });
     }
 
     await calculateAndPushTotalSystemPower(userId);
@@ -474,104 +837,110 @@ async function handleShellyStatus(deviceId, userId, newStatus, currentPowerIfAva
   }
 }
 
+// Publishes the user's live totals (from the in-memory live state, no database queries) on the 'system' channel,
+// and keeps the SYSTEM_TOTAL_DAILY record and the SYSTEM_POWER_LOG history in step while clients are connected.
 async function calculateAndPushTotalSystemPower(userId) {
-  if (!db || !activeWsConnections.has(userId)) {
+  const snapshot = await liveState.getSnapshot(userId);
+  if (!snapshot) return;
+  // Also published while nobody is connected, so a client that resumes later receives the totals it missed.
+  // 'current_power_update' is handled by ApiService to update PowerDataProvider
+  realtimeHub.publish(userId, 'system', 'current_power_update', snapshot);
+  if (!realtimeHub.hasClients(userId)) {
     return;
   }
 
-  let totalSystemPower = 0;
-  const userDevices = await db.collection('devices').find({ userId: new ObjectId(userId) }).toArray();
-
-  for (const deviceDoc of userDevices) {
-    if (deviceDoc.status === true) {
-      const latestPowerReading = await db.collection(process.env.COLLECTION_NAME)
-        .find({ deviceId: deviceDoc.id, userId: new ObjectId(userId), power: { $exists: true, $ne: null } })
-        .sort({ timeStamp: -1 }).limit(1).next();
-      if (latestPowerReading && typeof latestPowerReading.power === 'number') {
-        totalSystemPower += latestPowerReading.power;
-      }
-    }
-  }
-
-  const today = new Date();
-  const todayString = getCurrentDateString(today);
-  let totalEnergyToday = 0;
-  if (userDevices.length > 0) {
-    const dailyDeviceConsumptions = await db.collection(DAILY_CONSUMPTION_COLLECTION)
-        .find({ userId: new ObjectId(userId), dateString: todayString })
-        .toArray();
-    for (const dailyRec of dailyDeviceConsumptions) {
-        totalEnergyToday += (dailyRec.estimatedEnergyWhToday || 0);
-    }
-  }
-  console.log(`[EnergyCalc DBG - Daily Sum from Estimated] User ${userId} on ${todayString}: ${totalEnergyToday.toFixed(3)}Wh`);
-
-  // Store/Update the user's total daily consumption for the system in DAILY_CONSUMPTION_COLLECTION
-  try {
-      await db.collection(DAILY_CONSUMPTION_COLLECTION).updateOne( // Changed collection to DAILY_CONSUMPTION_COLLECTION
-        { userId: new ObjectId(userId), deviceId: "SYSTEM_TOTAL_DAILY", dateString: todayString }, // Unique key for system total
+  if (db && sinkHealth.isAvailable()) {
+    // Store/Update the user's total daily consumption for the system in DAILY_CONSUMPTION_COLLECTION
+    try {
+      const todayTotals = await liveState.getTodayTotals(userId);
+      await db.collection(DAILY_CONSUMPTION_COLLECTION).updateOne(
+        { userId: new ObjectId(userId), deviceId: "SYSTEM_TOTAL_DAILY", dateString: todayTotals.dateString }, // Unique key for system total
         { $set: {
-            estimatedEnergyWhToday: totalEnergyToday, // Consistent field name for energy in Wh
+            estimatedEnergyWhToday: todayTotals.energyWh, // Consistent field name for energy in Wh
+            estimatedCostToday: todayTotals.energyCost, // Energy cost only; fixed daily charges are added when reporting
             lastUpdated: new Date()
         }},
         { upsert: true }
       );
-      console.log(`[DB Upsert DBG] User: ${userId}, Date: ${todayString}, DailyEnergy (from Estimated): ${totalEnergyToday.toFixed(3)}Wh`);
-  } catch (error) {
+    } catch (error) {
       console.error(`[DB Upsert DailyTotal] Error saving daily system total for user ${userId}:`, error);
-  }
-
-
-  let totalEnergyThisWeek = 0;
-  const weekDates = getDatesForCurrentWeek(today);
-  for (const dateStr of weekDates) {
-    totalEnergyThisWeek += await getSystemDailyConsumptionForDate(userId, dateStr); // This calls the corrected function
-  }
-  console.log(`[EnergyCalc DBG - Weekly Sum from Estimated] User ${userId} for current week: ${totalEnergyThisWeek.toFixed(3)}Wh`);
-  
-  let totalEnergyThisMonth = 0;
-  const monthDates = getDatesForCurrentMonth(today);
-  for (const dateStr of monthDates) {
-    totalEnergyThisMonth += await getSystemDailyConsumptionForDate(userId, dateStr); // This calls the corrected function
-  }
-  console.log(`[EnergyCalc DBG - Monthly Sum from Estimated] User ${userId} for current month: ${totalEnergyThisMonth.toFixed(3)}Wh`);
-
-  const messageToClients = JSON.stringify({
-    type: 'current_power_update', // This type is handled by ApiService to update PowerDataProvider
-    payload: { // Ensure payload matches what PowerDataProvider expects
-      power: parseFloat(totalSystemPower.toFixed(3)), // Current total system power in Watts
-      energyToday: parseFloat(totalEnergyToday.toFixed(3)), // Total system energy for today in Wh
-      energyThisWeek: parseFloat(totalEnergyThisWeek.toFixed(3)), // Total system energy for this week in Wh
-      energyThisMonth: parseFloat(totalEnergyThisMonth.toFixed(3)), // Total system energy for this month in Wh
-      timeStamp: new Date().toISOString() // Timestamp of this update
     }
-  });
+  }
 
   // Log the current total system power for historical aggregation by the API
   try {
-    await db.collection(process.env.COLLECTION_NAME).insertOne({
+    await writeOrQueue('reading', { doc: {
+      _id: new ObjectId(),
       userId: new ObjectId(userId),
       deviceId: "SYSTEM_POWER_LOG", // Special deviceId for system-wide power readings
-      power: parseFloat(totalSystemPower.toFixed(3)), // Current total system power
+      power: snapshot.power, // Current total system power
       timeStamp: new Date() // Timestamp of this power reading
-    });
+    }});
   } catch (logError) {
     console.error(`[calculateAndPushTotalSystemPower] Error logging system power for user ${userId}:`, logError);
   }
 
-  if (activeWsConnections.has(userId)) {
-    activeWsConnections.get(userId).forEach(wsClient => {
-      if (wsClient.readyState === WebSocket.OPEN) wsClient.send(messageToClients);
-    });
-    console.log(`[WS Push DBG] User ${userId}: P=${totalSystemPower.toFixed(3)}W, E(Today)=${totalEnergyToday.toFixed(3)}Wh, E(Week)=${totalEnergyThisWeek.toFixed(3)}Wh, E(Month)=${totalEnergyThisMonth.toFixed(3)}Wh`);
-  }
+  console.log(`[WS Push DBG] User ${userId}: P=${snapshot.power}W, E(Today)=${snapshot.energyToday}Wh, E(Week)=${snapshot.energyThisWeek}Wh, E(Month)=${snapshot.energyThisMonth}Wh`);
 }
 
 // --- HTTP Server & Start ---
+// GET /api/power/current (Bearer token) - The live totals; server.js answers its /api/power/current from here
+async function handleCurrentPowerRequest(req, res) {
+  const token = (req.headers['authorization'] || '').split(' ')[1];
+  if (!token) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: 'No token provided' }));
+  }
+  const { user: userPayload, status, error } = await verifySessionToken(token);
+  if (error) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error }));
+  }
+  const { household, error: householdError } = await resolveClientHousehold(userPayload.id, req.headers['x-household-id']);
+  if (householdError) {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: householdError }));
+  }
+  const snapshot = await liveState.getSnapshot(household.ownerId);
+  if (!snapshot) {
+    res.writeHead(503, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ error: 'Live state not available' }));
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(snapshot));
+}
+
 const server = http.createServer((req, res) => {
-  if (req.url === '/health') {
+  if (req.method === 'GET' && url.parse(req.url).pathname === '/api/power/current') {
+    handleCurrentPowerRequest(req, res).catch(error => {
+      console.error('[HTTP /api/power/current] Error:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    });
+  } else if (req.method === 'POST' && req.url === INTERNAL_EVENTS_PATH) {
+    // Events forwarded by server.js when it runs as its own process (see core/eventBus.js)
+    eventBus.receive(req, config.internalEventsSecret).then(({ status, error }) => {
+      if (error) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error }));
+      }
+      res.writeHead(204); res.end();
+    }).catch(error => {
+      console.error(`[HTTP ${INTERNAL_EVENTS_PATH}] Error:`, error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    });
+  } else if (req.url === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', mongo: db ? 'connected' : 'disconnected', mqtt: mqttClient.connected ? 'connected' : 'disconnected', websockets: wss.clients.size }));
+    res.end(JSON.stringify({
+      status: 'ok',
+      mongo: db && sinkHealth.isAvailable() ? 'connected' : 'disconnected',
+      mqtt: mqttClient.connected ? 'connected' : 'disconnected',
+      websockets: wss.clients.size,
+      realtime: realtimeHub.getStatus(), // Stream id, users with connected clients, events kept for resuming
+      sync: sinkHealth.getStatus(offlineQueue), // Offline queue depth, circuit state, last success / error
+      liveStateUsers: liveState.size
+    }));
   } else {
     res.writeHead(404); res.end('Not Found');
   }
@@ -583,46 +952,52 @@ server.on('upgrade', (request, socket, head) => {
   } else socket.destroy();
 });
 
-const startServer = async () => {
+// --- Start Server ---
+// Run on its own (node mqttSubscriber.js), this process receives the API's events on INTERNAL_EVENTS_PATH;
+// index.js runs it together with server.js in one process.
+export const startServer = async () => {
   try {
-    await mongoClient.connect();
-    db = mongoClient.db(process.env.DB_NAME);
-    console.log('[mqttSubscriber.js] Connected to MongoDB.');
+    // sync.js may hold the queue file for a moment while it drains it
+    if (!(await offlineQueue.open({ waitMs: 60000 }))) {
+      throw new Error('Offline queue file is locked by another process.');
+    }
 
-    // Ensure necessary indexes
-    try {
-      const deviceStatusIndexes = await db.collection('device_status').listIndexes().toArray();
-      const conflictingIndex = deviceStatusIndexes.find(idx => idx.name === "deviceId_1" && !idx.unique);
-      if (conflictingIndex) {
-        console.log("[mqttSubscriber.js] Dropping conflicting non-unique 'deviceId_1' index from 'device_status'.");
-        await db.collection('device_status').dropIndex("deviceId_1");
+    const PORT = config.realtimePort;
+    server.listen(PORT, '0.0.0.0', () => {
+      console.log(`[mqttSubscriber.js] Server running on port ${PORT}. WS endpoint: ws://<your-ip>:${PORT}/ws`);
+    });
+
+    // Telemetry received before MongoDB is reachable goes to the offline queue
+    while (!db) {
+      try {
+        db = await connectDb();
+      } catch (err) {
+        console.error(`[mqttSubscriber.js] MongoDB connection failed: ${err.message}`);
+        sinkHealth.recordFailure(err);
+        await new Promise(resolve => setTimeout(resolve, sinkHealth.getDelayUntilNextAttempt()));
       }
-    } catch (e) {
-      console.warn("[mqttSubscriber.js] Error checking or dropping index on 'device_status':", e.message);
     }
+    sinkHealth.recordSuccess();
+    console.log('[mqttSubscriber.js] Connected to MongoDB.');
 
-    try { await db.collection('devices').createIndex({ id: 1, userId: 1 }, { unique: true }); } catch (e) { console.warn("Index error on 'devices':", e.message); }
-    try { await db.collection('device_status').createIndex({ deviceId: 1 }, { unique: true }); } catch (e) { console.warn("Index error on 'device_status':", e.message); }
-    try { await db.collection(process.env.COLLECTION_NAME).createIndex({ userId: 1, deviceId: 1, timeStamp: -1 }); } catch (e) { console.warn("Index error on 'readings':", e.message); }
-    
-    // Index for SYSTEM_TOTAL_DAILY in DAILY_CONSUMPTION_COLLECTION (unique)
-    try { await db.collection(DAILY_CONSUMPTION_COLLECTION).createIndex({ userId: 1, deviceId: 1, dateString: 1 }, { unique: true }); } catch (e) { console.warn("Index error on 'daily_device_consumptions' (now stores Wh):", e.message); }
-    
-    // Indexes for notifications collection
-    try {
-      await db.collection(NOTIFICATIONS_COLLECTION).createIndex({ userId: 1, timestamp: -1 });
-      await db.collection(NOTIFICATIONS_COLLECTION).createIndex({ userId: 1, isRead: 1, timestamp: -1 });
-    } catch (e) { console.warn("Index error on 'notifications':", e.message); }
+    // Ensure necessary indexes
+    await ensureCoreIndexes(db, '[mqttSubscriber.js]');
 
-    console.log(`[mqttSubscriber.js] Attempted to ensure all necessary indexes.`);
+    await replayOfflineQueue();
 
-    const PORT = process.env.MQTT_SUBSCRIBER_PORT || 3002;
-    server.listen(PORT, '0.0.0.0', () => {
-      console.log(`[mqttSubscriber.js] Server running on port ${PORT}. WS endpoint: ws://<your-ip>:${PORT}/ws`);
-    });
+    // Rebuild the in-memory live totals so the first pushes need no database round trips
+    await liveState.loadAll();
   } catch (err) {
     console.error('[mqttSubscriber.js] Startup Error:', err.message, err.stack);
     process.exit(1);
   }
 };
-startServer();
+// Write out anything still buffered and release the queue lock on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    offlineQueue.close();
+    process.exit(0);
+  });
+}
+
+if (isEntryPoint(import.meta.url)) startServer();
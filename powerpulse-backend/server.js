@@ -1,20 +1,189 @@
+import { config, isEntryPoint } from './core/config.js';
 import express from 'express';
 import cors from 'cors';
-import { MongoClient, ObjectId } from 'mongodb';
-import dotenv from 'dotenv';
-import mqtt from 'mqtt';
-import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
 import bcrypt from 'bcryptjs';
-
-dotenv.config();
+import {
+  TARIFF_PROFILES_COLLECTION,
+  normalizeTariffProfile,
+  getTariffProfile,
+  getDailyRecordCost,
+  getFixedChargesForDays,
+  roundCost
+} from './services/tariffs.js';
+import {
+  SCHEDULES_COLLECTION,
+  SCHEDULE_RUNS_COLLECTION,
+  normalizeSchedule,
+  computeNextRunAt,
+  rescheduleUserSchedules,
+  ensureSchedulerIndexes,
+  startScheduler,
+  getScheduleRuns
+} from './services/scheduler.js';
+import {
+  sendSwitchCommand as sendDeviceSwitchCommand,
+  DEVICE_COMMANDS_COLLECTION,
+  listDeviceCommands,
+  describeCommand,
+  ensureCommandIndexes
+} from './services/deviceCommands.js';
+import {
+  PAIRING_WINDOWS_COLLECTION,
+  openPairingWindow,
+  getPairingWindow,
+  describePairingWindow,
+  listClaimableDevices,
+  isDeviceClaimable,
+  completeClaim,
+  ensureDiscoveryIndexes
+} from './services/deviceDiscovery.js';
+import { DRIVER_NAMES, DEFAULT_DRIVER, listDrivers } from './services/deviceDrivers.js';
+import {
+  NOTIFICATION_SETTINGS_COLLECTION,
+  normalizeNotificationSettings,
+  getNotificationSettings,
+  ensureNotificationSettingsIndexes
+} from './services/notificationSettings.js';
+import {
+  BUDGET_SETTINGS_COLLECTION,
+  BUDGET_ALERTS_COLLECTION,
+  normalizeBudgetSettings,
+  getBudgetSettings,
+  getBudgetOverview,
+  ensureBudgetIndexes,
+  startBudgetMonitor
+} from './services/budgets.js';
+import {
+  DEVICE_BASELINES_COLLECTION,
+  DEVICE_ANOMALIES_COLLECTION,
+  ANOMALY_KINDS,
+  getDeviceBaseline,
+  ensureAnomalyIndexes,
+  startAnomalyMonitor
+} from './services/anomalyDetection.js';
+import { MAX_HISTORY_BUCKETS, parseHistoryQuery, getEnergyHistory } from './services/energyHistory.js';
+import { getBucketStart, addBuckets } from './services/energyIntegration.js';
+import {
+  MINUTE_ROLLUPS_COLLECTION,
+  HOURLY_ROLLUPS_COLLECTION,
+  ensureRollupIndexes,
+  startReadingRollups
+} from './services/readingRollups.js';
+import { parseExportQuery, streamExport, ensureExportIndexes } from './services/dataExport.js';
+import { IMPORT_CONTENT_TYPES, getImportLimits, parseImportQuery, importData } from './services/dataImport.js';
+import {
+  SESSIONS_COLLECTION,
+  createSession,
+  issueAccessToken,
+  rotateRefreshToken,
+  verifyAccessToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  listSessions,
+  ensureSessionIndexes
+} from './services/sessions.js';
+import { createMailer } from './services/mailer.js';
+import {
+  ACCOUNT_TOKENS_COLLECTION,
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  validatePassword,
+  isValidEmail,
+  isEmailVerificationRequired,
+  issueAccountToken,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  deleteAccountData,
+  ensureAccountIndexes
+} from './services/accounts.js';
+import {
+  HOUSEHOLDS_COLLECTION,
+  HOUSEHOLD_INVITATIONS_COLLECTION,
+  hasHouseholdRole,
+  resolveHousehold,
+  listHouseholds,
+  describeHousehold,
+  validateHouseholdName,
+  createInvitation,
+  sendInvitationEmail,
+  acceptInvitation,
+  setMemberRole,
+  removeMember,
+  ensureHouseholdIndexes
+} from './services/households.js';
+import {
+  DEVICE_GROUPS_COLLECTION,
+  GROUP_TYPES,
+  normalizeGroup,
+  findUserGroup,
+  saveGroup,
+  removeDeviceFromGroups,
+  describeGroup,
+  getGroupEnergy,
+  getGroupCurrentPower,
+  setDeviceRoom,
+  getDeviceRooms,
+  ensureDeviceGroupIndexes
+} from './services/deviceGroups.js';
+import {
+  DEVICE_CATEGORIES,
+  normalizeDeviceMetadata,
+  getDiscoveredMetadata,
+  describeDeviceMetadata
+} from './services/deviceMetadata.js';
+import {
+  normalizeTimePreferences,
+  getUserTimePreferences,
+  clearTimePreferencesCache,
+  addDaysToDateString
+} from './services/userTime.js';
+import {
+  AUTOMATION_RULES_COLLECTION,
+  AUTOMATION_EXECUTIONS_COLLECTION,
+  normalizeRule,
+  getRuleDeviceIds,
+  ensureAutomationIndexes,
+  createAutomationEngine
+} from './services/automation.js';
+import { connectDb, ensureCoreIndexes, DAILY_CONSUMPTION_COLLECTION } from './core/db.js';
+import { getMqttClient } from './core/mqtt.js';
+import { eventBus, INTERNAL_EVENTS_PATH } from './core/eventBus.js';
+import { createNotifier, NOTIFICATIONS_COLLECTION } from './core/notifications.js';
+import { getSystemDailyConsumptionForDate, getTodayDeviceEnergyWh } from './core/consumption.js';
+import { hasLiveSnapshotReader, readLiveSnapshot } from './core/liveSnapshot.js';
+import {
+  getCurrentDateString,
+  getDatesForCurrentWeek,
+  getDatesForCurrentMonth,
+  getDatesForPeriod,
+  getComparisonPeriods
+} from './core/time.js';
 
 const app = express();
 
+// Request body and query fields that are never written to the logs
+const SENSITIVE_REQUEST_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken', 'code'];
+
+// JSON of a request body for the logs, with credentials replaced (at any depth)
+function describeRequestBody(body) {
+  return JSON.stringify(body, (key, value) => (SENSITIVE_REQUEST_FIELDS.includes(key) ? '[REDACTED]' : value));
+}
+
+// Path and query of a request for the logs, with credentials replaced (e.g. the token of an emailed verification link)
+function describeRequestUrl(req) {
+  const query = [...new URL(req.originalUrl, 'http://localhost').searchParams]
+    .map(([key, value]) => `${key}=${SENSITIVE_REQUEST_FIELDS.includes(key) ? '[REDACTED]' : value}`);
+  return query.length > 0 ? `${req.path}?${query.join('&')}` : req.path;
+}
+
 // --- Global Express Logger Middleware ---
 app.use((req, res, next) => {
-  console.log(`[GLOBAL EXPRESS LOGGER] Incoming Request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+  console.log(`[GLOBAL EXPRESS LOGGER] Incoming Request: ${req.method} ${describeRequestUrl(req)} from ${req.ip}`);
   if (req.body && Object.keys(req.body).length > 0) {
-    console.log(`[GLOBAL EXPRESS LOGGER] Request Body: ${JSON.stringify(req.body)}`);
+    console.log(`[GLOBAL EXPRESS LOGGER] Request Body: ${describeRequestBody(req.body)}`);
   }
   next();
 });
@@ -23,36 +192,19 @@ app.use((req, res, next) => {
 app.use(cors());
 app.use(express.json());
 
-// --- Database Connection ---
-const mongoClient = new MongoClient(process.env.MONGO_URI_CLOUD);
-const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key-please-set-in-env';
-if (JWT_SECRET === 'fallback-secret-key-please-set-in-env') {
-  console.warn("[SECURITY WARNING] JWT_SECRET is using a fallback value. Please set a strong, unique secret in your .env file.");
-}
+// --- Database Connection (shared with mqttSubscriber.js when both run in one process, see core/db.js) ---
+const JWT_SECRET = config.jwtSecret;
 let db;
-const DAILY_CONSUMPTION_COLLECTION = 'daily_device_consumptions'; // Collection for daily summaries
-const NOTIFICATIONS_COLLECTION = 'notifications';
-
-// --- MQTT Client (for publishing commands from the backend to Shelly devices) ---
-const serverMqttClient = mqtt.connect(process.env.MQTT_BROKER_URL, {
-  username: process.env.MQTT_USERNAME,
-  password: process.env.MQTT_PASSWORD,
-  keepalive: 60,
-  clientId: `server_js_publisher_${Math.random().toString(16).substr(2, 8)}`,
-  reconnectPeriod: 5000,
-  connectTimeout: 10000
-});
-
-serverMqttClient.on('connect', () => {
-  console.log('[Server.js MQTT] Connected to MQTT broker for publishing.');
-});
+const mailer = createMailer(); // Verification and password reset emails (MAIL_TRANSPORT, see services/mailer.js)
+const LIVE_STATE_TIMEOUT_MS = 2000; // How long /api/power/current waits for mqttSubscriber.js before computing from the database
 
-serverMqttClient.on('error', (err) => {
-  console.error('[Server.js MQTT Client Error]', err);
-});
+// --- MQTT Client (for publishing commands from the backend to Shelly devices, see core/mqtt.js) ---
+const serverMqttClient = getMqttClient();
 
 // --- Authentication Middleware ---
-const authenticateToken = (req, res, next) => {
+// Accepts a valid access token whose session has not been revoked (see services/sessions.js).
+// Responds 401 when the token expired or its session ended (the app refreshes or logs in again), 403 when invalid.
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -60,30 +212,70 @@ const authenticateToken = (req, res, next) => {
     console.log('[Auth Middleware] No token provided.');
     return res.status(401).json({ error: 'No token provided' });
   }
+  if (!db) return res.status(500).json({ error: 'Database not initialized' });
 
-  jwt.verify(token, JWT_SECRET, (err, userPayload) => {
-    if (err) {
-      console.log('[Auth Middleware] Token verification failed:', err.message);
-      return res.status(403).json({ error: 'Token is not valid' });
+  try {
+    const { user, status, error } = await verifyAccessToken(db, token, JWT_SECRET);
+    if (error) {
+      console.log(`[Auth Middleware] Token rejected: ${error}`);
+      return res.status(status).json({ error });
     }
-    req.user = userPayload;
+    req.user = user;
     console.log(`[Auth Middleware] Token verified for user ID: ${req.user.id}`);
     next();
-  });
+  } catch (err) {
+    console.error(`[Auth Middleware] Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: 'Could not verify session' });
+  }
+};
+
+// Resolves the household the request acts on (X-Household-Id header, else the user's active household) and checks
+// the user's role in it (see services/households.js). Sets req.household = { id, ownerId, name, role, record };
+// data routes read and write the records of ownerId. Use after authenticateToken.
+const requireHouseholdRole = (minimumRole) => async (req, res, next) => {
+  try {
+    const { household, role, status, error } = await resolveHousehold(db, req.user.id, req.headers['x-household-id']);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (!hasHouseholdRole(role, minimumRole)) {
+      console.log(`[Household] User ${req.user.id} (${role}) is not allowed to ${req.method} ${describeRequestUrl(req)}.`);
+      return res.status(403).json({ error: `This needs the ${minimumRole} role in the household (you are ${role === 'admin' ? 'an' : 'a'} ${role})` });
+    }
+    req.household = { id: household._id.toString(), ownerId: household.ownerId.toString(), name: household.name, role, record: household };
+    next();
+  } catch (err) {
+    console.error(`[Household] Error resolving the household of user ${req.user.id}: ${err.message}`, err.stack);
+    res.status(500).json({ error: 'Could not load household' });
+  }
 };
 
+// Client details stored on a session, shown in the list of signed-in devices
+function getSessionClientInfo(req) {
+  return { userAgent: (req.headers['user-agent'] || '').slice(0, 200) || null, ip: req.ip || null };
+}
+
 // --- Auth Routes ---
 app.post('/auth/signup', async (req, res) => {
-  console.log(`[AUTH /auth/signup] Received request. Body: ${JSON.stringify(req.body)}`);
+  console.log(`[AUTH /auth/signup] Received request. Body: ${describeRequestBody(req.body)}`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
-    const { name, email, password } = req.body;
+    const { name, email, password, timeZone, weekStartsOn } = req.body;
 
     if (!name || !email || !password) {
       return res.status(400).json({ error: 'Name, email, and password are required' });
     }
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    // Optional: the app sends the phone's time zone so days and weeks match the user's calendar from the start
+    const { preferences: timePreferences, error: preferencesError } = normalizeTimePreferences({ timeZone, weekStartsOn });
+    if (preferencesError) {
+      return res.status(400).json({ error: preferencesError });
     }
 
     const existingUser = await db.collection('users').findOne({ email });
@@ -96,11 +288,22 @@ app.post('/auth/signup', async (req, res) => {
       name,
       email,
       password: hashedPassword,
+      timeZone: timePreferences.timeZone,
+      weekStartsOn: timePreferences.weekStartsOn,
+      emailVerified: false,
       createdAt: new Date()
     };
-    await db.collection('users').insertOne(newUser);
+    const { insertedId } = await db.collection('users').insertOne(newUser);
     console.log(`[AUTH /auth/signup] User created successfully for email: ${email}`);
-    res.status(201).json({ message: 'User created successfully. Please login.' });
+
+    // A failed email does not fail the sign-up; POST /auth/resend-verification sends another
+    try {
+      const { token } = await issueAccountToken(db, insertedId, EMAIL_VERIFICATION, { email });
+      await sendVerificationEmail(mailer, newUser, email, token);
+    } catch (mailError) {
+      console.error(`[AUTH /auth/signup] Could not send the verification email to ${email}: ${mailError.message}`);
+    }
+    res.status(201).json({ message: 'User created successfully. Please check your email to verify your address, then login.' });
   } catch (err) {
     console.error(`[AUTH /auth/signup] Error: ${err.message}`, err.stack);
     res.status(500).json({ error: err.message });
@@ -108,7 +311,7 @@ app.post('/auth/signup', async (req, res) => {
 });
 
 app.post('/auth/login', async (req, res) => {
-  console.log(`[AUTH /auth/login] Received request. Body: ${JSON.stringify(req.body)}`);
+  console.log(`[AUTH /auth/login] Received request. Body: ${describeRequestBody(req.body)}`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
     const { email, password } = req.body;
@@ -128,14 +331,21 @@ app.post('/auth/login', async (req, res) => {
       console.log(`[AUTH /auth/login] Password mismatch for email: ${email}`);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    if (isEmailVerificationRequired(user)) {
+      console.log(`[AUTH /auth/login] Email not verified for: ${email}`);
+      return res.status(403).json({ error: 'Please verify your email address before logging in' });
+    }
 
-    const tokenPayload = { id: user._id.toString(), email: user.email };
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: '24h' });
+    const { sessionId, refreshToken, refreshTokenExpiresAt } = await createSession(db, user._id, getSessionClientInfo(req));
+    const { token, expiresIn } = issueAccessToken(user, sessionId, JWT_SECRET);
 
-    console.log(`[AUTH /auth/login] Login successful for user ID: ${user._id.toString()}`);
+    console.log(`[AUTH /auth/login] Login successful for user ID: ${user._id.toString()} (session ${sessionId})`);
     res.json({
       token,
-      user: { id: user._id.toString(), name: user.name, email: user.email }
+      expiresIn, // Seconds until the access token expires; renew it with POST /auth/refresh
+      refreshToken,
+      refreshTokenExpiresAt,
+      user: { id: user._id.toString(), name: user.name, email: user.email, emailVerified: user.emailVerified !== false }
     });
   } catch (err) {
     console.error(`[AUTH /auth/login] Error: ${err.message}`, err.stack);
@@ -143,29 +353,261 @@ app.post('/auth/login', async (req, res) => {
   }
 });
 
+// POST /auth/refresh - Trades a refresh token for a new access token and refresh token
+// Body: { refreshToken }. The refresh token is single-use: reusing an old one revokes the session.
+app.post('/auth/refresh', async (req, res) => {
+  console.log('[AUTH /auth/refresh] Received request.');
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const rotation = await rotateRefreshToken(db, refreshToken, getSessionClientInfo(req));
+    if (rotation.error) {
+      console.log(`[AUTH /auth/refresh] Rejected: ${rotation.error}`);
+      return res.status(401).json({ error: rotation.error });
+    }
+    const { session } = rotation;
+    const user = await db.collection('users').findOne({ _id: session.userId }, { projection: { email: 1 } });
+    if (!user) {
+      await revokeSession(db, session.userId, session._id, 'user_deleted');
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
+
+    const { token, expiresIn } = issueAccessToken(user, session._id, JWT_SECRET);
+    res.json({ token, expiresIn, refreshToken: rotation.refreshToken, refreshTokenExpiresAt: rotation.refreshTokenExpiresAt });
+  } catch (err) {
+    console.error(`[AUTH /auth/refresh] Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /auth/logout - Ends the current session
+// Body: { refreshToken } and/or an Authorization header; works with an expired access token as long as the
+// refresh token is sent. Succeeds even if the session had already ended.
+app.post('/auth/logout', async (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { refreshToken } = req.body || {};
+    const authHeader = req.headers['authorization'];
+    const accessToken = authHeader && authHeader.split(' ')[1];
+    if (!refreshToken && !accessToken) {
+      return res.status(400).json({ error: 'refreshToken or an access token is required' });
+    }
+
+    let revoked = refreshToken ? await revokeSessionByRefreshToken(db, refreshToken) : false;
+    if (!revoked && accessToken) {
+      const { user } = await verifyAccessToken(db, accessToken, JWT_SECRET);
+      if (user) revoked = await revokeSession(db, user.id, user.sid, 'logout');
+    }
+    console.log(`[AUTH /auth/logout] ${revoked ? 'Session revoked.' : 'No active session matched.'}`);
+    res.json({ message: 'Logged out' });
+  } catch (err) {
+    console.error(`[AUTH /auth/logout] Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /auth/logout-all - Ends every session of the user, including the current one ("log out all devices")
+// Body: { keepCurrent?: boolean } to stay signed in on this device
+app.post('/auth/logout-all', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const keepCurrent = req.body?.keepCurrent === true;
+    const revokedCount = await revokeAllSessions(db, userId, { exceptSessionId: keepCurrent ? req.user.sid : null });
+    console.log(`[AUTH /auth/logout-all] User: ${userId}. Revoked ${revokedCount} session(s)${keepCurrent ? ' (kept the current one)' : ''}.`);
+    res.json({ message: 'Logged out of all devices', revokedCount });
+  } catch (err) {
+    console.error(`[AUTH /auth/logout-all] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Applies a redeemed email verification token: marks the sign-up address verified, or switches to the new address
+// of an email change. Returns { user } or { status, error }.
+async function applyEmailVerification(accountToken) {
+  const user = await db.collection('users').findOne({ _id: accountToken.userId });
+  if (!user) return { status: 400, error: 'Invalid or expired verification link' };
+  const update = { emailVerified: true, updatedAt: new Date() };
+  if (accountToken.email && accountToken.email !== user.email) {
+    const taken = await db.collection('users').findOne({ email: accountToken.email, _id: { $ne: user._id } }, { projection: { _id: 1 } });
+    if (taken) return { status: 409, error: 'This email address is already used by another account' };
+    update.email = accountToken.email;
+  }
+  await db.collection('users').updateOne({ _id: user._id }, { $set: update, $unset: { pendingEmail: '' } });
+  return { user: { ...user, ...update } };
+}
+
+// GET /auth/verify-email?token= (the link in the email) and POST /auth/verify-email { token } - Verifies an address
+app.get('/auth/verify-email', async (req, res) => {
+  try {
+    if (!db) return res.status(500).type('text/plain').send('Service unavailable, please try again later.');
+    const accountToken = await consumeAccountToken(db, req.query.token, EMAIL_VERIFICATION);
+    const { user, error } = accountToken ? await applyEmailVerification(accountToken) : { error: 'Invalid or expired verification link' };
+    if (error) {
+      return res.status(400).type('text/plain').send(`${error}. You can request a new link in the PowerPulse app.`);
+    }
+    console.log(`[AUTH /auth/verify-email] Verified ${user.email} for user ID: ${user._id}`);
+    res.type('text/plain').send(`${user.email} is verified. You can return to the PowerPulse app.`);
+  } catch (err) {
+    console.error(`[AUTH /auth/verify-email] Error: ${err.message}`, err.stack);
+    res.status(500).type('text/plain').send('Something went wrong, please try again later.');
+  }
+});
+
+app.post('/auth/verify-email', async (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const accountToken = await consumeAccountToken(db, req.body?.token, EMAIL_VERIFICATION);
+    if (!accountToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+    const { user, status, error } = await applyEmailVerification(accountToken);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    console.log(`[AUTH /auth/verify-email] Verified ${user.email} for user ID: ${user._id}`);
+    res.json({ success: true, email: user.email });
+  } catch (err) {
+    console.error(`[AUTH /auth/verify-email] Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST /auth/resend-verification - Sends a new verification link (for the pending new address, if any)
+app.post('/auth/resend-verification', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const email = user.pendingEmail || user.email;
+    if (!user.pendingEmail && user.emailVerified !== false) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+    const { token, throttled } = await issueAccountToken(db, userId, EMAIL_VERIFICATION, { email });
+    if (throttled) {
+      return res.status(429).json({ error: 'A verification email was just sent. Please wait a minute before asking again.' });
+    }
+    await sendVerificationEmail(mailer, user, email, token);
+    console.log(`[AUTH /auth/resend-verification] User: ${userId}. Sent a verification email to ${email}.`);
+    res.json({ message: `Verification email sent to ${email}` });
+  } catch (err) {
+    console.error(`[AUTH /auth/resend-verification] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to send verification email: ${err.message}` });
+  }
+});
+
+// POST /auth/forgot-password - Emails a single-use password reset code
+// Body: { email }. Answers the same whether or not the address belongs to an account.
+app.post('/auth/forgot-password', async (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { email } = req.body || {};
+    if (!isValidEmail(email)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+
+    const user = await db.collection('users').findOne({ email });
+    if (user) {
+      const { token, throttled } = await issueAccountToken(db, user._id, PASSWORD_RESET);
+      if (throttled) {
+        console.log(`[AUTH /auth/forgot-password] Reset email for user ID ${user._id} was sent less than a minute ago. Not sending another.`);
+      } else {
+        await sendPasswordResetEmail(mailer, user, token);
+        console.log(`[AUTH /auth/forgot-password] Sent a reset email to user ID: ${user._id}`);
+      }
+    } else {
+      console.log('[AUTH /auth/forgot-password] No account for the given email.');
+    }
+    res.json({ message: 'If an account exists for this email, a password reset code has been sent.' });
+  } catch (err) {
+    console.error(`[AUTH /auth/forgot-password] Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: 'Failed to send the password reset email' });
+  }
+});
+
+// POST /auth/reset-password - Sets a new password with a reset code and logs out every session
+// Body: { token, newPassword }
+app.post('/auth/reset-password', async (req, res) => {
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { token, newPassword } = req.body || {};
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    const accountToken = await consumeAccountToken(db, token, PASSWORD_RESET);
+    if (!accountToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset code' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    // Receiving the code proves the user owns the address, so it also counts as verified
+    const result = await db.collection('users').updateOne(
+      { _id: accountToken.userId },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date(), emailVerified: true, updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset code' });
+    }
+    const revokedCount = await revokeAllSessions(db, accountToken.userId, { reason: 'password_reset' });
+    console.log(`[AUTH /auth/reset-password] Password reset for user ID: ${accountToken.userId}. Revoked ${revokedCount} session(s).`);
+    res.json({ success: true, message: 'Password has been reset. Please login with your new password.' });
+  } catch (err) {
+    console.error(`[AUTH /auth/reset-password] Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // --- API Endpoints (Protected by authenticateToken middleware) ---
 
-// Helper function to get total daily consumption for a specific date string (YYYY-MM-DD)
-async function getSystemDailyConsumptionForDate(userId, dateString) {
-  if (!db) throw new Error("Database not initialized for getSystemDailyConsumptionForDate");
-  const dailySystemTotal = await db.collection(DAILY_CONSUMPTION_COLLECTION) // Querying the correct collection
-    .findOne({ userId: new ObjectId(userId), deviceId: "SYSTEM_TOTAL_DAILY", dateString: dateString });
-  
-  return dailySystemTotal?.estimatedEnergyWhToday || 0; // Use estimatedEnergyWhToday field
+// Helper to price the daily consumption records of a device (or "SYSTEM_TOTAL_DAILY") for a list of date strings.
+// Fixed daily charges only make sense for the whole system, so they are opt-in.
+async function getCostForDates(userId, deviceId, dateStrings, tariffProfile, { includeFixedCharges = false } = {}) {
+  if (!db) throw new Error("Database not initialized for getCostForDates");
+  const dailyRecords = await db.collection(DAILY_CONSUMPTION_COLLECTION)
+    .find({ userId: new ObjectId(userId), deviceId, dateString: { $in: dateStrings } })
+    .toArray();
+  let cost = dailyRecords.reduce((sum, dailyRec) => sum + getDailyRecordCost(dailyRec, tariffProfile), 0);
+  if (includeFixedCharges) cost += getFixedChargesForDays(tariffProfile, dateStrings.length);
+  return cost;
 }
 
 // GET /api/power/current
 // Fetches the latest power reading and aggregated daily, weekly, monthly energy for the authenticated user.
-app.get('/api/power/current', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+// The live totals are kept in memory by mqttSubscriber.js (services/liveState.js): read directly when both run in
+// one process (core/liveSnapshot.js), otherwise fetched over HTTP. Returns null if they are not available.
+async function fetchLivePowerSnapshot(authorizationHeader, household) {
+  if (hasLiveSnapshotReader()) return readLiveSnapshot(household.ownerId);
+  try {
+    const response = await fetch(`${config.realtimeUrl}/api/power/current`, {
+      headers: { Authorization: authorizationHeader, 'X-Household-Id': household.id },
+      signal: AbortSignal.timeout(LIVE_STATE_TIMEOUT_MS)
+    });
+    if (response.ok) return await response.json();
+    console.warn(`[API /api/power/current] Live state answered ${response.status}. Computing from the database.`);
+  } catch (error) {
+    console.warn(`[API /api/power/current] Live state unreachable (${error.message}). Computing from the database.`);
+  }
+  return null;
+}
+
+app.get('/api/power/current', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
   console.log(`[API /api/power/current] User: ${userId}. Received request.`);
   try {
+    const liveSnapshot = await fetchLivePowerSnapshot(req.headers['authorization'], req.household);
+    if (liveSnapshot) return res.json(liveSnapshot);
+
+    // Fallback while mqttSubscriber.js is not running
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
 
     let currentPower = 0;
     const userDevices = await db.collection('devices').find({ userId: new ObjectId(userId), status: true }).toArray();
     for (const device of userDevices) {
-      const latestDevicePowerReading = await db.collection(process.env.COLLECTION_NAME)
+      const latestDevicePowerReading = await db.collection(config.readingsCollection)
         .find({ userId: new ObjectId(userId), deviceId: device.id, power: { $exists: true, $ne: null } })
         .sort({ timeStamp: -1 }).limit(1).next();
       if (latestDevicePowerReading && typeof latestDevicePowerReading.power === 'number') {
@@ -174,28 +616,39 @@ app.get('/api/power/current', authenticateToken, async (req, res) => {
     }
 
     const today = new Date();
-    const todayString = getCurrentDateString(today);
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const todayString = getCurrentDateString(today, timePreferences);
 
     // Fetch daily, weekly, monthly aggregated consumption
-    const energyToday = await getSystemDailyConsumptionForDate(userId, todayString);
+    const energyToday = await getSystemDailyConsumptionForDate(db, userId, todayString);
 
     let energyThisWeek = 0;
-    const weekDates = getDatesForCurrentWeek(today);
+    const weekDates = getDatesForCurrentWeek(today, timePreferences);
     for (const dateStr of weekDates) {
-      energyThisWeek += await getSystemDailyConsumptionForDate(userId, dateStr);
+      energyThisWeek += await getSystemDailyConsumptionForDate(db, userId, dateStr);
     }
 
     let energyThisMonth = 0;
-    const monthDates = getDatesForCurrentMonth(today);
+    const monthDates = getDatesForCurrentMonth(today, timePreferences);
     for (const dateStr of monthDates) {
-      energyThisMonth += await getSystemDailyConsumptionForDate(userId, dateStr);
+      energyThisMonth += await getSystemDailyConsumptionForDate(db, userId, dateStr);
     }
 
+    const tariffProfile = await getTariffProfile(db, userId);
+    const costOptions = { includeFixedCharges: true };
+    const costToday = await getCostForDates(userId, "SYSTEM_TOTAL_DAILY", [todayString], tariffProfile, costOptions);
+    const costThisWeek = await getCostForDates(userId, "SYSTEM_TOTAL_DAILY", weekDates, tariffProfile, costOptions);
+    const costThisMonth = await getCostForDates(userId, "SYSTEM_TOTAL_DAILY", monthDates, tariffProfile, costOptions);
+
     res.json({
       power: parseFloat(currentPower.toFixed(3)),
       energyToday: parseFloat(energyToday.toFixed(3)), // In Wh
       energyThisWeek: parseFloat(energyThisWeek.toFixed(3)), // In Wh
       energyThisMonth: parseFloat(energyThisMonth.toFixed(3)), // In Wh
+      costToday: roundCost(costToday), // In the user's tariff currency
+      costThisWeek: roundCost(costThisWeek),
+      costThisMonth: roundCost(costThisMonth),
+      currency: tariffProfile.currency,
       timeStamp: new Date().toISOString()
     });
   } catch (err) {
@@ -206,8 +659,8 @@ app.get('/api/power/current', authenticateToken, async (req, res) => {
 
 // GET /api/power/consumption
 // This endpoint is still valid but might be less used by the current frontend due to /api/power/current's expanded response.
-app.get('/api/power/consumption', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+app.get('/api/power/consumption', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
   const period = req.query.period || 'daily';
   console.log(`[API /api/power/consumption] User: ${userId}. Period: ${period}`);
 
@@ -216,83 +669,77 @@ app.get('/api/power/consumption', authenticateToken, async (req, res) => {
 
     let totalConsumption = 0;
     const today = new Date();
+    const timePreferences = await getUserTimePreferences(db, userId);
+    let periodDates;
 
     if (period === 'daily') {
-      totalConsumption = await getSystemDailyConsumptionForDate(userId, getCurrentDateString(today));
+      periodDates = [getCurrentDateString(today, timePreferences)];
     } else if (period === 'weekly') {
-      const weekDates = getDatesForCurrentWeek(today);
-      for (const dateStr of weekDates) {
-        totalConsumption += await getSystemDailyConsumptionForDate(userId, dateStr);
-      }
+      periodDates = getDatesForCurrentWeek(today, timePreferences);
     } else if (period === 'monthly') {
-      const monthDates = getDatesForCurrentMonth(today);
-      for (const dateStr of monthDates) {
-        totalConsumption += await getSystemDailyConsumptionForDate(userId, dateStr);
-      }
+      periodDates = getDatesForCurrentMonth(today, timePreferences);
     } else {
       return res.status(400).json({ error: 'Invalid period specified. Use daily, weekly, or monthly.' });
     }
+    for (const dateStr of periodDates) {
+      totalConsumption += await getSystemDailyConsumptionForDate(db, userId, dateStr);
+    }
+
+    const tariffProfile = await getTariffProfile(db, userId);
+    const totalCost = await getCostForDates(userId, "SYSTEM_TOTAL_DAILY", periodDates, tariffProfile, { includeFixedCharges: true });
 
-    res.json({ period, totalConsumption: parseFloat(totalConsumption.toFixed(3)) });
+    res.json({
+      period,
+      totalConsumption: parseFloat(totalConsumption.toFixed(3)),
+      totalCost: roundCost(totalCost),
+      currency: tariffProfile.currency
+    });
   } catch (err) {
     console.error(`[API /api/power/consumption] User: ${userId}. Error: ${err.message}`, err.stack);
     res.status(500).json({ error: `Failed to load consumption data: ${err.message}` });
   }
 });
 
-// Shared logic for fetching overall system energy history
-async function getOverallSystemEnergyHistory(req, res) {
-  const userId = req.user.id;
-  console.log(`[API /api/power/history (shared)] User: ${userId}. Received request. Query: ${JSON.stringify(req.query)}`);
+// GET /api/history?from=<date>&to=<date>&resolution=<minute|15min|hour|day|week|month>&deviceId=<id>
+// Energy (Wh) and average power per bucket, for one device or summed over all of the user's devices.
+// Buckets without readings have null values. See services/energyHistory.js.
+app.get('/api/history', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/history] User: ${userId}. Query: ${JSON.stringify(req.query)}`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
-    const hours = parseInt(req.query.hours) || 24; // Default to 24 hours (hourly data)
-    const cutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-
-    // Fetch system-wide power readings logged by mqttSubscriber.js
-    const powerReadings = await db.collection(process.env.COLLECTION_NAME)
-      .find({ 
-        userId: new ObjectId(userId), 
-        deviceId: "SYSTEM_POWER_LOG", // Use the special deviceId for system-wide power logs
-        timeStamp: { $gte: cutoff } 
-      })
-      .sort({ timeStamp: 1 }) // Sort by timeStamp (ascending) for chronological order
-      .project({ timeStamp: 1, power: 1, _id: 0 }) // Project timeStamp and power
-      .toArray();
-
-    if (powerReadings.length === 0) {
-      return res.json([]);
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const { options, error } = parseHistoryQuery(req.query, timePreferences);
+    if (error) {
+      return res.status(400).json({ error });
     }
-
-    // Aggregate power readings into hourly energy consumption (Wh)
-    const hourlyEnergy = [];
-    // Ensure currentHourStart is aligned to the start of an hour from the first reading
-    let currentHourStart = new Date(powerReadings[0].timeStamp);
-    currentHourStart.setMinutes(0, 0, 0); // Align to the start of the hour
-
-    // Iterate for the number of hours requested, starting from the cutoff
-    const loopCutoff = new Date(Date.now() - hours * 60 * 60 * 1000);
-    loopCutoff.setMinutes(0,0,0); // Align loopCutoff to the start of an hour
-
-    for (let i = 0; i < hours; i++) {
-      const hourEnd = new Date(currentHourStart.getTime() + 60 * 60 * 1000);
-      const readingsInHour = powerReadings.filter(r => r.timeStamp >= currentHourStart && r.timeStamp < hourEnd);
-
-      let totalEnergyForHourWh = 0;
-      if (readingsInHour.length > 0) {
-        let sumPower = 0;
-        readingsInHour.forEach(r => sumPower += r.power);
-        const avgPower = sumPower / readingsInHour.length;
-        totalEnergyForHourWh = avgPower * 1; // Avg Power (W) * 1 hour = Wh
+    if (options.deviceId) {
+      const device = await db.collection('devices').findOne({ id: options.deviceId, userId: new ObjectId(userId) });
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found or you do not have permission to view its history.' });
       }
-      
-      hourlyEnergy.push({
-        timeStamp: currentHourStart.toISOString(), 
-        energy: parseFloat(totalEnergyForHourWh.toFixed(3))
-      });
-      currentHourStart = hourEnd;
     }
-    res.json(hourlyEnergy);
+    res.json(await getEnergyHistory(db, config.readingsCollection, userId, options, timePreferences));
+  } catch (err) {
+    console.error(`[API /api/history] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load history: ${err.message}` });
+  }
+});
+
+// Shared logic for fetching overall system energy history: the last `hours` hours (including the current one)
+// as [{ timeStamp, energy }], energy in Wh or null for hours without readings.
+async function getOverallSystemEnergyHistory(req, res) {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/power/history (shared)] User: ${userId}. Received request. Query: ${JSON.stringify(req.query)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const hours = Math.min(parseInt(req.query.hours) || 24, MAX_HISTORY_BUCKETS); // Default to 24 hours (hourly data)
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const to = addBuckets(getBucketStart(new Date(), 'hour', timePreferences), 'hour', 1, timePreferences);
+    const from = addBuckets(to, 'hour', -hours, timePreferences);
+
+    const history = await getEnergyHistory(db, config.readingsCollection, userId, { from, to, resolution: 'hour' }, timePreferences);
+    res.json(history.buckets.map(bucket => ({ timeStamp: bucket.start, energy: bucket.energyWh })));
   } catch (err) {
     console.error(`[API /api/power/history] User: ${userId}. Error: ${err.message}`, err.stack);
     res.status(500).json({ error: `Failed to load overall power history: ${err.message}` });
@@ -300,63 +747,166 @@ async function getOverallSystemEnergyHistory(req, res) {
 }
 
 // GET /api/power/history - Fetches historical *overall system energy consumption*
-app.get('/api/power/history', authenticateToken, getOverallSystemEnergyHistory);
+app.get('/api/power/history', authenticateToken, requireHouseholdRole('viewer'), getOverallSystemEnergyHistory);
 // GET /api/power/history/user - Alias for /api/power/history
-app.get('/api/power/history/user', authenticateToken, getOverallSystemEnergyHistory);
+app.get('/api/power/history/user', authenticateToken, requireHouseholdRole('viewer'), getOverallSystemEnergyHistory);
+
+// GET /api/export?dataset=<readings|daily|notifications>&format=<csv|ndjson|json>&from=<date>&to=<date>&deviceId=<id>
+// Streams the user's data as a download. from/to take a day (YYYY-MM-DD, in the user's time zone; `to` inclusive),
+// an ISO date-time or epoch milliseconds; the default is the last 30 days. See services/dataExport.js.
+app.get('/api/export', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/export] User: ${userId}. Query: ${JSON.stringify(req.query)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const { options, error } = parseExportQuery(req.query, timePreferences);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (options.deviceId) {
+      const device = await db.collection('devices').findOne({ id: options.deviceId, userId: new ObjectId(userId) });
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found or you do not have permission to export its data.' });
+      }
+    }
+    const rowCount = await streamExport(db, config.readingsCollection, userId, options, timePreferences, res);
+    console.log(`[API /api/export] User: ${userId}. Exported ${rowCount} ${options.dataset} row(s) as ${options.format}.`);
+  } catch (err) {
+    console.error(`[API /api/export] User: ${userId}. Error: ${err.message}`, err.stack);
+    if (res.headersSent) {
+      res.destroy(err); // Part of the file was already sent; cut it off so the download fails instead of looking complete
+      return;
+    }
+    res.status(500).json({ error: `Failed to export data: ${err.message}` });
+  }
+});
+
+// Reads the uploaded file of an import as text, answering with a JSON error if it is too large or unreadable.
+const importBodyParser = express.text({ type: IMPORT_CONTENT_TYPES, limit: getImportLimits().maxSize });
+const readImportBody = (req, res, next) => {
+  importBodyParser(req, res, (err) => {
+    if (!err) return next();
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: `File too large (limit ${getImportLimits().maxSize}); split it into smaller files` });
+    }
+    res.status(err.status || 400).json({ error: `Could not read the uploaded file: ${err.message}` });
+  });
+};
+
+// POST /api/import?dataset=<readings|daily>&format=<csv|ndjson>&dryRun=<true|false>&onDuplicate=<skip|replace>
+//   &deviceId=<id>&columns=<JSON {field: column}>&devices=<JSON {value: deviceId}>
+// Body: the file (Content-Type text/csv or application/x-ndjson). Imports historical readings or daily totals and
+// reports per-row errors; with dryRun=true nothing is written. See services/dataImport.js.
+app.post('/api/import', authenticateToken, requireHouseholdRole('admin'), readImportBody, async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/import] User: ${userId}. Query: ${JSON.stringify(req.query)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { options, error } = parseImportQuery(req.query, req.get('Content-Type'));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: `Send the file as the request body with Content-Type ${IMPORT_CONTENT_TYPES.join(', ')}` });
+    }
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const result = await importData(db, config.readingsCollection, userId, options, req.body, timePreferences);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    const { summary } = result;
+    console.log(`[API /api/import] User: ${userId}. ${options.dryRun ? 'Dry run of' : 'Imported'} ${summary.importedCount} of ${summary.rowCount} ${options.dataset} row(s): ${summary.duplicateCount} duplicate(s), ${summary.errorCount} error(s).`);
+    res.json(summary);
+  } catch (err) {
+    console.error(`[API /api/import] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to import data: ${err.message}` });
+  }
+});
 
 // GET /api/devices
-app.get('/api/devices', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+app.get('/api/devices', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
   console.log(`[API /api/devices] User: ${userId}. Received request.`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
     const devices = await db.collection('devices').find({ userId: new ObjectId(userId) }).toArray();
-    res.json(devices);
+    const roomsByDevice = await getDeviceRooms(db, userId);
+    res.json(devices.map(device => ({ ...device, ...describeDeviceMetadata(device, roomsByDevice.get(device.id) || null) })));
   } catch (err) {
     console.error(`[API /api/devices] User: ${userId}. Error: ${err.message}`, err.stack);
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET /api/mqtt-devices
-app.get('/api/mqtt-devices', authenticateToken, async (req, res) => {
-  console.log(`[API /api/mqtt-devices] Received request.`);
+// GET /api/mqtt-devices - Unregistered devices whose button was pressed during the household's pairing window
+// (see services/deviceDiscovery.js), with the model, firmware, addresses and capabilities they reported
+app.get('/api/mqtt-devices', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/mqtt-devices] User: ${userId}. Received request.`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
-
-    const onlineDevicesStatus = await db.collection('device_status')
-      .find({ online: true }, { projection: { deviceId: 1, _id: 0 } })
-      .toArray();
-
-    const onlineDeviceIds = onlineDevicesStatus.map(d => d.deviceId).filter(id => id);
-    console.log(`[API /api/mqtt-devices] DeviceIds from 'device_status' (online=true):`, JSON.stringify(onlineDeviceIds));
-
-    const allRegisteredDevices = await db.collection('devices').find({}, { projection: { id: 1, _id: 0 } }).toArray();
-    const allRegisteredDeviceIds = new Set(allRegisteredDevices.map(d => d.id));
-    console.log(`[API /api/mqtt-devices] All registered deviceIds from 'devices':`, JSON.stringify(Array.from(allRegisteredDeviceIds)));
-
-    const availableMqttDevices = onlineDeviceIds
-      .filter(id => !allRegisteredDeviceIds.has(id))
-      .map(id => ({ id }));
-
-    console.log(`[API /api/mqtt-devices] Returning availableMqttDevices:`, JSON.stringify(availableMqttDevices));
+    const availableMqttDevices = await listClaimableDevices(db, userId);
+    console.log(`[API /api/mqtt-devices] User: ${userId}. Returning ${availableMqttDevices.length} claimable device(s).`);
     res.json(availableMqttDevices);
   } catch (err) {
-    console.error(`[API /api/mqtt-devices] Error: ${err.message}`, err.stack);
+    console.error(`[API /api/mqtt-devices] User: ${userId}. Error: ${err.message}`, err.stack);
     res.status(500).json({ error: err.message });
   }
 });
 
+// POST /api/device-pairing - Opens (or restarts) the household's pairing window. Pressing a new device's button
+// while it is open makes the device claimable with POST /api/devices.
+app.post('/api/device-pairing', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const pairingWindow = await openPairingWindow(db, userId, req.user.id);
+    console.log(`[API POST /api/device-pairing] User: ${userId}. Pairing window open until ${pairingWindow.expiresAt.toISOString()}.`);
+    res.status(201).json({ ...describePairingWindow(pairingWindow), devices: await listClaimableDevices(db, userId) });
+  } catch (err) {
+    console.error(`[API POST /api/device-pairing] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to start pairing: ${err.message}` });
+  }
+});
+
+// GET /api/device-pairing - The pairing window and the devices pressed during it
+app.get('/api/device-pairing', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const pairingWindow = await getPairingWindow(db, userId);
+    res.json({ ...describePairingWindow(pairingWindow), devices: await listClaimableDevices(db, userId) });
+  } catch (err) {
+    console.error(`[API GET /api/device-pairing] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load pairing: ${err.message}` });
+  }
+});
+
+// GET /api/device-drivers - Supported device drivers
+app.get('/api/device-drivers', authenticateToken, (req, res) => {
+  res.json(listDrivers());
+});
+
 // POST /api/devices
-app.post('/api/devices', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  console.log(`[API POST /api/devices] User: ${userId}. Received request. Body: ${JSON.stringify(req.body)}`);
+// Body: { deviceId, name, driver?, topicPrefix?, category?, ratedWattage?, icon?, model?, firmware?, capabilities?, alwaysOn? }
+// Model, firmware and capabilities default to what the device reported during discovery.
+// The device must have been pressed during the household's pairing window (POST /api/device-pairing), unless
+// ALLOW_UNVERIFIED_DEVICE_CLAIMS=true (e.g. on a private broker with devices that have no button).
+app.post('/api/devices', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API POST /api/devices] User: ${userId}. Received request. Body: ${describeRequestBody(req.body)}`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
     const { deviceId, name } = req.body;
     if (!deviceId || !name) {
       return res.status(400).json({ error: 'deviceId and name are required' });
     }
+    if (req.body.driver !== undefined && !DRIVER_NAMES.includes(req.body.driver)) {
+      return res.status(400).json({ error: `Invalid driver. Use one of: ${DRIVER_NAMES.join(', ')}.` });
+    }
+    const { update: metadata, error: metadataError } = normalizeDeviceMetadata(req.body);
+    if (metadataError) return res.status(400).json({ error: metadataError });
 
     const existingDevice = await db.collection('devices').findOne({ id: deviceId });
     if (existingDevice) {
@@ -366,15 +916,30 @@ app.post('/api/devices', authenticateToken, async (req, res) => {
         return res.status(409).json({ error: `You have already registered device ID '${deviceId}'.` });
       }
     }
+    if (process.env.ALLOW_UNVERIFIED_DEVICE_CLAIMS !== 'true' && !(await isDeviceClaimable(db, userId, deviceId))) {
+      console.log(`[API POST /api/devices] User: ${userId}. Device '${deviceId}' was not pressed during pairing.`);
+      return res.status(403).json({ error: `Start pairing and press the button on device '${deviceId}' to prove it is yours, then add it.` });
+    }
+
+    // Driver and topic prefix default to what the device announced itself with (see mqttSubscriber.js)
+    const discoveredStatus = await db.collection('device_status').findOne({ deviceId }, { projection: { driver: 1, topicPrefix: 1, info: 1, capabilities: 1 } });
+    const driver = req.body.driver || discoveredStatus?.driver || DEFAULT_DRIVER;
+    const topicPrefix = req.body.topicPrefix || (discoveredStatus?.driver === driver ? discoveredStatus?.topicPrefix : undefined);
 
-    await db.collection('devices').insertOne({
+    const newDevice = {
+      ...getDiscoveredMetadata(discoveredStatus),
+      ...metadata, // Includes the (trimmed) name
       id: deviceId,
-      name,
       userId: new ObjectId(userId),
       status: false,
+      driver,
       createdAt: new Date()
-    });
+    };
+    if (topicPrefix) newDevice.topicPrefix = topicPrefix;
+    await db.collection('devices').insertOne(newDevice);
+    await completeClaim(db, userId, deviceId);
     console.log(`[API POST /api/devices] User: ${userId}. Device '${deviceId}' added successfully.`);
+    eventBus.publish('devices_changed', { userId });
     res.status(201).json({ success: true, message: 'Device added successfully' });
   } catch (err) {
     console.error(`[API POST /api/devices] User: ${userId}. Error: ${err.message}`, err.stack);
@@ -382,11 +947,20 @@ app.post('/api/devices', authenticateToken, async (req, res) => {
   }
 });
 
+// Publishes a Switch.Set RPC to a Shelly plug and stores the requested status. Resolves to the pending command
+// (confirmed or rolled back by mqttSubscriber.js). options: { source, requestedBy } for the command history.
+// Shared by the toggle endpoints, the scheduler and the automation engine. Live clients see the requested status at once.
+async function sendSwitchCommand(deviceId, userId, newStatus, options = {}) {
+  const command = await sendDeviceSwitchCommand(db, serverMqttClient, deviceId, userId, newStatus, options);
+  eventBus.publish('device_status', { userId: userId.toString(), deviceId, status: newStatus });
+  return command;
+}
+
 // POST /api/devices/:deviceIdParam
-app.post('/api/devices/:deviceIdParam/toggle', authenticateToken, async (req, res) => {
+app.post('/api/devices/:deviceIdParam/toggle', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
   const deviceId = req.params.deviceIdParam;
   const newStatus = req.body.turnOn;
-  const userId = req.user.id;
+  const userId = req.household.ownerId;
 
   console.log(`[CONTROL /api/devices/${deviceId}] User: ${userId}. Request to set status to: ${newStatus}.`);
 
@@ -401,48 +975,83 @@ app.post('/api/devices/:deviceIdParam/toggle', authenticateToken, async (req, re
     return res.status(404).json({ error: 'Device not found or you do not have permission to control it.' });
   }
 
-  const rpcTopic = `shellyplugus-${deviceId}/rpc`;
-  const rpcPayload = JSON.stringify({
-    id: Date.now(),
-    src: "PowerPulseBackend",
-    method: "Switch.Set",
-    params: { id: 0, on: newStatus }
-  });
-
-  console.log(`[CONTROL /api/devices/${deviceId}] User: ${userId}. Publishing to MQTT. Topic: '${rpcTopic}', Payload: '${rpcPayload}'`);
   try {
-    await new Promise((resolve, reject) => {
-      serverMqttClient.publish(rpcTopic, rpcPayload, { qos: 1 }, (err) => {
-        if (err) {
-          console.error(`[CONTROL /api/devices/${deviceId}] User: ${userId}. MQTT Publish Error to ${rpcTopic}:`, err);
-          return reject(new Error(`Failed to publish MQTT command: ${err.message}`));
-        }
-        console.log(`[CONTROL /api/devices/${deviceId}] User: ${userId}. MQTT message published to ${rpcTopic}.`);
-        resolve();
-      });
-    });
-
-    const dbResult = await db.collection('devices').updateOne(
-      { id: deviceId, userId: new ObjectId(userId) },
-      { $set: { status: newStatus } }
-    );
-    if (dbResult.matchedCount === 0) {
-      console.warn(`[CONTROL /api/devices/${deviceId}] User: ${userId}. Device ID not found in 'devices' for status update (should not happen after ownership check).`);
-    } else {
-      console.log(`[CONTROL /api/devices/${deviceId}] User: ${userId}. Database status for '${deviceId}' updated to ${newStatus}.`);
-    }
+    const command = await sendSwitchCommand(deviceId, userId, newStatus, { source: 'api', requestedBy: req.user.id });
 
-    res.json({ success: true, message: `Device ${deviceId} command sent.` });
+    // The device confirms asynchronously; see GET /api/devices/:deviceIdParam/commands for the outcome
+    res.json({ success: true, message: `Device ${deviceId} command sent.`, command: describeCommand(command) });
   } catch (error) {
     console.error(`[CONTROL /api/devices/${deviceId}] User: ${userId}. Error: ${error.message}`, error.stack);
     res.status(500).json({ error: `Failed to control device ${deviceId}: ${error.message}` });
   }
 });
 
+// GET /api/devices/:deviceIdParam/commands?limit=50&before=<ISO date> - The device's switch commands, newest first,
+// with their outcome (pending, confirmed, failed, timed_out, superseded). Kept for 30 days.
+app.get('/api/devices/:deviceIdParam/commands', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const deviceId = req.params.deviceIdParam;
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'before must be an ISO date' });
+    }
+    const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) }, { projection: { _id: 1 } });
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found or you do not have permission to view it.' });
+    }
+    const commands = await listDeviceCommands(db, userId, deviceId, { limit, before });
+    res.json(commands.map(describeCommand));
+  } catch (err) {
+    console.error(`[API /api/devices/${deviceId}/commands] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load command history: ${err.message}` });
+  }
+});
+
+// PATCH /api/devices/:deviceIdParam - Edits a device's name and metadata (see services/deviceMetadata.js).
+// Body: any of { name, category, roomId, ratedWattage, icon, model, firmware, capabilities, alwaysOn }; null clears
+// a field, roomId null takes the device out of its room.
+app.patch('/api/devices/:deviceIdParam', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const deviceId = req.params.deviceIdParam;
+  const userId = req.household.ownerId;
+  console.log(`[PATCH /api/devices/${deviceId}] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { update, error } = normalizeDeviceMetadata(req.body);
+    if (error) return res.status(400).json({ error });
+    if (req.body.roomId !== undefined && req.body.roomId !== null && typeof req.body.roomId !== 'string') {
+      return res.status(400).json({ error: 'roomId must be a room id or null' });
+    }
+
+    const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) }, { projection: { _id: 1 } });
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found or you do not have permission to edit it.' });
+    }
+    if (req.body.roomId !== undefined) {
+      const roomResult = await setDeviceRoom(db, userId, deviceId, req.body.roomId);
+      if (roomResult.error) return res.status(roomResult.status).json({ error: roomResult.error });
+    }
+    if (Object.keys(update).length > 0) {
+      await db.collection('devices').updateOne({ id: deviceId, userId: new ObjectId(userId) }, { $set: { ...update, updatedAt: new Date() } });
+    }
+
+    const updatedDevice = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) });
+    const room = (await getDeviceRooms(db, userId)).get(deviceId) || null;
+    console.log(`[PATCH /api/devices/${deviceId}] User: ${userId}. Device updated.`);
+    eventBus.publish('devices_changed', { userId });
+    res.json({ ...updatedDevice, ...describeDeviceMetadata(updatedDevice, room) });
+  } catch (err) {
+    console.error(`[PATCH /api/devices/${deviceId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update device ${deviceId}: ${err.message}` });
+  }
+});
+
 // DELETE /api/devices/:deviceIdParam
-app.delete('/api/devices/:deviceIdParam', authenticateToken, async (req, res) => {
+app.delete('/api/devices/:deviceIdParam', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
   const deviceId = req.params.deviceIdParam;
-  const userId = req.user.id;
+  const userId = req.household.ownerId;
   console.log(`[DELETE /api/devices/${deviceId}] User: ${userId}. Received request.`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
@@ -455,13 +1064,22 @@ app.delete('/api/devices/:deviceIdParam', authenticateToken, async (req, res) =>
 
     const result = await db.collection('devices').deleteOne({ id: deviceId, userId: new ObjectId(userId) });
     // Also delete associated readings and daily consumptions for data integrity
-    await db.collection(process.env.COLLECTION_NAME).deleteMany({ deviceId, userId: new ObjectId(userId) });
+    await db.collection(config.readingsCollection).deleteMany({ deviceId, userId: new ObjectId(userId) });
     await db.collection(DAILY_CONSUMPTION_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) }); // Delete daily summary too
+    await db.collection(SCHEDULES_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) });
+    await db.collection(AUTOMATION_RULES_COLLECTION).deleteMany({ 'trigger.deviceId': deviceId, userId: new ObjectId(userId) });
+    await db.collection(MINUTE_ROLLUPS_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) });
+    await db.collection(HOURLY_ROLLUPS_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) });
+    await db.collection(DEVICE_BASELINES_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) });
+    await db.collection(DEVICE_ANOMALIES_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) });
+    await removeDeviceFromGroups(db, userId, deviceId);
+    await db.collection(DEVICE_COMMANDS_COLLECTION).deleteMany({ deviceId, userId: new ObjectId(userId) });
 
     if (result.deletedCount === 0) {
       return res.status(404).json({ error: `Device with id '${deviceId}' not found for this user.` });
     }
     console.log(`[DELETE /api/devices/${deviceId}] User: ${userId}. Device deleted successfully.`);
+    eventBus.publish('devices_changed', { userId });
     res.json({ success: true, message: `Device ${deviceId} deleted.` });
   } catch (error) {
     console.error(`[DELETE /api/devices/${deviceId}] User: ${userId}. Error: ${error.message}`, error.stack);
@@ -470,12 +1088,12 @@ app.delete('/api/devices/:deviceIdParam', authenticateToken, async (req, res) =>
 });
 
 // PUT /api/devices/:deviceId/target - Set or update monthly consumption target for a device
-app.put('/api/devices/:deviceId/target', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+app.put('/api/devices/:deviceId/target', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
   const deviceId = req.params.deviceId;
   const { monthlyTargetWh: targetWh } = req.body; // Correctly destructure monthlyTargetWh
 
-  console.log(`[TGT_PUT START] /api/devices/${deviceId}/target User: ${userId}. Body: ${JSON.stringify(req.body)}`);
+  console.log(`[TGT_PUT START] /api/devices/${deviceId}/target User: ${userId}. Body: ${describeRequestBody(req.body)}`);
 
   if (!db) {
     console.error("[TGT_PUT NO_DB_ERR] Database not initialized");
@@ -533,9 +1151,9 @@ app.put('/api/devices/:deviceId/target', authenticateToken, async (req, res) =>
 });
 // GET /api/devices/:deviceIdParam/stats
 // Fetches consumption statistics (today, yesterday, this month) for a specific device.
-app.get('/api/devices/:deviceIdParam/stats', authenticateToken, async (req, res) => {
+app.get('/api/devices/:deviceIdParam/stats', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
   const deviceId = req.params.deviceIdParam;
-  const userId = req.user.id;
+  const userId = req.household.ownerId;
   console.log(`[API /api/devices/${deviceId}/stats] User: ${userId}. Received request.`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
@@ -547,17 +1165,24 @@ app.get('/api/devices/:deviceIdParam/stats', authenticateToken, async (req, res)
     }
 
     const now = new Date();
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const todayString = getCurrentDateString(now, timePreferences);
+    const yesterdayString = addDaysToDateString(todayString, -1);
     // Fetch daily consumption in Wh for the specific device from DAILY_CONSUMPTION_COLLECTION
-    const todayConsumed = await getDeviceDailyConsumption(deviceId, userId, getCurrentDateString(now));
-    const yesterday = new Date(now); yesterday.setDate(now.getDate() - 1);
-    const yesterdayConsumed = await getDeviceDailyConsumption(deviceId, userId, getCurrentDateString(yesterday));
+    const todayConsumed = await getDeviceDailyConsumption(deviceId, userId, todayString);
+    const yesterdayConsumed = await getDeviceDailyConsumption(deviceId, userId, yesterdayString);
     
     let thisMonthConsumed = 0;
-    const monthDates = getDatesForCurrentMonth(now);
+    const monthDates = getDatesForCurrentMonth(now, timePreferences);
     for (const dateStr of monthDates) {
         thisMonthConsumed += await getDeviceDailyConsumption(deviceId, userId, dateStr);
     }
 
+    const tariffProfile = await getTariffProfile(db, userId);
+    const todayCost = await getCostForDates(userId, deviceId, [todayString], tariffProfile);
+    const yesterdayCost = await getCostForDates(userId, deviceId, [yesterdayString], tariffProfile);
+    const thisMonthCost = await getCostForDates(userId, deviceId, monthDates, tariffProfile);
+
     // 'allTimeConsumed' is a placeholder. A robust calculation would require summing
     // all historical 'estimatedEnergyWhToday' records for this device.
     const allTimeConsumed = 0; 
@@ -568,6 +1193,10 @@ app.get('/api/devices/:deviceIdParam/stats', authenticateToken, async (req, res)
       status: deviceDoc?.status || false,
       thisMonthConsumed: parseFloat(thisMonthConsumed.toFixed(3)),
       allTimeConsumed: parseFloat(Math.max(0, allTimeConsumed).toFixed(3)),
+      todayCost: roundCost(todayCost),
+      yesterdayCost: roundCost(yesterdayCost),
+      thisMonthCost: roundCost(thisMonthCost),
+      currency: tariffProfile.currency,
     });
   } catch (err) {
     console.error(`[API /api/devices/${deviceId}/stats] User: ${userId}. Error: ${err.message}`, err.stack);
@@ -587,7 +1216,7 @@ async function getDeviceDailyConsumption(deviceId, userId, dateString) {
 // Fetches daily consumption history for a specific device over a number of days.
 async function fetchDeviceDailyHistoryLogic(req, res) {
   const deviceId = req.params.deviceIdParam || req.params.deviceId; // Handle both param names
-  const userId = req.user.id;
+  const userId = req.household.ownerId;
   const daysParam = parseInt(req.query.days) || 7;
   console.log(`[API DeviceDailyHistoryLogic for ${deviceId}] User: ${userId}. Request for ${daysParam} days.`);
   try {
@@ -599,17 +1228,20 @@ async function fetchDeviceDailyHistoryLogic(req, res) {
       return res.status(404).json({ error: 'Device not found or you do not have permission to view its history.' });
     }
 
+    const tariffProfile = await getTariffProfile(db, userId);
     const dailyHistory = [];
-    const today = new Date();
+    const todayString = getCurrentDateString(new Date(), await getUserTimePreferences(db, userId));
     for (let i = 0; i < daysParam; i++) {
-      const targetDate = new Date(today);
-      targetDate.setDate(today.getDate() - i);
+      const targetDateString = addDaysToDateString(todayString, -i);
       // Fetch consumed energy in Wh for the specific device and date from DAILY_CONSUMPTION_COLLECTION
-      const consumedOnDay = await getDeviceDailyConsumption(deviceId, userId, getCurrentDateString(targetDate));
+      const consumedOnDay = await getDeviceDailyConsumption(deviceId, userId, targetDateString);
+      const costOnDay = await getCostForDates(userId, deviceId, [targetDateString], tariffProfile);
       
       dailyHistory.push({
-        date: targetDate.toISOString().split('T')[0], // Format date as YYYY-MM-DD
+        date: targetDateString, // YYYY-MM-DD in the user's time zone
         consumed: parseFloat(Math.max(0, consumedOnDay).toFixed(3)), // Energy in Wh
+        cost: roundCost(costOnDay), // In the user's tariff currency
+        currency: tariffProfile.currency,
       });
     }
     res.json(dailyHistory.reverse()); // Reverse to show most recent day last
@@ -619,89 +1251,952 @@ async function fetchDeviceDailyHistoryLogic(req, res) {
   }
 }
 
-app.get('/api/devices/:deviceIdParam/daily-history', authenticateToken, fetchDeviceDailyHistoryLogic);
+app.get('/api/devices/:deviceIdParam/daily-history', authenticateToken, requireHouseholdRole('viewer'), fetchDeviceDailyHistoryLogic);
 
-app.get('/api/power/history/:deviceId', authenticateToken, fetchDeviceDailyHistoryLogic);
+app.get('/api/power/history/:deviceId', authenticateToken, requireHouseholdRole('viewer'), fetchDeviceDailyHistoryLogic);
 
-// --- Notification Helper ---
-async function createNotification(userId, message, type, options = {}) {
-  if (!db) {
-    console.error("[Notification] Database not initialized. Cannot create notification.");
-    return null;
+// --- Notification Helper (core/notifications.js; pushed to WebSocket clients through the event bus) ---
+const createNotification = createNotifier({
+  getDb: () => db,
+  save: async (notification) => {
+    if (!db) throw new Error('Database not initialized. Cannot create notification.');
+    await db.collection(NOTIFICATIONS_COLLECTION).insertOne(notification);
   }
-  try {
-    const { deviceId = null, deviceName = null, severity = 'info', isRead = false } = options;
-    const notification = {
-      userId: new ObjectId(userId),
-      message,
-      type,
-      timestamp: new Date(),
-      isRead,
-      severity,
-    };
-    if (deviceId) notification.deviceId = deviceId;
-    if (deviceName) notification.deviceName = deviceName;
+});
 
-    const result = await db.collection(NOTIFICATIONS_COLLECTION).insertOne(notification);
-    console.log(`[Notification Created] User: ${userId}, Type: ${type}, Msg: ${message.substring(0, 50)}...`);
-    
-    // Note: Pushing WebSocket notifications from server.js would require access to activeWsConnections
-    // or a shared messaging system (e.g., Redis pub/sub) if mqttSubscriber.js owns the WebSocket connections.
-    // For now, server.js generated notifications will be fetched via API.
-    return result.insertedId ? { ...notification, _id: result.insertedId } : null;
-  } catch (error) {
-    console.error(`[Notification Create Error] User ${userId}, Type: ${type}:`, error);
-    return null;
-  }
-}
+// --- Notification API Endpoints ---
+
+// GET /api/notifications - Fetches notifications for the user
+app.get('/api/notifications', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const limit = parseInt(req.query.limit) || 20;
+  const page = parseInt(req.query.page) || 1;
+  const skip = (page - 1) * limit;
+
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const notifications = await db.collection(NOTIFICATIONS_COLLECTION)
+      .find({ userId: new ObjectId(userId) })
+      .sort({ timestamp: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+    
+    const totalNotifications = await db.collection(NOTIFICATIONS_COLLECTION).countDocuments({ userId: new ObjectId(userId) });
+    
+    res.json({
+      notifications,
+      totalPages: Math.ceil(totalNotifications / limit),
+      currentPage: page,
+      totalCount: totalNotifications
+    });
+  } catch (err) {
+    console.error(`[API /api/notifications] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load notifications: ${err.message}` });
+  }
+});
+
+// POST /api/notifications/:notificationId/mark-read
+app.post('/api/notifications/:notificationId/mark-read', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const notificationId = req.params.notificationId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const result = await db.collection(NOTIFICATIONS_COLLECTION).updateOne(
+      { _id: new ObjectId(notificationId), userId: new ObjectId(userId) },
+      { $set: { isRead: true } }
+    );
+    if (result.matchedCount === 0) return res.status(404).json({ error: 'Notification not found or not owned by user.' });
+    res.json({ success: true, message: 'Notification marked as read.' });
+  } catch (err) {
+    console.error(`[API /api/notifications/mark-read] User: ${userId}, NotifID: ${notificationId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to mark notification as read: ${err.message}` });
+  }
+});
+
+// GET /api/notifications/settings - The user's notification settings (defaults if never saved)
+app.get('/api/notifications/settings', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    res.json(await getNotificationSettings(db, userId));
+  } catch (err) {
+    console.error(`[API /api/notifications/settings] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load notification settings: ${err.message}` });
+  }
+});
+
+// PUT /api/notifications/settings - Updates notification settings (only the fields provided)
+// Body: { enabledTypes?: { [type]: boolean }, minSeverity?, quietHours?: { enabled, start, end, allowCritical },
+//         dedupeWindowMinutes?, offlineGraceMinutes?, thresholds?: { dailySystemGoalWh, weeklySavingsPercent } }
+app.put('/api/notifications/settings', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API PUT /api/notifications/settings] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await getNotificationSettings(db, userId);
+    const { settings, error } = normalizeNotificationSettings(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.collection(NOTIFICATION_SETTINGS_COLLECTION).updateOne(
+      { userId: new ObjectId(userId) },
+      { $set: { ...settings, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ success: true, settings });
+  } catch (err) {
+    console.error(`[API PUT /api/notifications/settings] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to save notification settings: ${err.message}` });
+  }
+});
+
+// --- Account Preferences ---
+
+// GET /api/account/preferences - The user's time zone and week start (defaults if never set)
+app.get('/api/account/preferences', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    res.json(await getUserTimePreferences(db, userId));
+  } catch (err) {
+    console.error(`[API /api/account/preferences] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load preferences: ${err.message}` });
+  }
+});
+
+// PUT /api/account/preferences - Updates the time zone and/or week start
+// Body: { timeZone?: IANA name (e.g. 'Europe/Berlin'), weekStartsOn?: 'sunday'|'monday' }
+// Days already recorded keep the dates they were recorded under; only new readings use the new zone.
+// The next run of the user's recurring schedules is recomputed in the new zone.
+app.put('/api/account/preferences', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  console.log(`[API PUT /api/account/preferences] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await getUserTimePreferences(db, userId);
+    const { preferences, error } = normalizeTimePreferences(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.collection('users').updateOne({ _id: new ObjectId(userId) }, { $set: { ...preferences, updatedAt: new Date() } });
+    clearTimePreferencesCache(userId);
+    if (preferences.timeZone !== existing.timeZone) {
+      const rescheduled = await rescheduleUserSchedules(db, userId, preferences.timeZone);
+      console.log(`[API PUT /api/account/preferences] User: ${userId}. Time zone changed to ${preferences.timeZone}; ${rescheduled} schedule(s) rescheduled.`);
+    }
+    res.json({ success: true, preferences });
+  } catch (err) {
+    console.error(`[API PUT /api/account/preferences] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to save preferences: ${err.message}` });
+  }
+});
+
+// GET /api/account - The user's profile
+app.get('/api/account', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) }, { projection: { password: 0 } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified !== false,
+      pendingEmail: user.pendingEmail || null,
+      createdAt: user.createdAt
+    });
+  } catch (err) {
+    console.error(`[API /api/account] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load account: ${err.message}` });
+  }
+});
+
+// Loads the user and checks their current password. Returns { user } or { status, error }.
+async function verifyCurrentPassword(userId, password) {
+  const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+  if (!user) return { status: 404, error: 'User not found' };
+  if (typeof password !== 'string' || !(await bcrypt.compare(password, user.password))) {
+    return { status: 401, error: 'Current password is incorrect' };
+  }
+  return { user };
+}
+
+// PUT /api/account/password - Changes the password and logs out the user's other sessions
+// Body: { currentPassword, newPassword }
+app.put('/api/account/password', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  console.log(`[API PUT /api/account/password] User: ${userId}. Received request.`);
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+    const { status, error } = await verifyCurrentPassword(userId, currentPassword);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await db.collection('users').updateOne(
+      { _id: new ObjectId(userId) },
+      { $set: { password: hashedPassword, passwordChangedAt: new Date(), updatedAt: new Date() } }
+    );
+    const revokedCount = await revokeAllSessions(db, userId, { exceptSessionId: req.user.sid, reason: 'password_changed' });
+    console.log(`[API PUT /api/account/password] User: ${userId}. Password changed. Revoked ${revokedCount} other session(s).`);
+    res.json({ success: true, revokedSessions: revokedCount });
+  } catch (err) {
+    console.error(`[API PUT /api/account/password] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to change password: ${err.message}` });
+  }
+});
+
+// PUT /api/account/email - Starts an email change; the new address takes over once its verification link is opened
+// Body: { newEmail, password }
+app.put('/api/account/email', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  console.log(`[API PUT /api/account/email] User: ${userId}. Received request.`);
+  try {
+    const { newEmail, password } = req.body || {};
+    if (!isValidEmail(newEmail)) {
+      return res.status(400).json({ error: 'A valid email address is required' });
+    }
+    const { user, status, error } = await verifyCurrentPassword(userId, password);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+    const taken = await db.collection('users').findOne({ email: newEmail }, { projection: { _id: 1 } });
+    if (taken) {
+      return res.status(409).json({ error: 'This email address is already used by another account' });
+    }
+
+    const { token, throttled } = await issueAccountToken(db, userId, EMAIL_VERIFICATION, { email: newEmail });
+    if (throttled) {
+      return res.status(429).json({ error: 'A verification email was just sent. Please wait a minute before asking again.' });
+    }
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { pendingEmail: newEmail, updatedAt: new Date() } });
+    await sendVerificationEmail(mailer, user, newEmail, token);
+    console.log(`[API PUT /api/account/email] User: ${userId}. Sent a verification email to the new address.`);
+    res.status(202).json({ message: `Open the link sent to ${newEmail} to finish changing your email address.`, pendingEmail: newEmail });
+  } catch (err) {
+    console.error(`[API PUT /api/account/email] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to change email: ${err.message}` });
+  }
+});
+
+// DELETE /api/account - Deletes the account with its devices, readings, daily consumptions, notifications and
+// every other record of the user, including the household they own. Body: { password }
+app.delete('/api/account', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  console.log(`[API DELETE /api/account] User: ${userId}. Received request.`);
+  try {
+    const { status, error } = await verifyCurrentPassword(userId, req.body?.password);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const deleted = await deleteAccountData(db, userId, config.readingsCollection);
+    clearTimePreferencesCache(userId);
+    console.log(`[API DELETE /api/account] User: ${userId}. Account deleted: ${JSON.stringify(deleted)}`);
+    res.json({ success: true, deleted });
+  } catch (err) {
+    console.error(`[API DELETE /api/account] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to delete account: ${err.message}` });
+  }
+});
+
+// GET /api/account/sessions - The user's active sessions (signed-in devices); `current` marks this one
+app.get('/api/account/sessions', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    res.json(await listSessions(db, userId, req.user.sid));
+  } catch (err) {
+    console.error(`[API /api/account/sessions] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load sessions: ${err.message}` });
+  }
+});
+
+// DELETE /api/account/sessions/:sessionId - Signs out one device
+app.delete('/api/account/sessions/:sessionId', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  const { sessionId } = req.params;
+  try {
+    if (!ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID format' });
+    }
+    const revoked = await revokeSession(db, userId, sessionId, 'revoked_by_user');
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found or already ended' });
+    }
+    console.log(`[API DELETE /api/account/sessions] User: ${userId}. Revoked session ${sessionId}.`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[API DELETE /api/account/sessions] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to revoke session: ${err.message}` });
+  }
+});
+
+// --- Household API Endpoints ---
+
+// GET /api/households - The households the user belongs to, with their role; `active` is the one used by default
+app.get('/api/households', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    res.json(await listHouseholds(db, userId));
+  } catch (err) {
+    console.error(`[API /api/households] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load households: ${err.message}` });
+  }
+});
+
+// POST /api/households/:householdId/activate - Makes a household the default for the API and the WebSocket
+app.post('/api/households/:householdId/activate', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { household, role, status, error } = await resolveHousehold(db, userId, req.params.householdId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    await db.collection('users').updateOne({ _id: new ObjectId(userId) }, { $set: { activeHouseholdId: household._id } });
+    console.log(`[API /api/households/activate] User: ${userId}. Active household is now ${household._id} (${role}).`);
+    res.json({ success: true, household: await describeHousehold(db, household, role) });
+  } catch (err) {
+    console.error(`[API /api/households/activate] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to switch household: ${err.message}` });
+  }
+});
+
+// POST /api/households/join - Joins a household with an invitation code sent to the user's email address
+// Body: { code }
+app.post('/api/households/join', authenticateToken, async (req, res) => {
+  const userId = req.user.id;
+  console.log(`[API /api/households/join] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) }, { projection: { email: 1 } });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { household, role, status, error } = await acceptInvitation(db, user, req.body?.code);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    console.log(`[API /api/households/join] User: ${userId}. Joined household ${household._id} as ${role}.`);
+    const joined = await db.collection(HOUSEHOLDS_COLLECTION).findOne({ _id: household._id });
+    res.json({ success: true, household: await describeHousehold(db, joined, role) });
+  } catch (err) {
+    console.error(`[API /api/households/join] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to join household: ${err.message}` });
+  }
+});
+
+// GET /api/households/current - The household the request acts on, with its members (and pending invitations for admins)
+app.get('/api/households/current', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  try {
+    res.json(await describeHousehold(db, req.household.record, req.household.role));
+  } catch (err) {
+    console.error(`[API /api/households/current] User: ${req.user.id}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load household: ${err.message}` });
+  }
+});
+
+// PATCH /api/households/current - Renames the household. Body: { name }
+app.patch('/api/households/current', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  try {
+    const nameError = validateHouseholdName(req.body?.name);
+    if (nameError) {
+      return res.status(400).json({ error: nameError });
+    }
+    await db.collection(HOUSEHOLDS_COLLECTION).updateOne({ _id: req.household.record._id }, { $set: { name: req.body.name.trim(), updatedAt: new Date() } });
+    res.json({ success: true, name: req.body.name.trim() });
+  } catch (err) {
+    console.error(`[API PATCH /api/households/current] User: ${req.user.id}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update household: ${err.message}` });
+  }
+});
+
+// POST /api/households/current/invitations - Emails an invitation code. Body: { email, role: 'admin'|'member'|'viewer' }
+app.post('/api/households/current/invitations', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.user.id;
+  console.log(`[API /api/households/invitations] User: ${userId}. Inviting to household ${req.household.id}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    const { code, invitation, status, error } = await createInvitation(db, req.household.record, { userId, role: req.household.role }, req.body || {});
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    const inviter = await db.collection('users').findOne({ _id: new ObjectId(userId) }, { projection: { name: 1, email: 1 } });
+    await sendInvitationEmail(mailer, req.household.record, inviter || {}, invitation, code);
+    res.status(201).json({ id: invitation._id.toString(), email: invitation.email, role: invitation.role, expiresAt: invitation.expiresAt });
+  } catch (err) {
+    console.error(`[API /api/households/invitations] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to send invitation: ${err.message}` });
+  }
+});
+
+// DELETE /api/households/current/invitations/:invitationId - Withdraws a pending invitation
+app.delete('/api/households/current/invitations/:invitationId', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const { invitationId } = req.params;
+  try {
+    if (!ObjectId.isValid(invitationId)) {
+      return res.status(400).json({ error: 'Invalid invitation ID format' });
+    }
+    const result = await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).deleteOne({ _id: new ObjectId(invitationId), householdId: req.household.record._id, acceptedAt: null });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[API DELETE /api/households/invitations] User: ${req.user.id}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to withdraw invitation: ${err.message}` });
+  }
+});
+
+// PUT /api/households/current/members/:memberUserId - Changes a member's role. Body: { role: 'admin'|'member'|'viewer' }
+app.put('/api/households/current/members/:memberUserId', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const { memberUserId } = req.params;
+  try {
+    if (!ObjectId.isValid(memberUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+    const { status, error } = await setMemberRole(db, req.household.record, req.household.role, memberUserId, req.body?.role);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    console.log(`[API PUT /api/households/members] User: ${req.user.id}. Set role of ${memberUserId} in household ${req.household.id} to ${req.body.role}.`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[API PUT /api/households/members] User: ${req.user.id}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to change role: ${err.message}` });
+  }
+});
+
+// DELETE /api/households/current/members/:memberUserId - Removes a member (admins), or leaves the household (own id)
+app.delete('/api/households/current/members/:memberUserId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const { memberUserId } = req.params;
+  try {
+    if (!ObjectId.isValid(memberUserId)) {
+      return res.status(400).json({ error: 'Invalid user ID format' });
+    }
+    const { status, error } = await removeMember(db, req.household.record, { userId: req.user.id, role: req.household.role }, memberUserId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    console.log(`[API DELETE /api/households/members] User: ${req.user.id}. Removed ${memberUserId} from household ${req.household.id}.`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[API DELETE /api/households/members] User: ${req.user.id}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to remove member: ${err.message}` });
+  }
+});
+
+// --- Schedule API Endpoints ---
+
+// Helper to load a schedule owned by the user, or null if the id is invalid / not owned.
+async function findUserSchedule(scheduleId, userId) {
+  if (!ObjectId.isValid(scheduleId)) return null;
+  return db.collection(SCHEDULES_COLLECTION).findOne({ _id: new ObjectId(scheduleId), userId: new ObjectId(userId) });
+}
+
+// GET /api/schedules - All schedules of the user (optionally filtered by ?deviceId=)
+app.get('/api/schedules', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/schedules] User: ${userId}. Query: ${JSON.stringify(req.query)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const filter = { userId: new ObjectId(userId) };
+    if (req.query.deviceId) filter.deviceId = req.query.deviceId;
+    const schedules = await db.collection(SCHEDULES_COLLECTION).find(filter).sort({ nextRunAt: 1 }).toArray();
+    res.json(schedules);
+  } catch (err) {
+    console.error(`[API /api/schedules] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load schedules: ${err.message}` });
+  }
+});
+
+// GET /api/devices/:deviceIdParam/schedules
+app.get('/api/devices/:deviceIdParam/schedules', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const deviceId = req.params.deviceIdParam;
+  const userId = req.household.ownerId;
+  console.log(`[API /api/devices/${deviceId}/schedules] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const schedules = await db.collection(SCHEDULES_COLLECTION)
+      .find({ userId: new ObjectId(userId), deviceId })
+      .sort({ nextRunAt: 1 })
+      .toArray();
+    res.json(schedules);
+  } catch (err) {
+    console.error(`[API /api/devices/${deviceId}/schedules] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load schedules: ${err.message}` });
+  }
+});
+
+// POST /api/devices/:deviceIdParam/schedules
+// Body: { type: 'once'|'weekly'|'cron'|'solar', action: 'on'|'off', name?, enabled?,
+//         runAt | time + days | cron | event + offsetMinutes + days }
+app.post('/api/devices/:deviceIdParam/schedules', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const deviceId = req.params.deviceIdParam;
+  const userId = req.household.ownerId;
+  console.log(`[API POST /api/devices/${deviceId}/schedules] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) });
+    if (!device) {
+      return res.status(404).json({ error: 'Device not found or you do not have permission to schedule it.' });
+    }
+
+    const { schedule, error } = normalizeSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { timeZone } = await getUserTimePreferences(db, userId);
+    const nextRunAt = computeNextRunAt(schedule, new Date(), timeZone);
+    if (!nextRunAt) {
+      return res.status(400).json({ error: 'This schedule would never run (e.g. runAt is in the past).' });
+    }
+
+    const scheduleDoc = {
+      ...schedule,
+      userId: new ObjectId(userId),
+      deviceId,
+      nextRunAt: schedule.enabled ? nextRunAt : null,
+      lastRunAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const result = await db.collection(SCHEDULES_COLLECTION).insertOne(scheduleDoc);
+    console.log(`[API POST /api/devices/${deviceId}/schedules] User: ${userId}. Schedule ${result.insertedId} created. Next run: ${nextRunAt.toISOString()}`);
+    res.status(201).json({ ...scheduleDoc, _id: result.insertedId });
+  } catch (err) {
+    console.error(`[API POST /api/devices/${deviceId}/schedules] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to create schedule: ${err.message}` });
+  }
+});
+
+// PUT /api/schedules/:scheduleId - Replaces the schedule definition (same body as POST)
+app.put('/api/schedules/:scheduleId', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const scheduleId = req.params.scheduleId;
+  const userId = req.household.ownerId;
+  console.log(`[API PUT /api/schedules/${scheduleId}] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserSchedule(scheduleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Schedule not found or not owned by user.' });
+
+    const { schedule, error } = normalizeSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const { timeZone } = await getUserTimePreferences(db, userId);
+    const nextRunAt = computeNextRunAt(schedule, new Date(), timeZone);
+    if (!nextRunAt && schedule.enabled) {
+      return res.status(400).json({ error: 'This schedule would never run (e.g. runAt is in the past).' });
+    }
+
+    const update = { ...schedule, nextRunAt: schedule.enabled ? nextRunAt : null, updatedAt: new Date() };
+    // Clear fields belonging to a previous schedule type
+    const unset = {};
+    for (const field of ['runAt', 'time', 'days', 'cron', 'event', 'offsetMinutes']) {
+      if (!(field in schedule)) unset[field] = '';
+    }
+    await db.collection(SCHEDULES_COLLECTION).updateOne(
+      { _id: existing._id },
+      Object.keys(unset).length > 0 ? { $set: update, $unset: unset } : { $set: update }
+    );
+    res.json({ success: true, schedule: { ...existing, ...update } });
+  } catch (err) {
+    console.error(`[API PUT /api/schedules/${scheduleId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update schedule: ${err.message}` });
+  }
+});
+
+// PATCH /api/schedules/:scheduleId/enabled - Body: { enabled: boolean }
+app.patch('/api/schedules/:scheduleId/enabled', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const scheduleId = req.params.scheduleId;
+  const userId = req.household.ownerId;
+  const { enabled } = req.body;
+  console.log(`[API PATCH /api/schedules/${scheduleId}/enabled] User: ${userId}. Enabled: ${enabled}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (boolean) is required in request body' });
+    }
+    const existing = await findUserSchedule(scheduleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Schedule not found or not owned by user.' });
+
+    // Re-enabling computes the next occurrence from now, so runs missed while disabled are not fired.
+    const { timeZone } = await getUserTimePreferences(db, userId);
+    const nextRunAt = enabled ? computeNextRunAt(existing, new Date(), timeZone) : null;
+    if (enabled && !nextRunAt) {
+      return res.status(400).json({ error: 'This schedule has no future occurrences and cannot be enabled.' });
+    }
+    await db.collection(SCHEDULES_COLLECTION).updateOne(
+      { _id: existing._id },
+      { $set: { enabled, nextRunAt, updatedAt: new Date() } }
+    );
+    res.json({ success: true, enabled, nextRunAt });
+  } catch (err) {
+    console.error(`[API PATCH /api/schedules/${scheduleId}/enabled] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update schedule: ${err.message}` });
+  }
+});
+
+// DELETE /api/schedules/:scheduleId
+app.delete('/api/schedules/:scheduleId', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const scheduleId = req.params.scheduleId;
+  const userId = req.household.ownerId;
+  console.log(`[API DELETE /api/schedules/${scheduleId}] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserSchedule(scheduleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Schedule not found or not owned by user.' });
+    await db.collection(SCHEDULES_COLLECTION).deleteOne({ _id: existing._id });
+    res.json({ success: true, message: `Schedule ${scheduleId} deleted.` });
+  } catch (err) {
+    console.error(`[API DELETE /api/schedules/${scheduleId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to delete schedule: ${err.message}` });
+  }
+});
+
+// GET /api/schedules/:scheduleId/runs?limit= - Run history of a schedule, newest first
+app.get('/api/schedules/:scheduleId/runs', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const scheduleId = req.params.scheduleId;
+  const userId = req.household.ownerId;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserSchedule(scheduleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Schedule not found or not owned by user.' });
+    const runs = await getScheduleRuns(db, existing._id, limit);
+    res.json(runs);
+  } catch (err) {
+    console.error(`[API /api/schedules/${scheduleId}/runs] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load schedule runs: ${err.message}` });
+  }
+});
+
+// --- Automation Rule API Endpoints ---
+
+// Helper to load an automation rule owned by the user, or null if the id is invalid / not owned.
+async function findUserRule(ruleId, userId) {
+  if (!ObjectId.isValid(ruleId)) return null;
+  return db.collection(AUTOMATION_RULES_COLLECTION).findOne({ _id: new ObjectId(ruleId), userId: new ObjectId(userId) });
+}
+
+// Returns the device ids referenced by a rule that the user does not own (empty if all are owned).
+async function findUnownedRuleDevices(rule, userId) {
+  const deviceIds = getRuleDeviceIds(rule);
+  if (deviceIds.length === 0) return [];
+  const ownedDevices = await db.collection('devices')
+    .find({ id: { $in: deviceIds }, userId: new ObjectId(userId) }, { projection: { id: 1, _id: 0 } })
+    .toArray();
+  const ownedIds = new Set(ownedDevices.map(d => d.id));
+  return deviceIds.filter(id => !ownedIds.has(id));
+}
+
+// GET /api/automations - All automation rules of the user
+app.get('/api/automations', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/automations] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const rules = await db.collection(AUTOMATION_RULES_COLLECTION).find({ userId: new ObjectId(userId) }).sort({ createdAt: 1 }).toArray();
+    res.json(rules);
+  } catch (err) {
+    console.error(`[API /api/automations] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load automation rules: ${err.message}` });
+  }
+});
+
+// GET /api/automations/:ruleId
+app.get('/api/automations/:ruleId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const ruleId = req.params.ruleId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const rule = await findUserRule(ruleId, userId);
+    if (!rule) return res.status(404).json({ error: 'Automation rule not found or not owned by user.' });
+    res.json(rule);
+  } catch (err) {
+    console.error(`[API /api/automations/${ruleId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load automation rule: ${err.message}` });
+  }
+});
+
+// POST /api/automations
+// Body: { name, enabled?, trigger: { type, deviceId?, thresholdW?, forMinutes?, thresholdWh? },
+//         timeWindow?: { start, end, days? }, actions: [{ type, deviceId?, message?, severity?, url? }], cooldownMinutes? }
+app.post('/api/automations', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API POST /api/automations] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { rule, error } = normalizeRule(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const unownedDevices = await findUnownedRuleDevices(rule, userId);
+    if (unownedDevices.length > 0) {
+      return res.status(404).json({ error: `Device(s) not found or not owned by user: ${unownedDevices.join(', ')}` });
+    }
+
+    const ruleDoc = { ...rule, userId: new ObjectId(userId), state: {}, createdAt: new Date(), updatedAt: new Date() };
+    const result = await db.collection(AUTOMATION_RULES_COLLECTION).insertOne(ruleDoc);
+    console.log(`[API POST /api/automations] User: ${userId}. Rule ${result.insertedId} created.`);
+    res.status(201).json({ ...ruleDoc, _id: result.insertedId });
+  } catch (err) {
+    console.error(`[API POST /api/automations] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to create automation rule: ${err.message}` });
+  }
+});
+
+// PUT /api/automations/:ruleId - Replaces the rule definition (same body as POST). Resets its trigger state.
+app.put('/api/automations/:ruleId', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const ruleId = req.params.ruleId;
+  console.log(`[API PUT /api/automations/${ruleId}] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserRule(ruleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Automation rule not found or not owned by user.' });
+
+    const { rule, error } = normalizeRule(req.body);
+    if (error) return res.status(400).json({ error });
+    const unownedDevices = await findUnownedRuleDevices(rule, userId);
+    if (unownedDevices.length > 0) {
+      return res.status(404).json({ error: `Device(s) not found or not owned by user: ${unownedDevices.join(', ')}` });
+    }
+
+    const update = { ...rule, state: {}, updatedAt: new Date() };
+    await db.collection(AUTOMATION_RULES_COLLECTION).updateOne({ _id: existing._id }, { $set: update });
+    res.json({ success: true, rule: { ...existing, ...update } });
+  } catch (err) {
+    console.error(`[API PUT /api/automations/${ruleId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update automation rule: ${err.message}` });
+  }
+});
+
+// PATCH /api/automations/:ruleId/enabled - Body: { enabled: boolean }
+app.patch('/api/automations/:ruleId/enabled', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const ruleId = req.params.ruleId;
+  const { enabled } = req.body;
+  console.log(`[API PATCH /api/automations/${ruleId}/enabled] User: ${userId}. Enabled: ${enabled}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled (boolean) is required in request body' });
+    }
+    const existing = await findUserRule(ruleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Automation rule not found or not owned by user.' });
+    // Duration state is reset so a re-enabled rule starts counting afresh.
+    await db.collection(AUTOMATION_RULES_COLLECTION).updateOne(
+      { _id: existing._id },
+      { $set: { enabled, 'state.conditionSince': null, 'state.firedForEpisode': false, updatedAt: new Date() } }
+    );
+    res.json({ success: true, enabled });
+  } catch (err) {
+    console.error(`[API PATCH /api/automations/${ruleId}/enabled] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update automation rule: ${err.message}` });
+  }
+});
+
+// DELETE /api/automations/:ruleId
+app.delete('/api/automations/:ruleId', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const ruleId = req.params.ruleId;
+  console.log(`[API DELETE /api/automations/${ruleId}] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserRule(ruleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Automation rule not found or not owned by user.' });
+    await db.collection(AUTOMATION_RULES_COLLECTION).deleteOne({ _id: existing._id });
+    res.json({ success: true, message: `Automation rule ${ruleId} deleted.` });
+  } catch (err) {
+    console.error(`[API DELETE /api/automations/${ruleId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to delete automation rule: ${err.message}` });
+  }
+});
+
+// GET /api/automations/:ruleId/executions?limit=&page= - Execution log of a rule, newest first
+app.get('/api/automations/:ruleId/executions', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const ruleId = req.params.ruleId;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+  const page = parseInt(req.query.page) || 1;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserRule(ruleId, userId);
+    if (!existing) return res.status(404).json({ error: 'Automation rule not found or not owned by user.' });
+    const executions = await db.collection(AUTOMATION_EXECUTIONS_COLLECTION)
+      .find({ ruleId: existing._id })
+      .sort({ triggeredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const totalCount = await db.collection(AUTOMATION_EXECUTIONS_COLLECTION).countDocuments({ ruleId: existing._id });
+    res.json({ executions, totalPages: Math.ceil(totalCount / limit), currentPage: page, totalCount });
+  } catch (err) {
+    console.error(`[API /api/automations/${ruleId}/executions] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load automation executions: ${err.message}` });
+  }
+});
+
+// --- Tariff API Endpoints ---
+
+// GET /api/tariff - Returns the user's tariff profile (or the default flat tariff if none is configured)
+app.get('/api/tariff', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/tariff] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const tariffProfile = await getTariffProfile(db, userId);
+    res.json(tariffProfile);
+  } catch (err) {
+    console.error(`[API /api/tariff] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load tariff: ${err.message}` });
+  }
+});
+
+// PUT /api/tariff - Creates or replaces the user's tariff profile
+// Body: { type: 'flat'|'time_of_use'|'tiered', currency, fixedDailyCharge, flatRate | defaultRate + bands | tiers }
+app.put('/api/tariff', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API PUT /api/tariff] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { profile, error } = normalizeTariffProfile(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-// --- Notification API Endpoints ---
+    await db.collection(TARIFF_PROFILES_COLLECTION).replaceOne(
+      { userId: new ObjectId(userId) },
+      { ...profile, userId: new ObjectId(userId), updatedAt: new Date() },
+      { upsert: true }
+    );
+    console.log(`[API PUT /api/tariff] User: ${userId}. Tariff profile saved (type: ${profile.type}).`);
+    res.json({ success: true, tariff: profile });
+  } catch (err) {
+    console.error(`[API PUT /api/tariff] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to save tariff: ${err.message}` });
+  }
+});
 
-// GET /api/notifications - Fetches notifications for the user
-app.get('/api/notifications', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  const limit = parseInt(req.query.limit) || 20;
-  const page = parseInt(req.query.page) || 1;
-  const skip = (page - 1) * limit;
+// DELETE /api/tariff - Removes the user's tariff profile (falls back to the default tariff)
+app.delete('/api/tariff', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API DELETE /api/tariff] User: ${userId}. Received request.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const result = await db.collection(TARIFF_PROFILES_COLLECTION).deleteOne({ userId: new ObjectId(userId) });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'No tariff profile configured for this user.' });
+    }
+    res.json({ success: true, message: 'Tariff profile deleted. The default tariff will be used.' });
+  } catch (err) {
+    console.error(`[API DELETE /api/tariff] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to delete tariff: ${err.message}` });
+  }
+});
 
+// --- Budget API Endpoints ---
+
+// GET /api/budgets - Month-to-date progress, end-of-month projection and days remaining for every budget
+// (the system-wide target, if set, and each device with a monthlyTargetWh)
+app.get('/api/budgets', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API /api/budgets] User: ${userId}. Received request.`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
-    const notifications = await db.collection(NOTIFICATIONS_COLLECTION)
-      .find({ userId: new ObjectId(userId) })
-      .sort({ timestamp: -1 })
-      .skip(skip)
+    const overview = await getBudgetOverview(db, userId);
+    res.json(overview);
+  } catch (err) {
+    console.error(`[API /api/budgets] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load budgets: ${err.message}` });
+  }
+});
+
+// GET /api/budgets/settings - System-wide target and alert thresholds
+app.get('/api/budgets/settings', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    res.json(await getBudgetSettings(db, userId));
+  } catch (err) {
+    console.error(`[API /api/budgets/settings] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load budget settings: ${err.message}` });
+  }
+});
+
+// PUT /api/budgets/settings - Updates budget settings (only the fields provided)
+// Body: { systemMonthlyTargetWh?: number|null, thresholdsPercent?: number[], notifyProjectedOverrun?: boolean, projectionWindowDays?: number }
+app.put('/api/budgets/settings', authenticateToken, requireHouseholdRole('admin'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API PUT /api/budgets/settings] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await getBudgetSettings(db, userId);
+    const { settings, error } = normalizeBudgetSettings(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.collection(BUDGET_SETTINGS_COLLECTION).updateOne(
+      { userId: new ObjectId(userId) },
+      { $set: { ...settings, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    res.json({ success: true, settings });
+  } catch (err) {
+    console.error(`[API PUT /api/budgets/settings] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to save budget settings: ${err.message}` });
+  }
+});
+
+// --- Anomaly API Endpoints ---
+
+// GET /api/anomalies?deviceId=<id>&kind=<kind>&limit=<n> - Recently detected anomalies, newest first
+app.get('/api/anomalies', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const { deviceId, kind } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    if (kind && !ANOMALY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${ANOMALY_KINDS.join(', ')}` });
+    }
+    const query = { userId: new ObjectId(userId) };
+    if (deviceId) query.deviceId = deviceId;
+    if (kind) query.kind = kind;
+    const anomalies = await db.collection(DEVICE_ANOMALIES_COLLECTION)
+      .find(query)
+      .sort({ detectedAt: -1 })
       .limit(limit)
       .toArray();
-    
-    const totalNotifications = await db.collection(NOTIFICATIONS_COLLECTION).countDocuments({ userId: new ObjectId(userId) });
-    
-    res.json({
-      notifications,
-      totalPages: Math.ceil(totalNotifications / limit),
-      currentPage: page,
-      totalCount: totalNotifications
-    });
+    res.json(anomalies);
   } catch (err) {
-    console.error(`[API /api/notifications] User: ${userId}. Error: ${err.message}`, err.stack);
-    res.status(500).json({ error: `Failed to load notifications: ${err.message}` });
+    console.error(`[API /api/anomalies] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load anomalies: ${err.message}` });
   }
 });
 
-// POST /api/notifications/:notificationId/mark-read
-app.post('/api/notifications/:notificationId/mark-read', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
-  const notificationId = req.params.notificationId;
+// GET /api/devices/:deviceIdParam/baseline - The learned baseline (typical power by hour of week, on-duration, standby)
+app.get('/api/devices/:deviceIdParam/baseline', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const deviceId = req.params.deviceIdParam;
+  const userId = req.household.ownerId;
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
-    const result = await db.collection(NOTIFICATIONS_COLLECTION).updateOne(
-      { _id: new ObjectId(notificationId), userId: new ObjectId(userId) },
-      { $set: { isRead: true } }
-    );
-    if (result.matchedCount === 0) return res.status(404).json({ error: 'Notification not found or not owned by user.' });
-    res.json({ success: true, message: 'Notification marked as read.' });
+    const baseline = await getDeviceBaseline(db, deviceId, userId);
+    if (!baseline) {
+      return res.status(404).json({ error: `No baseline learned yet for device '${deviceId}'.` });
+    }
+    res.json(baseline);
   } catch (err) {
-    console.error(`[API /api/notifications/mark-read] User: ${userId}, NotifID: ${notificationId}. Error: ${err.message}`, err.stack);
-    res.status(500).json({ error: `Failed to mark notification as read: ${err.message}` });
+    console.error(`[API /api/devices/${deviceId}/baseline] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load baseline: ${err.message}` });
   }
 });
 
@@ -709,8 +2204,8 @@ app.post('/api/notifications/:notificationId/mark-read', authenticateToken, asyn
 
 // GET /api/statistics/device-breakdown?period=<today|current_week|current_month>
 // Fetches energy consumption breakdown by device for a given period.
-app.get('/api/statistics/device-breakdown', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+app.get('/api/statistics/device-breakdown', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
   const period = req.query.period || 'today'; // Default to today
   console.log(`[API /api/statistics/device-breakdown] User: ${userId}, Period: ${period}`);
 
@@ -723,29 +2218,27 @@ app.get('/api/statistics/device-breakdown', authenticateToken, async (req, res)
     }
 
     const breakdown = [];
-    const today = new Date();
-    let dateStringsForPeriod = [];
-
-    if (period === 'today') {
-      dateStringsForPeriod.push(getCurrentDateString(today));
-    } else if (period === 'current_week') {
-      dateStringsForPeriod = getDatesForCurrentWeek(today);
-    } else if (period === 'current_month') {
-      dateStringsForPeriod = getDatesForCurrentMonth(today);
-    } else {
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const dateStringsForPeriod = getDatesForPeriod(period, new Date(), timePreferences);
+    if (!dateStringsForPeriod) {
       return res.status(400).json({ error: 'Invalid period specified. Use today, current_week, or current_month.' });
     }
 
+    const tariffProfile = await getTariffProfile(db, userId);
     for (const device of userDevices) {
       let deviceTotalConsumptionWh = 0;
       for (const dateStr of dateStringsForPeriod) {
         deviceTotalConsumptionWh += await getDeviceDailyConsumption(device.id, userId, dateStr);
       }
       if (deviceTotalConsumptionWh > 0) { // Only include devices with consumption
+        const deviceTotalCost = await getCostForDates(userId, device.id, dateStringsForPeriod, tariffProfile);
         breakdown.push({
           deviceId: device.id,
           deviceName: device.name,
-          consumedWh: parseFloat(deviceTotalConsumptionWh.toFixed(3))
+          category: device.category || null,
+          consumedWh: parseFloat(deviceTotalConsumptionWh.toFixed(3)),
+          cost: roundCost(deviceTotalCost),
+          currency: tariffProfile.currency
         });
       }
     }
@@ -762,41 +2255,21 @@ app.get('/api/statistics/device-breakdown', authenticateToken, async (req, res)
 
 // GET /api/statistics/consumption-comparison
 // Fetches consumption for current period vs previous period (day, week, month)
-app.get('/api/statistics/consumption-comparison', authenticateToken, async (req, res) => {
-  const userId = req.user.id;
+app.get('/api/statistics/consumption-comparison', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
   console.log(`[API /api/statistics/consumption-comparison] User: ${userId}`);
   try {
     if (!db) return res.status(500).json({ error: 'Database not initialized' });
 
-    const today = new Date();
-    const yesterday = new Date(today); yesterday.setDate(today.getDate() - 1);
-    const startOfThisWeek = new Date(today); startOfThisWeek.setDate(today.getDate() - today.getDay());
-    const startOfLastWeek = new Date(startOfThisWeek); startOfLastWeek.setDate(startOfThisWeek.getDate() - 7);
-    const startOfThisMonth = new Date(today.getFullYear(), today.getMonth(), 1);
-    const startOfLastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
-
+    const timePreferences = await getUserTimePreferences(db, userId);
     const comparisons = {};
-
-    // Daily
-    comparisons.daily = {
-      current: await getSystemDailyConsumptionForDate(userId, getCurrentDateString(today)),
-      previous: await getSystemDailyConsumptionForDate(userId, getCurrentDateString(yesterday))
-    };
-
-    // Weekly
-    let thisWeekTotal = 0;
-    for (const dateStr of getDatesForCurrentWeek(today)) { thisWeekTotal += await getSystemDailyConsumptionForDate(userId, dateStr); }
-    let lastWeekTotal = 0;
-    for (const dateStr of getDatesForCurrentWeek(new Date(startOfLastWeek.setDate(startOfLastWeek.getDate() + 6)))) { lastWeekTotal += await getSystemDailyConsumptionForDate(userId, dateStr); } // end of last week
-    comparisons.weekly = { current: thisWeekTotal, previous: lastWeekTotal };
-
-    // Monthly
-    let thisMonthTotal = 0;
-    for (const dateStr of getDatesForCurrentMonth(today)) { thisMonthTotal += await getSystemDailyConsumptionForDate(userId, dateStr); }
-    let lastMonthTotal = 0;
-    const endOfLastMonth = new Date(startOfThisMonth.getFullYear(), startOfThisMonth.getMonth(), 0); // Last day of previous month
-    for (const dateStr of getDatesForCurrentMonth(endOfLastMonth)) { lastMonthTotal += await getSystemDailyConsumptionForDate(userId, dateStr); }
-    comparisons.monthly = { current: thisMonthTotal, previous: lastMonthTotal };
+    for (const [period, { current, previous }] of Object.entries(getComparisonPeriods(new Date(), timePreferences))) {
+      let currentTotal = 0;
+      for (const dateStr of current) { currentTotal += await getSystemDailyConsumptionForDate(db, userId, dateStr); }
+      let previousTotal = 0;
+      for (const dateStr of previous) { previousTotal += await getSystemDailyConsumptionForDate(db, userId, dateStr); }
+      comparisons[period] = { current: currentTotal, previous: previousTotal };
+    }
 
     res.json(comparisons);
   } catch (err) {
@@ -805,45 +2278,433 @@ app.get('/api/statistics/consumption-comparison', authenticateToken, async (req,
   }
 });
 
-// --- Date Helper Functions ---
-function getCurrentDateString(date = new Date()) {
-  const year = date.getFullYear();
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  return `${year}-${month}-${day}`;
+// --- Device Group Endpoints ---
+// Rooms and groups of devices (services/deviceGroups.js); their statistics mirror the per-device ones.
+
+// Loads the group of the request (with its member devices) or answers 404. Returns null if it answered.
+async function loadRequestGroup(req, res, userId) {
+  const group = await findUserGroup(db, req.params.groupId, userId);
+  if (!group) {
+    res.status(404).json({ error: 'Group not found' });
+    return null;
+  }
+  const devices = await db.collection('devices')
+    .find({ userId: new ObjectId(userId), id: { $in: group.deviceIds } }, { projection: { id: 1, name: 1, status: 1 } })
+    .toArray();
+  return { group, devices };
 }
 
-function getDatesForCurrentWeek(currentDate = new Date()) {
-    const dates = [];
-    const dayOfWeek = currentDate.getDay(); // Sunday - 0, Monday - 1, ..., Saturday - 6
-    const startOfWeek = new Date(currentDate);
-    startOfWeek.setDate(currentDate.getDate() - dayOfWeek); // Adjust to start of week (Sunday)
-    startOfWeek.setHours(0,0,0,0);
-
-    for (let i = 0; i < 7; i++) {
-        const dateInWeek = new Date(startOfWeek);
-        dateInWeek.setDate(startOfWeek.getDate() + i);
-        if (dateInWeek <= currentDate) {
-            dates.push(getCurrentDateString(dateInWeek));
-        }
+// GET /api/groups?type=<room|group> - The user's rooms and groups
+app.get('/api/groups', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const filter = { userId: new ObjectId(userId) };
+    if (req.query.type !== undefined) {
+      if (!GROUP_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ error: `type must be one of: ${GROUP_TYPES.join(', ')}` });
+      }
+      filter.type = req.query.type;
     }
-    return dates;
-}
+    const groups = await db.collection(DEVICE_GROUPS_COLLECTION).find(filter).sort({ type: -1, name: 1 }).toArray();
+    res.json(groups.map(describeGroup));
+  } catch (err) {
+    console.error(`[API /api/groups] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load groups: ${err.message}` });
+  }
+});
 
-function getDatesForCurrentMonth(currentDate = new Date()) {
-    const dates = [];
-    const daysInMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0).getDate();
-    for (let i = 1; i <= Math.min(daysInMonth, currentDate.getDate()) ; i++) {
-        dates.push(getCurrentDateString(new Date(currentDate.getFullYear(), currentDate.getMonth(), i)));
+// POST /api/groups - Creates a room or group. Body: { name, type?: 'room'|'group' (default 'group'), deviceIds?: [] }
+app.post('/api/groups', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API POST /api/groups] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const { group, error } = normalizeGroup(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
     }
-    return dates;
-}
+    const saved = await saveGroup(db, userId, group);
+    if (saved.error) {
+      return res.status(saved.status).json({ error: saved.error });
+    }
+    res.status(201).json(describeGroup(saved.group));
+  } catch (err) {
+    console.error(`[API POST /api/groups] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to create group: ${err.message}` });
+  }
+});
+
+// GET /api/groups/:groupId - A group with its member devices
+app.get('/api/groups/:groupId', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const loaded = await loadRequestGroup(req, res, userId);
+    if (!loaded) return;
+    res.json({
+      ...describeGroup(loaded.group),
+      devices: loaded.devices.map(d => ({ id: d.id, name: d.name, status: d.status === true }))
+    });
+  } catch (err) {
+    console.error(`[API /api/groups/${req.params.groupId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load group: ${err.message}` });
+  }
+});
+
+// PUT /api/groups/:groupId - Renames a group, changes its type or replaces its devices (partial updates allowed)
+app.put('/api/groups/:groupId', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  console.log(`[API PUT /api/groups/${req.params.groupId}] User: ${userId}. Body: ${describeRequestBody(req.body)}`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserGroup(db, req.params.groupId, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const { group, error } = normalizeGroup(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const saved = await saveGroup(db, userId, group, existing._id);
+    if (saved.error) {
+      return res.status(saved.status).json({ error: saved.error });
+    }
+    res.json(describeGroup(saved.group));
+  } catch (err) {
+    console.error(`[API PUT /api/groups/${req.params.groupId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to update group: ${err.message}` });
+  }
+});
+
+// DELETE /api/groups/:groupId - Deletes a group (its devices are not affected)
+app.delete('/api/groups/:groupId', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const existing = await findUserGroup(db, req.params.groupId, userId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    await db.collection(DEVICE_GROUPS_COLLECTION).deleteOne({ _id: existing._id });
+    console.log(`[API DELETE /api/groups/${req.params.groupId}] User: ${userId}. Group deleted.`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(`[API DELETE /api/groups/${req.params.groupId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to delete group: ${err.message}` });
+  }
+});
+
+// GET /api/groups/:groupId/stats - Current power and today / yesterday / this month for the group's devices
+// (the group counterpart of /api/devices/:deviceIdParam/stats)
+app.get('/api/groups/:groupId/stats', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const loaded = await loadRequestGroup(req, res, userId);
+    if (!loaded) return;
+    const deviceIds = loaded.devices.map(d => d.id);
+
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const todayString = getCurrentDateString(new Date(), timePreferences);
+    const yesterdayString = addDaysToDateString(todayString, -1);
+    const monthDates = getDatesForCurrentMonth(new Date(), timePreferences);
+    const tariffProfile = await getTariffProfile(db, userId);
+    const energy = await getGroupEnergy(db, userId, deviceIds, [...new Set([...monthDates, yesterdayString])], tariffProfile);
+    const today = energy.byDate.get(todayString) || { energyWh: 0, cost: 0 };
+    const yesterday = energy.byDate.get(yesterdayString) || { energyWh: 0, cost: 0 };
+    const thisMonth = monthDates.reduce((sum, dateStr) => {
+      const day = energy.byDate.get(dateStr);
+      return day ? { energyWh: sum.energyWh + day.energyWh, cost: sum.cost + day.cost } : sum;
+    }, { energyWh: 0, cost: 0 });
+    const { powerW, devicesOn } = await getGroupCurrentPower(db, config.readingsCollection, userId, loaded.devices);
+
+    res.json({
+      deviceCount: deviceIds.length,
+      devicesOn,
+      power: parseFloat(powerW.toFixed(3)), // Current power of the group's devices that are on, in W
+      todayConsumed: parseFloat(today.energyWh.toFixed(3)),
+      yesterdayConsumed: parseFloat(yesterday.energyWh.toFixed(3)),
+      thisMonthConsumed: parseFloat(thisMonth.energyWh.toFixed(3)),
+      todayCost: roundCost(today.cost),
+      yesterdayCost: roundCost(yesterday.cost),
+      thisMonthCost: roundCost(thisMonth.cost),
+      currency: tariffProfile.currency
+    });
+  } catch (err) {
+    console.error(`[API /api/groups/${req.params.groupId}/stats] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/groups/:groupId/daily-history?days=7 - Daily energy and cost of the group's devices
+app.get('/api/groups/:groupId/daily-history', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 366);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const loaded = await loadRequestGroup(req, res, userId);
+    if (!loaded) return;
+
+    const tariffProfile = await getTariffProfile(db, userId);
+    const todayString = getCurrentDateString(new Date(), await getUserTimePreferences(db, userId));
+    const dateStrings = [];
+    for (let i = days - 1; i >= 0; i--) dateStrings.push(addDaysToDateString(todayString, -i)); // Oldest first
+    const energy = await getGroupEnergy(db, userId, loaded.devices.map(d => d.id), dateStrings, tariffProfile);
+
+    res.json(dateStrings.map(dateStr => {
+      const day = energy.byDate.get(dateStr) || { energyWh: 0, cost: 0 };
+      return {
+        date: dateStr,
+        consumed: parseFloat(Math.max(0, day.energyWh).toFixed(3)), // Energy in Wh
+        cost: roundCost(day.cost),
+        currency: tariffProfile.currency
+      };
+    }));
+  } catch (err) {
+    console.error(`[API /api/groups/${req.params.groupId}/daily-history] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET /api/groups/:groupId/breakdown?period=<today|current_week|current_month> - Consumption per device of the group
+app.get('/api/groups/:groupId/breakdown', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const loaded = await loadRequestGroup(req, res, userId);
+    if (!loaded) return;
+    const dateStrings = getDatesForPeriod(req.query.period || 'today', new Date(), await getUserTimePreferences(db, userId));
+    if (!dateStrings) {
+      return res.status(400).json({ error: 'Invalid period specified. Use today, current_week, or current_month.' });
+    }
+
+    const tariffProfile = await getTariffProfile(db, userId);
+    const energy = await getGroupEnergy(db, userId, loaded.devices.map(d => d.id), dateStrings, tariffProfile);
+    const breakdown = loaded.devices
+      .filter(device => energy.byDevice.get(device.id)?.energyWh > 0) // Only include devices with consumption
+      .map(device => ({
+        deviceId: device.id,
+        deviceName: device.name,
+        consumedWh: parseFloat(energy.byDevice.get(device.id).energyWh.toFixed(3)),
+        cost: roundCost(energy.byDevice.get(device.id).cost),
+        currency: tariffProfile.currency
+      }))
+      .sort((a, b) => b.consumedWh - a.consumedWh);
+    res.json(breakdown);
+  } catch (err) {
+    console.error(`[API /api/groups/${req.params.groupId}/breakdown] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load group breakdown: ${err.message}` });
+  }
+});
+
+// GET /api/groups/:groupId/comparison - The group's consumption this day/week/month vs the previous one
+app.get('/api/groups/:groupId/comparison', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const loaded = await loadRequestGroup(req, res, userId);
+    if (!loaded) return;
+
+    const deviceIds = loaded.devices.map(d => d.id);
+    const tariffProfile = await getTariffProfile(db, userId);
+    const comparisons = {};
+    for (const [period, { current, previous }] of Object.entries(getComparisonPeriods(new Date(), await getUserTimePreferences(db, userId)))) {
+      comparisons[period] = {
+        current: (await getGroupEnergy(db, userId, deviceIds, current, tariffProfile)).energyWh,
+        previous: (await getGroupEnergy(db, userId, deviceIds, previous, tariffProfile)).energyWh
+      };
+    }
+    res.json(comparisons);
+  } catch (err) {
+    console.error(`[API /api/groups/${req.params.groupId}/comparison] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load group comparison: ${err.message}` });
+  }
+});
+
+// GET /api/statistics/group-breakdown?period=<today|current_week|current_month>&type=<room|group>
+// Consumption per room or group (default: rooms). For rooms, devices in no room are summed up as 'Unassigned'.
+app.get('/api/statistics/group-breakdown', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const period = req.query.period || 'today';
+  const type = req.query.type || 'room';
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    if (!GROUP_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${GROUP_TYPES.join(', ')}` });
+    }
+    const dateStrings = getDatesForPeriod(period, new Date(), await getUserTimePreferences(db, userId));
+    if (!dateStrings) {
+      return res.status(400).json({ error: 'Invalid period specified. Use today, current_week, or current_month.' });
+    }
+
+    const userDevices = await db.collection('devices').find({ userId: new ObjectId(userId) }, { projection: { id: 1 } }).toArray();
+    const groups = await db.collection(DEVICE_GROUPS_COLLECTION).find({ userId: new ObjectId(userId), type }).toArray();
+    const tariffProfile = await getTariffProfile(db, userId);
+    const energy = await getGroupEnergy(db, userId, userDevices.map(d => d.id), dateStrings, tariffProfile);
+    const sumDevices = (deviceIds) => deviceIds.reduce((sum, deviceId) => {
+      const device = energy.byDevice.get(deviceId);
+      return device ? { energyWh: sum.energyWh + device.energyWh, cost: sum.cost + device.cost } : sum;
+    }, { energyWh: 0, cost: 0 });
+
+    const entries = groups.map(group => ({ groupId: group._id.toString(), groupName: group.name, deviceIds: group.deviceIds }));
+    if (type === 'room') {
+      const inRooms = new Set(groups.flatMap(group => group.deviceIds));
+      entries.push({ groupId: null, groupName: 'Unassigned', deviceIds: userDevices.map(d => d.id).filter(id => !inRooms.has(id)) });
+    }
+    const breakdown = entries
+      .map(({ groupId, groupName, deviceIds }) => {
+        const total = sumDevices(deviceIds);
+        return {
+          groupId,
+          groupName,
+          type,
+          deviceCount: deviceIds.length,
+          consumedWh: parseFloat(total.energyWh.toFixed(3)),
+          cost: roundCost(total.cost),
+          currency: tariffProfile.currency
+        };
+      })
+      .filter(entry => entry.consumedWh > 0) // Only include groups with consumption
+      .sort((a, b) => b.consumedWh - a.consumedWh);
+    res.json(breakdown);
+  } catch (err) {
+    console.error(`[API /api/statistics/group-breakdown] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load group breakdown: ${err.message}` });
+  }
+});
+
+// GET /api/statistics/category-breakdown?period=<today|current_week|current_month>
+// Consumption per device category (see services/deviceMetadata.js); devices without one are summed up as 'uncategorized'.
+app.get('/api/statistics/category-breakdown', authenticateToken, requireHouseholdRole('viewer'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const period = req.query.period || 'today';
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    const dateStrings = getDatesForPeriod(period, new Date(), await getUserTimePreferences(db, userId));
+    if (!dateStrings) {
+      return res.status(400).json({ error: 'Invalid period specified. Use today, current_week, or current_month.' });
+    }
+
+    const userDevices = await db.collection('devices').find({ userId: new ObjectId(userId) }, { projection: { id: 1, category: 1 } }).toArray();
+    const tariffProfile = await getTariffProfile(db, userId);
+    const energy = await getGroupEnergy(db, userId, userDevices.map(d => d.id), dateStrings, tariffProfile);
+    const byCategory = new Map();
+    for (const device of userDevices) {
+      const category = device.category || 'uncategorized';
+      const entry = byCategory.get(category) || { category, deviceCount: 0, energyWh: 0, cost: 0 };
+      const deviceEnergy = energy.byDevice.get(device.id);
+      entry.deviceCount += 1;
+      entry.energyWh += deviceEnergy?.energyWh || 0;
+      entry.cost += deviceEnergy?.cost || 0;
+      byCategory.set(category, entry);
+    }
+    const breakdown = [...byCategory.values()]
+      .map(({ category, deviceCount, energyWh, cost }) => ({
+        category,
+        deviceCount,
+        consumedWh: parseFloat(energyWh.toFixed(3)),
+        share: energy.energyWh > 0 ? parseFloat((energyWh / energy.energyWh).toFixed(4)) : 0,
+        cost: roundCost(cost),
+        currency: tariffProfile.currency
+      }))
+      .filter(entry => entry.consumedWh > 0) // Only include categories with consumption
+      .sort((a, b) => b.consumedWh - a.consumedWh);
+    res.json(breakdown);
+  } catch (err) {
+    console.error(`[API /api/statistics/category-breakdown] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to load category breakdown: ${err.message}` });
+  }
+});
+
+// GET /api/device-categories - Categories a device can be given
+app.get('/api/device-categories', authenticateToken, (req, res) => {
+  res.json(DEVICE_CATEGORIES);
+});
+
+// POST /api/groups/:groupId/toggle - Switches every device of the group. Body: { turnOn: boolean }
+// Responds with the result per device; 500 only if no device could be switched.
+app.post('/api/groups/:groupId/toggle', authenticateToken, requireHouseholdRole('member'), async (req, res) => {
+  const userId = req.household.ownerId;
+  const newStatus = req.body?.turnOn;
+  console.log(`[CONTROL /api/groups/${req.params.groupId}] User: ${userId}. Request to set status to: ${newStatus}.`);
+  try {
+    if (!db) return res.status(500).json({ error: 'Database not initialized' });
+    if (typeof newStatus !== 'boolean') {
+      return res.status(400).json({ error: 'turnOn (boolean) is required in request body' });
+    }
+    const loaded = await loadRequestGroup(req, res, userId);
+    if (!loaded) return;
+
+    const results = [];
+    for (const device of loaded.devices) {
+      try {
+        const command = await sendSwitchCommand(device.id, userId, newStatus, { source: 'group', requestedBy: req.user.id });
+        results.push({ deviceId: device.id, success: true, commandId: command._id.toString() });
+      } catch (error) {
+        console.error(`[CONTROL /api/groups/${req.params.groupId}] User: ${userId}. Device ${device.id} failed: ${error.message}`);
+        results.push({ deviceId: device.id, success: false, error: error.message });
+      }
+    }
+    const failedCount = results.filter(r => !r.success).length;
+    res.status(failedCount > 0 && failedCount === results.length ? 500 : 200).json({ success: failedCount === 0, results });
+  } catch (err) {
+    console.error(`[CONTROL /api/groups/${req.params.groupId}] User: ${userId}. Error: ${err.message}`, err.stack);
+    res.status(500).json({ error: `Failed to switch group: ${err.message}` });
+  }
+});
+
+// --- Automation Engine (device_offline rules are evaluated here, where offline devices are detected) ---
+const automationEngine = createAutomationEngine({
+  getDb: () => db,
+  sendSwitchCommand: (deviceId, userId, turnOn) => sendSwitchCommand(deviceId, userId, turnOn, { source: 'automation' }),
+  notify: createNotification,
+  getSystemEnergyToday: (userId) => getTodayDeviceEnergyWh(db, userId)
+});
 
 // --- Interval job to update device_status (mark as offline) ---
+// Devices are marked offline after OFFLINE_THRESHOLD_MINUTES; the owner is only notified once the device has
+// stayed offline for their offlineGraceMinutes (see services/notificationSettings.js), once per offline episode.
+const OFFLINE_THRESHOLD_MINUTES = 2;
+const OFFLINE_NOTICE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Offline episodes older than this are not announced any more
+
+async function notifyLongOfflineDevices() {
+  const now = new Date();
+  const unannounced = await db.collection('device_status').find({
+    online: false,
+    lastOfflineTimestamp: { $gte: new Date(now.getTime() - OFFLINE_NOTICE_MAX_AGE_MS) },
+    $or: [{ offlineNotifiedAt: { $exists: false } }, { $expr: { $lt: ['$offlineNotifiedAt', '$lastOfflineTimestamp'] } }]
+  }).toArray();
+
+  const settingsByUser = new Map();
+  for (const status of unannounced) {
+    const deviceDetails = await db.collection('devices').findOne({ id: status.deviceId });
+    if (!deviceDetails) continue;
+    const userIdString = deviceDetails.userId.toString();
+    if (!settingsByUser.has(userIdString)) settingsByUser.set(userIdString, await getNotificationSettings(db, userIdString));
+    const { offlineGraceMinutes } = settingsByUser.get(userIdString);
+
+    const offlineForMinutes = (now.getTime() - new Date(status.lastSeen || status.lastOfflineTimestamp).getTime()) / 60000;
+    if (offlineForMinutes < offlineGraceMinutes) continue;
+
+    // Claim this episode first so a restart or overlapping tick cannot announce it twice
+    const claim = await db.collection('device_status').updateOne(
+      { deviceId: status.deviceId, lastOfflineTimestamp: status.lastOfflineTimestamp },
+      { $set: { offlineNotifiedAt: now } }
+    );
+    if (claim.modifiedCount === 0) continue;
+    await createNotification(
+      userIdString,
+      `${deviceDetails.name || status.deviceId} went offline. Last seen ${Math.round(offlineForMinutes)} minutes ago.`,
+      'device_offline',
+      { deviceId: status.deviceId, deviceName: deviceDetails.name, severity: 'warning' }
+    );
+  }
+}
+
 setInterval(async () => {
   if (db) {
-    const offlineThresholdMinutes = 2; // Configurable: e.g., 2 minutes
-    const offlineThreshold = new Date(Date.now() - (offlineThresholdMinutes * 60 * 1000));
+    const offlineThreshold = new Date(Date.now() - (OFFLINE_THRESHOLD_MINUTES * 60 * 1000));
     try {
       // Find devices that were online but haven't been seen recently
       const devicesToMarkOffline = await db.collection('device_status').find(
@@ -862,16 +2723,13 @@ setInterval(async () => {
           for (const dev of devicesToMarkOffline) {
             const deviceDetails = await db.collection('devices').findOne({ id: dev.deviceId });
             if (deviceDetails) {
-              await createNotification(
-                deviceDetails.userId.toString(), // Ensure userId is a string if createNotification expects it
-                `${deviceDetails.name || dev.deviceId} went offline. Last seen over ${offlineThresholdMinutes} minutes ago.`,
-                'device_offline',
-                { deviceId: dev.deviceId, deviceName: deviceDetails.name, severity: 'warning' }
-              );
+              await automationEngine.handleDeviceEvent({ userId: deviceDetails.userId.toString(), deviceId: dev.deviceId, event: 'offline' });
             }
           }
         }
       }
+
+      await notifyLongOfflineDevices();
     } catch (err) {
       console.error('[Interval DB] Error updating device_status for offline devices:', err.message);
     }
@@ -893,51 +2751,47 @@ async function checkAdvancedNotifications() {
 
     for (const user of users) {
       const userIdString = user._id.toString();
+      const { thresholds } = await getNotificationSettings(db, userIdString);
+      const timePreferences = await getUserTimePreferences(db, userIdString);
+      const today = new Date();
+      const todayString = getCurrentDateString(today, timePreferences);
 
       // 1. Daily Consumption Goal Exceeded (System-Wide)
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      const yesterdayString = getCurrentDateString(yesterday);
-      const systemConsumptionYesterday = await getSystemDailyConsumptionForDate(userIdString, yesterdayString);
-      
-      // Placeholder: Assume a user-defined goal or a default.
-      // In a real app, this would come from user settings.
-      const dailySystemGoalWh = 5000; // Example: 5 kWh
-
-      if (systemConsumptionYesterday > dailySystemGoalWh) {
-        // Check if a similar notification was sent recently to avoid spam
-        const recentNotif = await db.collection(NOTIFICATIONS_COLLECTION).findOne({
-          userId: user._id,
-          type: 'goal_exceeded_system_daily',
-          timestamp: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Within last 24h
-        });
-        if (!recentNotif) {
-          await createNotification(
-            userIdString,
-            `Heads up! Yesterday's total energy use (${(systemConsumptionYesterday / 1000).toFixed(2)} kWh) exceeded your daily goal of ${(dailySystemGoalWh / 1000).toFixed(1)} kWh.`,
-            'goal_exceeded_system_daily',
-            { severity: 'warning' }
-          );
-        }
+      const yesterdayString = addDaysToDateString(todayString, -1);
+      const systemConsumptionYesterday = await getSystemDailyConsumptionForDate(db, userIdString, yesterdayString);
+      const dailySystemGoalWh = thresholds.dailySystemGoalWh; // From the user's notification settings (null = off)
+
+      if (dailySystemGoalWh && systemConsumptionYesterday > dailySystemGoalWh) {
+        // One notification per day at most (the dedupe key identifies the day)
+        await createNotification(
+          userIdString,
+          `Heads up! Yesterday's total energy use (${(systemConsumptionYesterday / 1000).toFixed(2)} kWh) exceeded your daily goal of ${(dailySystemGoalWh / 1000).toFixed(1)} kWh.`,
+          'goal_exceeded_system_daily',
+          { severity: 'warning', dedupeKey: `goal_exceeded_system_daily:${yesterdayString}` }
+        );
       }
 
       // 2. Weekly Savings Achieved (System-Wide)
-      const today = new Date();
-      const startOfThisWeek = new Date(today); startOfThisWeek.setDate(today.getDate() - today.getDay()); startOfThisWeek.setHours(0,0,0,0);
-      const startOfLastWeek = new Date(startOfThisWeek); startOfLastWeek.setDate(startOfThisWeek.getDate() - 7);
+      const thisWeekDates = getDatesForCurrentWeek(today, timePreferences);
+      const startOfThisWeekString = thisWeekDates[0];
       
       let thisWeekSoFarWh = 0;
-      for (const dateStr of getDatesForCurrentWeek(today)) { thisWeekSoFarWh += await getSystemDailyConsumptionForDate(userIdString, dateStr); }
+      for (const dateStr of thisWeekDates) { thisWeekSoFarWh += await getSystemDailyConsumptionForDate(db, userIdString, dateStr); }
       
       let lastFullWeekWh = 0;
       const lastWeekDates = [];
-      for (let i=0; i<7; i++) { const d = new Date(startOfLastWeek); d.setDate(startOfLastWeek.getDate() + i); lastWeekDates.push(getCurrentDateString(d));}
-      for (const dateStr of lastWeekDates) { lastFullWeekWh += await getSystemDailyConsumptionForDate(userIdString, dateStr); }
-
-      if (lastFullWeekWh > 0 && thisWeekSoFarWh < lastFullWeekWh * (today.getDay() + 1) / 7 * 0.9) { // If current usage is <90% of pro-rated last week
-        // Add similar spam prevention as above if needed
-        // For simplicity, we'll skip it here for this example
-        // await createNotification(userIdString, `Energy Saver! You're on track to use less energy this week compared to last. Keep it up!`, 'weekly_savings_achieved_system', { severity: 'success' });
+      for (let i=0; i<7; i++) { lastWeekDates.push(addDaysToDateString(startOfThisWeekString, i - 7)); }
+      for (const dateStr of lastWeekDates) { lastFullWeekWh += await getSystemDailyConsumptionForDate(db, userIdString, dateStr); }
+
+      const savingsFactor = 1 - (thresholds.weeklySavingsPercent / 100);
+      if (lastFullWeekWh > 0 && thisWeekSoFarWh < lastFullWeekWh * thisWeekDates.length / 7 * savingsFactor) { // If current usage is below the pro-rated last week by the user's threshold
+        // One notification per week at most
+        await createNotification(
+          userIdString,
+          `Energy Saver! You're on track to use less energy this week compared to last. Keep it up!`,
+          'weekly_savings_achieved_system',
+          { severity: 'success', dedupeKey: `weekly_savings_achieved_system:${startOfThisWeekString}` }
+        );
       }
     }
   } catch (err) {
@@ -946,12 +2800,13 @@ async function checkAdvancedNotifications() {
 }
 
 // --- Start Server ---
-const startServer = async () => {
+// Run on its own (node server.js), the API forwards its events to the realtime process (mqttSubscriber.js) over
+// INTERNAL_EVENTS_PATH; index.js runs both in one process, where the event bus delivers them directly.
+export const startServer = async () => {
   try {
-    await mongoClient.connect();
-    db = mongoClient.db(process.env.DB_NAME);
+    db = await connectDb();
     console.log('[Server.js] Connected to MongoDB.');
-    console.log(`[Server.js] Using collection for power/energy readings: "${process.env.COLLECTION_NAME}"`);
+    console.log(`[Server.js] Using collection for power/energy readings: "${config.readingsCollection}"`);
 
     // Ensure necessary indexes for performance and data integrity
     try {
@@ -959,45 +2814,107 @@ const startServer = async () => {
       console.log("[Server.js] Index created/ensured on 'users.email'.");
     } catch (indexError) { console.warn("[Server.js] Could not create index on 'users.email' (may already exist):", indexError.message); }
 
+    await ensureCoreIndexes(db, '[Server.js]');
+
+    try {
+      await db.collection(TARIFF_PROFILES_COLLECTION).createIndex({ userId: 1 }, { unique: true });
+      console.log("[Server.js] Index created/ensured on 'tariff_profiles.userId'.");
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create unique index on 'tariff_profiles' (may already exist):", indexError.message);
+    }
+
+    try {
+      await ensureAutomationIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${AUTOMATION_RULES_COLLECTION}' and '${AUTOMATION_EXECUTIONS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create automation indexes (may already exist):", indexError.message);
+    }
+
+    try {
+      await ensureSchedulerIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${SCHEDULES_COLLECTION}' and '${SCHEDULE_RUNS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create scheduler indexes (may already exist):", indexError.message);
+    }
+
     try {
-      await db.collection('devices').createIndex({ id: 1 }, { unique: true });
-      console.log("[Server.js] Index created/ensured on 'devices.id' (globally unique).");
+      await ensureNotificationSettingsIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${NOTIFICATION_SETTINGS_COLLECTION}' and notification de-duplication.`);
     } catch (indexError) {
-      console.warn("[Server.js] Could not create unique index on 'devices.id' (may already exist):", indexError.message);
+      console.warn("[Server.js] Could not create notification settings indexes (may already exist):", indexError.message);
     }
+
+    try {
+      await ensureBudgetIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${BUDGET_SETTINGS_COLLECTION}' and '${BUDGET_ALERTS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create budget indexes (may already exist):", indexError.message);
+    }
+
+    try {
+      await ensureAnomalyIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${DEVICE_BASELINES_COLLECTION}' and '${DEVICE_ANOMALIES_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create anomaly indexes (may already exist):", indexError.message);
+    }
+
+    try {
+      await ensureRollupIndexes(db, config.readingsCollection);
+      console.log(`[Server.js] Indexes created/ensured on '${MINUTE_ROLLUPS_COLLECTION}', '${HOURLY_ROLLUPS_COLLECTION}' and '${config.readingsCollection}' by time.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create rollup indexes (may already exist):", indexError.message);
+    }
+
+    try {
+      await ensureDeviceGroupIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${DEVICE_GROUPS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create device group indexes (may already exist):", indexError.message);
+    }
+
+    try {
+      await ensureCommandIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${DEVICE_COMMANDS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create device command indexes (may already exist):", indexError.message);
+    }
+
     try {
-      await db.collection('devices').createIndex({ userId: 1 });
-      console.log("[Server.js] Index created/ensured on 'devices.userId'.");
-    } catch (indexError) { console.warn("[Server.js] Could not create index on 'devices.userId':", indexError.message); }
+      await ensureDiscoveryIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${PAIRING_WINDOWS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create device pairing indexes (may already exist):", indexError.message);
+    }
 
     try {
-      // Removed: mqttSubscriber.js already creates a unique index on device_status.deviceId
-      // await db.collection('device_status').createIndex({ deviceId: 1 });
-      console.log("[Server.js] Skipping index creation for 'device_status.deviceId' as mqttSubscriber handles it.");
-    } catch (indexError) { console.warn("[Server.js] Could not create index on 'device_status.deviceId':", indexError.message); }
+      await ensureHouseholdIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${HOUSEHOLDS_COLLECTION}' and '${HOUSEHOLD_INVITATIONS_COLLECTION}'.`);
+    } catch (indexError) {
+      console.warn("[Server.js] Could not create household indexes (may already exist):", indexError.message);
+    }
+
     try {
-      await db.collection(process.env.COLLECTION_NAME).createIndex({ userId: 1, deviceId: 1, timeStamp: -1 });
-      console.log(`[Server.js] Index created/ensured on '${process.env.COLLECTION_NAME}' for userId, deviceId, and timeStamp.`);
+      await ensureAccountIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${ACCOUNT_TOKENS_COLLECTION}' and 'users'.`);
     } catch (indexError) {
-      console.warn(`[Server.js] Could not create compound index on '${process.env.COLLECTION_NAME}' (may already exist):`, indexError.message);
+      console.warn("[Server.js] Could not create account indexes (may already exist):", indexError.message);
     }
 
     try {
-      await db.collection(DAILY_CONSUMPTION_COLLECTION).createIndex({ userId: 1, deviceId: 1, dateString: 1 }, { unique: true });
-      console.log("[Server.js] Index created/ensured on 'daily_device_consumptions'.");
+      await ensureSessionIndexes(db);
+      console.log(`[Server.js] Indexes created/ensured on '${SESSIONS_COLLECTION}'.`);
     } catch (indexError) {
-      console.warn("[Server.js] Could not create unique index on 'daily_device_consumptions' (may already exist):", indexError.message);
+      console.warn("[Server.js] Could not create session indexes (may already exist):", indexError.message);
     }
 
     try {
-      await db.collection(NOTIFICATIONS_COLLECTION).createIndex({ userId: 1, timestamp: -1 });
-      await db.collection(NOTIFICATIONS_COLLECTION).createIndex({ userId: 1, isRead: 1, timestamp: -1 });
-      console.log("[Server.js] Indexes created/ensured on 'notifications'.");
+      await ensureExportIndexes(db, config.readingsCollection);
+      console.log(`[Server.js] Indexes created/ensured on '${config.readingsCollection}' and '${DAILY_CONSUMPTION_COLLECTION}' for exports.`);
     } catch (indexError) {
-      console.warn("[Server.js] Could not create indexes on 'notifications' (may already exist):", indexError.message);
+      console.warn("[Server.js] Could not create export indexes (may already exist):", indexError.message);
     }
 
-    const PORT = process.env.PORT || 3001;
+    const PORT = config.apiPort;
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`[Server.js] API running on port ${PORT} and accessible externally.`);
     });
@@ -1005,9 +2922,25 @@ const startServer = async () => {
     // Start the advanced notification check interval
     setInterval(checkAdvancedNotifications, ADVANCED_NOTIFICATIONS_CHECK_INTERVAL);
     checkAdvancedNotifications(); // Run once on startup after a delay
+
+    // Start the device scheduler (catches up on runs that became due while the server was down)
+    startScheduler(() => db, (deviceId, userId, turnOn) => sendSwitchCommand(deviceId, userId, turnOn, { source: 'schedule' }));
+
+    // Start the monthly budget monitor (threshold and projected-overrun notifications)
+    startBudgetMonitor(() => db, createNotification);
+
+    // Start the anomaly monitor (learns per-device baselines and flags unusual consumption)
+    startAnomalyMonitor(() => db, config.readingsCollection, createNotification);
+
+    // Start rolling raw readings up into minute/hourly rollups and pruning expired data
+    startReadingRollups(() => db, config.readingsCollection);
   } catch (err) {
     console.error('[Server.js] Failed to connect to MongoDB or start server:', err.message, err.stack);
     process.exit(1);
   }
 };
-startServer();
+
+if (isEntryPoint(import.meta.url)) {
+  eventBus.forwardTo(`${config.realtimeUrl}${INTERNAL_EVENTS_PATH}`, config.internalEventsSecret);
+  startServer();
+}
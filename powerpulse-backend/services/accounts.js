@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { TARIFF_PROFILES_COLLECTION } from './tariffs.js';
+import { AUTOMATION_RULES_COLLECTION, AUTOMATION_EXECUTIONS_COLLECTION } from './automation.js';
+import { SCHEDULES_COLLECTION, SCHEDULE_RUNS_COLLECTION } from './scheduler.js';
+import { NOTIFICATION_SETTINGS_COLLECTION } from './notificationSettings.js';
+import { BUDGET_SETTINGS_COLLECTION, BUDGET_ALERTS_COLLECTION } from './budgets.js';
+import { DEVICE_BASELINES_COLLECTION, DEVICE_ANOMALIES_COLLECTION } from './anomalyDetection.js';
+import { MINUTE_ROLLUPS_COLLECTION, HOURLY_ROLLUPS_COLLECTION, ROLLUP_INVALIDATIONS_COLLECTION } from './readingRollups.js';
+import { SESSIONS_COLLECTION } from './sessions.js';
+import { removeUserFromHouseholds, HOUSEHOLDS_COLLECTION } from './households.js';
+import { DEVICE_GROUPS_COLLECTION } from './deviceGroups.js';
+import { DEVICE_COMMANDS_COLLECTION } from './deviceCommands.js';
+import { PAIRING_WINDOWS_COLLECTION } from './deviceDiscovery.js';
+import { DAILY_CONSUMPTION_COLLECTION } from '../core/db.js';
+
+// --- Account Management ---
+// Single-use, expiring tokens for password resets and email verification live in ACCOUNT_TOKENS_COLLECTION (only a
+// SHA-256 hash of each token is stored). Issuing a new token replaces the user's unused ones of the same purpose.
+//   - 'password_reset' tokens are mailed by POST /auth/forgot-password and redeemed by POST /auth/reset-password
+//   - 'email_verification' tokens carry the address they verify: the sign-up address, or the new address of an
+//     email change, which only takes effect once verified
+// deleteAccountData() removes everything stored for a user (DELETE /api/account).
+export const ACCOUNT_TOKENS_COLLECTION = 'account_tokens';
+export const PASSWORD_RESET = 'password_reset';
+export const EMAIL_VERIFICATION = 'email_verification';
+const MIN_PASSWORD_LENGTH = 6;
+const MIN_RESEND_INTERVAL_MS = 60 * 1000; // At most one email of each kind per user per minute
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+function getTokenTtlMs(purpose) {
+  if (purpose === PASSWORD_RESET) {
+    return parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES || '60', 10) * 60 * 1000;
+  }
+  return parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS || '48', 10) * 60 * 60 * 1000;
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns an error message, or null if the password is acceptable.
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+export function isValidEmail(email) {
+  return typeof email === 'string' && EMAIL_PATTERN.test(email);
+}
+
+// Whether sign-ins are refused until the address is verified (REQUIRE_EMAIL_VERIFICATION=true). Accounts created
+// before verification existed have no emailVerified field and are never refused.
+export function isEmailVerificationRequired(user) {
+  return process.env.REQUIRE_EMAIL_VERIFICATION === 'true' && user.emailVerified === false;
+}
+
+// Creates a token for the user, replacing unused ones of the same purpose. Returns { token } or, if one was issued
+// less than a minute ago, { throttled: true }.
+export async function issueAccountToken(db, userId, purpose, { email = null } = {}, now = new Date()) {
+  const tokens = db.collection(ACCOUNT_TOKENS_COLLECTION);
+  const userObjectId = new ObjectId(userId);
+  const recent = await tokens.findOne({ userId: userObjectId, purpose, usedAt: null, createdAt: { $gt: new Date(now.getTime() - MIN_RESEND_INTERVAL_MS) } });
+  if (recent) return { throttled: true };
+
+  await tokens.deleteMany({ userId: userObjectId, purpose, usedAt: null });
+  const token = crypto.randomBytes(32).toString('base64url');
+  await tokens.insertOne({
+    userId: userObjectId,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + getTokenTtlMs(purpose)),
+    usedAt: null
+  });
+  return { token };
+}
+
+// Marks a token as used and returns its record, or null if it is unknown, expired or already used.
+export async function consumeAccountToken(db, token, purpose, now = new Date()) {
+  if (typeof token !== 'string' || token.length === 0) return null;
+  return db.collection(ACCOUNT_TOKENS_COLLECTION).findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+}
+
+function getPublicBaseUrl() {
+  return (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/+$/, '');
+}
+
+export async function sendVerificationEmail(mailer, user, email, token) {
+  const ttlHours = Math.round(getTokenTtlMs(EMAIL_VERIFICATION) / 3600000);
+  await mailer.send({
+    to: email,
+    subject: 'Verify your PowerPulse email address',
+    text: `Hi ${user.name || 'there'},\n\n`
+      + `Please confirm that ${email} is your email address by opening this link:\n\n`
+      + `${getPublicBaseUrl()}/auth/verify-email?token=${token}\n\n`
+      + `The link expires in ${ttlHours} hours. If you did not create a PowerPulse account or change its email, ignore this email.\n`
+  });
+}
+
+export async function sendPasswordResetEmail(mailer, user, token) {
+  const ttlMinutes = Math.round(getTokenTtlMs(PASSWORD_RESET) / 60000);
+  const resetUrl = process.env.PASSWORD_RESET_URL; // Page or app link that asks for the new password
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your PowerPulse password',
+    text: `Hi ${user.name || 'there'},\n\n`
+      + 'Someone asked to reset the password of your PowerPulse account.\n\n'
+      + (resetUrl ? `Choose a new password here:\n\n${resetUrl}${resetUrl.includes('?') ? '&' : '?'}token=${token}\n\n` : '')
+      + `Reset code: ${token}\n\n`
+      + `The code expires in ${ttlMinutes} minutes and works once. If you did not ask for this, ignore this email; your password stays the same.\n`
+  });
+}
+
+// Deletes the user and everything stored for them, including the household they own (its other members lose
+// access) and their memberships elsewhere. Devices go first so no new data is attributed to the account while the
+// rest is removed. Returns the number of deleted documents per collection.
+export async function deleteAccountData(db, userId, readingsCollectionName) {
+  const userObjectId = new ObjectId(userId);
+  const collections = [
+    'devices',
+    DEVICE_GROUPS_COLLECTION,
+    DEVICE_COMMANDS_COLLECTION,
+    PAIRING_WINDOWS_COLLECTION,
+    readingsCollectionName,
+    DAILY_CONSUMPTION_COLLECTION,
+    MINUTE_ROLLUPS_COLLECTION,
+    HOURLY_ROLLUPS_COLLECTION,
+    ROLLUP_INVALIDATIONS_COLLECTION,
+    NOTIFICATIONS_COLLECTION,
+    NOTIFICATION_SETTINGS_COLLECTION,
+    TARIFF_PROFILES_COLLECTION,
+    BUDGET_SETTINGS_COLLECTION,
+    BUDGET_ALERTS_COLLECTION,
+    DEVICE_BASELINES_COLLECTION,
+    DEVICE_ANOMALIES_COLLECTION,
+    SCHEDULES_COLLECTION,
+    SCHEDULE_RUNS_COLLECTION,
+    AUTOMATION_RULES_COLLECTION,
+    AUTOMATION_EXECUTIONS_COLLECTION,
+    SESSIONS_COLLECTION,
+    ACCOUNT_TOKENS_COLLECTION
+  ];
+  const deleted = {};
+  for (const name of collections) {
+    const result = await db.collection(name).deleteMany({ userId: userObjectId });
+    deleted[name] = result.deletedCount;
+  }
+  deleted[HOUSEHOLDS_COLLECTION] = await removeUserFromHouseholds(db, userId);
+  const userResult = await db.collection('users').deleteOne({ _id: userObjectId });
+  deleted.users = userResult.deletedCount;
+  return deleted;
+}
+
+export async function ensureAccountIndexes(db) {
+  const tokens = db.collection(ACCOUNT_TOKENS_COLLECTION);
+  await tokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await tokens.createIndex({ userId: 1, purpose: 1 });
+  await tokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 }); // Kept a day past expiry
+  await db.collection('users').createIndex({ email: 1 });
+}
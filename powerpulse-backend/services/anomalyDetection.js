@@ -0,0 +1,293 @@
+import { ObjectId } from 'mongodb';
+import { getUserTimePreferences, getZonedParts, getDateString } from './userTime.js';
+
+// --- Anomaly Detection ---
+// A baseline is learned per device from the readings collection and refreshed daily:
+//   - typical active power per hour of the week in the owner's time zone (Sunday 00:00 = slot 0), plus a
+//     device-wide fallback
+//   - typical on-duration of an "on" session (consecutive readings above ACTIVE_POWER_THRESHOLD_W)
+//   - typical standby power (readings above 0 W but below the active threshold)
+// The baseline covers the BASELINE_WINDOW_DAYS before the last day, so today's behaviour is always compared with
+// history it did not shape. Every check, the latest readings are compared with the baseline and each deviation is
+// recorded once in DEVICE_ANOMALIES_COLLECTION (unique per device and episode key) and raised as an 'anomaly'
+// notification carrying the expected and observed values.
+export const DEVICE_BASELINES_COLLECTION = 'device_baselines';
+export const DEVICE_ANOMALIES_COLLECTION = 'device_anomalies';
+export const ANOMALY_KINDS = ['power_spike', 'long_on_duration', 'standby_creep'];
+
+const ANOMALY_CHECK_INTERVAL = 5 * 60 * 1000; // Check every 5 minutes
+const BASELINE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // Rebuild baselines daily
+const MAX_BASELINE_BUILDS_PER_CHECK = 5; // Spread rebuilds over several checks
+export const BASELINE_WINDOW_DAYS = 28;
+const ACTIVE_POWER_THRESHOLD_W = 5; // Above: the device is on. Between 0 and this: standby.
+const SESSION_GAP_MS = 30 * 60 * 1000; // Readings further apart than this end a session (device was offline)
+
+const MIN_SLOT_SAMPLES = 20; // Below this an hour-of-week slot falls back to the device-wide active baseline
+const MIN_ACTIVE_SAMPLES = 50;
+const MIN_SESSIONS = 5;
+const MIN_STANDBY_SAMPLES = 50;
+
+const RECENT_POWER_WINDOW_MS = 10 * 60 * 1000; // Power is averaged over this window, so start-up spikes do not count
+const MIN_RECENT_SAMPLES = 3;
+const POWER_SPIKE_RATIO = 2;
+const POWER_SPIKE_MIN_DELTA_W = 20;
+const LONG_ON_DURATION_RATIO = 2;
+const LONG_ON_DURATION_MIN_MINUTES = 30;
+const STANDBY_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MIN_RECENT_STANDBY_SAMPLES = 12;
+const STANDBY_CREEP_RATIO = 1.5;
+const STANDBY_CREEP_MIN_DELTA_W = 1;
+
+function getHourOfWeek(date, timeZone) {
+  const { weekday, hour } = getZonedParts(date, timeZone);
+  return weekday * 24 + hour;
+}
+
+function round(value, digits = 1) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) return null;
+  const index = Math.min(sortedValues.length - 1, Math.ceil(p * sortedValues.length) - 1);
+  return sortedValues[Math.max(0, index)];
+}
+
+// Splits the device's readings into "on" sessions and returns their durations in minutes.
+async function getOnSessionDurations(readings, match) {
+  const durations = [];
+  let sessionStart = null;
+  let lastActiveAt = null;
+  const cursor = readings.find(match, { projection: { power: 1, timeStamp: 1, _id: 0 } }).sort({ timeStamp: 1 });
+  for await (const reading of cursor) {
+    const time = reading.timeStamp.getTime();
+    const isActive = reading.power > ACTIVE_POWER_THRESHOLD_W;
+    if (sessionStart !== null && time - lastActiveAt > SESSION_GAP_MS) {
+      durations.push((lastActiveAt - sessionStart) / 60000); // No data for a while: close the session at the last reading
+      sessionStart = null;
+    }
+    if (isActive) {
+      if (sessionStart === null) sessionStart = time;
+      lastActiveAt = time;
+    } else if (sessionStart !== null) {
+      durations.push((time - sessionStart) / 60000);
+      sessionStart = null;
+    }
+  }
+  return durations.filter(d => d > 0);
+}
+
+// Learns (or relearns) the baseline of one device and stores it.
+export async function buildDeviceBaseline(db, readingsCollectionName, device, now = new Date()) {
+  const readings = db.collection(readingsCollectionName);
+  const windowEnd = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+  const windowStart = new Date(windowEnd.getTime() - BASELINE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const { timeZone: timezone } = await getUserTimePreferences(db, device.userId);
+  const match = { deviceId: device.id, userId: device.userId, timeStamp: { $gte: windowStart, $lt: windowEnd }, power: { $type: 'number' } };
+
+  const slotStats = await readings.aggregate([
+    { $match: { ...match, power: { $gt: ACTIVE_POWER_THRESHOLD_W } } },
+    { $group: {
+      _id: { day: { $dayOfWeek: { date: '$timeStamp', timezone } }, hour: { $hour: { date: '$timeStamp', timezone } } },
+      meanW: { $avg: '$power' },
+      stdDevW: { $stdDevPop: '$power' },
+      count: { $sum: 1 }
+    } }
+  ]).toArray();
+
+  // Device-wide active statistics, combined from the slots
+  const activeCount = slotStats.reduce((sum, s) => sum + s.count, 0);
+  let active = null;
+  if (activeCount > 0) {
+    const meanW = slotStats.reduce((sum, s) => sum + s.meanW * s.count, 0) / activeCount;
+    const meanOfSquares = slotStats.reduce((sum, s) => sum + (s.stdDevW ** 2 + s.meanW ** 2) * s.count, 0) / activeCount;
+    active = { meanW: round(meanW, 2), stdDevW: round(Math.sqrt(Math.max(0, meanOfSquares - meanW ** 2)), 2), count: activeCount };
+  }
+
+  const [standbyStats] = await readings.aggregate([
+    { $match: { ...match, power: { $gt: 0, $lte: ACTIVE_POWER_THRESHOLD_W } } },
+    { $group: { _id: null, meanW: { $avg: '$power' }, count: { $sum: 1 } } }
+  ]).toArray();
+
+  const durations = (await getOnSessionDurations(readings, match)).sort((a, b) => a - b);
+  let onDuration = null;
+  if (durations.length > 0) {
+    const meanMinutes = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+    onDuration = { meanMinutes: round(meanMinutes), p95Minutes: round(percentile(durations, 0.95)), count: durations.length };
+  }
+
+  const baseline = {
+    deviceId: device.id,
+    userId: device.userId,
+    timezone,
+    windowStart,
+    windowEnd,
+    activeThresholdW: ACTIVE_POWER_THRESHOLD_W,
+    hourOfWeek: slotStats
+      .map(s => ({ slot: (s._id.day - 1) * 24 + s._id.hour, meanW: round(s.meanW, 2), stdDevW: round(s.stdDevW || 0, 2), count: s.count }))
+      .sort((a, b) => a.slot - b.slot),
+    active,
+    onDuration,
+    standby: standbyStats ? { meanW: round(standbyStats.meanW, 3), count: standbyStats.count } : null,
+    updatedAt: now
+  };
+  await db.collection(DEVICE_BASELINES_COLLECTION).replaceOne({ deviceId: device.id }, baseline, { upsert: true });
+  return baseline;
+}
+
+// Expected active power for the hour of the week, falling back to the device-wide figure. Null if not enough history.
+function getExpectedActivePower(baseline, date) {
+  const slot = baseline.hourOfWeek.find(s => s.slot === getHourOfWeek(date, baseline.timezone));
+  if (slot && slot.count >= MIN_SLOT_SAMPLES) return slot.meanW;
+  if (baseline.active && baseline.active.count >= MIN_ACTIVE_SAMPLES) return baseline.active.meanW;
+  return null;
+}
+
+async function detectPowerSpike(readings, device, baseline, now) {
+  const expectedW = getExpectedActivePower(baseline, now);
+  if (expectedW === null) return null;
+  const [recent] = await readings.aggregate([
+    { $match: { deviceId: device.id, userId: device.userId, timeStamp: { $gte: new Date(now.getTime() - RECENT_POWER_WINDOW_MS) }, power: { $gt: ACTIVE_POWER_THRESHOLD_W } } },
+    { $group: { _id: null, meanW: { $avg: '$power' }, count: { $sum: 1 } } }
+  ]).toArray();
+  if (!recent || recent.count < MIN_RECENT_SAMPLES) return null;
+  if (recent.meanW < expectedW * POWER_SPIKE_RATIO || recent.meanW - expectedW < POWER_SPIKE_MIN_DELTA_W) return null;
+  return {
+    kind: 'power_spike',
+    key: `power_spike:${getDateString(now, baseline.timezone)}`, // At most once a day
+    expected: round(expectedW),
+    observed: round(recent.meanW),
+    unit: 'W',
+    severity: 'warning',
+    message: `${device.name || device.id} is drawing ${round(recent.meanW)} W, about ${round(recent.meanW / expectedW)}x its usual ${round(expectedW)} W at this time.`
+  };
+}
+
+async function detectLongOnDuration(readings, device, baseline, now) {
+  if (!baseline.onDuration || baseline.onDuration.count < MIN_SESSIONS) return null;
+  const baseMatch = { deviceId: device.id, userId: device.userId, power: { $type: 'number' } };
+  const latest = await readings.find(baseMatch).sort({ timeStamp: -1 }).limit(1).next();
+  if (!latest || latest.power <= ACTIVE_POWER_THRESHOLD_W || now.getTime() - latest.timeStamp.getTime() > SESSION_GAP_MS) return null;
+
+  // The session began with the first active reading after the last inactive one
+  const lastInactive = await readings.find({ ...baseMatch, power: { $lte: ACTIVE_POWER_THRESHOLD_W } }).sort({ timeStamp: -1 }).limit(1).next();
+  const sessionStartReading = await readings
+    .find({ ...baseMatch, power: { $gt: ACTIVE_POWER_THRESHOLD_W }, ...(lastInactive ? { timeStamp: { $gt: lastInactive.timeStamp } } : {}) })
+    .sort({ timeStamp: 1 }).limit(1).next();
+  if (!sessionStartReading) return null;
+
+  const onMinutes = (now.getTime() - sessionStartReading.timeStamp.getTime()) / 60000;
+  const limitMinutes = Math.max(baseline.onDuration.meanMinutes * LONG_ON_DURATION_RATIO, baseline.onDuration.p95Minutes, LONG_ON_DURATION_MIN_MINUTES);
+  if (onMinutes < limitMinutes) return null;
+  return {
+    kind: 'long_on_duration',
+    key: `long_on_duration:${sessionStartReading.timeStamp.toISOString()}`, // Once per session
+    expected: baseline.onDuration.meanMinutes,
+    observed: round(onMinutes),
+    unit: 'min',
+    severity: 'warning',
+    message: `${device.name || device.id} has been on for ${round(onMinutes / 60)} h. It usually runs for about ${round(baseline.onDuration.meanMinutes)} min.`
+  };
+}
+
+async function detectStandbyCreep(readings, device, baseline, now) {
+  if (!baseline.standby || baseline.standby.count < MIN_STANDBY_SAMPLES) return null;
+  const [recent] = await readings.aggregate([
+    { $match: { deviceId: device.id, userId: device.userId, timeStamp: { $gte: new Date(now.getTime() - STANDBY_WINDOW_MS) }, power: { $gt: 0, $lte: ACTIVE_POWER_THRESHOLD_W } } },
+    { $group: { _id: null, meanW: { $avg: '$power' }, count: { $sum: 1 } } }
+  ]).toArray();
+  if (!recent || recent.count < MIN_RECENT_STANDBY_SAMPLES) return null;
+  const expectedW = baseline.standby.meanW;
+  if (recent.meanW < expectedW * STANDBY_CREEP_RATIO || recent.meanW - expectedW < STANDBY_CREEP_MIN_DELTA_W) return null;
+  return {
+    kind: 'standby_creep',
+    key: `standby_creep:${getDateString(now, baseline.timezone)}`, // At most once a day
+    expected: round(expectedW, 2),
+    observed: round(recent.meanW, 2),
+    unit: 'W',
+    severity: 'info',
+    message: `${device.name || device.id} standby power has crept up to ${round(recent.meanW, 2)} W (usually ${round(expectedW, 2)} W).`
+  };
+}
+
+// Runs all detectors for one device and records/notifies each new anomaly. Returns the new anomalies.
+export async function detectDeviceAnomalies(db, readingsCollectionName, device, baseline, notify, now = new Date()) {
+  const readings = db.collection(readingsCollectionName);
+  const findings = [
+    await detectPowerSpike(readings, device, baseline, now),
+    await detectLongOnDuration(readings, device, baseline, now),
+    await detectStandbyCreep(readings, device, baseline, now)
+  ].filter(Boolean);
+
+  const raised = [];
+  for (const finding of findings) {
+    const { message, severity, ...anomaly } = finding;
+    try {
+      await db.collection(DEVICE_ANOMALIES_COLLECTION).insertOne({ ...anomaly, deviceId: device.id, userId: device.userId, message, detectedAt: now });
+    } catch (error) {
+      if (error.code === 11000) continue; // Already raised for this episode
+      throw error;
+    }
+    raised.push(finding);
+    await notify(device.userId.toString(), message, 'anomaly', {
+      deviceId: device.id,
+      deviceName: device.name,
+      severity,
+      dedupeKey: `anomaly:${device.id}:${anomaly.key}`,
+      details: { kind: anomaly.kind, expected: anomaly.expected, observed: anomaly.observed, unit: anomaly.unit }
+    });
+  }
+  return raised;
+}
+
+export async function runAnomalyChecks(db, readingsCollectionName, notify, now = new Date()) {
+  const devices = await db.collection('devices').find({}, { projection: { id: 1, name: 1, userId: 1 } }).toArray();
+  let baselinesBuilt = 0;
+  for (const device of devices) {
+    try {
+      let baseline = await db.collection(DEVICE_BASELINES_COLLECTION).findOne({ deviceId: device.id });
+      const { timeZone } = await getUserTimePreferences(db, device.userId);
+      const isStale = !baseline || now.getTime() - baseline.updatedAt.getTime() > BASELINE_MAX_AGE_MS || !baseline.userId.equals(device.userId) || baseline.timezone !== timeZone;
+      if (isStale && baselinesBuilt < MAX_BASELINE_BUILDS_PER_CHECK) {
+        baseline = await buildDeviceBaseline(db, readingsCollectionName, device, now);
+        baselinesBuilt++;
+      }
+      if (baseline && baseline.userId.equals(device.userId)) {
+        await detectDeviceAnomalies(db, readingsCollectionName, device, baseline, notify, now);
+      }
+    } catch (error) {
+      console.error(`[Anomaly] Error checking device ${device.id}:`, error);
+    }
+  }
+  if (baselinesBuilt > 0) console.log(`[Anomaly] Rebuilt ${baselinesBuilt} device baseline(s).`);
+}
+
+export async function getDeviceBaseline(db, deviceId, userId) {
+  return db.collection(DEVICE_BASELINES_COLLECTION).findOne({ deviceId, userId: new ObjectId(userId) }, { projection: { _id: 0 } });
+}
+
+export async function ensureAnomalyIndexes(db) {
+  await db.collection(DEVICE_BASELINES_COLLECTION).createIndex({ deviceId: 1 }, { unique: true });
+  await db.collection(DEVICE_ANOMALIES_COLLECTION).createIndex({ deviceId: 1, key: 1 }, { unique: true });
+  await db.collection(DEVICE_ANOMALIES_COLLECTION).createIndex({ userId: 1, detectedAt: -1 });
+}
+
+// Starts the periodic anomaly check. getDb is called on every tick so the loop can start before Mongo is connected.
+export function startAnomalyMonitor(getDb, readingsCollectionName, notify) {
+  let checkInProgress = false;
+  const tick = async () => {
+    const db = getDb();
+    if (!db || checkInProgress) return;
+    checkInProgress = true;
+    try {
+      await runAnomalyChecks(db, readingsCollectionName, notify);
+    } catch (error) {
+      console.error('[Anomaly] Check failed:', error);
+    } finally {
+      checkInProgress = false;
+    }
+  };
+  setInterval(tick, ANOMALY_CHECK_INTERVAL);
+  console.log(`[Anomaly] Started. Checking devices every ${ANOMALY_CHECK_INTERVAL / 60000} minutes.`);
+  tick();
+}
@@ -0,0 +1,329 @@
+import { ObjectId } from 'mongodb';
+import { getDefaultTimeZone, getUserTimePreferences, getZonedParts, getDateString } from './userTime.js';
+import { isAlwaysOn } from './deviceMetadata.js';
+import { SEVERITY_LEVELS } from './notificationSettings.js';
+
+// --- Rule-Based Automation Engine ---
+// Rules are evaluated against live telemetry (power readings, online/offline events). Duration state
+// ("power above X since ...") is stored on the rule document itself so it survives restarts, and every
+// firing is written to AUTOMATION_EXECUTIONS_COLLECTION so users can see why a plug was switched.
+// Time windows and "today" are those of the rule owner's time zone. turn_off actions skip devices marked
+// alwaysOn (services/deviceMetadata.js); the execution records them as 'skipped'.
+export const AUTOMATION_RULES_COLLECTION = 'automation_rules';
+export const AUTOMATION_EXECUTIONS_COLLECTION = 'automation_executions';
+
+export const TRIGGER_TYPES = ['power_above', 'power_below', 'device_online', 'device_offline', 'daily_energy_above'];
+export const ACTION_TYPES = ['turn_on', 'turn_off', 'notify', 'webhook'];
+
+const DEFAULT_COOLDOWN_MINUTES = 30;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const LEGACY_SEVERITIES = { error: 'critical' }; // Accepted before notify actions used the notification severities
+
+// Severity of a notify action; rules stored with a legacy severity are mapped to the current one
+function getNotifySeverity(action) {
+  const severity = action.severity || 'warning';
+  return LEGACY_SEVERITIES[severity] || severity;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && !isNaN(value) && value >= 0;
+}
+
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Validates a rule coming from the API and returns { rule } or { error }.
+// Device ownership of trigger/action devices is checked by the caller.
+export function normalizeRule(input = {}) {
+  const trigger = input.trigger || {};
+  if (!TRIGGER_TYPES.includes(trigger.type)) {
+    return { error: `Invalid trigger type. Use one of: ${TRIGGER_TYPES.join(', ')}.` };
+  }
+  const normalizedTrigger = { type: trigger.type };
+
+  if (trigger.type === 'power_above' || trigger.type === 'power_below') {
+    if (!trigger.deviceId) return { error: 'trigger.deviceId is required for power triggers' };
+    if (!isNonNegativeNumber(trigger.thresholdW)) return { error: 'trigger.thresholdW (non-negative number) is required for power triggers' };
+    const forMinutes = trigger.forMinutes === undefined ? 0 : trigger.forMinutes;
+    if (!isNonNegativeNumber(forMinutes)) return { error: 'trigger.forMinutes must be a non-negative number' };
+    Object.assign(normalizedTrigger, { deviceId: trigger.deviceId, thresholdW: trigger.thresholdW, forMinutes });
+  } else if (trigger.type === 'device_online' || trigger.type === 'device_offline') {
+    if (!trigger.deviceId) return { error: 'trigger.deviceId is required for online/offline triggers' };
+    normalizedTrigger.deviceId = trigger.deviceId;
+  } else if (trigger.type === 'daily_energy_above') {
+    if (!(typeof trigger.thresholdWh === 'number' && trigger.thresholdWh > 0)) {
+      return { error: 'trigger.thresholdWh (positive number) is required for daily energy triggers' };
+    }
+    // Without a deviceId the budget applies to the whole system.
+    normalizedTrigger.deviceId = trigger.deviceId || null;
+    normalizedTrigger.thresholdWh = trigger.thresholdWh;
+  }
+
+  let timeWindow = null;
+  if (input.timeWindow) {
+    const { start, end } = input.timeWindow;
+    if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end) {
+      return { error: 'timeWindow needs distinct start and end times in HH:MM format' };
+    }
+    const days = input.timeWindow.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : input.timeWindow.days;
+    if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return { error: 'timeWindow.days must be a non-empty array of weekdays (0=Sunday ... 6=Saturday)' };
+    }
+    timeWindow = { start, end, days };
+  }
+
+  if (!Array.isArray(input.actions) || input.actions.length === 0) {
+    return { error: 'actions (non-empty array) is required' };
+  }
+  const actions = [];
+  for (const action of input.actions) {
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      return { error: `Invalid action type. Use one of: ${ACTION_TYPES.join(', ')}.` };
+    }
+    if (action.type === 'turn_on' || action.type === 'turn_off') {
+      const deviceId = action.deviceId || normalizedTrigger.deviceId;
+      if (!deviceId) return { error: `${action.type} actions need a deviceId` };
+      actions.push({ type: action.type, deviceId });
+    } else if (action.type === 'notify') {
+      const severity = getNotifySeverity(action);
+      if (!SEVERITY_LEVELS.includes(severity)) return { error: `notify severity must be one of: ${SEVERITY_LEVELS.join(', ')}` };
+      actions.push({ type: 'notify', message: typeof action.message === 'string' ? action.message : null, severity });
+    } else if (action.type === 'webhook') {
+      let parsedUrl;
+      try { parsedUrl = new URL(action.url); } catch { parsedUrl = null; }
+      if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+        return { error: 'webhook actions need a valid http(s) url' };
+      }
+      actions.push({ type: 'webhook', url: parsedUrl.toString() });
+    }
+  }
+
+  const cooldownMinutes = input.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : input.cooldownMinutes;
+  if (!isNonNegativeNumber(cooldownMinutes)) return { error: 'cooldownMinutes must be a non-negative number' };
+
+  return {
+    rule: {
+      name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${trigger.type} rule`,
+      enabled: input.enabled === undefined ? true : input.enabled === true,
+      trigger: normalizedTrigger,
+      timeWindow,
+      actions,
+      cooldownMinutes
+    }
+  };
+}
+
+// Device ids a rule refers to, for ownership checks.
+export function getRuleDeviceIds(rule) {
+  const ids = new Set();
+  if (rule.trigger.deviceId) ids.add(rule.trigger.deviceId);
+  for (const action of rule.actions) if (action.deviceId) ids.add(action.deviceId);
+  return [...ids];
+}
+
+export function isWithinTimeWindow(timeWindow, date, timeZone = getDefaultTimeZone()) {
+  if (!timeWindow) return true;
+  const { hour, minute, weekday: day } = getZonedParts(date, timeZone);
+  const minuteOfDay = hour * 60 + minute;
+  const start = timeToMinutes(timeWindow.start);
+  const end = timeToMinutes(timeWindow.end);
+  if (start < end) return timeWindow.days.includes(day) && minuteOfDay >= start && minuteOfDay < end;
+  // Window wraps past midnight; the early-morning part belongs to the previous day.
+  if (minuteOfDay >= start) return timeWindow.days.includes(day);
+  return minuteOfDay < end && timeWindow.days.includes((day + 6) % 7);
+}
+
+function isInCooldown(rule, now) {
+  const lastTriggeredAt = rule.state?.lastTriggeredAt;
+  if (!lastTriggeredAt) return false;
+  return now.getTime() - new Date(lastTriggeredAt).getTime() < (rule.cooldownMinutes || 0) * 60000;
+}
+
+export async function ensureAutomationIndexes(db) {
+  await db.collection(AUTOMATION_RULES_COLLECTION).createIndex({ userId: 1, enabled: 1 });
+  await db.collection(AUTOMATION_EXECUTIONS_COLLECTION).createIndex({ ruleId: 1, triggeredAt: -1 });
+  await db.collection(AUTOMATION_EXECUTIONS_COLLECTION).createIndex({ userId: 1, triggeredAt: -1 });
+}
+
+// Creates an engine bound to the process' own side effects:
+//   getDb()                                         -> current Mongo db (or undefined while connecting)
+//   sendSwitchCommand(deviceId, userId, turnOn)     -> publishes the switch RPC
+//   notify(userId, message, type, options)          -> creates (and, where possible, pushes) a notification
+//   getSystemEnergyToday(userId)                    -> today's whole-system Wh, for system-wide budget rules
+export function createAutomationEngine({ getDb, sendSwitchCommand, notify, getSystemEnergyToday }) {
+
+  // Returns the action's status: 'success', or 'skipped' if the device must stay on. Throws if the action failed.
+  async function runAction(db, rule, action, reason) {
+    const userId = rule.userId.toString();
+    if (action.type === 'turn_off' && await isAlwaysOn(db, userId, action.deviceId)) {
+      console.log(`[Automation] Rule ${rule._id}: not switching off ${action.deviceId}, it is marked always on.`);
+      return 'skipped';
+    }
+    if (action.type === 'turn_on' || action.type === 'turn_off') {
+      await sendSwitchCommand(action.deviceId, userId, action.type === 'turn_on');
+    } else if (action.type === 'notify') {
+      await notify(userId, action.message || `Automation "${rule.name}": ${reason}`, 'automation', {
+        deviceId: rule.trigger.deviceId,
+        severity: getNotifySeverity(action),
+        dedupeKey: `automation:${rule._id}:${Date.now()}` // The rule's cooldown already limits repeats
+      });
+    } else if (action.type === 'webhook') {
+      const response = await fetch(action.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ruleId: rule._id.toString(),
+          ruleName: rule.name,
+          trigger: rule.trigger,
+          reason,
+          triggeredAt: new Date().toISOString()
+        }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+    return 'success';
+  }
+
+  async function fireRule(db, rule, reason, observed, now) {
+    // Claim the firing atomically so concurrent evaluations (or both processes) cannot fire the same rule twice.
+    const claim = await db.collection(AUTOMATION_RULES_COLLECTION).updateOne(
+      { _id: rule._id, 'state.lastTriggeredAt': rule.state?.lastTriggeredAt ?? null },
+      { $set: { 'state.lastTriggeredAt': now, 'state.firedForEpisode': true } }
+    );
+    if (claim.modifiedCount === 0) return;
+
+    console.log(`[Automation] Rule ${rule._id} (${rule.name}) triggered for user ${rule.userId}: ${reason}`);
+    const actionResults = [];
+    for (const action of rule.actions) {
+      const result = { type: action.type };
+      if (action.deviceId) result.deviceId = action.deviceId;
+      try {
+        result.status = await runAction(db, rule, action, reason);
+        if (result.status === 'skipped') result.error = 'Device is marked always on';
+      } catch (error) {
+        console.error(`[Automation] Rule ${rule._id} action ${action.type} failed:`, error.message);
+        result.status = 'failed';
+        result.error = error.message;
+      }
+      actionResults.push(result);
+    }
+
+    await db.collection(AUTOMATION_EXECUTIONS_COLLECTION).insertOne({
+      ruleId: rule._id,
+      userId: rule.userId,
+      ruleName: rule.name,
+      triggerType: rule.trigger.type,
+      reason,
+      observed,
+      actions: actionResults,
+      triggeredAt: now
+    });
+  }
+
+  // Handles the edge-triggered state of power/energy rules: the condition must hold (for forMinutes,
+  // if set) and the rule fires once per episode. The episode resets when the condition stops holding.
+  async function evaluateCondition(db, rule, conditionMet, reasonFn, observed, now, timeZone) {
+    const state = rule.state || {};
+    const rules = db.collection(AUTOMATION_RULES_COLLECTION);
+
+    if (!conditionMet) {
+      if (state.conditionSince || state.firedForEpisode) {
+        await rules.updateOne({ _id: rule._id }, { $set: { 'state.conditionSince': null, 'state.firedForEpisode': false } });
+      }
+      return;
+    }
+
+    let conditionSince = state.conditionSince ? new Date(state.conditionSince) : null;
+    if (!conditionSince) {
+      conditionSince = now;
+      await rules.updateOne({ _id: rule._id }, { $set: { 'state.conditionSince': now, 'state.firedForEpisode': false } });
+      rule.state = { ...state, conditionSince: now, firedForEpisode: false };
+    }
+
+    const heldForMinutes = (now.getTime() - conditionSince.getTime()) / 60000;
+    if (heldForMinutes < (rule.trigger.forMinutes || 0)) return;
+    if (rule.state.firedForEpisode || !isWithinTimeWindow(rule.timeWindow, now, timeZone) || isInCooldown(rule, now)) return;
+
+    await fireRule(db, rule, reasonFn(heldForMinutes), { ...observed, heldForMinutes: parseFloat(heldForMinutes.toFixed(1)) }, now);
+  }
+
+  // Called for every power reading. dailyEnergyWh is the device's running total for today.
+  async function handleReading({ userId, deviceId, power, dailyEnergyWh, timeStamp = new Date() }) {
+    const db = getDb();
+    if (!db) return;
+    try {
+      const rules = await db.collection(AUTOMATION_RULES_COLLECTION).find({
+        userId: new ObjectId(userId),
+        enabled: true,
+        $or: [
+          { 'trigger.deviceId': deviceId, 'trigger.type': { $in: ['power_above', 'power_below', 'daily_energy_above'] } },
+          { 'trigger.deviceId': null, 'trigger.type': 'daily_energy_above' }
+        ]
+      }).toArray();
+      if (rules.length === 0) return;
+      const { timeZone } = await getUserTimePreferences(db, userId);
+
+      for (const rule of rules) {
+        const { trigger } = rule;
+        if (trigger.type === 'power_above' || trigger.type === 'power_below') {
+          if (typeof power !== 'number') continue;
+          const above = trigger.type === 'power_above';
+          const conditionMet = above ? power > trigger.thresholdW : power < trigger.thresholdW;
+          await evaluateCondition(
+            db, rule, conditionMet,
+            (heldForMinutes) => `Power of ${deviceId} was ${power}W, ${above ? 'above' : 'below'} ${trigger.thresholdW}W` +
+              (trigger.forMinutes ? ` for ${heldForMinutes.toFixed(0)} minutes` : ''),
+            { deviceId, powerW: power, thresholdW: trigger.thresholdW },
+            timeStamp,
+            timeZone
+          );
+        } else if (trigger.type === 'daily_energy_above') {
+          const energyWh = trigger.deviceId ? dailyEnergyWh : await getSystemEnergyToday(userId);
+          if (typeof energyWh !== 'number') continue;
+          // Fires at most once per day: the episode is keyed on the date the budget was exceeded.
+          const todayKey = getDateString(timeStamp, timeZone);
+          if (energyWh <= trigger.thresholdWh || rule.state?.lastBudgetDate === todayKey) continue;
+          if (!isWithinTimeWindow(rule.timeWindow, timeStamp, timeZone)) continue;
+          await db.collection(AUTOMATION_RULES_COLLECTION).updateOne({ _id: rule._id }, { $set: { 'state.lastBudgetDate': todayKey } });
+          await fireRule(
+            db, rule,
+            `${trigger.deviceId ? `${trigger.deviceId} has` : 'Your home has'} used ${(energyWh / 1000).toFixed(2)} kWh today, above the ${(trigger.thresholdWh / 1000).toFixed(2)} kWh budget`,
+            { deviceId: trigger.deviceId, energyWh: parseFloat(energyWh.toFixed(3)), thresholdWh: trigger.thresholdWh },
+            timeStamp
+          );
+        }
+      }
+    } catch (error) {
+      console.error(`[Automation] Error evaluating reading for ${deviceId}:`, error);
+    }
+  }
+
+  // Called when a device comes online or is marked offline. event: 'online' | 'offline'
+  async function handleDeviceEvent({ userId, deviceId, event, timeStamp = new Date() }) {
+    const db = getDb();
+    if (!db) return;
+    try {
+      const rules = await db.collection(AUTOMATION_RULES_COLLECTION).find({
+        userId: new ObjectId(userId),
+        enabled: true,
+        'trigger.deviceId': deviceId,
+        'trigger.type': event === 'online' ? 'device_online' : 'device_offline'
+      }).toArray();
+      if (rules.length === 0) return;
+      const { timeZone } = await getUserTimePreferences(db, userId);
+
+      for (const rule of rules) {
+        if (!isWithinTimeWindow(rule.timeWindow, timeStamp, timeZone) || isInCooldown(rule, timeStamp)) continue;
+        await fireRule(db, rule, `${deviceId} went ${event}`, { deviceId, event }, timeStamp);
+      }
+    } catch (error) {
+      console.error(`[Automation] Error evaluating ${event} event for ${deviceId}:`, error);
+    }
+  }
+
+  return { handleReading, handleDeviceEvent };
+}
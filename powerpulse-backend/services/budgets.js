@@ -0,0 +1,279 @@
+import { ObjectId } from 'mongodb';
+import { getUserTimePreferences, getZonedParts, getDateString, addDaysToDateString, getStartOfDay } from './userTime.js';
+import { DAILY_CONSUMPTION_COLLECTION, SYSTEM_TOTAL_DEVICE_ID } from '../core/db.js';
+
+// --- Monthly Energy Budgets ---
+// Each device's monthlyTargetWh (set via PUT /api/devices/:deviceId/target) and the user's optional system-wide
+// target are compared with month-to-date consumption from the daily summaries. End-of-month consumption is
+// projected from the average of the most recent complete days. Threshold and "projected to exceed" alerts are
+// recorded in BUDGET_ALERTS_COLLECTION under a unique (userId, scope, month, alert) key, so each fires once a month.
+// Months and days are those of the user's time zone.
+export const BUDGET_SETTINGS_COLLECTION = 'budget_settings';
+export const BUDGET_ALERTS_COLLECTION = 'budget_alerts';
+
+const BUDGET_CHECK_INTERVAL = 15 * 60 * 1000; // Check budgets every 15 minutes
+const MIN_DAYS_FOR_PROJECTION_ALERT = 3; // Projections from less history are too noisy to alert on
+
+export const DEFAULT_BUDGET_SETTINGS = {
+  systemMonthlyTargetWh: null, // null = no system-wide budget
+  thresholdsPercent: [50, 80, 100],
+  notifyProjectedOverrun: true,
+  projectionWindowDays: 7 // Number of recent complete days the daily rate is averaged over
+};
+
+// Validates budget settings from the API (partial updates allowed) and returns { settings } or { error }.
+export function normalizeBudgetSettings(input = {}, existing = DEFAULT_BUDGET_SETTINGS) {
+  const settings = { ...DEFAULT_BUDGET_SETTINGS, ...existing };
+
+  if (input.systemMonthlyTargetWh !== undefined) {
+    const target = input.systemMonthlyTargetWh;
+    if (target !== null && (typeof target !== 'number' || !isFinite(target) || target <= 0)) {
+      return { error: 'systemMonthlyTargetWh must be a positive number (Wh) or null' };
+    }
+    settings.systemMonthlyTargetWh = target;
+  }
+  if (input.thresholdsPercent !== undefined) {
+    const thresholds = input.thresholdsPercent;
+    if (!Array.isArray(thresholds) || !thresholds.every(t => Number.isInteger(t) && t > 0 && t <= 200)) {
+      return { error: 'thresholdsPercent must be an array of whole percentages between 1 and 200' };
+    }
+    settings.thresholdsPercent = [...new Set(thresholds)].sort((a, b) => a - b);
+  }
+  if (input.notifyProjectedOverrun !== undefined) {
+    if (typeof input.notifyProjectedOverrun !== 'boolean') return { error: 'notifyProjectedOverrun must be a boolean' };
+    settings.notifyProjectedOverrun = input.notifyProjectedOverrun;
+  }
+  if (input.projectionWindowDays !== undefined) {
+    const windowDays = input.projectionWindowDays;
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > 31) {
+      return { error: 'projectionWindowDays must be a whole number of days between 1 and 31' };
+    }
+    settings.projectionWindowDays = windowDays;
+  }
+  return { settings };
+}
+
+export async function getBudgetSettings(db, userId) {
+  const doc = await db.collection(BUDGET_SETTINGS_COLLECTION).findOne({ userId: new ObjectId(userId) });
+  if (!doc) return { ...DEFAULT_BUDGET_SETTINGS };
+  const { _id, userId: _userId, updatedAt, ...stored } = doc;
+  return { ...DEFAULT_BUDGET_SETTINGS, ...stored };
+}
+
+// Daily Wh per deviceId for the given date strings: Map deviceId -> Map dateString -> Wh
+async function getDailyEnergyByDevice(db, userId, dateStrings) {
+  const records = await db.collection(DAILY_CONSUMPTION_COLLECTION)
+    .find({ userId: new ObjectId(userId), dateString: { $in: dateStrings } }, { projection: { deviceId: 1, dateString: 1, estimatedEnergyWhToday: 1 } })
+    .toArray();
+  const byDevice = new Map();
+  for (const record of records) {
+    if (record.deviceId === SYSTEM_TOTAL_DEVICE_ID) continue;
+    if (!byDevice.has(record.deviceId)) byDevice.set(record.deviceId, new Map());
+    byDevice.get(record.deviceId).set(record.dateString, record.estimatedEnergyWhToday || 0);
+  }
+  return byDevice;
+}
+
+// System-wide daily Wh, summed from the device records (SYSTEM_TOTAL_DAILY is only refreshed while the app is connected).
+function getSystemDailyEnergy(dailyEnergyByDevice) {
+  const total = new Map();
+  for (const deviceDays of dailyEnergyByDevice.values()) {
+    for (const [dateString, wh] of deviceDays) total.set(dateString, (total.get(dateString) || 0) + wh);
+  }
+  return total;
+}
+
+function buildBudget(scope, targetWh, dailyEnergy, calendar) {
+  const sumFor = (dates) => dates.reduce((sum, d) => sum + (dailyEnergy?.get(d) || 0), 0);
+  const monthToDateWh = sumFor(calendar.monthDates);
+  const todayWh = dailyEnergy?.get(calendar.todayString) || 0;
+
+  // Daily rate: average of recent complete days that have data; otherwise today's pace so far
+  const recentDays = calendar.recentDates.filter(d => dailyEnergy?.has(d));
+  let dailyRateWh = null;
+  if (recentDays.length > 0) {
+    dailyRateWh = sumFor(recentDays) / recentDays.length;
+  } else if (calendar.fractionOfTodayElapsed >= 0.25) {
+    dailyRateWh = todayWh / calendar.fractionOfTodayElapsed;
+  }
+
+  const projectedWh = dailyRateWh === null ? null : monthToDateWh + dailyRateWh * calendar.remainingDayFraction;
+  const percentUsed = targetWh > 0 ? (monthToDateWh / targetWh) * 100 : null;
+  const projectedPercent = projectedWh !== null && targetWh > 0 ? (projectedWh / targetWh) * 100 : null;
+  const remainingWh = Math.max(0, targetWh - monthToDateWh);
+
+  let status = 'on_track';
+  if (monthToDateWh >= targetWh) status = 'exceeded';
+  else if (projectedWh !== null && projectedWh > targetWh) status = 'projected_to_exceed';
+
+  return {
+    ...scope,
+    targetWh,
+    monthToDateWh: parseFloat(monthToDateWh.toFixed(3)),
+    percentUsed: percentUsed === null ? null : parseFloat(percentUsed.toFixed(1)),
+    dailyRateWh: dailyRateWh === null ? null : parseFloat(dailyRateWh.toFixed(3)),
+    projectedWh: projectedWh === null ? null : parseFloat(projectedWh.toFixed(3)),
+    projectedPercent: projectedPercent === null ? null : parseFloat(projectedPercent.toFixed(1)),
+    remainingWh: parseFloat(remainingWh.toFixed(3)),
+    dailyAllowanceWh: parseFloat((remainingWh / calendar.daysRemaining).toFixed(3)), // Per remaining day (today included) to stay within target
+    projectionBasisDays: recentDays.length,
+    status
+  };
+}
+
+function getBudgetCalendar(now, projectionWindowDays, timeZone) {
+  const { year, month, day: dayOfMonth } = getZonedParts(now, timeZone);
+  const monthString = `${year}-${month.toString().padStart(2, '0')}`;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const todayString = getDateString(now, timeZone);
+  const startOfToday = getStartOfDay(todayString, timeZone);
+  const dayLengthMs = getStartOfDay(addDaysToDateString(todayString, 1), timeZone) - startOfToday; // 23 or 25 hours on DST changes
+  const fractionOfTodayElapsed = (now.getTime() - startOfToday.getTime()) / dayLengthMs;
+
+  const monthDates = [];
+  for (let day = 1; day <= dayOfMonth; day++) monthDates.push(`${monthString}-${day.toString().padStart(2, '0')}`);
+  const recentDates = [];
+  for (let i = 1; i <= projectionWindowDays; i++) recentDates.push(addDaysToDateString(todayString, -i));
+
+  return {
+    month: monthString,
+    daysInMonth,
+    daysRemaining: daysInMonth - dayOfMonth + 1, // Including today
+    remainingDayFraction: (daysInMonth - dayOfMonth) + (1 - fractionOfTodayElapsed),
+    fractionOfTodayElapsed,
+    todayString,
+    monthDates,
+    recentDates
+  };
+}
+
+// Progress and projection for every budget of a user: the system-wide target (if set) and each device with a monthlyTargetWh.
+export async function getBudgetOverview(db, userId, now = new Date()) {
+  const settings = await getBudgetSettings(db, userId);
+  const { timeZone } = await getUserTimePreferences(db, userId);
+  const calendar = getBudgetCalendar(now, settings.projectionWindowDays, timeZone);
+  const devices = await db.collection('devices')
+    .find({ userId: new ObjectId(userId), monthlyTargetWh: { $gt: 0 } }, { projection: { id: 1, name: 1, monthlyTargetWh: 1 } })
+    .toArray();
+  const dailyEnergy = await getDailyEnergyByDevice(db, userId, [...new Set([...calendar.monthDates, ...calendar.recentDates])]);
+
+  return {
+    month: calendar.month,
+    daysInMonth: calendar.daysInMonth,
+    daysRemaining: calendar.daysRemaining,
+    settings,
+    system: settings.systemMonthlyTargetWh
+      ? buildBudget({ scope: 'system' }, settings.systemMonthlyTargetWh, getSystemDailyEnergy(dailyEnergy), calendar)
+      : null,
+    devices: devices.map(device => buildBudget(
+      { scope: 'device', deviceId: device.id, name: device.name },
+      device.monthlyTargetWh,
+      dailyEnergy.get(device.id),
+      calendar
+    ))
+  };
+}
+
+function getScopeKey(budget) {
+  return budget.scope === 'system' ? 'system' : `device:${budget.deviceId}`;
+}
+
+const alertKey = (budget, month) => `${getScopeKey(budget)}:${month}`;
+
+// Records an alert for this budget and month. Returns true only the first time (so the caller notifies once).
+async function claimAlert(db, userId, budget, month, alert) {
+  try {
+    await db.collection(BUDGET_ALERTS_COLLECTION).insertOne({
+      userId: new ObjectId(userId),
+      scopeKey: getScopeKey(budget),
+      month,
+      alert,
+      percentUsed: budget.percentUsed,
+      projectedWh: budget.projectedWh,
+      createdAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+const formatKWh = (wh) => `${(wh / 1000).toFixed(2)} kWh`;
+
+async function checkBudgetAlerts(db, userId, overview, notify) {
+  const { settings, month } = overview;
+  const budgets = overview.system ? [overview.system, ...overview.devices] : overview.devices;
+
+  for (const budget of budgets) {
+    const label = budget.scope === 'system' ? 'Your total energy use' : (budget.name || budget.deviceId);
+    const notifyOptions = budget.scope === 'device' ? { deviceId: budget.deviceId, deviceName: budget.name } : {};
+
+    // Only the highest newly crossed threshold is announced; lower ones are recorded silently
+    const crossed = settings.thresholdsPercent.filter(t => budget.percentUsed >= t);
+    let highestNew = null;
+    for (const threshold of crossed) {
+      if (await claimAlert(db, userId, budget, month, `threshold_${threshold}`)) highestNew = threshold;
+    }
+    if (highestNew !== null) {
+      await notify(
+        userId,
+        `${label} has used ${budget.percentUsed.toFixed(0)}% of its ${formatKWh(budget.targetWh)} monthly budget (${formatKWh(budget.monthToDateWh)} so far, ${overview.daysRemaining} day(s) left).`,
+        'budget_threshold',
+        { ...notifyOptions, severity: highestNew >= 100 ? 'critical' : (highestNew >= 80 ? 'warning' : 'info'), dedupeKey: `budget:${alertKey(budget, month)}:threshold_${highestNew}` }
+      );
+    }
+
+    if (settings.notifyProjectedOverrun && budget.status === 'projected_to_exceed' && budget.projectionBasisDays >= Math.min(MIN_DAYS_FOR_PROJECTION_ALERT, settings.projectionWindowDays)) {
+      if (await claimAlert(db, userId, budget, month, 'projected_overrun')) {
+        await notify(
+          userId,
+          `${label} is projected to reach ${formatKWh(budget.projectedWh)} this month, above its ${formatKWh(budget.targetWh)} budget. Staying under ${formatKWh(budget.dailyAllowanceWh)} a day keeps it on track.`,
+          'budget_projection',
+          { ...notifyOptions, severity: 'warning', dedupeKey: `budget:${alertKey(budget, month)}:projected_overrun` }
+        );
+      }
+    }
+  }
+}
+
+// Evaluates budget alerts for every user that has at least one budget.
+export async function runBudgetChecks(db, notify, now = new Date()) {
+  const userIds = new Set([
+    ...(await db.collection('devices').distinct('userId', { monthlyTargetWh: { $gt: 0 } })).map(id => id.toString()),
+    ...(await db.collection(BUDGET_SETTINGS_COLLECTION).distinct('userId', { systemMonthlyTargetWh: { $gt: 0 } })).map(id => id.toString())
+  ]);
+  for (const userId of userIds) {
+    try {
+      const overview = await getBudgetOverview(db, userId, now);
+      await checkBudgetAlerts(db, userId, overview, notify);
+    } catch (error) {
+      console.error(`[Budgets] Error checking budgets for user ${userId}:`, error);
+    }
+  }
+}
+
+export async function ensureBudgetIndexes(db) {
+  await db.collection(BUDGET_SETTINGS_COLLECTION).createIndex({ userId: 1 }, { unique: true });
+  await db.collection(BUDGET_ALERTS_COLLECTION).createIndex({ userId: 1, scopeKey: 1, month: 1, alert: 1 }, { unique: true });
+}
+
+// Starts the periodic budget check. getDb is called on every tick so the loop can start before Mongo is connected.
+export function startBudgetMonitor(getDb, notify) {
+  let checkInProgress = false;
+  const tick = async () => {
+    const db = getDb();
+    if (!db || checkInProgress) return;
+    checkInProgress = true;
+    try {
+      await runBudgetChecks(db, notify);
+    } catch (error) {
+      console.error('[Budgets] Check failed:', error);
+    } finally {
+      checkInProgress = false;
+    }
+  };
+  setInterval(tick, BUDGET_CHECK_INTERVAL);
+  console.log(`[Budgets] Started. Checking budgets every ${BUDGET_CHECK_INTERVAL / 60000} minutes.`);
+  tick();
+}
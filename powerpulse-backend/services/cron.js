@@ -0,0 +1,115 @@
+import { getDefaultTimeZone, getZonedParts, zonedTimeToUtc } from './userTime.js';
+
+// --- Minimal Cron Expression Support ---
+// Standard 5-field expressions: minute hour day-of-month month day-of-week.
+// Each field accepts '*', numbers, ranges (a-b), steps (*/n, a-b/n) and comma separated lists.
+// Day-of-week accepts 0-7 (0 and 7 are both Sunday). Evaluated on the wall clock of the given time zone
+// (the schedule owner's).
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+function parseField(fieldText, { name, min, max }) {
+  const values = new Set();
+  for (const part of fieldText.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step '${stepText}' in ${name} field`);
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = min;
+      end = max;
+    } else if (rangeText.includes('-')) {
+      [start, end] = rangeText.split('-').map(Number);
+    } else {
+      start = Number(rangeText);
+      end = stepText === undefined ? start : max;
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid value '${part}' in ${name} field (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Parses a cron expression. Throws an Error with a user-facing message if it is invalid.
+export function parseCronExpression(expression) {
+  if (typeof expression !== 'string') throw new Error('Cron expression must be a string');
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error('Cron expression must have exactly 5 fields (minute hour day-of-month month day-of-week)');
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, FIELD_RANGES[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Classic cron semantics: when both day fields are restricted, a day matches if either does.
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+}
+
+// `date` holds a wall-clock time in its UTC fields
+function matchesDay(parsed, date) {
+  const domMatch = parsed.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = parsed.daysOfWeek.has(date.getUTCDay());
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) return domMatch || dowMatch;
+  if (parsed.dayOfMonthRestricted) return domMatch;
+  if (parsed.dayOfWeekRestricted) return dowMatch;
+  return true;
+}
+
+// Returns the first matching minute in `timeZone` strictly after `after`, or null if none within roughly five years.
+// A time skipped by a DST change fires when the clock jumps; a repeated one fires on its first occurrence.
+export function getNextCronOccurrence(expression, after = new Date(), timeZone = getDefaultTimeZone()) {
+  const parsed = typeof expression === 'string' ? parseCronExpression(expression) : expression;
+  // Walks the wall clock in `timeZone`: the UTC fields of `candidate` are the local date and time.
+  const start = getZonedParts(after, timeZone);
+  const candidate = new Date(Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute + 1));
+
+  const limit = new Date(candidate);
+  limit.setUTCFullYear(limit.getUTCFullYear() + 5);
+
+  while (candidate <= limit) {
+    if (!parsed.months.has(candidate.getUTCMonth() + 1)) {
+      candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(parsed, candidate)) {
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+      candidate.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hours.has(candidate.getUTCHours())) {
+      candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minutes.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    const occurrence = zonedTimeToUtc({
+      year: candidate.getUTCFullYear(),
+      month: candidate.getUTCMonth() + 1,
+      day: candidate.getUTCDate(),
+      hour: candidate.getUTCHours(),
+      minute: candidate.getUTCMinutes()
+    }, timeZone);
+    // Wall-clock minutes in the second pass of a repeated hour map to instants before `after`
+    if (occurrence > after) return occurrence;
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+  }
+  return null;
+}
@@ -0,0 +1,264 @@
+import { ObjectId } from 'mongodb';
+import { getTariffProfile, getDailyRecordCost, roundCost } from './tariffs.js';
+import { getDateString, getStartOfDay, addDaysToDateString, getZonedParts } from './userTime.js';
+import { SYSTEM_POWER_LOG_DEVICE_ID } from './energyIntegration.js';
+import { DAILY_CONSUMPTION_COLLECTION, SYSTEM_TOTAL_DEVICE_ID } from '../core/db.js';
+
+// --- Data Export ---
+// Streams a user's data for a date range as CSV (UTF-8 with BOM and CRLF line ends, so Excel opens it as is),
+// NDJSON (one JSON object per line) or a single JSON document { dataset, from, to, timezone, columns, rows }.
+// Datasets:
+//   - readings: raw power readings (kept for RAW_READINGS_RETENTION_DAYS, see services/readingRollups.js)
+//   - daily: per-device daily consumption and cost
+//   - notifications
+// Documents are read through a cursor and written as they arrive, waiting for the client to drain the response,
+// so memory use does not grow with the size of the range.
+export const EXPORT_DATASETS = ['readings', 'daily', 'notifications'];
+export const EXPORT_FORMATS = ['csv', 'ndjson', 'json'];
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+const DEFAULT_EXPORT_DAYS = 30;
+const CURSOR_BATCH_SIZE = 1000;
+const WRITE_CHUNK_CHARS = 64 * 1024; // Rows are buffered into chunks of about this size before writing
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson; charset=utf-8', json: 'application/json; charset=utf-8' };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Columns of each dataset: key (NDJSON/JSON field), label and unit (CSV header)
+const COLUMNS = {
+  readings: [
+    { key: 'timestamp', label: 'Timestamp (UTC)' },
+    { key: 'localTime', label: 'Local time' },
+    { key: 'deviceId', label: 'Device ID' },
+    { key: 'deviceName', label: 'Device name' },
+    { key: 'powerW', label: 'Power', unit: 'W' },
+    { key: 'energyCounterWh', label: 'Energy counter', unit: 'Wh' }
+  ],
+  daily: [
+    { key: 'date', label: 'Date' },
+    { key: 'deviceId', label: 'Device ID' },
+    { key: 'deviceName', label: 'Device name' },
+    { key: 'energyWh', label: 'Energy', unit: 'Wh' },
+    { key: 'energyKWh', label: 'Energy', unit: 'kWh' },
+    { key: 'cost', label: 'Cost', unit: 'currency' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'energySource', label: 'Energy source' }
+  ],
+  notifications: [
+    { key: 'timestamp', label: 'Timestamp (UTC)' },
+    { key: 'localTime', label: 'Local time' },
+    { key: 'type', label: 'Type' },
+    { key: 'severity', label: 'Severity' },
+    { key: 'deviceId', label: 'Device ID' },
+    { key: 'deviceName', label: 'Device name' },
+    { key: 'message', label: 'Message' },
+    { key: 'isRead', label: 'Read' }
+  ]
+};
+
+// A boundary of the export range: 'YYYY-MM-DD' (a day in the user's time zone), an ISO date-time or epoch ms.
+// endOfDay makes a plain date include the whole day (for `to`).
+function parseBoundary(value, timeZone, endOfDay) {
+  if (value === undefined || value === '') return undefined;
+  if (DATE_PATTERN.test(value)) {
+    const date = getStartOfDay(endOfDay ? addDaysToDateString(value, 1) : value, timeZone);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Validates the query of an export request (dataset, format, from, to, deviceId) and returns { options } or
+// { error }. Without from/to the last DEFAULT_EXPORT_DAYS days (today included) are exported.
+export function parseExportQuery(query = {}, timePreferences, now = new Date()) {
+  const { timeZone } = timePreferences;
+  const dataset = query.dataset || 'readings';
+  if (!EXPORT_DATASETS.includes(dataset)) return { error: `dataset must be one of: ${EXPORT_DATASETS.join(', ')}` };
+  const format = query.format || 'csv';
+  if (!EXPORT_FORMATS.includes(format)) return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+
+  const from = parseBoundary(query.from, timeZone, false);
+  const to = parseBoundary(query.to, timeZone, true);
+  if (from === null || to === null) return { error: 'from and to must be dates (YYYY-MM-DD), ISO 8601 date-times or epoch milliseconds' };
+  const end = to || now;
+  const start = from || getStartOfDay(addDaysToDateString(getDateString(end, timeZone), -(DEFAULT_EXPORT_DAYS - 1)), timeZone);
+  if (start >= end) return { error: 'from must be before to' };
+
+  return {
+    options: {
+      dataset,
+      format,
+      from: start,
+      to: end, // Exclusive
+      fromDate: getDateString(start, timeZone),
+      toDate: getDateString(new Date(end.getTime() - 1), timeZone), // Inclusive, for the daily dataset
+      deviceId: query.deviceId || null
+    }
+  };
+}
+
+function formatLocalTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = (value) => value.toString().padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'string') return String(value);
+  // Text starting with =, +, - or @ would be run as a formula by spreadsheet apps
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvHeader(column, { timeZone, currency }) {
+  if (column.key === 'localTime') return `${column.label} (${timeZone})`;
+  if (column.unit === 'currency') return `${column.label} (${currency})`;
+  return column.unit ? `${column.label} (${column.unit})` : column.label;
+}
+
+// The cursor and row mapper of a dataset.
+function openDataset(db, readingsCollectionName, userId, options, context) {
+  const userObjectId = new ObjectId(userId);
+  const { deviceNames, timeZone, tariffProfile } = context;
+  const deviceName = (deviceId) => (deviceId ? deviceNames.get(deviceId) ?? null : null);
+
+  if (options.dataset === 'readings') {
+    const cursor = db.collection(readingsCollectionName).find(
+      { userId: userObjectId, deviceId: options.deviceId || { $ne: SYSTEM_POWER_LOG_DEVICE_ID }, timeStamp: { $gte: options.from, $lt: options.to } },
+      { projection: { _id: 0, deviceId: 1, timeStamp: 1, power: 1, energyCounterWh: 1 } }
+    ).sort({ timeStamp: 1 });
+    return {
+      cursor,
+      toRow: (reading) => ({
+        timestamp: reading.timeStamp.toISOString(),
+        localTime: formatLocalTime(reading.timeStamp, timeZone),
+        deviceId: reading.deviceId,
+        deviceName: deviceName(reading.deviceId),
+        powerW: typeof reading.power === 'number' ? reading.power : null,
+        energyCounterWh: typeof reading.energyCounterWh === 'number' ? reading.energyCounterWh : null
+      })
+    };
+  }
+
+  if (options.dataset === 'daily') {
+    const cursor = db.collection(DAILY_CONSUMPTION_COLLECTION).find(
+      { userId: userObjectId, deviceId: options.deviceId || { $ne: SYSTEM_TOTAL_DEVICE_ID }, dateString: { $gte: options.fromDate, $lte: options.toDate } }
+    ).sort({ dateString: 1, deviceId: 1 });
+    return {
+      cursor,
+      toRow: (record) => {
+        const energyWh = record.estimatedEnergyWhToday || 0;
+        return {
+          date: record.dateString,
+          deviceId: record.deviceId,
+          deviceName: deviceName(record.deviceId),
+          energyWh: parseFloat(energyWh.toFixed(3)),
+          energyKWh: parseFloat((energyWh / 1000).toFixed(6)),
+          cost: roundCost(getDailyRecordCost(record, tariffProfile)),
+          currency: tariffProfile.currency,
+          energySource: record.energySource || null
+        };
+      }
+    };
+  }
+
+  const filter = { userId: userObjectId, timestamp: { $gte: options.from, $lt: options.to } };
+  if (options.deviceId) filter.deviceId = options.deviceId;
+  const cursor = db.collection(NOTIFICATIONS_COLLECTION).find(filter, { projection: { userId: 0, dedupeKey: 0 } }).sort({ timestamp: 1 });
+  return {
+    cursor,
+    toRow: (notification) => ({
+      timestamp: notification.timestamp.toISOString(),
+      localTime: formatLocalTime(notification.timestamp, timeZone),
+      type: notification.type,
+      severity: notification.severity || null,
+      deviceId: notification.deviceId || null,
+      deviceName: notification.deviceName || deviceName(notification.deviceId),
+      message: notification.message,
+      isRead: notification.isRead === true
+    })
+  };
+}
+
+// Buffers output into chunks and waits for the response to drain when the client reads slower than we write.
+function createChunkWriter(res) {
+  let buffer = '';
+  const waitForDrain = () => new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+  return {
+    async write(text) {
+      buffer += text;
+      if (buffer.length >= WRITE_CHUNK_CHARS) await this.flush();
+    },
+    async flush() {
+      if (!buffer || res.destroyed) return;
+      const chunk = buffer;
+      buffer = '';
+      if (!res.write(chunk)) await waitForDrain();
+    }
+  };
+}
+
+// Writes the export to the HTTP response. Returns the number of rows written (the client may have gone away
+// before the end). Errors before the first byte are thrown with nothing sent; later ones are thrown as well,
+// and the caller must destroy the response.
+export async function streamExport(db, readingsCollectionName, userId, options, timePreferences, res) {
+  const { dataset, format } = options;
+  const { timeZone } = timePreferences;
+  const devices = await db.collection('devices').find({ userId: new ObjectId(userId) }, { projection: { id: 1, name: 1 } }).toArray();
+  const tariffProfile = await getTariffProfile(db, userId);
+  const context = { deviceNames: new Map(devices.map(d => [d.id, d.name])), timeZone, tariffProfile };
+  const columns = COLUMNS[dataset];
+  const { cursor, toRow } = openDataset(db, readingsCollectionName, userId, options, context);
+  cursor.batchSize(CURSOR_BATCH_SIZE);
+
+  const extension = format === 'ndjson' ? 'ndjson' : format;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="powerpulse-${dataset}-${options.fromDate}-to-${options.toDate}.${extension}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  const writer = createChunkWriter(res);
+  let rowCount = 0;
+  try {
+    if (format === 'csv') {
+      await writer.write('\uFEFF' + columns.map(c => csvValue(csvHeader(c, { timeZone, currency: tariffProfile.currency }))).join(',') + '\r\n');
+    } else if (format === 'json') {
+      const header = {
+        dataset,
+        from: options.from.toISOString(),
+        to: options.to.toISOString(),
+        timezone: timeZone,
+        columns: columns.map(({ key, label, unit }) => ({ key, label, unit: unit === 'currency' ? tariffProfile.currency : unit || null }))
+      };
+      await writer.write(JSON.stringify(header).slice(0, -1) + ',"rows":[');
+    }
+
+    for await (const doc of cursor) {
+      if (res.destroyed) break; // Client went away
+      const row = toRow(doc);
+      if (format === 'csv') await writer.write(columns.map(c => csvValue(row[c.key])).join(',') + '\r\n');
+      else if (format === 'ndjson') await writer.write(JSON.stringify(row) + '\n');
+      else await writer.write((rowCount > 0 ? ',' : '') + JSON.stringify(row));
+      rowCount++;
+    }
+
+    if (format === 'json') await writer.write(']}');
+    await writer.flush();
+    if (!res.destroyed) res.end();
+    return rowCount;
+  } finally {
+    await cursor.close();
+  }
+}
+
+export async function ensureExportIndexes(db, readingsCollectionName) {
+  await db.collection(readingsCollectionName).createIndex({ userId: 1, timeStamp: 1 }); // All of a user's readings in time order
+  await db.collection(DAILY_CONSUMPTION_COLLECTION).createIndex({ userId: 1, dateString: 1 });
+}
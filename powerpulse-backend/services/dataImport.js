@@ -0,0 +1,708 @@
+import { ObjectId } from 'mongodb';
+import { getTariffProfile, priceEnergySlice, getDailyRecordCost } from './tariffs.js';
+import { getDateString, addDaysToDateString, zonedTimeToUtc, splitIntervalByDay } from './userTime.js';
+import { HOURLY_ROLLUPS_COLLECTION, getRollupState, markReadingsForRollup } from './readingRollups.js';
+import { DAILY_CONSUMPTION_COLLECTION, SYSTEM_TOTAL_DEVICE_ID } from '../core/db.js';
+
+// --- Data Import ---
+// Loads historical data (e.g. a Shelly cloud or utility export) from CSV or NDJSON. Datasets:
+//   - readings: timestamp, deviceId, powerW and/or energyCounterWh per row, stored as raw readings. Past days the
+//     device has no daily record for get one derived from them (counter deltas where usable, otherwise integrated
+//     power, as in mqttSubscriber.js), and the rollups covering them are rebuilt (see services/readingRollups.js).
+//   - daily: date, deviceId, energyWh or energyKWh and optionally cost per row, stored as daily consumption records.
+// Columns are recognised by name (including the headers GET /api/export writes) or mapped explicitly; devices are
+// matched by id or name, or mapped explicitly. Invalid rows are skipped and reported with their line number.
+// Rows the database already has (a reading of the device at that time, or its daily record for that day) are
+// skipped as duplicates; daily rows may replace existing records instead. A dry run reports all of this without
+// writing anything. Daily records are only written for days before today: today's belongs to the live pipeline.
+export const IMPORT_DATASETS = ['readings', 'daily'];
+export const IMPORT_FORMATS = ['csv', 'ndjson'];
+export const IMPORT_DUPLICATE_MODES = ['skip', 'replace'];
+export const IMPORT_CONTENT_TYPES = ['text/csv', 'text/plain', 'application/x-ndjson', 'application/ndjson'];
+
+const DEFAULT_MAX_IMPORT_SIZE = '25mb';
+const DEFAULT_MAX_IMPORT_ROWS = 250000;
+const MAX_REPORTED_ERRORS = 100;
+const QUERY_BATCH_SIZE = 1000;
+const WRITE_BATCH_SIZE = 1000;
+// As in mqttSubscriber.js: power readings further apart are not integrated, counter deltas above this draw are ignored
+const MAX_INTEGRATION_SLICE_MS = 6 * 60 * 60 * 1000;
+const MAX_PLAUSIBLE_DEVICE_POWER_W = 20000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?$/;
+const ZONED_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Fields of each dataset and the column names they are recognised by (lower-case letters and digits only;
+// earlier names win). Explicit mappings use the field names. A row's device is taken from deviceId, or from
+// deviceName where that is empty.
+const FIELDS = {
+  readings: {
+    timestamp: ['timestamp', 'timestamputc', 'time', 'datetime', 'datetimeutc', 'localtime'],
+    deviceId: ['deviceid', 'device'],
+    deviceName: ['devicename', 'name'],
+    powerW: ['powerw', 'power', 'apower', 'activepower', 'activepowerw', 'watts'],
+    energyCounterWh: ['energycounterwh', 'energycounter', 'totalenergywh', 'totalenergy', 'aenergytotal']
+  },
+  daily: {
+    date: ['date', 'day', 'datestring'],
+    deviceId: ['deviceid', 'device'],
+    deviceName: ['devicename', 'name'],
+    energyWh: ['energywh', 'energy', 'consumptionwh', 'consumption'],
+    energyKWh: ['energykwh', 'consumptionkwh', 'usagekwh', 'kwh'],
+    cost: ['cost', 'costs', 'amount']
+  }
+};
+
+export function getImportLimits() {
+  const maxRows = parseInt(process.env.IMPORT_MAX_ROWS, 10);
+  return {
+    maxSize: process.env.IMPORT_MAX_SIZE || DEFAULT_MAX_IMPORT_SIZE,
+    maxRows: maxRows > 0 ? maxRows : DEFAULT_MAX_IMPORT_ROWS
+  };
+}
+
+function parseJsonObjectParam(value, name) {
+  if (value === undefined || value === '') return { value: {} };
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch {
+    return { error: `${name} must be a JSON object` };
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || Object.values(parsed).some(v => typeof v !== 'string')) {
+    return { error: `${name} must be a JSON object of strings` };
+  }
+  return { value: parsed };
+}
+
+// Validates the query of an import request (dataset, format, dryRun, onDuplicate, deviceId, columns, devices) and
+// returns { options } or { error }. columns maps fields to column names, devices maps values of the device column
+// to device ids (both JSON objects). Without a format, the Content-Type decides.
+export function parseImportQuery(query = {}, contentType = '') {
+  const dataset = query.dataset || 'readings';
+  if (!IMPORT_DATASETS.includes(dataset)) return { error: `dataset must be one of: ${IMPORT_DATASETS.join(', ')}` };
+  const format = query.format || (/ndjson/i.test(contentType) ? 'ndjson' : 'csv');
+  if (!IMPORT_FORMATS.includes(format)) return { error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` };
+  const onDuplicate = query.onDuplicate || 'skip';
+  if (!IMPORT_DUPLICATE_MODES.includes(onDuplicate)) return { error: `onDuplicate must be one of: ${IMPORT_DUPLICATE_MODES.join(', ')}` };
+  if (onDuplicate === 'replace' && dataset !== 'daily') return { error: 'onDuplicate=replace is only supported for the daily dataset' };
+
+  const columns = parseJsonObjectParam(query.columns, 'columns');
+  if (columns.error) return { error: columns.error };
+  const unknownFields = Object.keys(columns.value).filter(field => !FIELDS[dataset][field]);
+  if (unknownFields.length > 0) return { error: `Unknown column mapping(s) ${unknownFields.join(', ')}; fields are: ${Object.keys(FIELDS[dataset]).join(', ')}` };
+  const devices = parseJsonObjectParam(query.devices, 'devices');
+  if (devices.error) return { error: devices.error };
+
+  return {
+    options: {
+      dataset,
+      format,
+      dryRun: query.dryRun === 'true' || query.dryRun === '1',
+      onDuplicate,
+      deviceId: query.deviceId || null, // For files without a device column
+      columns: columns.value,
+      devices: devices.value
+    }
+  };
+}
+
+// --- Parsing ---
+
+function detectDelimiter(headerLine) {
+  let delimiter = ',';
+  let mostSeen = 0;
+  for (const candidate of [',', ';', '\t']) {
+    const seen = headerLine.split(candidate).length - 1;
+    if (seen > mostSeen) {
+      delimiter = candidate;
+      mostSeen = seen;
+    }
+  }
+  return delimiter;
+}
+
+// RFC 4180 CSV (quoted fields may contain delimiters, quotes and line breaks); ',', ';' or tab separated.
+// Returns { columns, rows: [{ line, values }] } or { error }. Blank lines are skipped.
+function parseCsv(text, maxRows) {
+  const firstLineEnd = text.search(/\r?\n/);
+  const delimiter = detectDelimiter(firstLineEnd === -1 ? text : text.slice(0, firstLineEnd));
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== '') records.push({ line: recordLine, values: record });
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      field = '';
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      if (records.length > maxRows + 1) return { error: `The file has more than ${maxRows} rows; split it into smaller files` };
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) return { error: `Unterminated quoted field starting on line ${recordLine}` };
+  if (field !== '' || record.length > 0) endRecord();
+  if (records.length === 0) return { error: 'The file is empty' };
+  if (records.length > maxRows + 1) return { error: `The file has more than ${maxRows} rows; split it into smaller files` };
+
+  const [header, ...rows] = records;
+  return { columns: header.values.map(name => name.trim()), rows };
+}
+
+// One JSON object per line. Returns { columns (every key seen), rows: [{ line, values } or { line, error }] } or { error }.
+function parseNdjson(text, maxRows) {
+  const columns = new Set();
+  const rows = [];
+  const lines = text.split(/\r?\n/);
+  for (let index = 0; index < lines.length; index++) {
+    if (lines[index].trim() === '') continue;
+    if (rows.length >= maxRows) return { error: `The file has more than ${maxRows} rows; split it into smaller files` };
+    let values;
+    try {
+      values = JSON.parse(lines[index]);
+    } catch {
+      rows.push({ line: index + 1, error: 'Not valid JSON' });
+      continue;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      rows.push({ line: index + 1, error: 'Not a JSON object' });
+      continue;
+    }
+    Object.keys(values).forEach(key => columns.add(key));
+    rows.push({ line: index + 1, values });
+  }
+  if (rows.length === 0) return { error: 'The file is empty' };
+  return { columns: [...columns], rows };
+}
+
+function normalizeColumnName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Picks the column of each field: explicit mappings first, then exact names ("Energy (kWh)" -> energykwh), then
+// names without their parenthesised suffix ("Cost (EUR)" -> cost). Returns { fieldColumns } or { error }.
+function resolveColumns(dataset, columns, mapping) {
+  const fieldColumns = {};
+  const used = new Set();
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!columns.includes(column)) return { error: `Column "${column}" (mapped to ${field}) is not in the file` };
+    fieldColumns[field] = column;
+    used.add(column);
+  }
+  const fullNames = columns.map(normalizeColumnName);
+  const baseNames = columns.map(name => normalizeColumnName(name.replace(/\(.*\)\s*$/, '')));
+  for (const names of [fullNames, baseNames]) {
+    for (const [field, aliases] of Object.entries(FIELDS[dataset])) {
+      if (fieldColumns[field]) continue;
+      for (const alias of aliases) {
+        const index = names.findIndex((name, i) => name === alias && !used.has(columns[i]));
+        if (index !== -1) {
+          fieldColumns[field] = columns[index];
+          used.add(columns[index]);
+          break;
+        }
+      }
+    }
+  }
+
+  if (dataset === 'readings') {
+    if (!fieldColumns.timestamp) return { error: 'No timestamp column found; map one with columns={"timestamp":"<column>"}' };
+    if (!fieldColumns.powerW && !fieldColumns.energyCounterWh) return { error: 'No power or energy counter column found; map one with columns={"powerW":"<column>"}' };
+  } else {
+    if (!fieldColumns.date) return { error: 'No date column found; map one with columns={"date":"<column>"}' };
+    if (!fieldColumns.energyWh && !fieldColumns.energyKWh) return { error: 'No energy column found; map one with columns={"energyWh":"<column>"} or {"energyKWh":"<column>"}' };
+  }
+  return { fieldColumns };
+}
+
+function createFieldReader(format, columns, fieldColumns) {
+  const readers = {};
+  for (const [field, column] of Object.entries(fieldColumns)) {
+    const index = columns.indexOf(column);
+    readers[field] = format === 'csv' ? (values) => values[index] : (values) => values[column];
+  }
+  return (values, field) => (readers[field] ? readers[field](values) : undefined);
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// A number, or null if the value is not one. Decimal commas ("1,5") are accepted.
+function parseNumber(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  const text = String(value).trim();
+  const number = Number(/^-?\d+,\d+$/.test(text) ? text.replace(',', '.') : text);
+  return text !== '' && isFinite(number) ? number : null;
+}
+
+// Epoch seconds or milliseconds, an ISO date-time with an offset, or a local date-time ("2024-05-01 13:45[:00]",
+// in the user's time zone, as in the "Local time" column of the export). Null if the value is none of these.
+function parseTimestamp(value, timeZone) {
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const epoch = Number(text);
+    return new Date(epoch < 1e11 ? epoch * 1000 : epoch); // Up to 1e11 is taken as seconds (i.e. before the year 5138)
+  }
+  const local = LOCAL_DATE_TIME_PATTERN.exec(text);
+  if (local) {
+    const [, year, month, day, hour, minute, second = '0', fraction = ''] = local;
+    const date = zonedTimeToUtc({ year: +year, month: +month, day: +day, hour: +hour, minute: +minute, second: +second }, timeZone);
+    return new Date(date.getTime() + Number(fraction.padEnd(3, '0').slice(0, 3)));
+  }
+  if (ZONED_DATE_TIME_PATTERN.test(text)) {
+    const date = new Date(text.replace(' ', 'T').replace(/\s+/g, ''));
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return null;
+}
+
+// A day: 'YYYY-MM-DD', or a timestamp (taken as the day it falls on in the user's time zone).
+function parseDay(value, timeZone) {
+  const text = String(value).trim();
+  if (DATE_PATTERN.test(text)) return addDaysToDateString(text, 0) === text ? text : null; // Rejects e.g. 2024-02-30
+  const date = parseTimestamp(text, timeZone);
+  return date ? getDateString(date, timeZone) : null;
+}
+
+// Resolves the device column of a row to one of the user's devices: explicit mapping, device id, then name.
+function createDeviceResolver(devices, mapping, defaultDeviceId) {
+  const byId = new Map(devices.map(device => [device.id, device]));
+  const byName = new Map(); // lower-case name -> device, or null if several devices share the name
+  for (const device of devices) {
+    if (!device.name) continue;
+    const key = device.name.trim().toLowerCase();
+    byName.set(key, byName.has(key) ? null : device);
+  }
+  return (value) => {
+    if (isBlank(value)) {
+      if (defaultDeviceId) return { device: byId.get(defaultDeviceId) };
+      return { error: 'Device is missing' };
+    }
+    const text = String(value).trim().replace(/^'(?=[=+\-@])/, ''); // The export guards such values against spreadsheet formulas
+    if (mapping[text] !== undefined) return { device: byId.get(mapping[text]) };
+    if (byId.has(text)) return { device: byId.get(text) };
+    const named = byName.get(text.toLowerCase());
+    if (named) return { device: named };
+    if (named === null) return { error: `Several devices are named "${text}"; map it with devices={"${text}":"<device id>"}` };
+    return { error: `Unknown device "${text}"` };
+  };
+}
+
+// --- Validation ---
+
+// Turns parsed rows into readings { line, deviceId, timeStamp, power?, energyCounterWh? }.
+function validateReadingRows(rows, readField, resolveDevice, { timeZone, now, reportError }) {
+  const readDevice = (values) => (isBlank(readField(values, 'deviceId')) ? readField(values, 'deviceName') : readField(values, 'deviceId'));
+  const readings = [];
+  for (const row of rows) {
+    if (row.error) {
+      reportError(row.line, row.error);
+      continue;
+    }
+    const { values } = row;
+    const rawTimestamp = readField(values, 'timestamp');
+    if (isBlank(rawTimestamp)) {
+      reportError(row.line, 'Timestamp is missing');
+      continue;
+    }
+    const timeStamp = parseTimestamp(rawTimestamp, timeZone);
+    if (!timeStamp || isNaN(timeStamp.getTime())) {
+      reportError(row.line, `Invalid timestamp "${rawTimestamp}"`);
+      continue;
+    }
+    if (timeStamp > now) {
+      reportError(row.line, 'Timestamp is in the future');
+      continue;
+    }
+    const reading = { line: row.line, timeStamp };
+    const rawPower = readField(values, 'powerW');
+    const rawCounter = readField(values, 'energyCounterWh');
+    if (!isBlank(rawPower)) {
+      reading.power = parseNumber(rawPower);
+      if (reading.power === null || Math.abs(reading.power) > MAX_PLAUSIBLE_DEVICE_POWER_W) {
+        reportError(row.line, `Invalid power "${rawPower}"`);
+        continue;
+      }
+    }
+    if (!isBlank(rawCounter)) {
+      reading.energyCounterWh = parseNumber(rawCounter);
+      if (reading.energyCounterWh === null || reading.energyCounterWh < 0) {
+        reportError(row.line, `Invalid energy counter "${rawCounter}"`);
+        continue;
+      }
+    }
+    if (reading.power === undefined && reading.energyCounterWh === undefined) {
+      reportError(row.line, 'Neither power nor energy counter is given');
+      continue;
+    }
+    const { device, error } = resolveDevice(readDevice(values));
+    if (error) {
+      reportError(row.line, error);
+      continue;
+    }
+    reading.deviceId = device.id;
+    readings.push(reading);
+  }
+  return readings;
+}
+
+// Turns parsed rows into daily records { line, deviceId, dateString, energyWh, cost? }.
+function validateDailyRows(rows, readField, resolveDevice, { timeZone, now, reportError }) {
+  const readDevice = (values) => (isBlank(readField(values, 'deviceId')) ? readField(values, 'deviceName') : readField(values, 'deviceId'));
+  const today = getDateString(now, timeZone);
+  const records = [];
+  for (const row of rows) {
+    if (row.error) {
+      reportError(row.line, row.error);
+      continue;
+    }
+    const { values } = row;
+    const rawDate = readField(values, 'date');
+    if (isBlank(rawDate)) {
+      reportError(row.line, 'Date is missing');
+      continue;
+    }
+    const dateString = parseDay(rawDate, timeZone);
+    if (!dateString) {
+      reportError(row.line, `Invalid date "${rawDate}"`);
+      continue;
+    }
+    if (dateString >= today) {
+      reportError(row.line, 'Only days before today can be imported; today is recorded live');
+      continue;
+    }
+    const rawWh = readField(values, 'energyWh');
+    const rawKWh = readField(values, 'energyKWh');
+    const rawEnergy = !isBlank(rawWh) ? rawWh : rawKWh;
+    if (isBlank(rawEnergy)) {
+      reportError(row.line, 'Energy is missing');
+      continue;
+    }
+    const energy = parseNumber(rawEnergy);
+    if (energy === null || energy < 0) {
+      reportError(row.line, `Invalid energy "${rawEnergy}"`);
+      continue;
+    }
+    const energyWh = rawEnergy === rawWh ? energy : energy * 1000;
+    const record = { line: row.line, dateString, energyWh };
+    const rawCost = readField(values, 'cost');
+    if (!isBlank(rawCost)) {
+      record.cost = parseNumber(rawCost);
+      if (record.cost === null) {
+        reportError(row.line, `Invalid cost "${rawCost}"`);
+        continue;
+      }
+    }
+    const { device, error } = resolveDevice(readDevice(values));
+    if (error) {
+      reportError(row.line, error);
+      continue;
+    }
+    record.deviceId = device.id;
+    records.push(record);
+  }
+  return records;
+}
+
+// Drops rows that repeat an earlier row of the file (same key). Returns the remaining rows.
+function dropRepeatedRows(rows, keyOf) {
+  const seen = new Set();
+  return rows.filter(row => {
+    const key = keyOf(row);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function groupByDevice(rows) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.deviceId)) groups.set(row.deviceId, []);
+    groups.get(row.deviceId).push(row);
+  }
+  return groups;
+}
+
+async function forEachBatch(items, batchSize, callback) {
+  for (let start = 0; start < items.length; start += batchSize) {
+    await callback(items.slice(start, start + batchSize));
+  }
+}
+
+// Keys (`deviceId|ms`) of the imported readings the database already has: a reading of the device at the same
+// moment or, before the raw retention (where the raw readings are gone), an hourly rollup of the device for that hour.
+async function findExistingReadings(db, readingsCollectionName, userObjectId, readings) {
+  const { rawPrunedBefore } = await getRollupState(db);
+  const existing = new Set();
+  for (const [deviceId, deviceReadings] of groupByDevice(readings)) {
+    await forEachBatch(deviceReadings, QUERY_BATCH_SIZE, async (batch) => {
+      const found = await db.collection(readingsCollectionName)
+        .find({ userId: userObjectId, deviceId, timeStamp: { $in: batch.map(r => r.timeStamp) } }, { projection: { _id: 0, timeStamp: 1 } })
+        .toArray();
+      found.forEach(doc => existing.add(`${deviceId}|${doc.timeStamp.getTime()}`));
+    });
+
+    const old = deviceReadings.filter(r => rawPrunedBefore && r.timeStamp < rawPrunedBefore);
+    const hourOf = (reading) => Math.floor(reading.timeStamp.getTime() / 3600000) * 3600000; // Rollups are aligned to UTC hours
+    const coveredHours = new Set();
+    await forEachBatch([...new Set(old.map(hourOf))], QUERY_BATCH_SIZE, async (batch) => {
+      const found = await db.collection(HOURLY_ROLLUPS_COLLECTION)
+        .find({ userId: userObjectId, deviceId, bucket: { $in: batch.map(hour => new Date(hour)) } }, { projection: { _id: 0, bucket: 1 } })
+        .toArray();
+      found.forEach(doc => coveredHours.add(doc.bucket.getTime()));
+    });
+    old.filter(r => coveredHours.has(hourOf(r))).forEach(r => existing.add(`${deviceId}|${r.timeStamp.getTime()}`));
+  }
+  return existing;
+}
+
+// The daily records of the given device/day pairs that already exist, as a Set of `deviceId|dateString`.
+async function findExistingDailyRecords(db, userObjectId, dayKeys) {
+  const existing = new Set();
+  for (const [deviceId, days] of groupByDevice(dayKeys)) {
+    await forEachBatch(days.map(day => day.dateString), QUERY_BATCH_SIZE, async (batch) => {
+      const found = await db.collection(DAILY_CONSUMPTION_COLLECTION)
+        .find({ userId: userObjectId, deviceId, dateString: { $in: batch } }, { projection: { _id: 0, dateString: 1 } })
+        .toArray();
+      found.forEach(doc => existing.add(`${deviceId}|${doc.dateString}`));
+    });
+  }
+  return existing;
+}
+
+function mergeEnergySource(existingSource, newSource) {
+  if (!existingSource) return newSource;
+  if (!newSource || existingSource === newSource) return existingSource;
+  return 'mixed';
+}
+
+// Daily energy of one device from its readings (sorted by time): Map dateString -> { energyWh, cost, energySource }.
+// Slices are split at the user's midnights. Tiered tariffs depend on the whole month's use, which the import does
+// not know, so there cost is left out and the records are priced at the base rate (see getDailyRecordCost()).
+function deriveDailyEnergy(readings, timeZone, tariffProfile) {
+  const days = new Map();
+  for (let i = 1; i < readings.length; i++) {
+    const previous = readings[i - 1];
+    const current = readings[i];
+    const sliceMs = current.timeStamp.getTime() - previous.timeStamp.getTime();
+    if (sliceMs <= 0) continue;
+    let energyWh = null;
+    let energySource = null;
+    const counterDeltaWh = typeof current.energyCounterWh === 'number' && typeof previous.energyCounterWh === 'number'
+      ? current.energyCounterWh - previous.energyCounterWh
+      : null;
+    if (counterDeltaWh !== null && counterDeltaWh >= 0 && counterDeltaWh <= MAX_PLAUSIBLE_DEVICE_POWER_W * sliceMs / 3600000) {
+      energyWh = counterDeltaWh;
+      energySource = 'counter';
+    } else if (typeof current.power === 'number' && typeof previous.power === 'number' && sliceMs <= MAX_INTEGRATION_SLICE_MS) {
+      energyWh = ((previous.power + current.power) / 2) * (sliceMs / 3600000);
+      energySource = 'integration';
+    }
+    if (energyWh === null) continue;
+
+    for (const part of splitIntervalByDay(previous.timeStamp, current.timeStamp, timeZone)) {
+      const partWh = energyWh * (part.end.getTime() - part.start.getTime()) / sliceMs;
+      const day = days.get(part.dateString) || { energyWh: 0, cost: 0, energySource: null };
+      day.energyWh += partWh;
+      if (tariffProfile.type !== 'tiered') day.cost += priceEnergySlice(tariffProfile, Math.max(0, partWh), part.start, part.end, 0, timeZone);
+      day.energySource = mergeEnergySource(day.energySource, energySource);
+      days.set(part.dateString, day);
+    }
+  }
+  return days;
+}
+
+// Rewrites the SYSTEM_TOTAL_DAILY records of past days from their device records (after records were imported).
+async function refreshSystemTotals(db, userObjectId, dateStrings, tariffProfile) {
+  await forEachBatch([...new Set(dateStrings)], QUERY_BATCH_SIZE, async (batch) => {
+    const records = await db.collection(DAILY_CONSUMPTION_COLLECTION)
+      .find({ userId: userObjectId, deviceId: { $ne: SYSTEM_TOTAL_DEVICE_ID }, dateString: { $in: batch } })
+      .toArray();
+    const totals = new Map(batch.map(dateString => [dateString, { energyWh: 0, cost: 0 }]));
+    for (const record of records) {
+      const total = totals.get(record.dateString);
+      total.energyWh += record.estimatedEnergyWhToday || 0;
+      total.cost += getDailyRecordCost(record, tariffProfile);
+    }
+    await db.collection(DAILY_CONSUMPTION_COLLECTION).bulkWrite([...totals].map(([dateString, total]) => ({
+      updateOne: {
+        filter: { userId: userObjectId, deviceId: SYSTEM_TOTAL_DEVICE_ID, dateString },
+        update: { $set: { estimatedEnergyWhToday: total.energyWh, estimatedCostToday: total.cost, lastUpdated: new Date() } },
+        upsert: true
+      }
+    })), { ordered: false });
+  });
+}
+
+// Writes daily records ({ deviceId, dateString, energyWh, cost?, energySource }). Existing records are left alone
+// unless replace is set. Returns { insertedCount, replacedCount }.
+async function writeDailyRecords(db, userObjectId, records, { importId, replace }) {
+  let insertedCount = 0;
+  let replacedCount = 0;
+  await forEachBatch(records, WRITE_BATCH_SIZE, async (batch) => {
+    const result = await db.collection(DAILY_CONSUMPTION_COLLECTION).bulkWrite(batch.map(record => {
+      const fields = {
+        estimatedEnergyWhToday: record.energyWh,
+        energySource: record.energySource,
+        importId,
+        updatedAt: new Date()
+      };
+      if (typeof record.cost === 'number') fields.estimatedCostToday = record.cost;
+      const filter = { userId: userObjectId, deviceId: record.deviceId, dateString: record.dateString };
+      const update = replace ? { $set: fields } : { $setOnInsert: fields };
+      if (replace && typeof record.cost !== 'number') update.$unset = { estimatedCostToday: '' }; // Priced at the base rate instead
+      return { updateOne: { filter, update, upsert: true } };
+    }), { ordered: false });
+    insertedCount += result.upsertedCount;
+    replacedCount += result.modifiedCount;
+  });
+  return { insertedCount, replacedCount };
+}
+
+// --- Import ---
+
+// Imports `text` (the uploaded file) for a user. Returns { summary } or { error } (the file could not be used at
+// all). summary: { dryRun, importId, dataset, format, timezone, columns (field -> column used), rowCount,
+// importedCount, duplicateCount, replacedCount, errorCount, errors: [{ line, error }] (the first 100),
+// devices: [{ deviceId, name, rowCount }], from, to, and for readings dailyRecords: { createdCount, skippedCount } }.
+// In a dry run the counts are what would be written.
+export async function importData(db, readingsCollectionName, userId, options, text, timePreferences, now = new Date()) {
+  const { dataset, format, dryRun } = options;
+  const { timeZone } = timePreferences;
+  const { maxRows } = getImportLimits();
+  const userObjectId = new ObjectId(userId);
+
+  const parsed = format === 'csv' ? parseCsv(text.replace(/^\uFEFF/, ''), maxRows) : parseNdjson(text, maxRows);
+  if (parsed.error) return { error: parsed.error };
+  const { fieldColumns, error: columnError } = resolveColumns(dataset, parsed.columns, options.columns);
+  if (columnError) return { error: columnError };
+
+  const devices = await db.collection('devices').find({ userId: userObjectId }, { projection: { _id: 0, id: 1, name: 1 } }).toArray();
+  const ownedIds = new Set(devices.map(device => device.id));
+  const unknownTargets = [options.deviceId, ...Object.values(options.devices)].filter(id => id && !ownedIds.has(id));
+  if (unknownTargets.length > 0) return { error: `Device(s) ${[...new Set(unknownTargets)].join(', ')} not found or not yours` };
+  if (!fieldColumns.deviceId && !fieldColumns.deviceName && !options.deviceId) return { error: 'No device column found; map one with columns={"deviceId":"<column>"} or give deviceId for a single-device file' };
+
+  const errors = [];
+  let errorCount = 0;
+  const reportError = (line, error) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push({ line, error });
+  };
+  const readField = createFieldReader(format, parsed.columns, fieldColumns);
+  const resolveDevice = createDeviceResolver(devices, options.devices, options.deviceId);
+  const validate = dataset === 'readings' ? validateReadingRows : validateDailyRows;
+  const validRows = validate(parsed.rows, readField, resolveDevice, { timeZone, now, reportError });
+
+  const keyOf = dataset === 'readings' ? (r) => `${r.deviceId}|${r.timeStamp.getTime()}` : (r) => `${r.deviceId}|${r.dateString}`;
+  const uniqueRows = dropRepeatedRows(validRows, keyOf);
+  const existing = dataset === 'readings'
+    ? await findExistingReadings(db, readingsCollectionName, userObjectId, uniqueRows)
+    : await findExistingDailyRecords(db, userObjectId, uniqueRows);
+  const replace = options.onDuplicate === 'replace';
+  const rowsToWrite = replace ? uniqueRows : uniqueRows.filter(row => !existing.has(keyOf(row)));
+  const importId = dryRun ? null : new ObjectId();
+  const tariffProfile = await getTariffProfile(db, userId);
+
+  const summary = {
+    dryRun,
+    importId,
+    dataset,
+    format,
+    timezone: timeZone,
+    columns: fieldColumns,
+    rowCount: parsed.rows.length,
+    importedCount: rowsToWrite.length,
+    duplicateCount: validRows.length - uniqueRows.length + (replace ? 0 : uniqueRows.length - rowsToWrite.length),
+    replacedCount: replace ? uniqueRows.filter(row => existing.has(keyOf(row))).length : 0,
+    errorCount,
+    errors,
+    devices: [...groupByDevice(rowsToWrite)].map(([deviceId, rows]) => ({
+      deviceId,
+      name: devices.find(device => device.id === deviceId)?.name ?? null,
+      rowCount: rows.length
+    })),
+    from: null,
+    to: null
+  };
+
+  if (dataset === 'daily') {
+    const dates = rowsToWrite.map(row => row.dateString).sort();
+    summary.from = dates[0] || null;
+    summary.to = dates[dates.length - 1] || null;
+    if (!dryRun && rowsToWrite.length > 0) {
+      const result = await writeDailyRecords(db, userObjectId, rowsToWrite.map(row => ({ ...row, energySource: 'import' })), { importId, replace });
+      summary.importedCount = result.insertedCount + result.replacedCount;
+      summary.replacedCount = result.replacedCount;
+      await refreshSystemTotals(db, userObjectId, dates, tariffProfile);
+    }
+    return { summary };
+  }
+
+  // Readings: daily records are derived for past days the device has none for
+  rowsToWrite.sort((a, b) => a.timeStamp - b.timeStamp);
+  summary.from = rowsToWrite[0]?.timeStamp.toISOString() || null;
+  summary.to = rowsToWrite[rowsToWrite.length - 1]?.timeStamp.toISOString() || null;
+  const today = getDateString(now, timeZone);
+  const derivedDays = [];
+  for (const [deviceId, deviceReadings] of groupByDevice(rowsToWrite)) {
+    for (const [dateString, day] of deriveDailyEnergy(deviceReadings, timeZone, tariffProfile)) {
+      derivedDays.push({ deviceId, dateString, energyWh: day.energyWh, cost: tariffProfile.type === 'tiered' ? undefined : day.cost, energySource: day.energySource });
+    }
+  }
+  const existingDays = await findExistingDailyRecords(db, userObjectId, derivedDays);
+  const newDays = derivedDays.filter(day => day.dateString < today && !existingDays.has(`${day.deviceId}|${day.dateString}`));
+  summary.dailyRecords = { createdCount: newDays.length, skippedCount: derivedDays.length - newDays.length };
+  if (dryRun || rowsToWrite.length === 0) return { summary };
+
+  const readingDocs = rowsToWrite.map(row => {
+    const doc = { _id: new ObjectId(), deviceId: row.deviceId, userId: userObjectId, timeStamp: row.timeStamp, importId };
+    if (row.power !== undefined) doc.power = row.power;
+    if (row.energyCounterWh !== undefined) doc.energyCounterWh = row.energyCounterWh;
+    return doc;
+  });
+  await forEachBatch(readingDocs, WRITE_BATCH_SIZE, (batch) => db.collection(readingsCollectionName).insertMany(batch, { ordered: false }));
+  await markReadingsForRollup(db, rowsToWrite[0].timeStamp, rowsToWrite[rowsToWrite.length - 1].timeStamp, {
+    userId,
+    deviceIds: [...new Set(rowsToWrite.map(row => row.deviceId))]
+  });
+  if (newDays.length > 0) {
+    const result = await writeDailyRecords(db, userObjectId, newDays, { importId, replace: false });
+    summary.dailyRecords.createdCount = result.insertedCount;
+    summary.dailyRecords.skippedCount = derivedDays.length - result.insertedCount;
+    await refreshSystemTotals(db, userObjectId, newDays.map(day => day.dateString), tariffProfile);
+  }
+  return { summary };
+}
@@ -0,0 +1,171 @@
+import { ObjectId } from 'mongodb';
+import { getDriver } from './deviceDrivers.js';
+
+// --- Device Commands ---
+// Publishes a switch command through the device's driver and stores the requested status.
+// Used by the toggle endpoints, the WebSocket, the scheduler and the automation engine, in either process.
+//
+// Every command is tracked in DEVICE_COMMANDS_COLLECTION: { userId, deviceId, requestedStatus, previousStatus,
+// correlationId, source, requestedBy, status, createdAt, expiresAt, resolvedAt, error }, where source is 'api', 'group',
+// 'websocket', 'schedule' or 'automation'. The correlationId is the RPC id for drivers that reply to commands
+// (Shelly Gen2), otherwise a generated id. status is
+//   - 'pending'     published, the device has not confirmed yet (the device's status already shows the request)
+//   - 'confirmed'   the RPC reply, or a status report with the requested state, arrived (mqttSubscriber.js)
+//   - 'failed'      the publish failed or the device replied with an error
+//   - 'timed_out'   no confirmation within COMMAND_ACK_TIMEOUT_SECONDS
+//   - 'superseded'  a newer command for the device was sent while this one was pending
+// Failed and timed-out commands roll the device's status back to what it was, unless something changed it since.
+export const DEVICE_COMMANDS_COLLECTION = 'device_commands';
+const COMMAND_HISTORY_DAYS = 30;
+
+export function getCommandTimeoutMs() {
+  return parseInt(process.env.COMMAND_ACK_TIMEOUT_SECONDS || '10', 10) * 1000;
+}
+
+export async function sendSwitchCommand(db, mqttClient, deviceId, userId, newStatus, { source = 'api', requestedBy = null } = {}) {
+  const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) });
+  if (!device) throw new Error(`Device ${deviceId} not found for user ${userId}`);
+  const driver = getDriver(device.driver);
+  if (!driver) throw new Error(`Unknown driver '${device.driver}' for device ${deviceId}`);
+
+  const { topic, payload, rpcId } = driver.buildSwitchCommand(device, newStatus);
+  const commands = db.collection(DEVICE_COMMANDS_COLLECTION);
+  const now = new Date();
+  await commands.updateMany(
+    { userId: device.userId, deviceId, status: 'pending' },
+    { $set: { status: 'superseded', resolvedAt: now } }
+  );
+  const command = {
+    userId: device.userId,
+    deviceId,
+    command: 'switch',
+    requestedStatus: newStatus,
+    previousStatus: typeof device.status === 'boolean' ? device.status : null,
+    correlationId: rpcId ?? new ObjectId().toString(),
+    source,
+    requestedBy: requestedBy ? new ObjectId(requestedBy) : null,
+    status: 'pending',
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + getCommandTimeoutMs()),
+    resolvedAt: null,
+    error: null
+  };
+  command._id = (await commands.insertOne(command)).insertedId;
+
+  // The requested status is stored before publishing, so even an immediate reply finds it to confirm or roll back
+  const dbResult = await db.collection('devices').updateOne(
+    { id: deviceId, userId: new ObjectId(userId) },
+    { $set: { status: newStatus } }
+  );
+  if (dbResult.matchedCount === 0) {
+    console.warn(`[CONTROL ${deviceId}] User: ${userId}. Device ID not found in 'devices' for status update.`);
+  } else {
+    console.log(`[CONTROL ${deviceId}] User: ${userId}. Database status for '${deviceId}' updated to ${newStatus} (pending confirmation).`);
+  }
+
+  console.log(`[CONTROL ${deviceId}] User: ${userId}. Publishing to MQTT via ${driver.name}. Topic: '${topic}', Payload: '${payload}', Correlation: ${command.correlationId}`);
+  try {
+    await new Promise((resolve, reject) => {
+      mqttClient.publish(topic, payload, { qos: 1 }, (err) => {
+        if (err) {
+          console.error(`[CONTROL ${deviceId}] User: ${userId}. MQTT Publish Error to ${topic}:`, err);
+          return reject(new Error(`Failed to publish MQTT command: ${err.message}`));
+        }
+        console.log(`[CONTROL ${deviceId}] User: ${userId}. MQTT message published to ${topic}.`);
+        resolve();
+      });
+    });
+  } catch (error) {
+    await db.collection(DEVICE_COMMANDS_COLLECTION).updateOne({ _id: command._id }, { $set: { status: 'failed', error: error.message, resolvedAt: new Date() } });
+    await rollbackCommand(db, command);
+    throw error;
+  }
+  return command;
+}
+
+// Resolves the pending command an RPC reply answers. Returns the resolved command, or null if none was pending.
+export async function resolveCommandReply(db, deviceId, rpcId, { success, error = null }, now = new Date()) {
+  return db.collection(DEVICE_COMMANDS_COLLECTION).findOneAndUpdate(
+    { deviceId, correlationId: rpcId, status: 'pending' },
+    { $set: success
+      ? { status: 'confirmed', confirmedBy: 'rpc_result', resolvedAt: now }
+      : { status: 'failed', error: error || 'Device reported an error', resolvedAt: now } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Confirms the pending command of a device that reported the requested switch state. Returns it, or null.
+export async function confirmCommandByStatus(db, deviceId, switchOn, now = new Date()) {
+  return db.collection(DEVICE_COMMANDS_COLLECTION).findOneAndUpdate(
+    { deviceId, status: 'pending', requestedStatus: switchOn },
+    { $set: { status: 'confirmed', confirmedBy: 'status', resolvedAt: now } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Marks the pending commands that were not confirmed in time as timed out and returns them.
+export async function expireCommands(db, now = new Date()) {
+  const commands = db.collection(DEVICE_COMMANDS_COLLECTION);
+  const expired = [];
+  for (;;) {
+    const command = await commands.findOneAndUpdate(
+      { status: 'pending', expiresAt: { $lte: now } },
+      { $set: { status: 'timed_out', error: 'No confirmation from the device', resolvedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!command) return expired;
+    expired.push(command);
+  }
+}
+
+// Puts a failed command's device back to its previous status, unless the device or a newer command changed it since.
+// Returns the restored status, or null if nothing was rolled back.
+export async function rollbackCommand(db, command) {
+  if (typeof command.previousStatus !== 'boolean' || command.previousStatus === command.requestedStatus) return null;
+  const newer = await db.collection(DEVICE_COMMANDS_COLLECTION).findOne(
+    { userId: command.userId, deviceId: command.deviceId, createdAt: { $gt: command.createdAt } },
+    { projection: { _id: 1 } }
+  );
+  if (newer) return null;
+  const result = await db.collection('devices').updateOne(
+    { id: command.deviceId, userId: command.userId, status: command.requestedStatus },
+    { $set: { status: command.previousStatus } }
+  );
+  if (result.matchedCount === 0) return null;
+  await db.collection(DEVICE_COMMANDS_COLLECTION).updateOne({ _id: command._id }, { $set: { rolledBack: true } });
+  return command.previousStatus;
+}
+
+// A device's commands, newest first. before (a date) pages back through older ones.
+export async function listDeviceCommands(db, userId, deviceId, { limit = 50, before = null } = {}) {
+  const filter = { userId: new ObjectId(userId), deviceId };
+  if (before) filter.createdAt = { $lt: before };
+  return db.collection(DEVICE_COMMANDS_COLLECTION).find(filter).sort({ createdAt: -1 }).limit(limit).toArray();
+}
+
+export function describeCommand(command) {
+  return {
+    id: command._id.toString(),
+    deviceId: command.deviceId,
+    command: command.command,
+    requestedStatus: command.requestedStatus,
+    previousStatus: command.previousStatus,
+    correlationId: String(command.correlationId),
+    source: command.source,
+    requestedBy: command.requestedBy ? command.requestedBy.toString() : null,
+    status: command.status,
+    confirmedBy: command.confirmedBy || null,
+    error: command.error,
+    rolledBack: command.rolledBack === true,
+    createdAt: command.createdAt,
+    resolvedAt: command.resolvedAt
+  };
+}
+
+export async function ensureCommandIndexes(db) {
+  const commands = db.collection(DEVICE_COMMANDS_COLLECTION);
+  await commands.createIndex({ userId: 1, deviceId: 1, createdAt: -1 });
+  await commands.createIndex({ deviceId: 1, correlationId: 1 });
+  await commands.createIndex({ status: 1, expiresAt: 1 });
+  await commands.createIndex({ createdAt: 1 }, { expireAfterSeconds: COMMAND_HISTORY_DAYS * 24 * 60 * 60 });
+}
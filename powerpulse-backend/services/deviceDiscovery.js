@@ -0,0 +1,140 @@
+import { ObjectId } from 'mongodb';
+
+// --- Device Discovery and Claiming ---
+// What a device reports about itself is kept on its device_status record by mqttSubscriber.js, registered or not:
+//   info: { model, firmware, mac, ip, generation }  from Shelly announce / GetDeviceInfo, Tasmota INFO and discovery
+//   capabilities: { switch, power_meter, voltage, temperature }  set to true as the device reports each of them
+//
+// An unregistered device can only be claimed with proof of physical access to it. An admin opens a pairing window
+// for their household (PAIRING_WINDOWS_COLLECTION, PAIRING_WINDOW_SECONDS long, default 120) and presses the
+// device's button. The press (a button event, or the switch changing state on its own) reported over MQTT is
+// credited to the open window, and the household can register the device for CLAIM_GRACE_MINUTES afterwards.
+//   - only devices pressed in the household's own window are listed (GET /api/mqtt-devices), so other users of the
+//     broker neither see nor claim them
+//   - a press while several households are pairing is ambiguous and credited to none of them
+// Whoever can publish on a device's topics can imitate it; the broker's ACLs have to prevent that.
+export const PAIRING_WINDOWS_COLLECTION = 'device_pairing_windows';
+export const DEVICE_CAPABILITIES = ['switch', 'power_meter', 'voltage', 'temperature'];
+const INFO_FIELDS = ['model', 'firmware', 'mac', 'ip', 'generation'];
+const CLAIM_GRACE_MINUTES = 15;
+
+export function getPairingWindowMs() {
+  return parseInt(process.env.PAIRING_WINDOW_SECONDS || '120', 10) * 1000;
+}
+
+// The device_status fields ($set, dotted) that a message's readings reveal, or null if they reveal nothing.
+export function getDiscoveryUpdate(readings) {
+  const set = {};
+  for (const reading of readings) {
+    if (reading.type === 'info') {
+      for (const field of INFO_FIELDS) {
+        if (reading[field] !== undefined) set[`info.${field}`] = reading[field];
+      }
+    }
+    if (reading.type === 'status' && typeof reading.switchOn === 'boolean') set['capabilities.switch'] = true;
+    if (reading.type === 'power' || reading.type === 'status') {
+      if (typeof reading.power === 'number') set['capabilities.power_meter'] = true;
+      if (typeof reading.voltage === 'number') set['capabilities.voltage'] = true;
+      if (typeof reading.temperature === 'number') set['capabilities.temperature'] = true;
+    }
+  }
+  return Object.keys(set).length > 0 ? set : null;
+}
+
+// Opens (or restarts) the household's pairing window. Devices pressed earlier stay claimable for their grace period.
+export async function openPairingWindow(db, userId, requestedBy, now = new Date()) {
+  return db.collection(PAIRING_WINDOWS_COLLECTION).findOneAndUpdate(
+    { userId: new ObjectId(userId) },
+    {
+      $set: { requestedBy: new ObjectId(requestedBy), openedAt: now, expiresAt: new Date(now.getTime() + getPairingWindowMs()), ambiguousPresses: 0 },
+      $setOnInsert: { devices: [] }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+export async function getPairingWindow(db, userId) {
+  return db.collection(PAIRING_WINDOWS_COLLECTION).findOne({ userId: new ObjectId(userId) });
+}
+
+// Credits a button press on an unregistered device to the one open pairing window.
+// Returns { userId } of the household it was credited to, { ambiguous: true }, or null if no window is open.
+export async function recordDevicePress(db, deviceId, now = new Date()) {
+  const windows = db.collection(PAIRING_WINDOWS_COLLECTION);
+  const open = await windows.find({ expiresAt: { $gt: now } }, { projection: { _id: 1, userId: 1 } }).toArray();
+  if (open.length === 0) return null;
+  if (open.length > 1) {
+    await windows.updateMany({ _id: { $in: open.map(w => w._id) } }, { $inc: { ambiguousPresses: 1 } });
+    return { ambiguous: true };
+  }
+  await windows.updateOne({ _id: open[0]._id }, { $pull: { devices: { deviceId } } });
+  await windows.updateOne({ _id: open[0]._id }, { $push: { devices: { deviceId, pressedAt: now } } });
+  return { userId: open[0].userId.toString() };
+}
+
+// The devices pressed in the household's window that can still be claimed: { deviceId, pressedAt } entries
+function getClaimableEntries(pairingWindow, now) {
+  const cutoff = now.getTime() - CLAIM_GRACE_MINUTES * 60 * 1000;
+  return (pairingWindow?.devices || []).filter(d => d.pressedAt.getTime() >= cutoff);
+}
+
+export async function isDeviceClaimable(db, userId, deviceId, now = new Date()) {
+  const pairingWindow = await getPairingWindow(db, userId);
+  return getClaimableEntries(pairingWindow, now).some(d => d.deviceId === deviceId);
+}
+
+// Takes a registered device off the household's pairing list.
+export async function completeClaim(db, userId, deviceId) {
+  await db.collection(PAIRING_WINDOWS_COLLECTION).updateOne({ userId: new ObjectId(userId) }, { $pull: { devices: { deviceId } } });
+}
+
+function describeCapabilities(capabilities = {}) {
+  return DEVICE_CAPABILITIES.filter(c => capabilities[c] === true);
+}
+
+// The household's claimable, still unregistered devices with what they reported about themselves, newest press first.
+export async function listClaimableDevices(db, userId, now = new Date()) {
+  const entries = getClaimableEntries(await getPairingWindow(db, userId), now);
+  if (entries.length === 0) return [];
+  const deviceIds = entries.map(d => d.deviceId);
+  const registered = await db.collection('devices').find({ id: { $in: deviceIds } }, { projection: { id: 1, _id: 0 } }).toArray();
+  const registeredIds = new Set(registered.map(d => d.id));
+  const statuses = await db.collection('device_status').find({ deviceId: { $in: deviceIds } }).toArray();
+  const statusById = new Map(statuses.map(s => [s.deviceId, s]));
+  return entries
+    .filter(d => !registeredIds.has(d.deviceId))
+    .sort((a, b) => b.pressedAt - a.pressedAt)
+    .map(({ deviceId, pressedAt }) => {
+      const status = statusById.get(deviceId) || {};
+      return {
+        id: deviceId,
+        driver: status.driver || null,
+        model: status.info?.model || null,
+        firmware: status.info?.firmware || null,
+        mac: status.info?.mac || null,
+        ip: status.info?.ip || null,
+        capabilities: describeCapabilities(status.capabilities),
+        online: status.online === true,
+        lastSeen: status.lastSeen || null,
+        pressedAt,
+        claimableUntil: new Date(pressedAt.getTime() + CLAIM_GRACE_MINUTES * 60 * 1000)
+      };
+    });
+}
+
+export function describePairingWindow(pairingWindow, now = new Date()) {
+  if (!pairingWindow) return { open: false, openedAt: null, expiresAt: null, ambiguousPresses: 0 };
+  return {
+    open: pairingWindow.expiresAt > now,
+    openedAt: pairingWindow.openedAt,
+    expiresAt: pairingWindow.expiresAt,
+    // Presses that could not be credited because another household was pairing at the same time
+    ambiguousPresses: pairingWindow.ambiguousPresses || 0
+  };
+}
+
+export async function ensureDiscoveryIndexes(db) {
+  const windows = db.collection(PAIRING_WINDOWS_COLLECTION);
+  await windows.createIndex({ userId: 1 }, { unique: true });
+  await windows.createIndex({ expiresAt: 1 });
+}
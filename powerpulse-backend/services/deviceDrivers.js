@@ -0,0 +1,337 @@
+// --- Device Driver Layer ---
+// Each driver owns one family of devices: which MQTT topics it listens on, how a topic maps to a device id,
+// how payloads are normalised into common readings, and how switch commands are published.
+//
+// parseMessage(topic, payload, rawPayload) returns null when the message is not for this driver, otherwise
+//   { deviceId, topicPrefix, readings } where every reading is one of:
+//     { type: 'power', power, energyCounterWh }             - telemetry (either field may be undefined)
+//     { type: 'status', switchOn, power, energyCounterWh }  - switch state (power/counter if reported alongside)
+//     { type: 'online', online }                            - availability / last will
+//     { type: 'command_result', rpcId, success, error }     - reply to a command we published
+//     { type: 'info', model, firmware, mac, ip, generation } - what the device announces about itself (any may be undefined)
+//     { type: 'button' }                                    - the device's button was pressed (pairing, see deviceDiscovery.js)
+// Power and status readings may also carry voltage (V) and temperature (°C) when the device measures them.
+// buildSwitchCommand(device, turnOn) returns { topic, payload, rpcId } for the MQTT publish.
+// buildInfoRequest(topicPrefix), where supported, returns { topic, payload } asking the device to report its info.
+// Energy counters are always normalised to Wh.
+
+export const RPC_SOURCE = 'PowerPulseBackend'; // "src" of our Shelly RPC calls; replies arrive on `${RPC_SOURCE}/rpc`
+export const DEFAULT_DRIVER = 'shelly_gen2';
+
+// Shelly device ids are the MAC part of the topic prefix (e.g. shellyplugus-a0dd6c4a81fc -> a0dd6c4a81fc)
+const shellyGenPattern = /^(shelly(?:plus|pro)?(?:plug(?:us|s)|1pm|dimmer2|pmmini|trv|ht|dw2|button1|motionsensor2|blu|em|3em|rgbw2|uni|i4|i4dc|valve|air|gas|flood|smokeplus|motionsensor|contact|window|vintage|duo|bulb|colorbulb|dimmer|roller|switch25|plug|4pro|1|1l|2.5|rgbw)(?:-[a-z]+)?-([0-9a-fA-F]{6,12}))$/i;
+
+function shellyIdFromPrefix(prefix) {
+  const match = prefix.match(shellyGenPattern);
+  return match ? match[2].toLowerCase() : null;
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return isNaN(value) ? undefined : value;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  return undefined;
+}
+
+function toText(value) {
+  if (typeof value === 'number') return String(value);
+  return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+}
+
+// MAC addresses are stored as lowercase hex without separators, like Shelly device ids
+function toMac(value) {
+  const mac = toText(value)?.replace(/[:-]/g, '').toLowerCase();
+  return mac && /^[0-9a-f]{12}$/.test(mac) ? mac : undefined;
+}
+
+function infoReading({ model, firmware, mac, ip, generation }) {
+  const reading = { type: 'info', model: toText(model), firmware: toText(firmware), mac: toMac(mac), ip: toText(ip), generation: toNumber(generation) };
+  return Object.values(reading).filter(v => v !== undefined).length > 1 ? reading : null;
+}
+
+// RPC ids correlate a command with its reply, so commands sent within the same millisecond still get distinct ones
+let lastRpcId = 0;
+function nextRpcId() {
+  lastRpcId = Math.max(Date.now(), lastRpcId + 1);
+  return lastRpcId;
+}
+
+// --- Shelly Gen2 / Gen3 (RPC over MQTT) ---
+// <prefix>/events/rpc (NotifyStatus, NotifyFullStatus, NotifyEvent), <prefix>/status/switch:0, <prefix>/online,
+// replies on PowerPulseBackend/rpc (including Shelly.GetDeviceInfo, which reports model, firmware and MAC)
+const SHELLY_BUTTON_EVENTS = ['single_push', 'double_push', 'triple_push', 'long_push', 'btn_down'];
+
+function shellyGen2SwitchReading(switchData) {
+  return {
+    type: 'status',
+    switchOn: typeof switchData.output === 'boolean' ? switchData.output : undefined,
+    power: toNumber(switchData.apower),
+    energyCounterWh: toNumber(switchData.aenergy?.total),
+    voltage: toNumber(switchData.voltage),
+    temperature: toNumber(switchData.temperature?.tC)
+  };
+}
+
+const shellyGen2Driver = {
+  name: 'shelly_gen2',
+  label: 'Shelly Gen2 (RPC)',
+  subscriptions: ['+/events/rpc', '+/status/switch:0', '+/online', `${RPC_SOURCE}/rpc`],
+
+  parseMessage(topic, payload, rawPayload) {
+    const [prefix, ...rest] = topic.split('/');
+    const subTopic = rest.join('/');
+
+    if (prefix === RPC_SOURCE && subTopic === 'rpc') {
+      const deviceId = typeof payload?.src === 'string' ? shellyIdFromPrefix(payload.src) : null;
+      if (!deviceId || payload.id === undefined) return null;
+      if (payload.result?.model) {
+        const info = infoReading({ model: payload.result.model, firmware: payload.result.ver, mac: payload.result.mac, generation: payload.result.gen });
+        return info ? { deviceId, topicPrefix: payload.src, readings: [info] } : null;
+      }
+      const readings = [{ type: 'command_result', rpcId: payload.id, success: !payload.error, error: payload.error?.message }];
+      const resultOutput = payload.result?.output ?? payload.result?.on;
+      if (typeof resultOutput === 'boolean') readings.push({ type: 'status', switchOn: resultOutput });
+      return { deviceId, topicPrefix: payload.src, readings };
+    }
+
+    const deviceId = shellyIdFromPrefix(prefix);
+    if (!deviceId) return null;
+
+    if (subTopic === 'online') {
+      return { deviceId, topicPrefix: prefix, readings: [{ type: 'online', online: rawPayload === 'true' }] };
+    }
+    if (subTopic === 'events/rpc' && (payload?.method === 'NotifyStatus' || payload?.method === 'NotifyFullStatus') && payload?.params) {
+      const readings = [];
+      if (payload.params['switch:0']) readings.push(shellyGen2SwitchReading(payload.params['switch:0']));
+      if (payload.params.sys || payload.params.wifi) {
+        const info = infoReading({ mac: payload.params.sys?.mac, ip: payload.params.wifi?.sta_ip, generation: 2 });
+        if (info) readings.push(info);
+      }
+      return readings.length > 0 ? { deviceId, topicPrefix: prefix, readings } : null;
+    }
+    if (subTopic === 'events/rpc' && payload?.method === 'NotifyEvent' && Array.isArray(payload?.params?.events)) {
+      const pressed = payload.params.events.some(e => SHELLY_BUTTON_EVENTS.includes(e?.event));
+      return pressed ? { deviceId, topicPrefix: prefix, readings: [{ type: 'button' }] } : null;
+    }
+    if (subTopic === 'status/switch:0' && payload && typeof payload === 'object') {
+      return { deviceId, topicPrefix: prefix, readings: [shellyGen2SwitchReading(payload)] };
+    }
+    return null;
+  },
+
+  buildInfoRequest(topicPrefix) {
+    return { topic: `${topicPrefix}/rpc`, payload: JSON.stringify({ id: nextRpcId(), src: RPC_SOURCE, method: 'Shelly.GetDeviceInfo' }) };
+  },
+
+  buildSwitchCommand(device, turnOn) {
+    const rpcId = nextRpcId();
+    return {
+      topic: `${device.topicPrefix || `shellyplugus-${device.id}`}/rpc`,
+      payload: JSON.stringify({ id: rpcId, src: RPC_SOURCE, method: 'Switch.Set', params: { id: 0, on: turnOn } }),
+      rpcId
+    };
+  }
+};
+
+// --- Shelly Gen1 (shellies/<prefix>/...) ---
+// relay/0 ('on'/'off'), relay/0/power (W), relay/0/energy (watt-minutes, resets on reboot), online, input_event/0,
+// and announce ({ id, model, mac, ip, fw_ver }, also on shellies/announce for all devices)
+function shellyGen1DeviceId(prefix) {
+  const lastDash = prefix.lastIndexOf('-');
+  const candidateId = lastDash >= 0 ? prefix.slice(lastDash + 1) : prefix;
+  return (/^[0-9a-fA-F]{6,12}$/.test(candidateId) ? candidateId : prefix).toLowerCase();
+}
+
+const shellyGen1Driver = {
+  name: 'shelly_gen1',
+  label: 'Shelly Gen1',
+  subscriptions: ['shellies/#'],
+
+  parseMessage(topic, payload, rawPayload) {
+    const parts = topic.split('/');
+    if (parts[0] !== 'shellies') return null;
+    if (topic === 'shellies/announce' || (parts.length === 3 && parts[2] === 'announce')) {
+      const prefix = typeof payload?.id === 'string' ? payload.id : parts.length === 3 ? parts[1] : null;
+      const info = prefix ? infoReading({ model: payload.model, firmware: payload.fw_ver, mac: payload.mac, ip: payload.ip, generation: 1 }) : null;
+      return info ? { deviceId: shellyGen1DeviceId(prefix), topicPrefix: prefix, readings: [info] } : null;
+    }
+    if (parts.length < 3) return null;
+    const prefix = parts[1];
+    const deviceId = shellyGen1DeviceId(prefix);
+    const subTopic = parts.slice(2).join('/');
+
+    if (subTopic === 'online') {
+      return { deviceId, topicPrefix: prefix, readings: [{ type: 'online', online: rawPayload === 'true' }] };
+    }
+    if (subTopic === 'relay/0' && (rawPayload === 'on' || rawPayload === 'off')) {
+      return { deviceId, topicPrefix: prefix, readings: [{ type: 'status', switchOn: rawPayload === 'on' }] };
+    }
+    if (subTopic === 'relay/0/power') {
+      const power = toNumber(rawPayload);
+      return power === undefined ? null : { deviceId, topicPrefix: prefix, readings: [{ type: 'power', power }] };
+    }
+    if (subTopic === 'relay/0/energy') {
+      const wattMinutes = toNumber(rawPayload);
+      return wattMinutes === undefined ? null : { deviceId, topicPrefix: prefix, readings: [{ type: 'power', energyCounterWh: wattMinutes / 60 }] };
+    }
+    if (subTopic === 'input_event/0' && typeof payload?.event === 'string' && payload.event !== '') {
+      return { deviceId, topicPrefix: prefix, readings: [{ type: 'button' }] };
+    }
+    return null;
+  },
+
+  buildInfoRequest(topicPrefix) {
+    return { topic: `shellies/${topicPrefix}/command`, payload: 'announce' };
+  },
+
+  buildSwitchCommand(device, turnOn) {
+    return {
+      topic: `shellies/${device.topicPrefix || `shellyplug-s-${device.id}`}/relay/0/command`,
+      payload: turnOn ? 'on' : 'off',
+      rpcId: null
+    };
+  }
+};
+
+// --- Tasmota ---
+// tele/<topic>/SENSOR ({ ENERGY: { Power, Total (kWh), Voltage } }), tele/<topic>/LWT, tele/<topic>/STATE,
+// stat/<topic>/POWER ('ON'/'OFF'), stat/<topic>/RESULT ({ POWER }); commands on cmnd/<topic>/POWER.
+// Device info from tele/<topic>/INFO1 and INFO2 (sent at boot), stat/<topic>/STATUS0 or STATUS2 and STATUS5 (replies
+// to cmnd/<topic>/STATUS 0, depending on the version) and the retained tasmota/discovery/<mac>/config
+function tasmotaDeviceId(topicName) {
+  // Shelly plugs flashed with Tasmota keep their MAC-style ids so they match existing registrations.
+  return shellyIdFromPrefix(topicName) || topicName.toLowerCase();
+}
+
+const tasmotaDriver = {
+  name: 'tasmota',
+  label: 'Tasmota',
+  subscriptions: ['tele/#', 'stat/#', 'tasmota/discovery/+/config'],
+
+  parseMessage(topic, payload, rawPayload) {
+    const parts = topic.split('/');
+    if (parts[0] === 'tasmota' && parts[1] === 'discovery' && parts[3] === 'config') {
+      const info = typeof payload?.t === 'string' ? infoReading({ model: payload.md, firmware: payload.sw, mac: payload.mac, ip: payload.ip }) : null;
+      return info ? { deviceId: tasmotaDeviceId(payload.t), topicPrefix: payload.t, readings: [info] } : null;
+    }
+    if ((parts[0] !== 'tele' && parts[0] !== 'stat') || parts.length < 3) return null;
+    const topicName = parts[1];
+    const deviceId = tasmotaDeviceId(topicName);
+    const leaf = parts[2];
+
+    if (['INFO1', 'INFO2', 'STATUS0', 'STATUS2', 'STATUS5'].includes(leaf)) {
+      if (!payload || typeof payload !== 'object') return null;
+      const data = { ...payload, ...payload.Info1, ...payload.Info2, ...payload.StatusFWR, ...payload.StatusNET };
+      const info = infoReading({ model: data.Module, firmware: data.Version, mac: data.Mac, ip: data.IPAddress });
+      return info ? { deviceId, topicPrefix: topicName, readings: [info] } : null;
+    }
+
+    if (parts[0] === 'tele') {
+      if (leaf === 'LWT') {
+        return { deviceId, topicPrefix: topicName, readings: [{ type: 'online', online: rawPayload === 'Online' }] };
+      }
+      if (payload?.ENERGY) {
+        const totalKWh = toNumber(payload.ENERGY.Total ?? payload.ENERGY.total);
+        return {
+          deviceId,
+          topicPrefix: topicName,
+          readings: [{
+            type: 'power',
+            power: toNumber(payload.ENERGY.Power ?? payload.ENERGY.power),
+            energyCounterWh: totalKWh === undefined ? undefined : totalKWh * 1000,
+            voltage: toNumber(payload.ENERGY.Voltage)
+          }]
+        };
+      }
+      if (leaf === 'STATE' && typeof payload?.POWER === 'string') {
+        return { deviceId, topicPrefix: topicName, readings: [{ type: 'status', switchOn: payload.POWER === 'ON' }] };
+      }
+      return null;
+    }
+
+    if (leaf === 'POWER' || leaf === 'RELAY') {
+      return { deviceId, topicPrefix: topicName, readings: [{ type: 'status', switchOn: rawPayload === 'ON' || payload?.switch === true }] };
+    }
+    if (leaf === 'RESULT' && typeof payload?.POWER === 'string') {
+      return { deviceId, topicPrefix: topicName, readings: [{ type: 'status', switchOn: payload.POWER === 'ON' }] };
+    }
+    return null;
+  },
+
+  buildSwitchCommand(device, turnOn) {
+    return { topic: `cmnd/${device.topicPrefix || device.id}/POWER`, payload: turnOn ? 'ON' : 'OFF', rpcId: null };
+  },
+
+  buildInfoRequest(topicPrefix) {
+    return { topic: `cmnd/${topicPrefix}/STATUS`, payload: '0' };
+  }
+};
+
+// --- Generic JSON ---
+// <root>/<deviceId>/state with { power, energyWh (cumulative), voltage, temperature, on, online, button,
+// info: { model, firmware, mac, ip } }; commands on <root>/<deviceId>/set as { on }
+function getGenericTopicRoot() {
+  return process.env.GENERIC_DEVICE_TOPIC_ROOT || 'powerpulse';
+}
+
+const genericJsonDriver = {
+  name: 'generic_json',
+  label: 'Generic JSON',
+  get subscriptions() {
+    return [`${getGenericTopicRoot()}/+/state`];
+  },
+
+  parseMessage(topic, payload) {
+    const parts = topic.split('/');
+    if (parts.length !== 3 || parts[0] !== getGenericTopicRoot() || parts[2] !== 'state') return null;
+    if (!payload || typeof payload !== 'object') return null;
+    const deviceId = parts[1].toLowerCase();
+    const readings = [];
+    if (typeof payload.online === 'boolean') readings.push({ type: 'online', online: payload.online });
+    const power = toNumber(payload.power);
+    const energyCounterWh = toNumber(payload.energyWh);
+    const measurements = { voltage: toNumber(payload.voltage), temperature: toNumber(payload.temperature) };
+    if (typeof payload.on === 'boolean') {
+      readings.push({ type: 'status', switchOn: payload.on, power, energyCounterWh, ...measurements });
+    } else if (power !== undefined || energyCounterWh !== undefined) {
+      readings.push({ type: 'power', power, energyCounterWh, ...measurements });
+    }
+    const info = payload.info && typeof payload.info === 'object' ? infoReading(payload.info) : null;
+    if (info) readings.push(info);
+    if (payload.button === true) readings.push({ type: 'button' });
+    return readings.length > 0 ? { deviceId, topicPrefix: parts[1], readings } : null;
+  },
+
+  buildSwitchCommand(device, turnOn) {
+    return { topic: `${getGenericTopicRoot()}/${device.topicPrefix || device.id}/set`, payload: JSON.stringify({ on: turnOn }), rpcId: null };
+  }
+};
+
+// Order matters only for topics more than one driver could claim; the most specific drivers come first.
+const drivers = [genericJsonDriver, tasmotaDriver, shellyGen1Driver, shellyGen2Driver];
+const driversByName = new Map(drivers.map(d => [d.name, d]));
+
+export const DRIVER_NAMES = drivers.map(d => d.name);
+
+export function getDriver(name) {
+  return driversByName.get(name || DEFAULT_DRIVER) || null;
+}
+
+export function listDrivers() {
+  return drivers.map(d => ({ name: d.name, label: d.label }));
+}
+
+// Union of all drivers' MQTT subscriptions.
+export function getDriverSubscriptions() {
+  return [...new Set(drivers.flatMap(d => d.subscriptions))];
+}
+
+// Finds the driver that understands this message. Returns { driver, deviceId, topicPrefix, readings } or null.
+export function parseDeviceMessage(topic, rawPayload) {
+  let payload;
+  try { payload = JSON.parse(rawPayload); } catch (e) { payload = rawPayload; }
+  for (const driver of drivers) {
+    const parsed = driver.parseMessage(topic, payload, rawPayload);
+    if (parsed) return { driver: driver.name, ...parsed };
+  }
+  return null;
+}
@@ -0,0 +1,170 @@
+import { ObjectId } from 'mongodb';
+import { getDailyRecordCost } from './tariffs.js';
+import { DAILY_CONSUMPTION_COLLECTION } from '../core/db.js';
+
+// --- Device Groups and Rooms ---
+// A group is a named set of the user's devices in DEVICE_GROUPS_COLLECTION: { userId, name, type, deviceIds }.
+//   - type 'room': a device is in at most one room, so adding it to a room takes it out of its previous room
+//   - type 'group': arbitrary sets ("Entertainment"); a device can be in any number of them
+// Group statistics are the sums of the members' daily records (daily_device_consumptions) and latest readings,
+// the same data the per-device statistics use.
+export const DEVICE_GROUPS_COLLECTION = 'device_groups';
+export const GROUP_TYPES = ['room', 'group'];
+const MAX_GROUP_NAME_LENGTH = 60;
+const MAX_GROUPS_PER_USER = 100;
+
+// Validates a group from the API (partial updates allowed when existing is given) and returns { group } or { error }.
+export function normalizeGroup(input = {}, existing = null) {
+  const group = existing
+    ? { name: existing.name, type: existing.type, deviceIds: existing.deviceIds }
+    : { name: undefined, type: 'group', deviceIds: [] };
+
+  if (input.name !== undefined || !existing) {
+    if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.trim().length > MAX_GROUP_NAME_LENGTH) {
+      return { error: `name must be 1-${MAX_GROUP_NAME_LENGTH} characters` };
+    }
+    group.name = input.name.trim();
+  }
+  if (input.type !== undefined) {
+    if (!GROUP_TYPES.includes(input.type)) return { error: `type must be one of: ${GROUP_TYPES.join(', ')}` };
+    group.type = input.type;
+  }
+  if (input.deviceIds !== undefined) {
+    if (!Array.isArray(input.deviceIds) || !input.deviceIds.every(id => typeof id === 'string' && id.length > 0)) {
+      return { error: 'deviceIds must be an array of device IDs' };
+    }
+    group.deviceIds = [...new Set(input.deviceIds)];
+  }
+  return { group };
+}
+
+// Loads a group of the user, or null if the id is invalid or not theirs.
+export async function findUserGroup(db, groupId, userId) {
+  if (!ObjectId.isValid(groupId)) return null;
+  return db.collection(DEVICE_GROUPS_COLLECTION).findOne({ _id: new ObjectId(groupId), userId: new ObjectId(userId) });
+}
+
+// Saves a new group (existingId null) or an update. Names are unique per user and type. Returns { group } or { status, error }.
+export async function saveGroup(db, userId, group, existingId = null, now = new Date()) {
+  const userObjectId = new ObjectId(userId);
+  const groups = db.collection(DEVICE_GROUPS_COLLECTION);
+
+  const ownedDevices = await db.collection('devices')
+    .find({ id: { $in: group.deviceIds }, userId: userObjectId }, { projection: { id: 1, _id: 0 } })
+    .toArray();
+  const ownedIds = new Set(ownedDevices.map(d => d.id));
+  const unknownIds = group.deviceIds.filter(id => !ownedIds.has(id));
+  if (unknownIds.length > 0) return { status: 400, error: `Unknown device(s): ${unknownIds.join(', ')}` };
+
+  const nameFilter = { userId: userObjectId, type: group.type, name: group.name };
+  if (existingId) nameFilter._id = { $ne: existingId };
+  if (await groups.findOne(nameFilter, { projection: { _id: 1 } })) {
+    return { status: 409, error: `A ${group.type} named '${group.name}' already exists` };
+  }
+
+  let groupId = existingId;
+  if (existingId) {
+    await groups.updateOne({ _id: existingId, userId: userObjectId }, { $set: { ...group, updatedAt: now } });
+  } else {
+    if (await groups.countDocuments({ userId: userObjectId }) >= MAX_GROUPS_PER_USER) {
+      return { status: 400, error: `A user can have at most ${MAX_GROUPS_PER_USER} groups and rooms` };
+    }
+    groupId = (await groups.insertOne({ userId: userObjectId, ...group, createdAt: now, updatedAt: now })).insertedId;
+  }
+  if (group.type === 'room' && group.deviceIds.length > 0) {
+    // A device lives in one room only
+    await groups.updateMany(
+      { userId: userObjectId, type: 'room', _id: { $ne: groupId }, deviceIds: { $in: group.deviceIds } },
+      { $pull: { deviceIds: { $in: group.deviceIds } }, $set: { updatedAt: now } }
+    );
+  }
+  return { group: await groups.findOne({ _id: groupId }) };
+}
+
+// Takes a deleted device out of every group.
+export async function removeDeviceFromGroups(db, userId, deviceId) {
+  await db.collection(DEVICE_GROUPS_COLLECTION).updateMany(
+    { userId: new ObjectId(userId), deviceIds: deviceId },
+    { $pull: { deviceIds: deviceId } }
+  );
+}
+
+// Moves a device into one of the user's rooms, or out of every room when roomId is null.
+// Returns { room } ({ id, name }, or null) or { status, error }.
+export async function setDeviceRoom(db, userId, deviceId, roomId, now = new Date()) {
+  const userObjectId = new ObjectId(userId);
+  const groups = db.collection(DEVICE_GROUPS_COLLECTION);
+  let room = null;
+  if (roomId !== null) {
+    room = ObjectId.isValid(roomId) ? await groups.findOne({ _id: new ObjectId(roomId), userId: userObjectId, type: 'room' }) : null;
+    if (!room) return { status: 404, error: 'Room not found' };
+  }
+  await groups.updateMany(
+    { userId: userObjectId, type: 'room', deviceIds: deviceId, ...(room ? { _id: { $ne: room._id } } : {}) },
+    { $pull: { deviceIds: deviceId }, $set: { updatedAt: now } }
+  );
+  if (!room) return { room: null };
+  await groups.updateOne({ _id: room._id }, { $addToSet: { deviceIds: deviceId }, $set: { updatedAt: now } });
+  return { room: { id: room._id.toString(), name: room.name } };
+}
+
+// The room of each of the user's devices: deviceId -> { id, name }
+export async function getDeviceRooms(db, userId) {
+  const rooms = await db.collection(DEVICE_GROUPS_COLLECTION)
+    .find({ userId: new ObjectId(userId), type: 'room' }, { projection: { name: 1, deviceIds: 1 } })
+    .toArray();
+  const roomsByDevice = new Map();
+  for (const room of rooms) {
+    for (const deviceId of room.deviceIds) roomsByDevice.set(deviceId, { id: room._id.toString(), name: room.name });
+  }
+  return roomsByDevice;
+}
+
+export function describeGroup(group) {
+  return {
+    id: group._id.toString(),
+    name: group.name,
+    type: group.type,
+    deviceIds: group.deviceIds,
+    createdAt: group.createdAt,
+    updatedAt: group.updatedAt
+  };
+}
+
+// Energy (Wh) and energy cost of the given devices on the given dates, in total and per device and per date.
+export async function getGroupEnergy(db, userId, deviceIds, dateStrings, tariffProfile) {
+  const records = deviceIds.length === 0 || dateStrings.length === 0 ? [] : await db.collection(DAILY_CONSUMPTION_COLLECTION)
+    .find({ userId: new ObjectId(userId), deviceId: { $in: deviceIds }, dateString: { $in: dateStrings } })
+    .toArray();
+  const summary = { energyWh: 0, cost: 0, byDevice: new Map(), byDate: new Map() };
+  for (const dailyRec of records) {
+    const energyWh = dailyRec.estimatedEnergyWhToday || 0;
+    const cost = getDailyRecordCost(dailyRec, tariffProfile);
+    summary.energyWh += energyWh;
+    summary.cost += cost;
+    for (const [map, key] of [[summary.byDevice, dailyRec.deviceId], [summary.byDate, dailyRec.dateString]]) {
+      const entry = map.get(key) || { energyWh: 0, cost: 0 };
+      entry.energyWh += energyWh;
+      entry.cost += cost;
+      map.set(key, entry);
+    }
+  }
+  return summary;
+}
+
+// Current power (W) of the group: the latest reading of every member that is switched on.
+export async function getGroupCurrentPower(db, readingsCollectionName, userId, devices) {
+  const onDeviceIds = devices.filter(d => d.status === true).map(d => d.id);
+  if (onDeviceIds.length === 0) return { powerW: 0, devicesOn: 0 };
+  const latestReadings = await db.collection(readingsCollectionName).aggregate([
+    { $match: { userId: new ObjectId(userId), deviceId: { $in: onDeviceIds }, power: { $type: 'number' } } },
+    { $sort: { deviceId: 1, timeStamp: -1 } },
+    { $group: { _id: '$deviceId', power: { $first: '$power' } } }
+  ]).toArray();
+  return { powerW: latestReadings.reduce((sum, r) => sum + r.power, 0), devicesOn: onDeviceIds.length };
+}
+
+export async function ensureDeviceGroupIndexes(db) {
+  await db.collection(DEVICE_GROUPS_COLLECTION).createIndex({ userId: 1, type: 1, name: 1 });
+  await db.collection(DEVICE_GROUPS_COLLECTION).createIndex({ userId: 1, deviceIds: 1 });
+}
@@ -0,0 +1,106 @@
+import { ObjectId } from 'mongodb';
+import { DEVICE_CAPABILITIES } from './deviceDiscovery.js';
+
+// --- Device Metadata ---
+// Besides id, name, userId, status, driver and monthlyTargetWh, a device document describes what is plugged in:
+//   category      one of DEVICE_CATEGORIES, or null; the statistics break consumption down by it
+//   ratedWattage  the appliance's nameplate power (W), or null
+//   icon          name of the icon the app shows, or null
+//   model, firmware  copied from discovery when the device is added (services/deviceDiscovery.js), editable
+//   capabilities  a subset of DEVICE_CAPABILITIES, from discovery unless set
+//   alwaysOn      automations and schedules never switch the device off (fridges, routers, medical equipment...)
+// The device's room is its 'room' group (services/deviceGroups.js).
+export const DEVICE_CATEGORIES = [
+  'fridge', 'freezer', 'hvac', 'heater', 'water_heater', 'ev_charger', 'washer', 'dryer', 'dishwasher',
+  'cooking', 'lighting', 'entertainment', 'computer', 'network', 'other'
+];
+const MAX_NAME_LENGTH = 60;
+const MAX_TEXT_LENGTH = 60;
+const MAX_RATED_WATTAGE = 100000;
+const ICON_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+// Optional text field: a string of 1-MAX_TEXT_LENGTH characters, or null to clear it. Returns { value } or { error }.
+function normalizeText(value, field) {
+  if (value === null) return { value: null };
+  if (typeof value !== 'string' || value.trim() === '' || value.trim().length > MAX_TEXT_LENGTH) {
+    return { error: `${field} must be 1-${MAX_TEXT_LENGTH} characters or null` };
+  }
+  return { value: value.trim() };
+}
+
+// Validates the metadata fields of a device update (only the fields present are changed) and returns
+// { update } with the fields to $set, or { error }. The room is handled separately (setDeviceRoom).
+export function normalizeDeviceMetadata(input = {}) {
+  const update = {};
+  if (input.name !== undefined) {
+    if (typeof input.name !== 'string' || input.name.trim() === '' || input.name.trim().length > MAX_NAME_LENGTH) {
+      return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+    }
+    update.name = input.name.trim();
+  }
+  if (input.category !== undefined) {
+    if (input.category !== null && !DEVICE_CATEGORIES.includes(input.category)) {
+      return { error: `category must be null or one of: ${DEVICE_CATEGORIES.join(', ')}` };
+    }
+    update.category = input.category;
+  }
+  if (input.ratedWattage !== undefined) {
+    if (input.ratedWattage !== null && (typeof input.ratedWattage !== 'number' || isNaN(input.ratedWattage) || input.ratedWattage <= 0 || input.ratedWattage > MAX_RATED_WATTAGE)) {
+      return { error: `ratedWattage must be null or a number of watts between 0 and ${MAX_RATED_WATTAGE}` };
+    }
+    update.ratedWattage = input.ratedWattage;
+  }
+  if (input.icon !== undefined) {
+    if (input.icon !== null && (typeof input.icon !== 'string' || !ICON_PATTERN.test(input.icon))) {
+      return { error: 'icon must be null or an icon name (lowercase letters, digits and underscores)' };
+    }
+    update.icon = input.icon;
+  }
+  for (const field of ['model', 'firmware']) {
+    if (input[field] === undefined) continue;
+    const { value, error } = normalizeText(input[field], field);
+    if (error) return { error };
+    update[field] = value;
+  }
+  if (input.capabilities !== undefined) {
+    if (!Array.isArray(input.capabilities) || !input.capabilities.every(c => DEVICE_CAPABILITIES.includes(c))) {
+      return { error: `capabilities must be an array of: ${DEVICE_CAPABILITIES.join(', ')}` };
+    }
+    update.capabilities = DEVICE_CAPABILITIES.filter(c => input.capabilities.includes(c));
+  }
+  if (input.alwaysOn !== undefined) {
+    if (typeof input.alwaysOn !== 'boolean') return { error: 'alwaysOn must be a boolean' };
+    update.alwaysOn = input.alwaysOn;
+  }
+  return { update };
+}
+
+// Model, firmware and capabilities a device reported before it was added (its device_status record)
+export function getDiscoveredMetadata(deviceStatus) {
+  const metadata = {};
+  if (deviceStatus?.info?.model) metadata.model = deviceStatus.info.model;
+  if (deviceStatus?.info?.firmware) metadata.firmware = deviceStatus.info.firmware;
+  const capabilities = DEVICE_CAPABILITIES.filter(c => deviceStatus?.capabilities?.[c] === true);
+  if (capabilities.length > 0) metadata.capabilities = capabilities;
+  return metadata;
+}
+
+// The metadata fields of a device with their defaults, for API responses. room: { id, name } or null.
+export function describeDeviceMetadata(device, room = null) {
+  return {
+    category: device.category || null,
+    room,
+    ratedWattage: device.ratedWattage ?? null,
+    icon: device.icon || null,
+    model: device.model || null,
+    firmware: device.firmware || null,
+    capabilities: device.capabilities || ['switch'],
+    alwaysOn: device.alwaysOn === true
+  };
+}
+
+// Whether automations and schedules must leave the device switched on
+export async function isAlwaysOn(db, userId, deviceId) {
+  const device = await db.collection('devices').findOne({ id: deviceId, userId: new ObjectId(userId) }, { projection: { alwaysOn: 1 } });
+  return device?.alwaysOn === true;
+}
@@ -0,0 +1,146 @@
+import { ObjectId } from 'mongodb';
+import {
+  RESOLUTIONS,
+  SYSTEM_POWER_LOG_DEVICE_ID,
+  getBucketStart,
+  addBuckets,
+  buildIntegrationPipeline
+} from './energyIntegration.js';
+import { getRollupState, getRolledUpBuckets } from './readingRollups.js';
+import { getDefaultTimePreferences, getOffsetMs } from './userTime.js';
+
+// --- Energy History ---
+// Energy and power over time for one device or for all of a user's devices, bucketed by resolution.
+// Each part of the range is read from the coarsest tier that covers it (see services/readingRollups.js):
+// hourly rollups (hour resolution and coarser), then minute rollups, then raw readings integrated on the fly
+// (services/energyIntegration.js) for the most recent part that is not rolled up yet.
+// Buckets follow the user's time zone and week start (services/userTime.js).
+// A bucket without any data is returned with null values (not zero).
+export const HISTORY_RESOLUTIONS = RESOLUTIONS;
+export const MAX_HISTORY_BUCKETS = 5000;
+
+// How far back a query reaches when no `from` is given
+const DEFAULT_BUCKET_COUNTS = { minute: 60, '15min': 96, hour: 24, day: 30, week: 12, month: 12 };
+
+function parseDateParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Validates the query string of a history request (from, to, resolution, deviceId) and returns
+// { options } or { error }. from/to accept ISO dates or epoch milliseconds and are widened to whole buckets
+// of the user's time zone (timePreferences: { timeZone, weekStartsOn }).
+export function parseHistoryQuery(query = {}, timePreferences = getDefaultTimePreferences(), now = new Date()) {
+  const resolution = query.resolution || 'hour';
+  if (!HISTORY_RESOLUTIONS.includes(resolution)) {
+    return { error: `resolution must be one of: ${HISTORY_RESOLUTIONS.join(', ')}` };
+  }
+  const from = parseDateParam(query.from);
+  const to = parseDateParam(query.to);
+  if (from === null || to === null) return { error: 'from and to must be ISO 8601 dates or epoch milliseconds' };
+
+  const lastBucket = getBucketStart(to || now, resolution, timePreferences);
+  const end = to && lastBucket.getTime() === to.getTime() ? lastBucket : addBuckets(lastBucket, resolution, 1, timePreferences); // Exclusive
+  const start = from ? getBucketStart(from, resolution, timePreferences) : addBuckets(end, resolution, -DEFAULT_BUCKET_COUNTS[resolution], timePreferences);
+  if (start >= end) return { error: 'from must be before to' };
+  if (countBuckets(start, end, resolution, timePreferences) > MAX_HISTORY_BUCKETS) {
+    return { error: `The requested range has more than ${MAX_HISTORY_BUCKETS} ${resolution} buckets. Use a coarser resolution or a shorter range.` };
+  }
+  return { options: { from: start, to: end, resolution, deviceId: query.deviceId || null } };
+}
+
+function countBuckets(from, to, resolution, timePreferences) {
+  let count = 0;
+  for (let bucket = from; bucket < to && count <= MAX_HISTORY_BUCKETS; bucket = addBuckets(bucket, resolution, 1, timePreferences)) count++;
+  return count;
+}
+
+function round(value, digits = 3) {
+  return parseFloat(value.toFixed(digits));
+}
+
+// Hourly rollups are aligned to UTC hours, so they only add up to the user's buckets where the zone is a whole
+// number of hours from UTC (not e.g. Asia/Kolkata or Asia/Kathmandu).
+function hasWholeHourOffset(timeZone, dates) {
+  return dates.every(date => getOffsetMs(date, timeZone) % 3600000 === 0);
+}
+
+// Splits [from, to) into the parts read from each tier: [{ tier: 'hour' | 'minute' | 'raw', from, to }].
+function planHistorySources({ minuteRolledUpTo, hourRolledUpTo }, { from, to, resolution, timePreferences }) {
+  const sources = [];
+  let cursor = from;
+  const take = (tier, until) => {
+    const end = until && until < to ? until : to;
+    if (cursor < end) {
+      sources.push({ tier, from: cursor, to: end });
+      cursor = end;
+    }
+  };
+  if (hourRolledUpTo && !['minute', '15min'].includes(resolution) && hasWholeHourOffset(timePreferences.timeZone, [from, to])) take('hour', hourRolledUpTo);
+  if (minuteRolledUpTo) take('minute', minuteRolledUpTo);
+  take('raw', to);
+  return sources;
+}
+
+// Returns { from, to, resolution, deviceId, timezone, unit, buckets: [{ start, end, energyWh, avgPowerW, minPowerW,
+// maxPowerW, coverage }] } with one entry per bucket. Without deviceId all of the user's devices are summed and
+// min/max power (which do not add up across devices) are null.
+export async function getEnergyHistory(db, readingsCollectionName, userId, { from, to, resolution, deviceId = null }, timePreferences = getDefaultTimePreferences()) {
+  const match = { userId: new ObjectId(userId), deviceId: deviceId || { $ne: SYSTEM_POWER_LOG_DEVICE_ID } };
+  const state = await getRollupState(db);
+
+  // Per bucket and device, combining the parts of a bucket that come from different tiers
+  const perDevice = new Map();
+  for (const source of planHistorySources(state, { from, to, resolution, timePreferences })) {
+    const range = { from: source.from, to: source.to, resolution, timePreferences };
+    const rows = source.tier === 'raw'
+      ? await db.collection(readingsCollectionName).aggregate(buildIntegrationPipeline(match, range), { allowDiskUse: true }).toArray()
+      : await getRolledUpBuckets(db, source.tier, match, range);
+    for (const row of rows) {
+      const key = `${row._id.bucket.getTime()}|${row._id.deviceId}`;
+      const entry = perDevice.get(key);
+      if (!entry) {
+        perDevice.set(key, { bucket: row._id.bucket.getTime(), energyWh: row.energyWh, coveredMs: row.coveredMs, minPowerW: row.minPowerW, maxPowerW: row.maxPowerW });
+        continue;
+      }
+      entry.energyWh += row.energyWh;
+      entry.coveredMs += row.coveredMs;
+      entry.minPowerW = Math.min(entry.minPowerW, row.minPowerW);
+      entry.maxPowerW = Math.max(entry.maxPowerW, row.maxPowerW);
+    }
+  }
+
+  // Across devices: energy and average power add up; coverage is that of the best-covered device
+  const byBucket = new Map();
+  for (const entry of perDevice.values()) {
+    if (entry.coveredMs <= 0) continue;
+    const totals = byBucket.get(entry.bucket) || { energyWh: 0, avgPowerW: 0, coveredMs: 0, minPowerW: Infinity, maxPowerW: -Infinity };
+    totals.energyWh += entry.energyWh;
+    totals.avgPowerW += entry.energyWh / (entry.coveredMs / 3600000);
+    totals.coveredMs = Math.max(totals.coveredMs, entry.coveredMs);
+    totals.minPowerW = Math.min(totals.minPowerW, entry.minPowerW);
+    totals.maxPowerW = Math.max(totals.maxPowerW, entry.maxPowerW);
+    byBucket.set(entry.bucket, totals);
+  }
+
+  const buckets = [];
+  for (let start = from; start < to; start = addBuckets(start, resolution, 1, timePreferences)) {
+    const end = addBuckets(start, resolution, 1, timePreferences);
+    const totals = byBucket.get(start.getTime());
+    if (!totals) {
+      buckets.push({ start: start.toISOString(), end: end.toISOString(), energyWh: null, avgPowerW: null, minPowerW: null, maxPowerW: null, coverage: 0 });
+      continue;
+    }
+    buckets.push({
+      start: start.toISOString(),
+      end: end.toISOString(),
+      energyWh: round(Math.max(0, totals.energyWh)),
+      avgPowerW: round(Math.max(0, totals.avgPowerW)),
+      minPowerW: deviceId ? round(totals.minPowerW) : null,
+      maxPowerW: deviceId ? round(totals.maxPowerW) : null,
+      coverage: round(Math.min(1, totals.coveredMs / (end.getTime() - start.getTime()))) // Share of the bucket backed by readings
+    });
+  }
+  return { from: from.toISOString(), to: to.toISOString(), resolution, deviceId, timezone: timePreferences.timeZone, weekStartsOn: timePreferences.weekStartsOn, unit: 'Wh', buckets };
+}
@@ -0,0 +1,110 @@
+import {
+  getDefaultTimePreferences,
+  getZonedParts,
+  zonedTimeToUtc,
+  getDateString,
+  addDaysToDateString,
+  getStartOfDay,
+  getDayOfWeek
+} from './userTime.js';
+
+// --- Energy Integration ---
+// Turns raw power readings into energy per time bucket, entirely in MongoDB. Consecutive readings of a device
+// form a segment over which power is interpolated linearly (trapezoidal integration, as for the daily totals in
+// mqttSubscriber.js). Segments are split at bucket boundaries, so a reading taken just before the hour is not
+// booked wholly to that hour. Readings further apart than INTEGRATION_MAX_GAP_MS are treated as missing data
+// rather than integrated. Used by the history API (services/energyHistory.js) and the rollups (services/readingRollups.js).
+export const RESOLUTIONS = ['minute', '15min', 'hour', 'day', 'week', 'month'];
+export const INTEGRATION_MAX_GAP_MS = 15 * 60 * 1000;
+export const SYSTEM_POWER_LOG_DEVICE_ID = 'SYSTEM_POWER_LOG'; // Logged total of all devices; not a device of its own
+
+const RESOLUTION_UNITS = {
+  minute: { unit: 'minute', binSize: 1 },
+  '15min': { unit: 'minute', binSize: 15 },
+  hour: { unit: 'hour', binSize: 1 },
+  day: { unit: 'day', binSize: 1 },
+  week: { unit: 'week', binSize: 1 },
+  month: { unit: 'month', binSize: 1 }
+};
+
+// Start of the bucket containing `date` in the given time zone; weeks start on the user's weekStartsOn.
+export function getBucketStart(date, resolution, { timeZone, weekStartsOn = 'sunday' } = getDefaultTimePreferences()) {
+  const time = new Date(date);
+  const { minute, second } = getZonedParts(time, timeZone);
+  const intoMinuteMs = second * 1000 + time.getMilliseconds();
+  if (resolution === 'minute') return new Date(time.getTime() - intoMinuteMs);
+  if (resolution === '15min') return new Date(time.getTime() - (minute % 15) * 60000 - intoMinuteMs);
+  if (resolution === 'hour') return new Date(time.getTime() - minute * 60000 - intoMinuteMs);
+
+  const dateString = getDateString(time, timeZone);
+  if (resolution === 'week') return getStartOfDay(addDaysToDateString(dateString, -getDayOfWeek(time, { timeZone, weekStartsOn })), timeZone);
+  if (resolution === 'month') return getStartOfDay(`${dateString.slice(0, 8)}01`, timeZone);
+  return getStartOfDay(dateString, timeZone);
+}
+
+// Moves a bucket start `count` buckets forward (or back, if negative).
+export function addBuckets(bucketStart, resolution, count, { timeZone } = getDefaultTimePreferences()) {
+  const start = new Date(bucketStart);
+  if (resolution === 'minute') return new Date(start.getTime() + count * 60000);
+  if (resolution === '15min') return new Date(start.getTime() + count * 15 * 60000);
+  if (resolution === 'hour') return new Date(start.getTime() + count * 3600000);
+
+  const dateString = getDateString(start, timeZone);
+  if (resolution === 'day') return getStartOfDay(addDaysToDateString(dateString, count), timeZone);
+  if (resolution === 'week') return getStartOfDay(addDaysToDateString(dateString, count * 7), timeZone);
+  const { year, month } = getZonedParts(start, timeZone);
+  return zonedTimeToUtc({ year, month: month + count, day: 1 }, timeZone);
+}
+
+function getDateOptions(resolution, { timeZone, weekStartsOn = 'sunday' }) {
+  const { unit } = RESOLUTION_UNITS[resolution];
+  return { unit, timezone: timeZone, ...(unit === 'week' ? { startOfWeek: weekStartsOn } : {}) };
+}
+
+// Aggregation expression for the start of the bucket containing `date` (matches getBucketStart).
+export function bucketStartExpression(date, resolution, timePreferences = getDefaultTimePreferences()) {
+  return { $dateTrunc: { date, binSize: RESOLUTION_UNITS[resolution].binSize, ...getDateOptions(resolution, timePreferences) } };
+}
+
+// Aggregation that integrates the readings in `match` over [from, to) into one document per bucket and device:
+// { _id: { bucket, userId, deviceId }, energyWh, coveredMs, minPowerW, maxPowerW }. coveredMs is how much of the
+// bucket is backed by readings. from/to need not be bucket boundaries (partial buckets are integrated partially).
+// Buckets follow timePreferences ({ timeZone, weekStartsOn }), by default the server's zone with Sunday-start weeks.
+export function buildIntegrationPipeline(match, { from, to, resolution, timePreferences = getDefaultTimePreferences() }) {
+  const { binSize } = RESOLUTION_UNITS[resolution];
+  const dateOptions = getDateOptions(resolution, timePreferences);
+  const addToDate = (startDate, amount) => ({ $dateAdd: { startDate, amount, unit: dateOptions.unit, timezone: dateOptions.timezone } });
+
+  return [
+    // Readings just outside the range are needed for the segments crossing its edges
+    { $match: { ...match, timeStamp: { $gte: new Date(from.getTime() - INTEGRATION_MAX_GAP_MS), $lt: new Date(to.getTime() + INTEGRATION_MAX_GAP_MS) }, power: { $type: 'number' } } },
+    { $setWindowFields: {
+      partitionBy: { userId: '$userId', deviceId: '$deviceId' },
+      sortBy: { timeStamp: 1 },
+      output: { next: { $shift: { output: { timeStamp: '$timeStamp', power: '$power' }, by: 1 } } }
+    } },
+    { $project: { userId: 1, deviceId: 1, t0: '$timeStamp', p0: '$power', t1: '$next.timeStamp', p1: '$next.power', segmentMs: { $subtract: ['$next.timeStamp', '$timeStamp'] } } },
+    { $match: { segmentMs: { $gt: 0, $lte: INTEGRATION_MAX_GAP_MS } } }, // Drops the last reading of each device and gaps
+    { $set: { start: { $max: ['$t0', from] }, end: { $min: ['$t1', to] } } },
+    { $match: { $expr: { $lt: ['$start', '$end'] } } },
+    // One document per bucket the (clipped) segment overlaps
+    { $set: { firstBucket: bucketStartExpression('$start', resolution, timePreferences), lastBucket: bucketStartExpression({ $subtract: ['$end', 1] }, resolution, timePreferences) } },
+    { $set: { bucketIndex: { $range: [0, { $add: [{ $toInt: { $divide: [{ $dateDiff: { startDate: '$firstBucket', endDate: '$lastBucket', ...dateOptions } }, binSize] } }, 1] }] } } },
+    { $unwind: '$bucketIndex' },
+    { $set: { bucket: addToDate('$firstBucket', { $multiply: ['$bucketIndex', binSize] }) } },
+    { $set: { bucketEnd: addToDate('$bucket', binSize) } },
+    { $set: { a: { $max: ['$start', '$bucket'] }, b: { $min: ['$end', '$bucketEnd'] }, slope: { $divide: [{ $subtract: ['$p1', '$p0'] }, '$segmentMs'] } } },
+    { $set: {
+      overlapMs: { $subtract: ['$b', '$a'] },
+      pa: { $add: ['$p0', { $multiply: ['$slope', { $subtract: ['$a', '$t0'] }] }] },
+      pb: { $add: ['$p0', { $multiply: ['$slope', { $subtract: ['$b', '$t0'] }] }] }
+    } },
+    { $group: {
+      _id: { bucket: '$bucket', userId: '$userId', deviceId: '$deviceId' },
+      energyWh: { $sum: { $multiply: [{ $divide: [{ $add: ['$pa', '$pb'] }, 2] }, { $divide: ['$overlapMs', 3600000] }] } },
+      coveredMs: { $sum: '$overlapMs' },
+      minPowerW: { $min: { $min: ['$pa', '$pb'] } },
+      maxPowerW: { $max: { $max: ['$pa', '$pb'] } }
+    } }
+  ];
+}
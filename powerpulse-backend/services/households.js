@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+
+// --- Households ---
+// A household shares one set of devices and data between several accounts. Every user owns exactly one household
+// (created on first use); devices, readings, daily records, settings etc. stay keyed by the owner's user id, so a
+// request acting on a household reads and writes the records of household.ownerId.
+// Members are stored on the household as { userId, role, joinedAt }:
+//   - owner   everything, including granting the admin role
+//   - admin   manages devices, tariffs, budgets, notification settings and invites members and viewers
+//   - member  controls devices and manages schedules and automations
+//   - viewer  reads data only
+// Others join with an invitation code sent by email to the invited address. A user acts on the household given in
+// the X-Household-Id header (or `householdId` of the WebSocket auth message), else their active household.
+export const HOUSEHOLDS_COLLECTION = 'households';
+export const HOUSEHOLD_INVITATIONS_COLLECTION = 'household_invitations';
+export const HOUSEHOLD_ROLES = ['owner', 'admin', 'member', 'viewer'];
+export const INVITABLE_ROLES = ['admin', 'member', 'viewer'];
+const ROLE_RANK = { viewer: 0, member: 1, admin: 2, owner: 3 };
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const INVITATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const INVITATION_CODE_LENGTH = 10;
+const MAX_HOUSEHOLD_NAME_LENGTH = 60;
+
+export function hasHouseholdRole(role, minimumRole) {
+  return role in ROLE_RANK && ROLE_RANK[role] >= ROLE_RANK[minimumRole];
+}
+
+function getMemberRole(household, userId) {
+  return household?.members.find(member => member.userId.toString() === userId.toString())?.role || null;
+}
+
+function normalizeInvitationCode(code) {
+  return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+}
+
+function hashInvitationCode(code) {
+  return crypto.createHash('sha256').update(normalizeInvitationCode(code)).digest('hex');
+}
+
+function newInvitationCode() {
+  const bytes = crypto.randomBytes(INVITATION_CODE_LENGTH);
+  const code = [...bytes].map(byte => INVITATION_CODE_ALPHABET[byte % INVITATION_CODE_ALPHABET.length]).join('');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+// The household the user owns, created on first use.
+export async function ensureOwnHousehold(db, userId, now = new Date()) {
+  const userObjectId = new ObjectId(userId);
+  const existing = await db.collection(HOUSEHOLDS_COLLECTION).findOne({ ownerId: userObjectId });
+  if (existing) return existing;
+  const user = await db.collection('users').findOne({ _id: userObjectId }, { projection: { name: 1 } });
+  await db.collection(HOUSEHOLDS_COLLECTION).updateOne(
+    { ownerId: userObjectId },
+    {
+      $setOnInsert: {
+        name: user?.name ? `${user.name}'s home` : 'My home',
+        members: [{ userId: userObjectId, role: 'owner', joinedAt: now }],
+        createdAt: now
+      }
+    },
+    { upsert: true }
+  );
+  return db.collection(HOUSEHOLDS_COLLECTION).findOne({ ownerId: userObjectId });
+}
+
+// The household a request acts on: the requested one if the user is a member, else the user's active household,
+// else the one they own. Returns { household, role } or { status, error }.
+export async function resolveHousehold(db, userId, requestedHouseholdId = null) {
+  const userObjectId = new ObjectId(userId);
+  if (requestedHouseholdId) {
+    if (!ObjectId.isValid(requestedHouseholdId)) return { status: 400, error: 'Invalid household ID format' };
+    const household = await db.collection(HOUSEHOLDS_COLLECTION).findOne({ _id: new ObjectId(requestedHouseholdId), 'members.userId': userObjectId });
+    if (!household) return { status: 403, error: 'You are not a member of this household' };
+    return { household, role: getMemberRole(household, userId) };
+  }
+  const user = await db.collection('users').findOne({ _id: userObjectId }, { projection: { activeHouseholdId: 1 } });
+  if (user?.activeHouseholdId) {
+    const household = await db.collection(HOUSEHOLDS_COLLECTION).findOne({ _id: user.activeHouseholdId, 'members.userId': userObjectId });
+    if (household) return { household, role: getMemberRole(household, userId) };
+  }
+  const household = await ensureOwnHousehold(db, userId);
+  return { household, role: 'owner' };
+}
+
+// Of the given { householdId, userId } pairs, the ones where the user is still a member (keys "householdId:userId").
+export async function findActiveMemberships(db, memberships) {
+  const householdIds = [...new Set(memberships.map(m => m.householdId.toString()))].filter(id => ObjectId.isValid(id));
+  if (householdIds.length === 0) return new Set();
+  const households = await db.collection(HOUSEHOLDS_COLLECTION)
+    .find({ _id: { $in: householdIds.map(id => new ObjectId(id)) } }, { projection: { members: 1 } })
+    .toArray();
+  const active = new Set();
+  for (const household of households) {
+    for (const member of household.members) active.add(`${household._id}:${member.userId}`);
+  }
+  return active;
+}
+
+export async function listHouseholds(db, userId) {
+  const userObjectId = new ObjectId(userId);
+  await ensureOwnHousehold(db, userId);
+  const user = await db.collection('users').findOne({ _id: userObjectId }, { projection: { activeHouseholdId: 1 } });
+  const households = await db.collection(HOUSEHOLDS_COLLECTION).find({ 'members.userId': userObjectId }).toArray();
+  const activeId = households.some(h => h._id.equals(user?.activeHouseholdId)) ? user.activeHouseholdId : households.find(h => h.ownerId.equals(userObjectId))?._id;
+  return households.map(household => ({
+    id: household._id.toString(),
+    name: household.name,
+    role: getMemberRole(household, userId),
+    memberCount: household.members.length,
+    active: household._id.equals(activeId)
+  }));
+}
+
+// Household details with its members (names and emails); admins also see pending invitations.
+export async function describeHousehold(db, household, role, now = new Date()) {
+  const users = await db.collection('users')
+    .find({ _id: { $in: household.members.map(m => m.userId) } }, { projection: { name: 1, email: 1 } })
+    .toArray();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const description = {
+    id: household._id.toString(),
+    name: household.name,
+    role,
+    ownerId: household.ownerId.toString(),
+    members: household.members.map(member => ({
+      userId: member.userId.toString(),
+      name: usersById.get(member.userId.toString())?.name || null,
+      email: usersById.get(member.userId.toString())?.email || null,
+      role: member.role,
+      joinedAt: member.joinedAt
+    }))
+  };
+  if (hasHouseholdRole(role, 'admin')) {
+    const invitations = await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION)
+      .find({ householdId: household._id, acceptedAt: null, expiresAt: { $gt: now } }, { projection: { codeHash: 0 } })
+      .toArray();
+    description.invitations = invitations.map(invitation => ({
+      id: invitation._id.toString(),
+      email: invitation.email,
+      role: invitation.role,
+      createdAt: invitation.createdAt,
+      expiresAt: invitation.expiresAt
+    }));
+  }
+  return description;
+}
+
+export function validateHouseholdName(name) {
+  if (typeof name !== 'string' || name.trim() === '' || name.trim().length > MAX_HOUSEHOLD_NAME_LENGTH) {
+    return `name must be 1-${MAX_HOUSEHOLD_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Creates an invitation (replacing a pending one for the same address). Returns { code, invitation } or { status, error }.
+export async function createInvitation(db, household, actor, { email, role }, now = new Date()) {
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { status: 400, error: 'A valid email address is required' };
+  if (!INVITABLE_ROLES.includes(role)) return { status: 400, error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` };
+  if (role === 'admin' && actor.role !== 'owner') return { status: 403, error: 'Only the owner can invite admins' };
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const memberIds = household.members.map(m => m.userId);
+  // Addresses are stored as typed, so compare them the way acceptInvitation does
+  const members = await db.collection('users').find({ _id: { $in: memberIds } }, { projection: { email: 1 } }).toArray();
+  if (members.some(m => (m.email || '').trim().toLowerCase() === normalizedEmail)) return { status: 409, error: 'This person is already a member of the household' };
+
+  const invitations = db.collection(HOUSEHOLD_INVITATIONS_COLLECTION);
+  await invitations.deleteMany({ householdId: household._id, email: normalizedEmail, acceptedAt: null });
+  const code = newInvitationCode();
+  const invitation = {
+    householdId: household._id,
+    email: normalizedEmail,
+    role,
+    codeHash: hashInvitationCode(code),
+    invitedBy: new ObjectId(actor.userId),
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + INVITATION_TTL_MS),
+    acceptedAt: null
+  };
+  const { insertedId } = await invitations.insertOne(invitation);
+  return { code, invitation: { ...invitation, _id: insertedId } };
+}
+
+export async function sendInvitationEmail(mailer, household, inviter, invitation, code) {
+  await mailer.send({
+    to: invitation.email,
+    subject: `You are invited to ${household.name} on PowerPulse`,
+    text: `Hi,\n\n`
+      + `${inviter.name || inviter.email} invited you to join "${household.name}" on PowerPulse as ${invitation.role === 'admin' ? 'an admin' : `a ${invitation.role}`}.\n\n`
+      + `Sign in (or create an account with this email address) and enter this invitation code:\n\n${code}\n\n`
+      + `The code expires in ${Math.round(INVITATION_TTL_MS / 86400000)} days.\n`
+  });
+}
+
+// Adds the user to the household of an invitation sent to their address and makes it their active household.
+// Returns { household, role } or { status, error }.
+export async function acceptInvitation(db, user, code, now = new Date()) {
+  if (normalizeInvitationCode(code).length !== INVITATION_CODE_LENGTH) return { status: 400, error: 'Invalid invitation code' };
+  const invitation = await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).findOne({
+    codeHash: hashInvitationCode(code),
+    acceptedAt: null,
+    expiresAt: { $gt: now }
+  });
+  if (!invitation || invitation.email !== (user.email || '').trim().toLowerCase()) {
+    return { status: 400, error: 'Invalid or expired invitation code' };
+  }
+  const household = await db.collection(HOUSEHOLDS_COLLECTION).findOne({ _id: invitation.householdId });
+  if (!household) return { status: 400, error: 'Invalid or expired invitation code' };
+  if (getMemberRole(household, user._id)) return { status: 409, error: 'You are already a member of this household' };
+
+  const claim = await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).updateOne(
+    { _id: invitation._id, acceptedAt: null },
+    { $set: { acceptedAt: now, acceptedBy: user._id } }
+  );
+  if (claim.modifiedCount === 0) return { status: 400, error: 'Invalid or expired invitation code' };
+  await db.collection(HOUSEHOLDS_COLLECTION).updateOne(
+    { _id: household._id },
+    { $push: { members: { userId: user._id, role: invitation.role, joinedAt: now } } }
+  );
+  await db.collection('users').updateOne({ _id: user._id }, { $set: { activeHouseholdId: household._id } });
+  return { household, role: invitation.role };
+}
+
+// Changes a member's role. Admins manage members and viewers; only the owner grants or removes the admin role.
+// Returns { success: true } or { status, error }.
+export async function setMemberRole(db, household, actorRole, targetUserId, role) {
+  if (!INVITABLE_ROLES.includes(role)) return { status: 400, error: `role must be one of: ${INVITABLE_ROLES.join(', ')}` };
+  const currentRole = getMemberRole(household, targetUserId);
+  if (!currentRole) return { status: 404, error: 'Member not found' };
+  if (currentRole === 'owner') return { status: 403, error: "The owner's role cannot be changed" };
+  if ((currentRole === 'admin' || role === 'admin') && actorRole !== 'owner') {
+    return { status: 403, error: 'Only the owner can grant or remove the admin role' };
+  }
+  await db.collection(HOUSEHOLDS_COLLECTION).updateOne(
+    { _id: household._id, 'members.userId': new ObjectId(targetUserId) },
+    { $set: { 'members.$.role': role } }
+  );
+  return { success: true };
+}
+
+// Removes a member, or lets a member leave (targetUserId = actor). Returns { success: true } or { status, error }.
+export async function removeMember(db, household, actor, targetUserId) {
+  const targetRole = getMemberRole(household, targetUserId);
+  if (!targetRole) return { status: 404, error: 'Member not found' };
+  if (targetRole === 'owner') return { status: 403, error: 'The owner cannot leave or be removed from their household' };
+  const leaving = targetUserId.toString() === actor.userId.toString();
+  if (!leaving && !(hasHouseholdRole(actor.role, 'admin') && (targetRole !== 'admin' || actor.role === 'owner'))) {
+    return { status: 403, error: 'You are not allowed to remove this member' };
+  }
+  const targetObjectId = new ObjectId(targetUserId);
+  await db.collection(HOUSEHOLDS_COLLECTION).updateOne({ _id: household._id }, { $pull: { members: { userId: targetObjectId } } });
+  await db.collection('users').updateOne({ _id: targetObjectId, activeHouseholdId: household._id }, { $unset: { activeHouseholdId: '' } });
+  return { success: true };
+}
+
+// For account deletion: deletes the households the user owns (with their invitations) and their memberships elsewhere.
+export async function removeUserFromHouseholds(db, userId) {
+  const userObjectId = new ObjectId(userId);
+  const owned = await db.collection(HOUSEHOLDS_COLLECTION).find({ ownerId: userObjectId }, { projection: { _id: 1 } }).toArray();
+  const ownedIds = owned.map(h => h._id);
+  if (ownedIds.length > 0) {
+    await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).deleteMany({ householdId: { $in: ownedIds } });
+    await db.collection('users').updateMany({ activeHouseholdId: { $in: ownedIds } }, { $unset: { activeHouseholdId: '' } });
+  }
+  const { deletedCount } = await db.collection(HOUSEHOLDS_COLLECTION).deleteMany({ ownerId: userObjectId });
+  await db.collection(HOUSEHOLDS_COLLECTION).updateMany({ 'members.userId': userObjectId }, { $pull: { members: { userId: userObjectId } } });
+  return deletedCount;
+}
+
+export async function ensureHouseholdIndexes(db) {
+  await db.collection(HOUSEHOLDS_COLLECTION).createIndex({ ownerId: 1 }, { unique: true });
+  await db.collection(HOUSEHOLDS_COLLECTION).createIndex({ 'members.userId': 1 });
+  await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).createIndex({ codeHash: 1 }, { unique: true });
+  await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).createIndex({ householdId: 1, email: 1 });
+  await db.collection(HOUSEHOLD_INVITATIONS_COLLECTION).createIndex({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+}
@@ -0,0 +1,226 @@
+import { ObjectId } from 'mongodb';
+import { getTariffProfile, getDailyRecordCost, getFixedChargesForDays, roundCost } from './tariffs.js';
+import { getUserTimePreferences, getDateString, getDatesForWeek, getDatesForMonth } from './userTime.js';
+import { DAILY_CONSUMPTION_COLLECTION, SYSTEM_TOTAL_DEVICE_ID } from '../core/db.js';
+
+// --- Live Power State ---
+// In-memory per-user state behind the live dashboard: the latest power and on/off status of every device and
+// running energy/cost totals for today, this week and this month (days of the user's time zone). mqttSubscriber.js
+// updates it on every reading with absolute values (latest power, the device's energy/cost so far today), so a
+// push or /api/power/current needs no database queries and updates arriving in any order cannot double count.
+// A user's state is loaded from MongoDB on startup (or when first needed), reloaded when the day changes and
+// refreshed in the background every STATE_REFRESH_INTERVAL_MS to pick up changes made through the API
+// (devices added, renamed or removed, tariff changes).
+const STATE_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+export function createLiveState({ getDb, readingsCollectionName, logPrefix = '[Live State]' }) {
+  const users = new Map(); // userId -> state
+  const loading = new Map(); // userId -> Promise resolving to the state being loaded
+
+  async function loadUserState(db, userId, now = new Date()) {
+    const userObjectId = new ObjectId(userId);
+    const timePreferences = await getUserTimePreferences(db, userId);
+    const todayString = getDateString(now, timePreferences.timeZone);
+    const weekDates = getDatesForWeek(now, timePreferences);
+    const monthDates = getDatesForMonth(now, timePreferences);
+
+    const deviceDocs = await db.collection('devices').find({ userId: userObjectId }, { projection: { id: 1, name: 1, status: 1 } }).toArray();
+    const tariffProfile = await getTariffProfile(db, userId);
+    const latestReadings = deviceDocs.length === 0 ? [] : await db.collection(readingsCollectionName).aggregate([
+      { $match: { userId: userObjectId, deviceId: { $in: deviceDocs.map(d => d.id) }, power: { $type: 'number' } } },
+      { $sort: { deviceId: 1, timeStamp: -1 } },
+      { $group: { _id: '$deviceId', power: { $first: '$power' }, timeStamp: { $first: '$timeStamp' } } }
+    ]).toArray();
+    const latestByDevice = new Map(latestReadings.map(r => [r._id, r]));
+    const dailyRecords = await db.collection(DAILY_CONSUMPTION_COLLECTION)
+      .find({ userId: userObjectId, deviceId: { $ne: SYSTEM_TOTAL_DEVICE_ID }, dateString: { $in: [...new Set([...weekDates, ...monthDates])] } })
+      .toArray();
+
+    const state = {
+      loadedAt: now,
+      timeZone: timePreferences.timeZone,
+      dateString: todayString,
+      weekDates,
+      monthDates,
+      tariffProfile,
+      devices: new Map(deviceDocs.map(d => [d.id, {
+        name: d.name,
+        status: d.status === true,
+        powerW: latestByDevice.get(d.id)?.power || 0,
+        powerAt: latestByDevice.get(d.id)?.timeStamp || null
+      }])),
+      today: new Map(), // deviceId -> { energyWh, cost } so far today
+      weekBeforeToday: { energyWh: 0, cost: 0 },
+      monthBeforeToday: { energyWh: 0, cost: 0 }
+    };
+    for (const dailyRec of dailyRecords) {
+      const energyWh = dailyRec.estimatedEnergyWhToday || 0;
+      const cost = getDailyRecordCost(dailyRec, tariffProfile);
+      if (dailyRec.dateString === todayString) {
+        state.today.set(dailyRec.deviceId, { energyWh, cost });
+        continue;
+      }
+      if (weekDates.includes(dailyRec.dateString)) {
+        state.weekBeforeToday.energyWh += energyWh;
+        state.weekBeforeToday.cost += cost;
+      }
+      if (monthDates.includes(dailyRec.dateString)) {
+        state.monthBeforeToday.energyWh += energyWh;
+        state.monthBeforeToday.cost += cost;
+      }
+    }
+    return state;
+  }
+
+  // Loads (or reloads) one user's state; concurrent callers share the same load.
+  function reload(userId) {
+    if (loading.has(userId)) return loading.get(userId);
+    const db = getDb();
+    if (!db) return Promise.resolve(users.get(userId) || null);
+    const promise = loadUserState(db, userId)
+      .then(state => {
+        users.set(userId, state);
+        return state;
+      })
+      .finally(() => loading.delete(userId));
+    loading.set(userId, promise);
+    return promise;
+  }
+
+  // The user's state for today. A new day waits for a reload; a merely stale state is refreshed in the background.
+  async function getState(userId, now = new Date()) {
+    const state = users.get(userId);
+    if (!state || state.dateString !== getDateString(now, state.timeZone)) {
+      try {
+        return (await reload(userId)) || state || null;
+      } catch (error) {
+        console.error(`${logPrefix} Could not load state for user ${userId}:`, error.message);
+        return state || null;
+      }
+    }
+    if (now - state.loadedAt > STATE_REFRESH_INTERVAL_MS) {
+      reload(userId).catch(error => console.error(`${logPrefix} Background refresh failed for user ${userId}:`, error.message));
+    }
+    return state;
+  }
+
+  function getDevice(state, deviceId) {
+    if (!state.devices.has(deviceId)) {
+      // Registered after the state was loaded; the next refresh fills in its name
+      state.devices.set(deviceId, { name: null, status: false, powerW: 0, powerAt: null });
+      state.loadedAt = new Date(0);
+    }
+    return state.devices.get(deviceId);
+  }
+
+  return {
+    get size() {
+      return users.size;
+    },
+
+    // Loads every user that has devices (called once MongoDB is connected).
+    async loadAll() {
+      const db = getDb();
+      if (!db) return;
+      const userIds = await db.collection('devices').distinct('userId');
+      for (const userId of userIds) {
+        try {
+          await reload(userId.toString());
+        } catch (error) {
+          console.error(`${logPrefix} Could not load state for user ${userId}:`, error.message);
+        }
+      }
+      console.log(`${logPrefix} Loaded live state for ${users.size} user(s).`);
+    },
+
+    // Records a device reading. Every field is optional: powerW (W), energyTodayWh / costToday (the device's
+    // totals so far today, as stored in its daily record for dateString).
+    async recordReading(userId, deviceId, { powerW, timeStamp = new Date(), energyTodayWh, costToday, dateString } = {}) {
+      const state = await getState(userId);
+      if (!state) return;
+      const device = getDevice(state, deviceId);
+      if (typeof powerW === 'number') {
+        device.powerW = powerW;
+        device.powerAt = timeStamp;
+      }
+      if (typeof energyTodayWh === 'number' && (!dateString || dateString === state.dateString)) {
+        state.today.set(deviceId, { energyWh: energyTodayWh, cost: typeof costToday === 'number' ? costToday : state.today.get(deviceId)?.cost || 0 });
+      }
+    },
+
+    async setDeviceStatus(userId, deviceId, status) {
+      const state = await getState(userId);
+      if (!state) return;
+      getDevice(state, deviceId).status = status;
+    },
+
+    // Marks a user's state as stale (e.g. after a change made elsewhere); it is refreshed on next use.
+    invalidate(userId) {
+      const state = users.get(userId);
+      if (state) state.loadedAt = new Date(0);
+    },
+
+    // Payload of the 'current_power_update' WebSocket message and GET /api/power/current. Null if it cannot be loaded.
+    async getSnapshot(userId) {
+      const state = await getState(userId);
+      if (!state) return null;
+      let power = 0;
+      for (const device of state.devices.values()) {
+        if (device.status) power += device.powerW; // Only devices that are currently ON
+      }
+      let energyToday = 0;
+      let energyCostToday = 0;
+      for (const { energyWh, cost } of state.today.values()) {
+        energyToday += energyWh;
+        energyCostToday += cost;
+      }
+      const { tariffProfile } = state;
+      return {
+        power: parseFloat(power.toFixed(3)), // Current total system power in Watts
+        energyToday: parseFloat(energyToday.toFixed(3)), // In Wh
+        energyThisWeek: parseFloat((state.weekBeforeToday.energyWh + energyToday).toFixed(3)),
+        energyThisMonth: parseFloat((state.monthBeforeToday.energyWh + energyToday).toFixed(3)),
+        costToday: roundCost(energyCostToday + getFixedChargesForDays(tariffProfile, 1)), // In the user's tariff currency
+        costThisWeek: roundCost(state.weekBeforeToday.cost + energyCostToday + getFixedChargesForDays(tariffProfile, state.weekDates.length)),
+        costThisMonth: roundCost(state.monthBeforeToday.cost + energyCostToday + getFixedChargesForDays(tariffProfile, state.monthDates.length)),
+        currency: tariffProfile.currency,
+        timeStamp: new Date().toISOString()
+      };
+    },
+
+    // Today's system energy (Wh) and energy cost (without fixed charges), as stored on the SYSTEM_TOTAL_DAILY record.
+    async getTodayTotals(userId) {
+      const state = await getState(userId);
+      if (!state) return null;
+      let energyWh = 0;
+      let energyCost = 0;
+      for (const deviceToday of state.today.values()) {
+        energyWh += deviceToday.energyWh;
+        energyCost += deviceToday.cost;
+      }
+      return { dateString: state.dateString, energyWh, energyCost };
+    },
+
+    // One device's latest power and energy so far today, as sent on its 'device:<id>' WebSocket channel. Null if unknown.
+    async getDevice(userId, deviceId) {
+      const state = await getState(userId);
+      const device = state?.devices.get(deviceId);
+      if (!device) return null;
+      return {
+        deviceId,
+        name: device.name,
+        status: device.status,
+        power: device.powerW, // In Watts
+        energyToday: parseFloat((state.today.get(deviceId)?.energyWh || 0).toFixed(3)), // In Wh
+        timeStamp: device.powerAt
+      };
+    },
+
+    // The user's devices with their on/off status, as sent in 'initial_devices_update'.
+    async getDevices(userId) {
+      const state = await getState(userId);
+      if (!state) return [];
+      return [...state.devices.entries()].map(([id, device]) => ({ id, name: device.name, status: device.status }));
+    }
+  };
+}
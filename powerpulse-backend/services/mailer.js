@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// --- Mail Transports ---
+// Account emails (email verification, password reset) are sent through the transport named by MAIL_TRANSPORT:
+//   - 'smtp'    sends through SMTP_HOST / SMTP_PORT (SMTP_SECURE, SMTP_USER, SMTP_PASSWORD) using nodemailer
+//   - 'file'    writes each message as an .eml file into MAIL_OUTBOX_DIR (default ./mail-outbox), for local testing
+//   - 'console' logs the message (default)
+// A transport is an object with send({ from, to, subject, text }); others can be added with registerMailTransport().
+const DEFAULT_FROM = 'PowerPulse <no-reply@powerpulse.local>';
+
+const transportFactories = new Map([
+  ['smtp', createSmtpTransport],
+  ['file', createFileTransport],
+  ['console', createConsoleTransport]
+]);
+
+export function registerMailTransport(name, factory) {
+  transportFactories.set(name, factory);
+}
+
+async function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+  const { default: nodemailer } = await import('nodemailer');
+  const port = parseInt(process.env.SMTP_PORT || '587', 10);
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined
+  });
+  return {
+    async send(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+async function createFileTransport() {
+  const { default: nodemailer } = await import('nodemailer');
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  await fs.mkdir(outboxDir, { recursive: true });
+  return {
+    async send(message) {
+      const { message: raw } = await transporter.sendMail(message);
+      const safeRecipient = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const filePath = path.join(outboxDir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeRecipient}.eml`);
+      await fs.writeFile(filePath, raw);
+      console.log(`[Mail] Wrote '${message.subject}' for ${message.to} to ${filePath}`);
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`[Mail] To: ${message.to}\n[Mail] Subject: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+// Creates the configured mailer. send() resolves once the transport accepted the message and rejects on failure.
+export function createMailer() {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const from = process.env.MAIL_FROM || DEFAULT_FROM;
+  let transportPromise = null;
+
+  function getTransport() {
+    if (!transportPromise) {
+      const factory = transportFactories.get(transportName);
+      transportPromise = factory
+        ? Promise.resolve().then(() => factory())
+        : Promise.reject(new Error(`Unknown MAIL_TRANSPORT '${transportName}' (available: ${[...transportFactories.keys()].join(', ')})`));
+      transportPromise.catch(() => { transportPromise = null; }); // Retry the setup on the next message
+    }
+    return transportPromise;
+  }
+
+  return {
+    transportName,
+    async send({ to, subject, text }) {
+      const transport = await getTransport();
+      await transport.send({ from, to, subject, text });
+    }
+  };
+}
@@ -0,0 +1,169 @@
+import { ObjectId } from 'mongodb';
+import { getDefaultTimeZone, getUserTimePreferences, getZonedParts } from './userTime.js';
+
+// --- Notification Settings ---
+// One document per user in NOTIFICATION_SETTINGS_COLLECTION. The notification writer both processes use
+// (createNotifier in core/notifications.js) runs every candidate through evaluateNotification():
+//   - disabled types and severities below minSeverity are dropped
+//   - a notification with a dedupeKey is dropped if one with the same key exists; otherwise one of the same
+//     type (and device) within dedupeWindowMinutes is dropped
+//   - during quiet hours (in the user's time zone) notifications are stored silently (no push), except critical
+//     ones if allowCritical
+export const NOTIFICATION_SETTINGS_COLLECTION = 'notification_settings';
+const NOTIFICATIONS_COLLECTION = 'notifications';
+
+export const NOTIFICATION_TYPES = [
+  'device_offline',
+  'device_online',
+  'goal_exceeded_system_daily',
+  'weekly_savings_achieved_system',
+  'automation',
+  'budget_threshold',
+  'budget_projection',
+  'anomaly',
+  'command_failed'
+];
+export const SEVERITY_LEVELS = ['info', 'success', 'warning', 'critical'];
+const SEVERITY_RANK = { info: 0, success: 0, warning: 1, critical: 2 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabledTypes: {}, // type -> false to turn a type off; types not listed are enabled
+  minSeverity: 'info',
+  quietHours: { enabled: false, start: '22:00', end: '07:00', allowCritical: true },
+  dedupeWindowMinutes: 60,
+  offlineGraceMinutes: 5, // How long a device must stay offline before the user is told
+  thresholds: {
+    dailySystemGoalWh: 5000, // null turns the daily goal notification off
+    weeklySavingsPercent: 10 // Notify when this week is on track to use at least this much less than last week
+  }
+};
+
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+function mergeWithDefaults(stored = {}) {
+  return {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...stored,
+    enabledTypes: { ...DEFAULT_NOTIFICATION_SETTINGS.enabledTypes, ...(stored.enabledTypes || {}) },
+    quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(stored.quietHours || {}) },
+    thresholds: { ...DEFAULT_NOTIFICATION_SETTINGS.thresholds, ...(stored.thresholds || {}) }
+  };
+}
+
+// Validates settings from the API (partial updates allowed) and returns { settings } or { error }.
+export function normalizeNotificationSettings(input = {}, existing = DEFAULT_NOTIFICATION_SETTINGS) {
+  const settings = mergeWithDefaults(existing);
+
+  if (input.enabledTypes !== undefined) {
+    if (!input.enabledTypes || typeof input.enabledTypes !== 'object' || Array.isArray(input.enabledTypes)) {
+      return { error: 'enabledTypes must be an object of notification type -> boolean' };
+    }
+    for (const [type, enabled] of Object.entries(input.enabledTypes)) {
+      if (!NOTIFICATION_TYPES.includes(type)) return { error: `Unknown notification type '${type}'. Use one of: ${NOTIFICATION_TYPES.join(', ')}.` };
+      if (typeof enabled !== 'boolean') return { error: `enabledTypes.${type} must be a boolean` };
+      settings.enabledTypes[type] = enabled;
+    }
+  }
+  if (input.minSeverity !== undefined) {
+    if (!SEVERITY_LEVELS.includes(input.minSeverity)) return { error: `minSeverity must be one of: ${SEVERITY_LEVELS.join(', ')}` };
+    settings.minSeverity = input.minSeverity;
+  }
+  if (input.quietHours !== undefined) {
+    const quietHours = { ...settings.quietHours, ...input.quietHours };
+    if (typeof quietHours.enabled !== 'boolean') return { error: 'quietHours.enabled must be a boolean' };
+    if (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+      return { error: 'quietHours.start and quietHours.end must be HH:MM' };
+    }
+    if (typeof quietHours.allowCritical !== 'boolean') return { error: 'quietHours.allowCritical must be a boolean' };
+    settings.quietHours = { enabled: quietHours.enabled, start: quietHours.start, end: quietHours.end, allowCritical: quietHours.allowCritical };
+  }
+  if (input.dedupeWindowMinutes !== undefined) {
+    if (!isNonNegativeNumber(input.dedupeWindowMinutes) || input.dedupeWindowMinutes > 7 * 24 * 60) {
+      return { error: 'dedupeWindowMinutes must be between 0 and 10080 (one week)' };
+    }
+    settings.dedupeWindowMinutes = input.dedupeWindowMinutes;
+  }
+  if (input.offlineGraceMinutes !== undefined) {
+    if (!isNonNegativeNumber(input.offlineGraceMinutes) || input.offlineGraceMinutes > 24 * 60) {
+      return { error: 'offlineGraceMinutes must be between 0 and 1440' };
+    }
+    settings.offlineGraceMinutes = input.offlineGraceMinutes;
+  }
+  if (input.thresholds !== undefined) {
+    const { dailySystemGoalWh, weeklySavingsPercent } = input.thresholds || {};
+    if (dailySystemGoalWh !== undefined) {
+      if (dailySystemGoalWh !== null && !(isNonNegativeNumber(dailySystemGoalWh) && dailySystemGoalWh > 0)) {
+        return { error: 'thresholds.dailySystemGoalWh must be a positive number (Wh) or null' };
+      }
+      settings.thresholds.dailySystemGoalWh = dailySystemGoalWh;
+    }
+    if (weeklySavingsPercent !== undefined) {
+      if (!isNonNegativeNumber(weeklySavingsPercent) || weeklySavingsPercent >= 100) {
+        return { error: 'thresholds.weeklySavingsPercent must be between 0 and 100' };
+      }
+      settings.thresholds.weeklySavingsPercent = weeklySavingsPercent;
+    }
+  }
+  return { settings };
+}
+
+export async function getNotificationSettings(db, userId) {
+  const doc = await db.collection(NOTIFICATION_SETTINGS_COLLECTION).findOne({ userId: new ObjectId(userId) });
+  if (!doc) return mergeWithDefaults();
+  const { _id, userId: _userId, updatedAt, ...stored } = doc;
+  return mergeWithDefaults(stored);
+}
+
+export function isWithinQuietHours(quietHours, date = new Date(), timeZone = getDefaultTimeZone()) {
+  if (!quietHours?.enabled) return false;
+  const { hour, minute } = getZonedParts(date, timeZone);
+  const minutes = hour * 60 + minute;
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+  if (start === end) return true; // Quiet all day
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end; // Window may wrap past midnight
+}
+
+// Decides what happens to a notification. Returns { deliver: false, reason } or { deliver: true, silent }.
+// Without a database (e.g. MongoDB unreachable) the defaults apply and duplicates are not checked.
+export async function evaluateNotification(db, userId, { type, severity = 'info', deviceId = null, dedupeKey = null }, now = new Date()) {
+  const settings = db ? await getNotificationSettings(db, userId) : mergeWithDefaults();
+
+  if (settings.enabledTypes[type] === false) return { deliver: false, reason: `type '${type}' disabled` };
+  if ((SEVERITY_RANK[severity] ?? 0) < (SEVERITY_RANK[settings.minSeverity] ?? 0)) {
+    return { deliver: false, reason: `severity '${severity}' below '${settings.minSeverity}'` };
+  }
+
+  if (db) {
+    const duplicateQuery = { userId: new ObjectId(userId) };
+    if (dedupeKey) {
+      duplicateQuery.dedupeKey = dedupeKey;
+    } else if (settings.dedupeWindowMinutes > 0) {
+      duplicateQuery.type = type;
+      duplicateQuery.deviceId = deviceId || { $exists: false };
+      duplicateQuery.timestamp = { $gte: new Date(now.getTime() - settings.dedupeWindowMinutes * 60000) };
+    }
+    if (duplicateQuery.dedupeKey || duplicateQuery.timestamp) {
+      const duplicate = await db.collection(NOTIFICATIONS_COLLECTION).findOne(duplicateQuery, { projection: { _id: 1 } });
+      if (duplicate) return { deliver: false, reason: 'duplicate' };
+    }
+  }
+
+  const { timeZone } = await getUserTimePreferences(db, userId);
+  const silent = isWithinQuietHours(settings.quietHours, now, timeZone) && !(severity === 'critical' && settings.quietHours.allowCritical);
+  return { deliver: true, silent };
+}
+
+export async function ensureNotificationSettingsIndexes(db) {
+  await db.collection(NOTIFICATION_SETTINGS_COLLECTION).createIndex({ userId: 1 }, { unique: true });
+  await db.collection(NOTIFICATIONS_COLLECTION).createIndex({ userId: 1, type: 1, timestamp: -1 });
+  await db.collection(NOTIFICATIONS_COLLECTION).createIndex({ userId: 1, dedupeKey: 1 }, { sparse: true });
+}
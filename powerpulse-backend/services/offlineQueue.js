@@ -0,0 +1,316 @@
+import fs from 'fs';
+import { randomUUID } from 'crypto';
+import { BSON, ObjectId, MongoBulkWriteError, MongoNetworkError, MongoServerSelectionError, MongoNotConnectedError, MongoTopologyClosedError } from 'mongodb';
+import { markReadingsForRollup } from './readingRollups.js';
+
+// --- Offline Queue ---
+// Durable local buffer for writes that could not reach MongoDB. Records are kept in order in a JSON file
+// (Extended JSON, so Dates and ObjectIds survive) that is always replaced with an atomic rename.
+// Every record carries an id, and inserted documents carry a pre-assigned _id, so replaying a record that
+// already reached the database is harmless. Only records that were actually written are removed.
+//
+// Record kinds and payloads:
+//   reading        { doc }                      - insert into the readings collection (doc.userId may be null: resolved on replay)
+//   notification   { doc }                      - insert into notifications
+//   device_status  { deviceId, set }            - $set on device_status (upsert)
+//   device_switch  { deviceId, userId, status } - devices.status (userId may be null: resolved on replay)
+//
+// A lock file (<file>.lock holding the owner's pid) keeps mqttSubscriber.js and sync.js from using the same file at once.
+export const OFFLINE_RECORD_KINDS = ['reading', 'notification', 'device_status', 'device_switch'];
+
+const QUEUE_FILE_VERSION = 1;
+const NOTIFICATIONS_COLLECTION = 'notifications';
+const DEFAULT_MAX_RECORDS = 100000;
+const REPLAY_BATCH_SIZE = 500;
+const MAX_REPLAY_ATTEMPTS = 5; // A record that keeps failing for non-connectivity reasons is moved to <file>.rejected
+const PERSIST_DELAY_MS = 200; // Enqueues arriving together are written in one go
+const LOCK_RETRY_INTERVAL_MS = 1000;
+
+// True for errors that mean "the database could not be reached" (as opposed to a rejected write).
+export function isCloudUnavailableError(error) {
+  return error instanceof MongoNetworkError
+    || error instanceof MongoServerSelectionError
+    || error instanceof MongoNotConnectedError
+    || error instanceof MongoTopologyClosedError;
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0); // Signal 0 only checks that the process exists
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Records written by the original sync.js were plain reading documents with string dates/ids.
+function convertLegacyRecord(item, readingsCollection) {
+  if (!item || !item.deviceId || !item.timeStamp) return null;
+  const doc = { ...item, timeStamp: new Date(item.timeStamp) };
+  doc.userId = typeof item.userId === 'string' && ObjectId.isValid(item.userId) ? new ObjectId(item.userId) : (item.userId || null);
+  doc._id = typeof item._id === 'string' && ObjectId.isValid(item._id) ? new ObjectId(item._id) : new ObjectId();
+  return { id: randomUUID(), kind: 'reading', enqueuedAt: new Date(), attempts: 0, payload: { doc }, collection: readingsCollection };
+}
+
+export function createOfflineQueue({ filePath, readingsCollection, maxRecords = DEFAULT_MAX_RECORDS, logPrefix = '[Offline Queue]' }) {
+  const lockPath = `${filePath}.lock`;
+  const rejectedPath = `${filePath}.rejected`;
+  let records = [];
+  let opened = false;
+  let persistTimer = null;
+  let replaying = false;
+
+  function tryAcquireLock() {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, String(process.pid));
+      fs.closeSync(fd);
+      return true;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+    const ownerPid = parseInt(fs.readFileSync(lockPath, 'utf-8'), 10);
+    if (ownerPid && ownerPid !== process.pid && isProcessAlive(ownerPid)) return false;
+    console.warn(`${logPrefix} Removing stale lock ${lockPath} (pid ${ownerPid || 'unknown'}).`);
+    fs.unlinkSync(lockPath);
+    return tryAcquireLock();
+  }
+
+  function load() {
+    if (!fs.existsSync(filePath)) return [];
+    try {
+      const rawData = fs.readFileSync(filePath, 'utf-8');
+      if (rawData.trim() === '') return [];
+      const data = BSON.EJSON.parse(rawData);
+      if (Array.isArray(data)) {
+        const converted = data.map(item => convertLegacyRecord(item, readingsCollection)).filter(Boolean);
+        console.log(`${logPrefix} Converted ${converted.length} legacy record(s) from ${filePath}.`);
+        return converted;
+      }
+      return Array.isArray(data?.records) ? data.records.filter(r => r && r.id && OFFLINE_RECORD_KINDS.includes(r.kind)) : [];
+    } catch (err) {
+      // Keep the unreadable file for inspection instead of overwriting it with an empty queue
+      const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+      console.error(`${logPrefix} Could not read ${filePath} (${err.message}). Moving it to ${corruptPath}.`);
+      fs.renameSync(filePath, corruptPath);
+      return [];
+    }
+  }
+
+  // Writes the whole queue to a temp file, fsyncs it and renames it over the queue file.
+  function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    if (!opened) return;
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      const fd = fs.openSync(tempPath, 'w');
+      fs.writeSync(fd, BSON.EJSON.stringify({ version: QUEUE_FILE_VERSION, records }));
+      fs.fsyncSync(fd);
+      fs.closeSync(fd);
+      fs.renameSync(tempPath, filePath);
+    } catch (err) {
+      console.error(`${logPrefix} Error writing ${filePath}:`, err.message);
+    }
+  }
+
+  function schedulePersist() {
+    if (!persistTimer) persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+  }
+
+  function removeRecords(ids) {
+    if (ids.size === 0) return;
+    records = records.filter(r => !ids.has(r.id));
+  }
+
+  function reject(record, reason) {
+    try {
+      fs.appendFileSync(rejectedPath, BSON.EJSON.stringify({ ...record, rejectedAt: new Date(), reason }) + '\n');
+    } catch (err) {
+      console.error(`${logPrefix} Error writing rejected record ${record.id}:`, err.message);
+    }
+    console.error(`${logPrefix} Giving up on ${record.kind} record ${record.id} after ${record.attempts} attempts: ${reason}. Moved to ${rejectedPath}.`);
+  }
+
+  function collectionFor(record) {
+    if (record.kind === 'notification') return NOTIFICATIONS_COLLECTION;
+    return record.collection || readingsCollection;
+  }
+
+  // Fills in the owner of records captured while the device registry was unreachable. Returns null if the device is not registered.
+  async function resolveUserId(db, deviceId, ownerCache) {
+    if (!ownerCache.has(deviceId)) {
+      const deviceDoc = await db.collection('devices').findOne({ id: deviceId }, { projection: { userId: 1 } });
+      ownerCache.set(deviceId, deviceDoc ? deviceDoc.userId : null);
+    }
+    return ownerCache.get(deviceId);
+  }
+
+  // Applies one record. Throws on failure (connectivity errors are recognisable with isCloudUnavailableError).
+  async function apply(db, kind, payload) {
+    if (kind === 'reading' || kind === 'notification') {
+      try {
+        await db.collection(collectionFor({ kind })).insertOne(payload.doc);
+      } catch (err) {
+        if (err.code !== 11000) throw err; // Duplicate _id: this record was already written
+      }
+    } else if (kind === 'device_status') {
+      await db.collection('device_status').updateOne({ deviceId: payload.deviceId }, { $set: payload.set }, { upsert: true });
+    } else if (kind === 'device_switch') {
+      await db.collection('devices').updateOne({ id: payload.deviceId, userId: payload.userId }, { $set: { status: payload.status } });
+    } else {
+      throw new Error(`Unknown offline record kind '${kind}'`);
+    }
+  }
+
+  // Inserts a run of insert-type records for one collection. Returns the ids that are now in the database.
+  async function applyInsertBatch(db, batch, ownerCache) {
+    const written = new Set();
+    const toInsert = [];
+    for (const record of batch) {
+      const doc = record.payload.doc;
+      if (record.kind === 'reading' && !doc.userId && doc.deviceId !== 'SYSTEM_POWER_LOG') {
+        const ownerId = await resolveUserId(db, doc.deviceId, ownerCache);
+        if (!ownerId) {
+          console.log(`${logPrefix} Dropping reading ${record.id}: device ${doc.deviceId} is not registered.`);
+          written.add(record.id);
+          continue;
+        }
+        doc.userId = ownerId;
+      }
+      toInsert.push(record);
+    }
+    if (toInsert.length === 0) return written;
+
+    try {
+      await db.collection(collectionFor(toInsert[0])).insertMany(toInsert.map(r => r.payload.doc), { ordered: false });
+      toInsert.forEach(r => written.add(r.id));
+    } catch (err) {
+      if (!(err instanceof MongoBulkWriteError) || isCloudUnavailableError(err)) throw err;
+      // ordered:false: everything except the failed indexes went in. Duplicate _ids were written by an earlier attempt.
+      const failed = new Map();
+      for (const writeError of [].concat(err.writeErrors || [])) {
+        if (writeError.code !== 11000) failed.set(writeError.index, writeError.errmsg || writeError.message);
+      }
+      toInsert.forEach((record, index) => {
+        if (failed.has(index)) {
+          record.attempts = (record.attempts || 0) + 1;
+          record.lastError = failed.get(index);
+        } else {
+          written.add(record.id);
+        }
+      });
+    }
+    if (toInsert[0].kind === 'reading') {
+      // Replayed readings are late: the rollups covering them are rebuilt (see services/readingRollups.js)
+      const times = toInsert.map(r => new Date(r.payload.doc.timeStamp).getTime()).filter(t => !isNaN(t));
+      if (times.length > 0) await markReadingsForRollup(db, new Date(Math.min(...times)), new Date(Math.max(...times)));
+    }
+    return written;
+  }
+
+  return {
+    get size() {
+      return records.length;
+    },
+
+    get oldestEnqueuedAt() {
+      return records.length > 0 ? records[0].enqueuedAt : null;
+    },
+
+    // Takes the lock and loads the file. Records enqueued before open() are kept after the ones on disk.
+    // Waits up to waitMs for another process to release the lock; returns false if it did not.
+    async open({ waitMs = 0 } = {}) {
+      if (opened) return true;
+      const deadline = Date.now() + waitMs;
+      while (!tryAcquireLock()) {
+        if (Date.now() >= deadline) return false;
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL_MS));
+      }
+      records = [...load(), ...records];
+      opened = true;
+      persist();
+      if (records.length > 0) console.log(`${logPrefix} Loaded ${records.length} queued record(s) from ${filePath}.`);
+      return true;
+    },
+
+    close() {
+      if (!opened) return;
+      persist();
+      opened = false;
+      records = []; // The file is the source of truth until the next open()
+      try { fs.unlinkSync(lockPath); } catch (err) { /* already gone */ }
+    },
+
+    flush: persist,
+    apply,
+
+    enqueue(kind, payload) {
+      if (!OFFLINE_RECORD_KINDS.includes(kind)) throw new Error(`Unknown offline record kind '${kind}'`);
+      records.push({ id: randomUUID(), kind, enqueuedAt: new Date(), attempts: 0, payload });
+      if (records.length > maxRecords) {
+        const dropped = records.splice(0, records.length - maxRecords);
+        console.warn(`${logPrefix} Queue is full (${maxRecords} records). Dropped ${dropped.length} oldest record(s).`);
+      }
+      schedulePersist();
+    },
+
+    // Replays queued records in order. Stops at the first connectivity error (the rest stay queued) or at a
+    // record that failed for another reason, so later records never overtake it; such a record is retried on the
+    // next replay and rejected after MAX_REPLAY_ATTEMPTS. Returns { applied, remaining }.
+    async replay(db) {
+      if (replaying || records.length === 0) return { applied: 0, remaining: records.length };
+      replaying = true;
+      let applied = 0;
+      const ownerCache = new Map();
+      try {
+        while (records.length > 0) {
+          const head = records[0];
+          let batch = [head];
+          if (head.kind === 'reading' || head.kind === 'notification') {
+            const collection = collectionFor(head);
+            let end = 1;
+            while (end < records.length && end < REPLAY_BATCH_SIZE && records[end].kind === head.kind && collectionFor(records[end]) === collection) end++;
+            batch = records.slice(0, end);
+          }
+
+          let written;
+          if (head.kind === 'reading' || head.kind === 'notification') {
+            written = await applyInsertBatch(db, batch, ownerCache);
+          } else {
+            written = new Set();
+            try {
+              if (head.kind === 'device_switch' && !head.payload.userId) {
+                head.payload.userId = await resolveUserId(db, head.payload.deviceId, ownerCache);
+              }
+              if (head.kind !== 'device_switch' || head.payload.userId) await apply(db, head.kind, head.payload);
+              written.add(head.id);
+            } catch (err) {
+              if (isCloudUnavailableError(err)) throw err;
+              head.attempts = (head.attempts || 0) + 1;
+              head.lastError = err.message;
+            }
+          }
+
+          removeRecords(written);
+          applied += written.size;
+          const failedRecord = batch.find(r => !written.has(r.id));
+          if (failedRecord) {
+            if (failedRecord.attempts >= MAX_REPLAY_ATTEMPTS) {
+              reject(failedRecord, failedRecord.lastError);
+              removeRecords(new Set([failedRecord.id]));
+              continue;
+            }
+            console.warn(`${logPrefix} Record ${failedRecord.id} (${failedRecord.kind}) failed (attempt ${failedRecord.attempts}): ${failedRecord.lastError}. Will retry.`);
+            break;
+          }
+        }
+      } finally {
+        replaying = false;
+        persist();
+      }
+      if (applied > 0) console.log(`${logPrefix} Replayed ${applied} record(s). ${records.length} remaining.`);
+      return { applied, remaining: records.length };
+    }
+  };
+}
@@ -0,0 +1,302 @@
+import { ObjectId } from 'mongodb';
+import {
+  SYSTEM_POWER_LOG_DEVICE_ID,
+  INTEGRATION_MAX_GAP_MS,
+  getBucketStart,
+  addBuckets,
+  bucketStartExpression,
+  buildIntegrationPipeline
+} from './energyIntegration.js';
+import { BASELINE_WINDOW_DAYS } from './anomalyDetection.js';
+
+// --- Reading Rollups & Retention ---
+// Raw readings (one per MQTT message) are rolled up per device into 1-minute and hourly buckets
+// { userId, deviceId, bucket, energyWh, coveredMs, avgPowerW, minPowerW, maxPowerW }:
+//   - minute rollups are integrated from raw readings up to minuteRolledUpTo, which trails the clock by
+//     INTEGRATION_MAX_GAP_MS so that every segment before it is complete
+//   - hourly rollups are summed from minute rollups up to hourRolledUpTo
+//   - raw readings (including SYSTEM_POWER_LOG) are kept for RAW_READINGS_RETENTION_DAYS, minute rollups for
+//     MINUTE_ROLLUP_RETENTION_DAYS and hourly rollups forever. Nothing is deleted before it has been rolled up.
+//     Deletes run in batches so a large backlog does not hold up the database.
+// Readings written late (e.g. replayed from the offline queue or imported) are reported with markReadingsForRollup()
+// and the rollups covering them are rebuilt on the next run; readings written in the last LATE_WRITE_GRACE_MS are
+// never pruned, so that happens even for readings older than the retention. The watermarks live in ROLLUP_STATE_COLLECTION.
+// Rollup buckets are aligned to UTC so they serve users in any time zone; user-facing buckets are built from them
+// with the user's zone (hourly rollups only where the zone is a whole number of hours from UTC).
+export const MINUTE_ROLLUPS_COLLECTION = 'readings_rollup_1m';
+export const HOURLY_ROLLUPS_COLLECTION = 'readings_rollup_1h';
+export const ROLLUP_STATE_COLLECTION = 'readings_rollup_state';
+export const ROLLUP_INVALIDATIONS_COLLECTION = 'readings_rollup_invalidations';
+const ROLLUP_STATE_ID = 'rollups';
+const ROLLUP_TIME = { timeZone: 'UTC', weekStartsOn: 'sunday' };
+
+const ROLLUP_INTERVAL = 5 * 60 * 1000; // Roll up and prune every 5 minutes
+const DEFAULT_RAW_RETENTION_DAYS = 30;
+// Anomaly baselines learn from raw readings: BASELINE_WINDOW_DAYS before the last day, plus a day of margin
+const MIN_RAW_RETENTION_DAYS = BASELINE_WINDOW_DAYS + 2;
+const DEFAULT_MINUTE_ROLLUP_RETENTION_DAYS = 90;
+const MINUTE_ROLLUP_CHUNK_MS = 6 * 60 * 60 * 1000;
+const HOURLY_ROLLUP_CHUNK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_CHUNKS_PER_RUN = 8; // A long backlog (e.g. the first run) is worked off over several runs
+const MAX_INVALIDATIONS_PER_RUN = 50;
+const DELETE_BATCH_SIZE = 5000;
+const MAX_DELETE_BATCHES_PER_RUN = 20;
+const LATE_WRITE_GRACE_MS = 24 * 60 * 60 * 1000;
+
+function readPositiveNumberEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isFinite(value) && value > 0 ? value : fallback;
+}
+
+let rawRetentionWarned = false;
+
+export function getRetentionSettings() {
+  let rawDays = readPositiveNumberEnv('RAW_READINGS_RETENTION_DAYS', DEFAULT_RAW_RETENTION_DAYS);
+  if (rawDays < MIN_RAW_RETENTION_DAYS) {
+    if (!rawRetentionWarned) {
+      console.warn(`[Rollups] RAW_READINGS_RETENTION_DAYS=${rawDays} is below the ${MIN_RAW_RETENTION_DAYS} days anomaly baselines need; using ${MIN_RAW_RETENTION_DAYS}.`);
+      rawRetentionWarned = true;
+    }
+    rawDays = MIN_RAW_RETENTION_DAYS;
+  }
+  return {
+    rawDays,
+    minuteRollupDays: readPositiveNumberEnv('MINUTE_ROLLUP_RETENTION_DAYS', DEFAULT_MINUTE_ROLLUP_RETENTION_DAYS)
+  };
+}
+
+// Watermarks: { minuteRolledUpTo, hourRolledUpTo, rawPrunedBefore, minuteRollupsPrunedBefore } (Dates or null).
+export async function getRollupState(db) {
+  const state = await db.collection(ROLLUP_STATE_COLLECTION).findOne({ _id: ROLLUP_STATE_ID });
+  return {
+    minuteRolledUpTo: state?.minuteRolledUpTo || null,
+    hourRolledUpTo: state?.hourRolledUpTo || null,
+    rawPrunedBefore: state?.rawPrunedBefore || null,
+    minuteRollupsPrunedBefore: state?.minuteRollupsPrunedBefore || null
+  };
+}
+
+async function setRollupState(db, fields) {
+  await db.collection(ROLLUP_STATE_COLLECTION).updateOne({ _id: ROLLUP_STATE_ID }, { $set: { ...fields, updatedAt: new Date() } }, { upsert: true });
+}
+
+// Records that readings between from and to were written after the fact, so their rollups get rebuilt.
+// scope { userId, deviceIds } limits the rebuild to those devices; a scoped rebuild also adds rollups for late
+// readings older than the raw retention (e.g. imported history), keeping the buckets that already exist there.
+export async function markReadingsForRollup(db, from, to, scope = null) {
+  const invalidation = { from, to, createdAt: new Date() };
+  if (scope) {
+    invalidation.userId = new ObjectId(scope.userId);
+    invalidation.deviceIds = scope.deviceIds;
+  }
+  await db.collection(ROLLUP_INVALIDATIONS_COLLECTION).insertOne(invalidation);
+}
+
+const rollupProjection = {
+  _id: 0,
+  userId: '$_id.userId',
+  deviceId: '$_id.deviceId',
+  bucket: '$_id.bucket',
+  energyWh: 1,
+  coveredMs: 1,
+  avgPowerW: { $divide: ['$energyWh', { $divide: ['$coveredMs', 3600000] }] },
+  minPowerW: 1,
+  maxPowerW: 1
+};
+
+function mergeInto(collectionName, keepExisting) {
+  return { $merge: { into: collectionName, on: ['userId', 'deviceId', 'bucket'], whenMatched: keepExisting ? 'keepExisting' : 'replace', whenNotMatched: 'insert' } };
+}
+
+// (Re)builds the minute rollups for [from, to) from raw readings. match narrows it down to some devices;
+// keepExisting only adds missing buckets (for ranges whose raw readings are partly pruned).
+async function rollUpMinutes(db, readingsCollectionName, from, to, { match = {}, keepExisting = false } = {}) {
+  if (!keepExisting) await db.collection(MINUTE_ROLLUPS_COLLECTION).deleteMany({ ...match, bucket: { $gte: from, $lt: to } });
+  await db.collection(readingsCollectionName).aggregate([
+    ...buildIntegrationPipeline({ deviceId: { $ne: SYSTEM_POWER_LOG_DEVICE_ID }, ...match }, { from, to, resolution: 'minute', timePreferences: ROLLUP_TIME }),
+    { $project: rollupProjection },
+    mergeInto(MINUTE_ROLLUPS_COLLECTION, keepExisting)
+  ], { allowDiskUse: true }).toArray();
+}
+
+// (Re)builds the hourly rollups for [from, to) (hour boundaries) from minute rollups. Options as for rollUpMinutes().
+async function rollUpHours(db, from, to, { match = {}, keepExisting = false } = {}) {
+  if (!keepExisting) await db.collection(HOURLY_ROLLUPS_COLLECTION).deleteMany({ ...match, bucket: { $gte: from, $lt: to } });
+  await db.collection(MINUTE_ROLLUPS_COLLECTION).aggregate([
+    { $match: { ...match, bucket: { $gte: from, $lt: to } } },
+    { $group: {
+      _id: { bucket: bucketStartExpression('$bucket', 'hour', ROLLUP_TIME), userId: '$userId', deviceId: '$deviceId' },
+      energyWh: { $sum: '$energyWh' },
+      coveredMs: { $sum: '$coveredMs' },
+      minPowerW: { $min: '$minPowerW' },
+      maxPowerW: { $max: '$maxPowerW' }
+    } },
+    { $project: rollupProjection },
+    mergeInto(HOURLY_ROLLUPS_COLLECTION, keepExisting)
+  ], { allowDiskUse: true }).toArray();
+}
+
+// Rolled-up energy for the requested resolution, in the same shape as buildIntegrationPipeline() produces.
+// tier is 'minute' or 'hour'; the resolution must not be finer than the tier, and for the hour tier the user's
+// buckets must fall on whole UTC hours (see services/energyHistory.js).
+export async function getRolledUpBuckets(db, tier, match, { from, to, resolution, timePreferences }) {
+  const collectionName = tier === 'hour' ? HOURLY_ROLLUPS_COLLECTION : MINUTE_ROLLUPS_COLLECTION;
+  return db.collection(collectionName).aggregate([
+    { $match: { ...match, bucket: { $gte: from, $lt: to } } },
+    { $group: {
+      _id: { bucket: bucketStartExpression('$bucket', resolution, timePreferences), userId: '$userId', deviceId: '$deviceId' },
+      energyWh: { $sum: '$energyWh' },
+      coveredMs: { $sum: '$coveredMs' },
+      minPowerW: { $min: '$minPowerW' },
+      maxPowerW: { $max: '$maxPowerW' }
+    } }
+  ], { allowDiskUse: true }).toArray();
+}
+
+async function deleteInBatches(collection, filter) {
+  let deleted = 0;
+  for (let batch = 0; batch < MAX_DELETE_BATCHES_PER_RUN; batch++) {
+    const ids = await collection.find(filter, { projection: { _id: 1 } }).limit(DELETE_BATCH_SIZE).toArray();
+    if (ids.length === 0) break;
+    const result = await collection.deleteMany({ _id: { $in: ids.map(doc => doc._id) } });
+    deleted += result.deletedCount;
+  }
+  return deleted;
+}
+
+function earlierOf(a, b) {
+  return a < b ? a : b;
+}
+
+function laterOf(a, b) {
+  return a > b ? a : b;
+}
+
+// Rebuilds the rollups around readings that were written late.
+async function processInvalidations(db, readingsCollectionName, state) {
+  const invalidations = await db.collection(ROLLUP_INVALIDATIONS_COLLECTION).find({}).sort({ createdAt: 1 }).limit(MAX_INVALIDATIONS_PER_RUN).toArray();
+  for (const invalidation of invalidations) {
+    const match = invalidation.deviceIds ? { userId: invalidation.userId, deviceId: { $in: invalidation.deviceIds } } : {};
+    const scoped = Boolean(invalidation.deviceIds);
+    // Only what was already rolled up is rebuilt (the regular passes pick up the rest). Buckets before the raw
+    // floor cannot be rebuilt from the data that is left, so there a scoped rebuild only adds missing ones.
+    const from = getBucketStart(new Date(invalidation.from.getTime() - INTEGRATION_MAX_GAP_MS), 'minute', ROLLUP_TIME);
+    let to = addBuckets(getBucketStart(new Date(invalidation.to.getTime() + INTEGRATION_MAX_GAP_MS), 'minute', ROLLUP_TIME), 'minute', 1, ROLLUP_TIME);
+    if (state.minuteRolledUpTo) to = earlierOf(to, state.minuteRolledUpTo);
+
+    if (state.minuteRolledUpTo && from < to) {
+      const rawFloor = state.rawPrunedBefore
+        ? addBuckets(getBucketStart(new Date(state.rawPrunedBefore.getTime() + INTEGRATION_MAX_GAP_MS), 'minute', ROLLUP_TIME), 'minute', 1, ROLLUP_TIME)
+        : from;
+      if (scoped && from < rawFloor) await rollUpMinutes(db, readingsCollectionName, from, earlierOf(rawFloor, to), { match, keepExisting: true });
+      if (laterOf(from, rawFloor) < to) await rollUpMinutes(db, readingsCollectionName, laterOf(from, rawFloor), to, { match });
+      const rebuiltFrom = scoped ? from : laterOf(from, rawFloor);
+
+      if (state.hourRolledUpTo && rebuiltFrom < to) {
+        const hourFrom = getBucketStart(rebuiltFrom, 'hour', ROLLUP_TIME);
+        const hourTo = earlierOf(addBuckets(getBucketStart(new Date(to.getTime() - 1), 'hour', ROLLUP_TIME), 'hour', 1, ROLLUP_TIME), state.hourRolledUpTo);
+        const minuteFloor = state.minuteRollupsPrunedBefore
+          ? addBuckets(getBucketStart(state.minuteRollupsPrunedBefore, 'hour', ROLLUP_TIME), 'hour', 1, ROLLUP_TIME)
+          : hourFrom;
+        if (scoped && hourFrom < minuteFloor && hourFrom < hourTo) await rollUpHours(db, hourFrom, earlierOf(minuteFloor, hourTo), { match, keepExisting: true });
+        if (laterOf(hourFrom, minuteFloor) < hourTo) await rollUpHours(db, laterOf(hourFrom, minuteFloor), hourTo, { match });
+      }
+    }
+    await db.collection(ROLLUP_INVALIDATIONS_COLLECTION).deleteOne({ _id: invalidation._id });
+  }
+  return invalidations.length;
+}
+
+// One pass of the rollup/retention job. Returns a summary of what was done.
+export async function runRollups(db, readingsCollectionName, now = new Date()) {
+  const readings = db.collection(readingsCollectionName);
+  const retention = getRetentionSettings();
+  const state = await getRollupState(db);
+  const summary = { invalidations: 0, minuteChunks: 0, hourChunks: 0, rawDeleted: 0, minuteRollupsDeleted: 0 };
+
+  summary.invalidations = await processInvalidations(db, readingsCollectionName, state);
+
+  // 1. Minute rollups, up to the point where every segment is complete
+  const settledUntil = getBucketStart(new Date(now.getTime() - INTEGRATION_MAX_GAP_MS), 'minute', ROLLUP_TIME);
+  let minuteFrom = state.minuteRolledUpTo;
+  if (!minuteFrom) {
+    const oldest = await readings.find({ deviceId: { $ne: SYSTEM_POWER_LOG_DEVICE_ID } }).sort({ timeStamp: 1 }).limit(1).next();
+    minuteFrom = oldest ? getBucketStart(oldest.timeStamp, 'minute', ROLLUP_TIME) : null;
+  }
+  while (minuteFrom && minuteFrom < settledUntil && summary.minuteChunks < MAX_CHUNKS_PER_RUN) {
+    const chunkTo = earlierOf(new Date(minuteFrom.getTime() + MINUTE_ROLLUP_CHUNK_MS), settledUntil);
+    await rollUpMinutes(db, readingsCollectionName, minuteFrom, chunkTo);
+    await setRollupState(db, { minuteRolledUpTo: chunkTo });
+    state.minuteRolledUpTo = minuteFrom = chunkTo;
+    summary.minuteChunks++;
+  }
+  if (!state.minuteRolledUpTo) return summary; // No readings yet
+
+  // 2. Hourly rollups, for every hour whose minutes are all rolled up
+  const hourLimit = getBucketStart(state.minuteRolledUpTo, 'hour', ROLLUP_TIME);
+  let hourFrom = state.hourRolledUpTo;
+  if (!hourFrom) {
+    const oldest = await db.collection(MINUTE_ROLLUPS_COLLECTION).find({}).sort({ bucket: 1 }).limit(1).next();
+    hourFrom = oldest ? getBucketStart(oldest.bucket, 'hour', ROLLUP_TIME) : hourLimit;
+  }
+  while (hourFrom < hourLimit && summary.hourChunks < MAX_CHUNKS_PER_RUN) {
+    const chunkTo = earlierOf(new Date(hourFrom.getTime() + HOURLY_ROLLUP_CHUNK_MS), hourLimit);
+    await rollUpHours(db, hourFrom, chunkTo);
+    await setRollupState(db, { hourRolledUpTo: chunkTo });
+    state.hourRolledUpTo = hourFrom = chunkTo;
+    summary.hourChunks++;
+  }
+
+  // 3. Raw readings past retention (never anything newer than what the minute rollups were built from)
+  const rawCutoff = earlierOf(new Date(now.getTime() - retention.rawDays * 24 * 60 * 60 * 1000), new Date(state.minuteRolledUpTo.getTime() - INTEGRATION_MAX_GAP_MS));
+  if (!state.rawPrunedBefore || rawCutoff > state.rawPrunedBefore) {
+    await setRollupState(db, { rawPrunedBefore: rawCutoff });
+    state.rawPrunedBefore = rawCutoff;
+  }
+  const lateWriteCutoff = ObjectId.createFromTime(Math.floor((now.getTime() - LATE_WRITE_GRACE_MS) / 1000)); // _id carries the write time
+  summary.rawDeleted = await deleteInBatches(readings, { timeStamp: { $lt: state.rawPrunedBefore }, _id: { $lt: lateWriteCutoff } });
+
+  // 4. Minute rollups past retention (never anything not yet in the hourly rollups)
+  if (state.hourRolledUpTo) {
+    const minuteCutoff = earlierOf(new Date(now.getTime() - retention.minuteRollupDays * 24 * 60 * 60 * 1000), state.hourRolledUpTo);
+    if (!state.minuteRollupsPrunedBefore || minuteCutoff > state.minuteRollupsPrunedBefore) {
+      await setRollupState(db, { minuteRollupsPrunedBefore: minuteCutoff });
+      state.minuteRollupsPrunedBefore = minuteCutoff;
+    }
+    summary.minuteRollupsDeleted = await deleteInBatches(db.collection(MINUTE_ROLLUPS_COLLECTION), { bucket: { $lt: state.minuteRollupsPrunedBefore } });
+  }
+  return summary;
+}
+
+export async function ensureRollupIndexes(db, readingsCollectionName) {
+  for (const collectionName of [MINUTE_ROLLUPS_COLLECTION, HOURLY_ROLLUPS_COLLECTION]) {
+    await db.collection(collectionName).createIndex({ userId: 1, deviceId: 1, bucket: 1 }, { unique: true });
+    await db.collection(collectionName).createIndex({ bucket: 1 });
+  }
+  await db.collection(ROLLUP_INVALIDATIONS_COLLECTION).createIndex({ createdAt: 1 });
+  await db.collection(readingsCollectionName).createIndex({ timeStamp: 1 }); // Rollups and pruning scan by time across users
+}
+
+// Starts the periodic rollup/retention job. getDb is called on every tick so the loop can start before Mongo is connected.
+export function startReadingRollups(getDb, readingsCollectionName) {
+  let runInProgress = false;
+  const tick = async () => {
+    const db = getDb();
+    if (!db || runInProgress) return;
+    runInProgress = true;
+    try {
+      const summary = await runRollups(db, readingsCollectionName);
+      if (Object.values(summary).some(count => count > 0)) {
+        console.log(`[Rollups] Rebuilt ${summary.invalidations} late range(s), rolled up ${summary.minuteChunks} minute and ${summary.hourChunks} hourly chunk(s), deleted ${summary.rawDeleted} raw reading(s) and ${summary.minuteRollupsDeleted} minute rollup(s).`);
+      }
+    } catch (error) {
+      console.error('[Rollups] Run failed:', error);
+    } finally {
+      runInProgress = false;
+    }
+  };
+  const { rawDays, minuteRollupDays } = getRetentionSettings();
+  setInterval(tick, ROLLUP_INTERVAL);
+  console.log(`[Rollups] Started. Keeping raw readings for ${rawDays} days and minute rollups for ${minuteRollupDays} days; hourly rollups are kept.`);
+  tick();
+}
@@ -0,0 +1,307 @@
+import crypto from 'crypto';
+import WebSocket from 'ws';
+
+// --- Realtime Hub ---
+// The clients of the /ws endpoint (mqttSubscriber.js) and the events pushed to them. Events are published to a
+// user's (household owner's) stream on a channel:
+//   - 'system'          live totals ('current_power_update')
+//   - 'devices'         on/off changes of the user's devices ('device_status_update')
+//   - 'notifications'   new notifications ('new_notification')
+//   - 'device:<id>'     every power reading of one device at full rate ('device_power')
+// Protocol 1 is the original one: the client sends { type: 'auth', token } and receives every event of the
+// 'system', 'devices' and 'notifications' channels as { type, payload }.
+// Protocol 2 is used by clients whose messages carry v: 2. Requests may carry an id, which the reply repeats in
+// replyTo ({ v: 2, type: 'ack', replyTo, ok, ... } or an 'auth_success' / 'auth_error'):
+//   - { type: 'auth', token, householdId?, subscribe?: [channels], resume?: { streamId, seq } }
+//   - { type: 'subscribe', channels, snapshot?: true } / { type: 'unsubscribe', channels }
+//   - { type: 'resume', streamId, seq }   replays missed events, see below
+//   - { type: 'command', command: 'toggle', deviceId, turnOn }
+//   - { type: 'ping' }
+// and receives only its channels' events, as { v: 2, type, channel, seq, payload }. Subscribing sends the
+// channel's current state first ({ ..., snapshot: true }). seq numbers each user's events; the last MAX_BUFFERED_EVENTS
+// of every channel (up to RESUME_WINDOW_MS old) are kept, so a client that reconnects with the streamId from
+// auth_success and the last seq it saw gets what it missed. When that is no longer possible (events dropped or
+// the process restarted, which changes the streamId) it receives { type: 'resync', channel } and a fresh snapshot.
+export const PROTOCOL_VERSION = 2;
+export const LEGACY_CHANNELS = ['system', 'devices', 'notifications'];
+const DEVICE_CHANNEL_PREFIX = 'device:';
+const MAX_BUFFERED_EVENTS = 200; // Per user and channel
+const RESUME_WINDOW_MS = 10 * 60 * 1000;
+const MAX_SUBSCRIPTIONS = 50;
+
+export function isValidChannel(channel) {
+  return typeof channel === 'string'
+    && (LEGACY_CHANNELS.includes(channel) || (channel.startsWith(DEVICE_CHANNEL_PREFIX) && channel.length > DEVICE_CHANNEL_PREFIX.length));
+}
+
+// Device id of a 'device:<id>' channel, or null for the other channels.
+export function getChannelDeviceId(channel) {
+  return channel.startsWith(DEVICE_CHANNEL_PREFIX) ? channel.slice(DEVICE_CHANNEL_PREFIX.length) : null;
+}
+
+export function getDeviceChannel(deviceId) {
+  return `${DEVICE_CHANNEL_PREFIX}${deviceId}`;
+}
+
+// Creates a hub bound to the process' own lookups:
+//   authenticate(message)            -> { client: { userId, accountId, sessionId, householdId, role, household } } or { error }
+//   authorizeChannel(ws, channel)    -> null, or an error message if the client may not subscribe to the channel
+//   getSnapshot(ws, channel)         -> [{ type, payload }] describing the channel's current state (may be empty)
+//   commands                         -> { name: async (ws, message) => result object or { error } }
+export function createRealtimeHub({ authenticate, authorizeChannel = async () => null, getSnapshot, commands = {}, logPrefix = '[WebSocket]' }) {
+  const streamId = crypto.randomUUID(); // Sequence numbers are only comparable within one process lifetime
+  const connections = new Map(); // userId -> Set of authenticated WebSocket clients
+  const streams = new Map(); // userId -> { seq, channels: Map channel -> { events: [{ seq, type, payload, at }], droppedUpTo } }
+
+  function getStream(userId) {
+    if (!streams.has(userId)) streams.set(userId, { seq: 0, channels: new Map() });
+    return streams.get(userId);
+  }
+
+  function pruneChannel(buffer, now) {
+    while (buffer.events.length > MAX_BUFFERED_EVENTS || (buffer.events.length > 0 && now - buffer.events[0].at > RESUME_WINDOW_MS)) {
+      buffer.droppedUpTo = buffer.events.shift().seq;
+    }
+  }
+
+  function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  }
+
+  function sendEvent(ws, channel, { seq, type, payload }, extra = {}) {
+    if (ws.protocolVersion === PROTOCOL_VERSION) {
+      send(ws, { v: PROTOCOL_VERSION, type, channel, seq, payload, ...extra });
+    } else {
+      send(ws, { type, payload });
+    }
+  }
+
+  function reply(ws, request, message) {
+    if (ws.protocolVersion !== PROTOCOL_VERSION) return send(ws, message);
+    send(ws, { v: PROTOCOL_VERSION, ...message, ...(request.id !== undefined ? { replyTo: request.id } : {}) });
+  }
+
+  async function sendSnapshots(ws, channels) {
+    const seq = getStream(ws.userId).seq;
+    for (const channel of channels) {
+      try {
+        for (const { type, payload } of await getSnapshot(ws, channel)) {
+          sendEvent(ws, channel, { seq, type, payload }, { snapshot: true });
+        }
+      } catch (error) {
+        console.error(`${logPrefix} Could not send the '${channel}' snapshot to user ${ws.userId}:`, error);
+      }
+    }
+  }
+
+  // Checks the requested channels. Returns { channels } or { error }.
+  async function checkChannels(ws, channels) {
+    if (!Array.isArray(channels) || channels.length === 0) return { error: 'channels must be a non-empty array' };
+    const invalid = channels.filter(channel => !isValidChannel(channel));
+    if (invalid.length > 0) return { error: `Unknown channel(s): ${invalid.join(', ')}` };
+    const unique = [...new Set(channels)];
+    if (new Set([...ws.subscriptions, ...unique]).size > MAX_SUBSCRIPTIONS) {
+      return { error: `At most ${MAX_SUBSCRIPTIONS} channels can be subscribed` };
+    }
+    for (const channel of unique) {
+      const error = await authorizeChannel(ws, channel);
+      if (error) return { error: `${channel}: ${error}` };
+    }
+    return { channels: unique };
+  }
+
+  // Collects the events after seq on the client's channels; channels whose missed events are gone need a resync.
+  // The caller sends them in the same tick, so no live event can overtake the replay.
+  function collectMissed(ws, fromStreamId, fromSeq) {
+    const stream = getStream(ws.userId);
+    const now = Date.now();
+    const resync = [];
+    const missed = [];
+    const usable = fromStreamId === streamId && Number.isInteger(fromSeq) && fromSeq >= 0 && fromSeq <= stream.seq;
+    for (const channel of ws.subscriptions) {
+      const buffer = stream.channels.get(channel);
+      if (buffer) pruneChannel(buffer, now);
+      if (!usable || (buffer && buffer.droppedUpTo > fromSeq)) {
+        resync.push(channel);
+      } else if (buffer) {
+        for (const event of buffer.events) {
+          if (event.seq > fromSeq) missed.push({ channel, event });
+        }
+      }
+    }
+    missed.sort((a, b) => a.event.seq - b.event.seq);
+    return { missed, resync, seq: stream.seq };
+  }
+
+  // Acknowledges a resume request, then replays the missed events and sends fresh snapshots where needed.
+  async function replay(ws, request, fromStreamId, fromSeq, ackFields = {}) {
+    const { missed, resync, seq } = collectMissed(ws, fromStreamId, fromSeq);
+    reply(ws, request, { type: 'ack', ok: true, ...ackFields, replayed: missed.length, resync });
+    for (const { channel, event } of missed) sendEvent(ws, channel, event);
+    for (const channel of resync) send(ws, { v: PROTOCOL_VERSION, type: 'resync', channel, seq });
+    await sendSnapshots(ws, resync);
+  }
+
+  function register(ws, client) {
+    ws.userId = client.userId;
+    ws.accountId = client.accountId;
+    ws.sessionId = client.sessionId;
+    ws.householdId = client.householdId;
+    ws.householdRole = client.role;
+    if (!connections.has(ws.userId)) connections.set(ws.userId, new Set());
+    connections.get(ws.userId).add(ws);
+  }
+
+  function unregister(ws) {
+    const userConnections = ws.userId && connections.get(ws.userId);
+    if (!userConnections) return;
+    userConnections.delete(ws);
+    if (userConnections.size === 0) connections.delete(ws.userId);
+  }
+
+  async function handleAuth(ws, message) {
+    const { client, error } = await authenticate(message);
+    if (error) {
+      reply(ws, message, { type: 'auth_error', message: error });
+      ws.close();
+      return;
+    }
+    // A client may re-authenticate, e.g. with a refreshed token; subscriptions only carry over to the same household
+    if (ws.userId && ws.userId !== client.userId) ws.subscriptions.clear();
+    unregister(ws);
+    register(ws, client);
+    console.log(`${logPrefix} Client authenticated. User ID: ${ws.accountId}, household ${ws.householdId} (${ws.householdRole}), protocol ${ws.protocolVersion}`);
+
+    if (ws.protocolVersion !== PROTOCOL_VERSION) {
+      reply(ws, message, { type: 'auth_success', message: 'Authenticated', household: client.household });
+      ws.subscriptions = new Set(LEGACY_CHANNELS);
+      await sendSnapshots(ws, ['system', 'devices']);
+      return;
+    }
+
+    reply(ws, message, { type: 'auth_success', message: 'Authenticated', household: client.household, streamId, seq: getStream(ws.userId).seq });
+    if (message.subscribe !== undefined) {
+      await handleSubscribe(ws, { channels: message.subscribe, resume: message.resume });
+    }
+  }
+
+  async function handleSubscribe(ws, message) {
+    const { channels, error } = await checkChannels(ws, message.channels);
+    if (error) return reply(ws, message, { type: 'ack', ok: false, error });
+    const added = channels.filter(channel => !ws.subscriptions.has(channel));
+    added.forEach(channel => ws.subscriptions.add(channel));
+    if (message.resume) {
+      return replay(ws, message, message.resume.streamId, message.resume.seq, { subscribed: [...ws.subscriptions] });
+    }
+    reply(ws, message, { type: 'ack', ok: true, subscribed: [...ws.subscriptions] });
+    if (message.snapshot !== false) await sendSnapshots(ws, added);
+  }
+
+  function handleUnsubscribe(ws, message) {
+    if (!Array.isArray(message.channels)) {
+      return reply(ws, message, { type: 'ack', ok: false, error: 'channels must be an array' });
+    }
+    message.channels.forEach(channel => ws.subscriptions.delete(channel));
+    reply(ws, message, { type: 'ack', ok: true, subscribed: [...ws.subscriptions] });
+  }
+
+  function handleResume(ws, message) {
+    return replay(ws, message, message.streamId, message.seq);
+  }
+
+  async function handleCommand(ws, message) {
+    const command = commands[message.command];
+    if (!command) {
+      return reply(ws, message, { type: 'ack', ok: false, error: `Unknown command '${message.command}'` });
+    }
+    try {
+      const { error, ...result } = await command(ws, message);
+      if (error) return reply(ws, message, { type: 'ack', ok: false, command: message.command, error });
+      reply(ws, message, { type: 'ack', ok: true, command: message.command, result });
+    } catch (error) {
+      console.error(`${logPrefix} Command '${message.command}' of user ${ws.accountId} failed:`, error);
+      reply(ws, message, { type: 'ack', ok: false, command: message.command, error: error.message });
+    }
+  }
+
+  async function handleMessage(ws, message) {
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'auth') {
+      ws.protocolVersion = message.v === PROTOCOL_VERSION ? PROTOCOL_VERSION : 1;
+      if (!message.token) return reply(ws, message, { type: 'auth_error', message: 'token is required' });
+      return handleAuth(ws, message);
+    }
+    if (!ws.userId && message.v === PROTOCOL_VERSION) ws.protocolVersion = PROTOCOL_VERSION;
+    if (ws.protocolVersion !== PROTOCOL_VERSION) {
+      console.log(`${logPrefix} Received non-auth message:`, message);
+      return;
+    }
+    if (message.type === 'ping') return reply(ws, message, { type: 'ack', ok: true });
+    if (!ws.userId) return reply(ws, message, { type: 'ack', ok: false, error: 'Not authenticated' });
+    if (message.type === 'subscribe') return handleSubscribe(ws, message);
+    if (message.type === 'unsubscribe') return handleUnsubscribe(ws, message);
+    if (message.type === 'resume') return handleResume(ws, message);
+    if (message.type === 'command') return handleCommand(ws, message);
+    reply(ws, message, { type: 'ack', ok: false, error: `Unknown message type '${message.type}'` });
+  }
+
+  return {
+    streamId,
+
+    // Sets up a newly connected socket.
+    accept(ws) {
+      ws.protocolVersion = 1;
+      ws.subscriptions = new Set();
+      let pending = Promise.resolve(); // A socket's messages are handled one after another, in order
+      ws.on('message', (raw) => {
+        let message;
+        try {
+          message = JSON.parse(raw.toString());
+        } catch (parseErr) {
+          console.error(`${logPrefix} Failed to parse message:`, raw.toString(), parseErr.message);
+          return;
+        }
+        pending = pending.then(() => handleMessage(ws, message)).catch(error => {
+          console.error(`${logPrefix} Error handling '${message?.type}' message:`, error);
+        });
+      });
+      ws.on('close', () => unregister(ws));
+    },
+
+    // Whether any client of the user is connected (callers skip work nobody would see).
+    hasClients(userId) {
+      return connections.has(userId);
+    },
+
+    // Adds an event to the user's stream and pushes it to the clients subscribed to the channel.
+    // buffered: false sends it without keeping it for resuming clients.
+    publish(userId, channel, type, payload, { buffered = true } = {}) {
+      const stream = getStream(userId);
+      const event = { seq: ++stream.seq, type, payload, at: Date.now() };
+      if (buffered) {
+        if (!stream.channels.has(channel)) stream.channels.set(channel, { events: [], droppedUpTo: 0 });
+        const buffer = stream.channels.get(channel);
+        buffer.events.push(event);
+        pruneChannel(buffer, event.at);
+      }
+      for (const ws of connections.get(userId) || []) {
+        if (ws.subscriptions.has(channel)) sendEvent(ws, channel, event);
+      }
+      return event.seq;
+    },
+
+    // Sends a message outside the event stream to one socket (e.g. 'auth_error' before closing it).
+    sendDirect(ws, message) {
+      if (ws.protocolVersion === PROTOCOL_VERSION) send(ws, { v: PROTOCOL_VERSION, ...message });
+      else send(ws, message);
+    },
+
+    getStatus() {
+      let buffered = 0;
+      for (const stream of streams.values()) {
+        for (const buffer of stream.channels.values()) buffered += buffer.events.length;
+      }
+      return { streamId, users: connections.size, bufferedEvents: buffered };
+    }
+  };
+}
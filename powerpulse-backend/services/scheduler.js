@@ -0,0 +1,256 @@
+import { ObjectId } from 'mongodb';
+import { parseCronExpression, getNextCronOccurrence } from './cron.js';
+import { getSunEventTime, getConfiguredLocation } from './solar.js';
+import { isAlwaysOn } from './deviceMetadata.js';
+import { getDefaultTimeZone, getUserTimePreferences, getZonedParts, zonedTimeToUtc } from './userTime.js';
+
+// --- Device Scheduling Engine ---
+// Schedules are persisted with their next due time (nextRunAt). Every tick the scheduler claims due
+// schedules and records each firing in SCHEDULE_RUNS_COLLECTION under a unique (scheduleId, scheduledFor)
+// key, so a restart neither loses a due run nor fires the same occurrence twice.
+// Times of day, weekdays and sun events follow the time zone of the schedule's owner (services/userTime.js).
+export const SCHEDULES_COLLECTION = 'device_schedules';
+export const SCHEDULE_RUNS_COLLECTION = 'schedule_runs';
+export const SCHEDULE_TYPES = ['once', 'weekly', 'cron', 'solar'];
+
+const SCHEDULER_TICK_INTERVAL = 15000; // Check for due schedules every 15 seconds
+const MAX_CATCH_UP_OCCURRENCES = 10000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+function isValidDays(days) {
+  return Array.isArray(days) && days.length > 0 && days.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+}
+
+// Validates a schedule coming from the API and returns { schedule } or { error }.
+export function normalizeSchedule(input = {}) {
+  const { type, action } = input;
+  if (!SCHEDULE_TYPES.includes(type)) {
+    return { error: `Invalid schedule type. Use one of: ${SCHEDULE_TYPES.join(', ')}.` };
+  }
+  if (action !== 'on' && action !== 'off') {
+    return { error: "action must be 'on' or 'off'" };
+  }
+  const schedule = {
+    type,
+    action,
+    name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : `${type} ${action}`,
+    enabled: input.enabled === undefined ? true : input.enabled === true
+  };
+
+  if (type === 'once') {
+    const runAt = new Date(input.runAt);
+    if (!input.runAt || isNaN(runAt.getTime())) {
+      return { error: 'runAt (ISO date-time) is required for a one-shot schedule' };
+    }
+    schedule.runAt = runAt;
+  } else if (type === 'weekly') {
+    if (!TIME_PATTERN.test(input.time)) {
+      return { error: 'time (HH:MM) is required for a weekly schedule' };
+    }
+    const days = input.days === undefined ? ALL_DAYS : input.days;
+    if (!isValidDays(days)) {
+      return { error: 'days must be a non-empty array of weekdays (0=Sunday ... 6=Saturday)' };
+    }
+    schedule.time = input.time;
+    schedule.days = [...new Set(days)].sort();
+  } else if (type === 'cron') {
+    try {
+      parseCronExpression(input.cron);
+    } catch (err) {
+      return { error: `Invalid cron expression: ${err.message}` };
+    }
+    schedule.cron = input.cron.trim();
+  } else if (type === 'solar') {
+    if (input.event !== 'sunrise' && input.event !== 'sunset') {
+      return { error: "event must be 'sunrise' or 'sunset' for a solar schedule" };
+    }
+    if (!getConfiguredLocation()) {
+      return { error: 'Sunrise/sunset schedules require SOLAR_LATITUDE and SOLAR_LONGITUDE to be configured on the server' };
+    }
+    const offsetMinutes = input.offsetMinutes === undefined ? 0 : input.offsetMinutes;
+    if (!Number.isInteger(offsetMinutes) || Math.abs(offsetMinutes) > 720) {
+      return { error: 'offsetMinutes must be an integer between -720 and 720' };
+    }
+    const days = input.days === undefined ? ALL_DAYS : input.days;
+    if (!isValidDays(days)) {
+      return { error: 'days must be a non-empty array of weekdays (0=Sunday ... 6=Saturday)' };
+    }
+    schedule.event = input.event;
+    schedule.offsetMinutes = offsetMinutes;
+    schedule.days = [...new Set(days)].sort();
+  }
+
+  return { schedule };
+}
+
+// Returns the first occurrence of the schedule strictly after `after`, or null if it will never run again.
+// `timeZone` is the owner's; weekly times, cron fields and the days of solar schedules are read on its wall clock.
+export function computeNextRunAt(schedule, after = new Date(), timeZone = getDefaultTimeZone()) {
+  if (schedule.type === 'once') {
+    return schedule.runAt > after ? new Date(schedule.runAt) : null;
+  }
+
+  if (schedule.type === 'cron') {
+    return getNextCronOccurrence(schedule.cron, after, timeZone);
+  }
+
+  const today = getZonedParts(after, timeZone);
+
+  if (schedule.type === 'weekly') {
+    const [hour, minute] = schedule.time.split(':').map(Number);
+    for (let i = 0; i <= 7; i++) {
+      const candidate = zonedTimeToUtc({ year: today.year, month: today.month, day: today.day + i, hour, minute }, timeZone);
+      if (candidate > after && schedule.days.includes((today.weekday + i) % 7)) return candidate;
+    }
+    return null;
+  }
+
+  if (schedule.type === 'solar') {
+    const location = getConfiguredLocation();
+    if (!location) return null;
+    // Look slightly more than a year ahead so polar regions still find their next sunrise/sunset.
+    for (let i = -1; i <= 370; i++) {
+      const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i)); // Calendar day in `timeZone`
+      if (!schedule.days.includes(day.getUTCDay())) continue;
+      const eventTime = getSunEventTime(
+        schedule.event,
+        { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() },
+        location.latitude,
+        location.longitude
+      );
+      if (!eventTime) continue;
+      const candidate = new Date(eventTime.getTime() + schedule.offsetMinutes * 60000);
+      candidate.setUTCSeconds(0, 0);
+      if (candidate > after) return candidate;
+    }
+    return null;
+  }
+
+  return null;
+}
+
+async function fireSchedule(db, schedule, scheduledFor, skippedOccurrences, sendSwitchCommand) {
+  const runsCollection = db.collection(SCHEDULE_RUNS_COLLECTION);
+  const turnOn = schedule.action === 'on';
+
+  let run;
+  try {
+    run = {
+      scheduleId: schedule._id,
+      userId: schedule.userId,
+      deviceId: schedule.deviceId,
+      action: schedule.action,
+      scheduledFor,
+      startedAt: new Date(),
+      skippedOccurrences,
+      status: 'pending'
+    };
+    const insertResult = await runsCollection.insertOne(run);
+    run._id = insertResult.insertedId;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // This occurrence was already recorded. Only retry it if the previous attempt never completed
+    // (e.g. the process stopped between recording and publishing).
+    run = await runsCollection.findOne({ scheduleId: schedule._id, scheduledFor });
+    if (!run || run.status !== 'pending') {
+      console.log(`[Scheduler] Schedule ${schedule._id} occurrence ${scheduledFor.toISOString()} already handled (${run?.status}). Skipping.`);
+      return;
+    }
+  }
+
+  if (!turnOn && await isAlwaysOn(db, schedule.userId, schedule.deviceId)) {
+    await runsCollection.updateOne({ _id: run._id }, { $set: { status: 'skipped', error: 'Device is marked always on', completedAt: new Date() } });
+    console.log(`[Scheduler] Schedule ${schedule._id} (${schedule.name}): not switching off ${schedule.deviceId}, it is marked always on.`);
+    return;
+  }
+
+  try {
+    await sendSwitchCommand(schedule.deviceId, schedule.userId.toString(), turnOn);
+    await runsCollection.updateOne({ _id: run._id }, { $set: { status: 'success', completedAt: new Date() } });
+    console.log(`[Scheduler] Schedule ${schedule._id} (${schedule.name}) switched ${schedule.deviceId} ${schedule.action}.`);
+  } catch (error) {
+    await runsCollection.updateOne({ _id: run._id }, { $set: { status: 'failed', error: error.message, completedAt: new Date() } });
+    console.error(`[Scheduler] Schedule ${schedule._id} (${schedule.name}) failed for ${schedule.deviceId}:`, error.message);
+  }
+}
+
+// Fires every enabled schedule whose nextRunAt has passed. If several occurrences were missed (e.g. while
+// the backend was down) only the most recent one is fired, since switching is state-setting and only the
+// latest command matters; the number of superseded occurrences is recorded on the run.
+export async function runDueSchedules(db, sendSwitchCommand, now = new Date()) {
+  const schedulesCollection = db.collection(SCHEDULES_COLLECTION);
+  const dueSchedules = await schedulesCollection.find({ enabled: true, nextRunAt: { $ne: null, $lte: now } }).toArray();
+
+  for (const schedule of dueSchedules) {
+    try {
+      const { timeZone } = await getUserTimePreferences(db, schedule.userId);
+      let scheduledFor = schedule.nextRunAt;
+      let skippedOccurrences = 0;
+      let nextRunAt = computeNextRunAt(schedule, scheduledFor, timeZone);
+      while (nextRunAt && nextRunAt <= now && skippedOccurrences < MAX_CATCH_UP_OCCURRENCES) {
+        skippedOccurrences++;
+        scheduledFor = nextRunAt;
+        nextRunAt = computeNextRunAt(schedule, scheduledFor, timeZone);
+      }
+
+      await fireSchedule(db, schedule, scheduledFor, skippedOccurrences, sendSwitchCommand);
+
+      // Only advance the schedule if nobody else has advanced it in the meantime.
+      const update = { nextRunAt, lastRunAt: scheduledFor, updatedAt: new Date() };
+      if (!nextRunAt) update.enabled = false; // One-shot (or exhausted) schedules disable themselves
+      await schedulesCollection.updateOne({ _id: schedule._id, nextRunAt: schedule.nextRunAt }, { $set: update });
+    } catch (error) {
+      console.error(`[Scheduler] Error running schedule ${schedule._id}:`, error);
+    }
+  }
+}
+
+// Recomputes the next run of the user's enabled schedules after their time zone changed.
+export async function rescheduleUserSchedules(db, userId, timeZone, now = new Date()) {
+  const schedulesCollection = db.collection(SCHEDULES_COLLECTION);
+  const schedules = await schedulesCollection.find({ userId: new ObjectId(userId), enabled: true, type: { $ne: 'once' } }).toArray();
+  for (const schedule of schedules) {
+    const nextRunAt = computeNextRunAt(schedule, now, timeZone);
+    const update = { nextRunAt, updatedAt: new Date() };
+    if (!nextRunAt) update.enabled = false;
+    await schedulesCollection.updateOne({ _id: schedule._id }, { $set: update });
+  }
+  return schedules.length;
+}
+
+export async function ensureSchedulerIndexes(db) {
+  await db.collection(SCHEDULES_COLLECTION).createIndex({ enabled: 1, nextRunAt: 1 });
+  await db.collection(SCHEDULES_COLLECTION).createIndex({ userId: 1, deviceId: 1 });
+  await db.collection(SCHEDULE_RUNS_COLLECTION).createIndex({ scheduleId: 1, scheduledFor: 1 }, { unique: true });
+  await db.collection(SCHEDULE_RUNS_COLLECTION).createIndex({ userId: 1, deviceId: 1, startedAt: -1 });
+}
+
+// Starts the periodic scheduler loop. getDb is called on every tick so the loop can start before Mongo is connected.
+export function startScheduler(getDb, sendSwitchCommand) {
+  let tickInProgress = false;
+  const tick = async () => {
+    const db = getDb();
+    if (!db || tickInProgress) return;
+    tickInProgress = true;
+    try {
+      await runDueSchedules(db, sendSwitchCommand);
+    } catch (error) {
+      console.error('[Scheduler] Tick failed:', error);
+    } finally {
+      tickInProgress = false;
+    }
+  };
+  setInterval(tick, SCHEDULER_TICK_INTERVAL);
+  console.log(`[Scheduler] Started. Checking for due schedules every ${SCHEDULER_TICK_INTERVAL / 1000} seconds.`);
+  tick();
+}
+
+// Run history of a schedule, newest first.
+export async function getScheduleRuns(db, scheduleId, limit = 50) {
+  return db.collection(SCHEDULE_RUNS_COLLECTION)
+    .find({ scheduleId: new ObjectId(scheduleId) })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
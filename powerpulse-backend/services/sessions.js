@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { ObjectId } from 'mongodb';
+
+// --- Sessions ---
+// Every login creates a session in SESSIONS_COLLECTION. The client gets a short-lived access token (a JWT carrying
+// the session id as `sid`) and a refresh token ("<sessionId>.<secret>", only its SHA-256 hash is stored).
+//   - POST /auth/refresh trades the refresh token for a new pair; the old refresh token stops working (rotation).
+//     Presenting an already rotated token again means it was copied, so the whole session is revoked.
+//   - A session ends when it is revoked (logout, "log out all devices") or goes unused for REFRESH_TOKEN_TTL_DAYS.
+//   - verifyAccessToken() is used by authenticateToken (server.js) and by the WebSocket/HTTP auth in
+//     mqttSubscriber.js, so a revoked session is rejected even while its access token has not expired yet.
+export const SESSIONS_COLLECTION = 'sessions';
+const MAX_ROTATED_TOKEN_HASHES = 20; // Rotated refresh tokens remembered per session for reuse detection
+const MAX_LISTED_SESSIONS = 100;
+
+export function getSessionSettings() {
+  const accessTokenTtlMinutes = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10);
+  const refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+  return {
+    accessTokenTtlSeconds: (accessTokenTtlMinutes > 0 ? accessTokenTtlMinutes : 15) * 60,
+    refreshTokenTtlMs: (refreshTokenTtlDays > 0 ? refreshTokenTtlDays : 30) * 24 * 60 * 60 * 1000
+  };
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId.toString()}.${secret}`, refreshTokenHash: hashSecret(secret) };
+}
+
+// Splits a refresh token into its session id and secret, or returns null if it is malformed.
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret, ...rest] = refreshToken.split('.');
+  if (rest.length > 0 || !secret || !ObjectId.isValid(sessionId)) return null;
+  return { sessionId: new ObjectId(sessionId), secret };
+}
+
+function isSessionActive(session, now = new Date()) {
+  return Boolean(session && !session.revokedAt && session.expiresAt > now);
+}
+
+// Signs an access token for a session. Returns { token, expiresIn } (seconds).
+export function issueAccessToken(user, sessionId, secret) {
+  const { accessTokenTtlSeconds } = getSessionSettings();
+  const payload = { id: user._id.toString(), email: user.email, sid: sessionId.toString() };
+  return { token: jwt.sign(payload, secret, { expiresIn: accessTokenTtlSeconds }), expiresIn: accessTokenTtlSeconds };
+}
+
+// Starts a session after a successful login. Returns { sessionId, refreshToken, refreshTokenExpiresAt }.
+export async function createSession(db, userId, { userAgent = null, ip = null } = {}, now = new Date()) {
+  const { refreshTokenTtlMs } = getSessionSettings();
+  const sessionId = new ObjectId();
+  const { refreshToken, refreshTokenHash } = newRefreshToken(sessionId);
+  const expiresAt = new Date(now.getTime() + refreshTokenTtlMs);
+  await db.collection(SESSIONS_COLLECTION).insertOne({
+    _id: sessionId,
+    userId: new ObjectId(userId),
+    refreshTokenHash,
+    rotatedTokenHashes: [],
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt,
+    revokedAt: null,
+    revokedReason: null,
+    userAgent,
+    ip
+  });
+  return { sessionId, refreshToken, refreshTokenExpiresAt: expiresAt };
+}
+
+// Rotates a refresh token. Returns { session, refreshToken, refreshTokenExpiresAt } or { error }.
+export async function rotateRefreshToken(db, refreshToken, { userAgent = null, ip = null } = {}, now = new Date()) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'Invalid refresh token' };
+
+  const sessions = db.collection(SESSIONS_COLLECTION);
+  const session = await sessions.findOne({ _id: parsed.sessionId });
+  if (!isSessionActive(session, now)) return { error: 'Session expired or revoked' };
+
+  const presentedHash = hashSecret(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if ((session.rotatedTokenHashes || []).includes(presentedHash)) {
+      console.warn(`[Sessions] Rotated refresh token reused for session ${session._id} (user ${session.userId}). Revoking the session.`);
+      await revokeSession(db, session.userId, session._id, 'refresh_token_reuse', now);
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const { refreshTokenTtlMs } = getSessionSettings();
+  const { refreshToken: nextRefreshToken, refreshTokenHash } = newRefreshToken(session._id);
+  const expiresAt = new Date(now.getTime() + refreshTokenTtlMs);
+  // Conditional on the presented hash, so two concurrent refreshes with the same token cannot both succeed
+  const result = await sessions.updateOne(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: { refreshTokenHash, lastUsedAt: now, expiresAt, userAgent: userAgent || session.userAgent, ip: ip || session.ip },
+      $push: { rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_TOKEN_HASHES } }
+    }
+  );
+  if (result.modifiedCount === 0) return { error: 'Invalid refresh token' };
+  return { session, refreshToken: nextRefreshToken, refreshTokenExpiresAt: expiresAt };
+}
+
+// Verifies an access token and that its session is still active. Returns { user } (the token payload) or
+// { status, error }. With db null only the token itself is checked (used by mqttSubscriber.js while MongoDB is
+// unreachable; access tokens are short-lived).
+export async function verifyAccessToken(db, token, secret, now = new Date()) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (err) {
+    if (err instanceof jwt.TokenExpiredError) return { status: 401, error: 'Token expired' };
+    return { status: 403, error: 'Token is not valid' };
+  }
+  if (!payload.sid || !ObjectId.isValid(payload.sid)) {
+    // Issued before sessions existed
+    return { status: 401, error: 'Session expired, please log in again' };
+  }
+  if (db) {
+    const session = await db.collection(SESSIONS_COLLECTION).findOne(
+      { _id: new ObjectId(payload.sid) },
+      { projection: { userId: 1, revokedAt: 1, expiresAt: 1 } }
+    );
+    if (!isSessionActive(session, now) || session.userId.toString() !== payload.id) {
+      return { status: 401, error: 'Session has been revoked' };
+    }
+  }
+  return { user: payload };
+}
+
+// Of the given session ids, the ones that are still active (used to close WebSockets of revoked sessions).
+export async function findActiveSessionIds(db, sessionIds, now = new Date()) {
+  const ids = [...new Set(sessionIds.map(id => id.toString()))].filter(id => ObjectId.isValid(id));
+  if (ids.length === 0) return new Set();
+  const active = await db.collection(SESSIONS_COLLECTION)
+    .find({ _id: { $in: ids.map(id => new ObjectId(id)) }, revokedAt: null, expiresAt: { $gt: now } }, { projection: { _id: 1 } })
+    .toArray();
+  return new Set(active.map(session => session._id.toString()));
+}
+
+// Revokes one of the user's sessions. Returns true if an active session was revoked.
+export async function revokeSession(db, userId, sessionId, reason = 'logout', now = new Date()) {
+  const result = await db.collection(SESSIONS_COLLECTION).updateOne(
+    { _id: new ObjectId(sessionId), userId: new ObjectId(userId), revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revokes a session given its refresh token (logout without a valid access token). Returns true if one was revoked.
+export async function revokeSessionByRefreshToken(db, refreshToken, now = new Date()) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+  const result = await db.collection(SESSIONS_COLLECTION).updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: hashSecret(parsed.secret), revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'logout' } }
+  );
+  return result.modifiedCount > 0;
+}
+
+// Revokes all of the user's sessions, optionally except one (e.g. the current one). Returns how many were revoked.
+export async function revokeAllSessions(db, userId, { exceptSessionId = null, reason = 'logout_all' } = {}, now = new Date()) {
+  const filter = { userId: new ObjectId(userId), revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: new ObjectId(exceptSessionId) };
+  const result = await db.collection(SESSIONS_COLLECTION).updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } });
+  return result.modifiedCount;
+}
+
+// The user's active sessions, most recently used first, for the account's "signed in devices" list.
+export async function listSessions(db, userId, currentSessionId = null, now = new Date()) {
+  const sessions = await db.collection(SESSIONS_COLLECTION)
+    .find({ userId: new ObjectId(userId), revokedAt: null, expiresAt: { $gt: now } })
+    .sort({ lastUsedAt: -1 })
+    .limit(MAX_LISTED_SESSIONS)
+    .toArray();
+  return sessions.map(session => ({
+    id: session._id.toString(),
+    current: session._id.toString() === currentSessionId,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    userAgent: session.userAgent,
+    ip: session.ip
+  }));
+}
+
+export async function ensureSessionIndexes(db) {
+  const sessions = db.collection(SESSIONS_COLLECTION);
+  await sessions.createIndex({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+  // Sessions are deleted a week after they expire; revoked ones are kept until then for reuse detection
+  await sessions.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+}
@@ -0,0 +1,61 @@
+// --- Sunrise / Sunset Calculation ---
+// Computed locally (no external API) using the sunrise equation from the U.S. Naval Observatory's
+// "Almanac for Computers". Accuracy is within a couple of minutes, which is plenty for plug automation.
+
+const ZENITH_OFFICIAL = 90.833; // Sun's centre 50' below the horizon (refraction + solar radius)
+
+const toRadians = (deg) => deg * Math.PI / 180;
+const toDegrees = (rad) => rad * 180 / Math.PI;
+const normalize = (value, range) => ((value % range) + range) % range;
+
+function getDayOfYear(year, month, day) {
+  return Math.round((Date.UTC(year, month, day) - Date.UTC(year, 0, 0)) / 86400000);
+}
+
+// Returns the sunrise or sunset Date for the calendar day (year, month, day) at the given location,
+// or null when the sun does not rise/set that day (polar day or night).
+function calculateSunEvent(year, month, day, latitude, longitude, isSunrise) {
+  const dayOfYear = getDayOfYear(year, month, day);
+  const longitudeHour = longitude / 15;
+  const approxTime = dayOfYear + ((isSunrise ? 6 : 18) - longitudeHour) / 24;
+
+  const meanAnomaly = 0.9856 * approxTime - 3.289;
+  const trueLongitude = normalize(
+    meanAnomaly + 1.916 * Math.sin(toRadians(meanAnomaly)) + 0.020 * Math.sin(toRadians(2 * meanAnomaly)) + 282.634,
+    360
+  );
+
+  let rightAscension = normalize(toDegrees(Math.atan(0.91764 * Math.tan(toRadians(trueLongitude)))), 360);
+  rightAscension += Math.floor(trueLongitude / 90) * 90 - Math.floor(rightAscension / 90) * 90;
+  rightAscension /= 15;
+
+  const sinDeclination = 0.39782 * Math.sin(toRadians(trueLongitude));
+  const cosDeclination = Math.cos(Math.asin(sinDeclination));
+  const cosHourAngle = (Math.cos(toRadians(ZENITH_OFFICIAL)) - sinDeclination * Math.sin(toRadians(latitude)))
+    / (cosDeclination * Math.cos(toRadians(latitude)));
+  if (cosHourAngle > 1 || cosHourAngle < -1) return null;
+
+  const hourAngle = (isSunrise ? 360 - toDegrees(Math.acos(cosHourAngle)) : toDegrees(Math.acos(cosHourAngle))) / 15;
+  const localMeanTime = hourAngle + rightAscension - 0.06571 * approxTime - 6.622;
+  const universalTime = normalize(localMeanTime - longitudeHour, 24);
+
+  // The UT result is only known modulo 24h; pin it to the solar day that belongs to this calendar date.
+  const solarMidnight = Date.UTC(year, month, day) - longitudeHour * 3600000;
+  let eventTime = Date.UTC(year, month, day) + universalTime * 3600000;
+  while (eventTime < solarMidnight) eventTime += 86400000;
+  while (eventTime >= solarMidnight + 86400000) eventTime -= 86400000;
+  return new Date(eventTime);
+}
+
+// event: 'sunrise' | 'sunset' on the calendar day { year, month (1-12), day }, e.g. a day in the schedule owner's zone.
+export function getSunEventTime(event, { year, month, day }, latitude, longitude) {
+  return calculateSunEvent(year, month - 1, day, latitude, longitude, event === 'sunrise');
+}
+
+// Location used for sunrise/sunset schedules, from SOLAR_LATITUDE / SOLAR_LONGITUDE. Null if not configured.
+export function getConfiguredLocation() {
+  const latitude = parseFloat(process.env.SOLAR_LATITUDE);
+  const longitude = parseFloat(process.env.SOLAR_LONGITUDE);
+  if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
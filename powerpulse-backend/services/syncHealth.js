@@ -0,0 +1,82 @@
+// --- Sync Sink Health ---
+// Tracks whether the database that offline data is synced to can be reached, as a small circuit breaker:
+//   closed    - the sink is reachable; writes go straight to it
+//   open      - the last attempt failed; nothing is tried until nextAttemptAt (exponential backoff)
+//   half_open - the backoff has elapsed; the next probe decides between closed and open
+// Reachability is judged by pinging the sink itself, so sync works the same against Atlas or a database on the LAN.
+export const SINK_STATES = ['closed', 'open', 'half_open'];
+
+const DEFAULT_BASE_DELAY_MS = 5000;
+const DEFAULT_MAX_DELAY_MS = 5 * 60 * 1000;
+
+export function createSinkHealth({ name = 'MongoDB', baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS, logPrefix = '[Sync Health]' } = {}) {
+  let state = 'half_open'; // Unknown until the first probe
+  let consecutiveFailures = 0;
+  let nextAttemptAt = null;
+  let lastSuccessAt = null;
+  let lastFailureAt = null;
+  let lastError = null;
+
+  function currentState(now = new Date()) {
+    if (state === 'open' && nextAttemptAt && now >= nextAttemptAt) state = 'half_open';
+    return state;
+  }
+
+  return {
+    get state() {
+      return currentState();
+    },
+
+    // True while the sink is known to be reachable.
+    isAvailable() {
+      return currentState() === 'closed';
+    },
+
+    // True if a probe/sync attempt may be made now (circuit closed, or backoff elapsed).
+    canAttempt(now = new Date()) {
+      return currentState(now) !== 'open';
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') console.log(`${logPrefix} ${name} reachable${consecutiveFailures > 0 ? ` again after ${consecutiveFailures} failed attempt(s)` : ''}.`);
+      state = 'closed';
+      consecutiveFailures = 0;
+      nextAttemptAt = null;
+      lastSuccessAt = new Date();
+    },
+
+    recordFailure(error) {
+      consecutiveFailures++;
+      const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (consecutiveFailures - 1));
+      const wasClosed = state === 'closed';
+      state = 'open';
+      lastFailureAt = new Date();
+      lastError = error?.message || String(error);
+      nextAttemptAt = new Date(lastFailureAt.getTime() + delayMs);
+      if (wasClosed || consecutiveFailures === 1) {
+        console.warn(`${logPrefix} ${name} unreachable (${lastError}). Next attempt in ${Math.round(delayMs / 1000)}s.`);
+      } else {
+        console.warn(`${logPrefix} ${name} still unreachable after ${consecutiveFailures} attempts (${lastError}). Next attempt in ${Math.round(delayMs / 1000)}s.`);
+      }
+    },
+
+    // Milliseconds until the next attempt is allowed (0 if one may be made now).
+    getDelayUntilNextAttempt(now = new Date()) {
+      return currentState(now) === 'open' ? Math.max(0, nextAttemptAt.getTime() - now.getTime()) : 0;
+    },
+
+    // Snapshot for /health. queue is the offline queue (anything with size / oldestEnqueuedAt).
+    getStatus(queue) {
+      return {
+        state: currentState(),
+        queueDepth: queue ? queue.size : undefined,
+        oldestQueuedAt: queue ? queue.oldestEnqueuedAt : undefined,
+        lastSuccessAt,
+        lastFailureAt,
+        lastError,
+        consecutiveFailures,
+        nextAttemptAt: state === 'open' ? nextAttemptAt : null
+      };
+    }
+  };
+}
@@ -0,0 +1,226 @@
+import { ObjectId } from 'mongodb';
+import { getDefaultTimeZone, getZonedParts, getDateString, addDaysToDateString, zonedTimeToUtc } from './userTime.js';
+
+// --- Tariff / Cost Engine ---
+// Tariff profiles are stored per user. Rates are always expressed per kWh in the profile's currency,
+// while the rest of the backend works in Wh, so conversions happen here and nowhere else.
+export const TARIFF_PROFILES_COLLECTION = 'tariff_profiles';
+export const TARIFF_TYPES = ['flat', 'time_of_use', 'tiered'];
+
+// Used for users that have not configured a tariff yet. Read lazily so dotenv has run by the time it is needed.
+export function getDefaultTariffProfile() {
+  return {
+    type: 'flat',
+    currency: process.env.DEFAULT_CURRENCY || 'USD',
+    flatRate: parseFloat(process.env.DEFAULT_TARIFF_RATE_PER_KWH) || 0,
+    fixedDailyCharge: 0,
+    isDefault: true
+  };
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function timeToMinutes(timeString) {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && !isNaN(value) && value >= 0;
+}
+
+// Validates a tariff profile coming from the API and returns { profile } or { error }.
+export function normalizeTariffProfile(input = {}) {
+  const type = input.type || 'flat';
+  if (!TARIFF_TYPES.includes(type)) {
+    return { error: `Invalid tariff type. Use one of: ${TARIFF_TYPES.join(', ')}.` };
+  }
+  const currency = typeof input.currency === 'string' && input.currency.trim() ? input.currency.trim().toUpperCase() : getDefaultTariffProfile().currency;
+  const fixedDailyCharge = input.fixedDailyCharge === undefined ? 0 : input.fixedDailyCharge;
+  if (!isNonNegativeNumber(fixedDailyCharge)) {
+    return { error: 'fixedDailyCharge must be a non-negative number' };
+  }
+
+  const profile = { type, currency, fixedDailyCharge };
+
+  if (type === 'flat') {
+    if (!isNonNegativeNumber(input.flatRate)) {
+      return { error: 'flatRate (non-negative number, per kWh) is required for a flat tariff' };
+    }
+    profile.flatRate = input.flatRate;
+  } else if (type === 'time_of_use') {
+    if (!isNonNegativeNumber(input.defaultRate)) {
+      return { error: 'defaultRate (non-negative number, per kWh) is required for a time_of_use tariff' };
+    }
+    if (!Array.isArray(input.bands) || input.bands.length === 0) {
+      return { error: 'bands (non-empty array) is required for a time_of_use tariff' };
+    }
+    const bands = [];
+    for (const band of input.bands) {
+      if (!band || !TIME_PATTERN.test(band.start) || !TIME_PATTERN.test(band.end)) {
+        return { error: 'Each band needs start and end times in HH:MM format' };
+      }
+      if (band.start === band.end) {
+        return { error: `Band '${band.name || band.start}' has the same start and end time` };
+      }
+      if (!isNonNegativeNumber(band.rate)) {
+        return { error: `Band '${band.name || band.start}' needs a non-negative rate` };
+      }
+      const days = band.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : band.days;
+      if (!Array.isArray(days) || days.length === 0 || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return { error: `Band '${band.name || band.start}' has invalid days (use 0=Sunday ... 6=Saturday)` };
+      }
+      bands.push({ name: band.name || `${band.start}-${band.end}`, start: band.start, end: band.end, days, rate: band.rate });
+    }
+    profile.defaultRate = input.defaultRate;
+    profile.bands = bands;
+  } else if (type === 'tiered') {
+    if (!Array.isArray(input.tiers) || input.tiers.length === 0) {
+      return { error: 'tiers (non-empty array) is required for a tiered tariff' };
+    }
+    const tiers = [];
+    for (const tier of input.tiers) {
+      if (!tier || !isNonNegativeNumber(tier.rate)) {
+        return { error: 'Each tier needs a non-negative rate' };
+      }
+      if (tier.uptoKWh !== undefined && tier.uptoKWh !== null && !(typeof tier.uptoKWh === 'number' && tier.uptoKWh > 0)) {
+        return { error: 'Tier uptoKWh must be a positive number (omit it for the last, unbounded tier)' };
+      }
+      tiers.push({ uptoKWh: tier.uptoKWh ?? null, rate: tier.rate });
+    }
+    // Bounded tiers in ascending order, the unbounded tier (if any) last.
+    tiers.sort((a, b) => (a.uptoKWh ?? Infinity) - (b.uptoKWh ?? Infinity));
+    if (tiers.slice(0, -1).some(t => t.uptoKWh === null)) {
+      return { error: 'Only one tier may omit uptoKWh' };
+    }
+    profile.tiers = tiers;
+  }
+
+  return { profile };
+}
+
+export async function getTariffProfile(db, userId) {
+  if (!db) return getDefaultTariffProfile();
+  try {
+    const profile = await db.collection(TARIFF_PROFILES_COLLECTION).findOne({ userId: new ObjectId(userId) });
+    return profile || getDefaultTariffProfile();
+  } catch (error) {
+    console.error(`[Tariffs] Error loading tariff profile for user ${userId}:`, error);
+    return getDefaultTariffProfile();
+  }
+}
+
+// The rate used when the time of consumption is unknown (e.g. daily records written before tariffs existed).
+export function getBaseRate(profile) {
+  if (profile.type === 'flat') return profile.flatRate || 0;
+  if (profile.type === 'time_of_use') return profile.defaultRate || 0;
+  if (profile.type === 'tiered') return profile.tiers?.[0]?.rate || 0;
+  return 0;
+}
+
+// Time-of-use bands are wall-clock times in the user's time zone.
+function findActiveBand(profile, date, timeZone) {
+  const { hour, minute, weekday: day } = getZonedParts(date, timeZone);
+  const minuteOfDay = hour * 60 + minute;
+  const previousDay = (day + 6) % 7;
+  for (const band of profile.bands || []) {
+    const start = timeToMinutes(band.start);
+    const end = timeToMinutes(band.end);
+    if (start < end) {
+      if (band.days.includes(day) && minuteOfDay >= start && minuteOfDay < end) return band;
+    } else {
+      // Band wraps past midnight (e.g. 22:00-06:00); the part after midnight belongs to the previous day's band.
+      if (band.days.includes(day) && minuteOfDay >= start) return band;
+      if (band.days.includes(previousDay) && minuteOfDay < end) return band;
+    }
+  }
+  return null;
+}
+
+// Rate (per kWh) in force at a given moment. Tiered tariffs depend on how much was already used this month.
+export function getRateAt(profile, date, monthToDateWh = 0, timeZone = getDefaultTimeZone()) {
+  if (profile.type === 'time_of_use') {
+    const band = findActiveBand(profile, date, timeZone);
+    return band ? band.rate : profile.defaultRate || 0;
+  }
+  if (profile.type === 'tiered') {
+    const monthToDateKWh = monthToDateWh / 1000;
+    const tier = profile.tiers.find(t => t.uptoKWh === null || monthToDateKWh < t.uptoKWh);
+    return tier ? tier.rate : profile.tiers[profile.tiers.length - 1].rate;
+  }
+  return profile.flatRate || 0;
+}
+
+// All moments between start and end at which a time-of-use band begins or ends.
+function getBandBoundaries(profile, startTime, endTime, timeZone) {
+  const boundaries = [];
+  const lastDay = getDateString(endTime, timeZone);
+  for (let dateString = getDateString(startTime, timeZone); dateString <= lastDay; dateString = addDaysToDateString(dateString, 1)) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    for (const band of profile.bands || []) {
+      for (const time of [band.start, band.end]) {
+        const minutes = timeToMinutes(time);
+        const boundary = zonedTimeToUtc({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timeZone);
+        if (boundary > startTime && boundary < endTime) boundaries.push(boundary.getTime());
+      }
+    }
+  }
+  return [...new Set(boundaries)].sort((a, b) => a - b);
+}
+
+function priceTieredEnergy(profile, energyWh, monthToDateWh) {
+  let cost = 0;
+  let remainingWh = energyWh;
+  let usedWh = monthToDateWh;
+  for (const tier of profile.tiers) {
+    if (remainingWh <= 0) break;
+    const tierLimitWh = tier.uptoKWh === null ? Infinity : tier.uptoKWh * 1000;
+    if (usedWh >= tierLimitWh) continue;
+    const whInTier = Math.min(remainingWh, tierLimitWh - usedWh);
+    cost += (whInTier / 1000) * tier.rate;
+    remainingWh -= whInTier;
+    usedWh += whInTier;
+  }
+  if (remainingWh > 0) {
+    // Consumption beyond the last bounded tier is charged at the last tier's rate.
+    cost += (remainingWh / 1000) * profile.tiers[profile.tiers.length - 1].rate;
+  }
+  return cost;
+}
+
+// Cost of an integration slice consumed between startTime and endTime.
+// Time-of-use slices are split at band boundaries (assuming constant power across the slice),
+// tiered slices are split at tier boundaries using the month-to-date consumption before the slice.
+export function priceEnergySlice(profile, energyWh, startTime, endTime, monthToDateWh = 0, timeZone = getDefaultTimeZone()) {
+  if (!(energyWh > 0)) return 0;
+  if (profile.type === 'tiered') {
+    return priceTieredEnergy(profile, energyWh, monthToDateWh);
+  }
+  if (profile.type === 'time_of_use' && endTime > startTime) {
+    const points = [startTime.getTime(), ...getBandBoundaries(profile, startTime, endTime, timeZone), endTime.getTime()];
+    const totalMs = endTime.getTime() - startTime.getTime();
+    let cost = 0;
+    for (let i = 0; i < points.length - 1; i++) {
+      const subSliceWh = energyWh * (points[i + 1] - points[i]) / totalMs;
+      cost += (subSliceWh / 1000) * getRateAt(profile, new Date(points[i]), 0, timeZone);
+    }
+    return cost;
+  }
+  return (energyWh / 1000) * getRateAt(profile, endTime, monthToDateWh, timeZone);
+}
+
+// Cost of a daily consumption record. Records written by the cost engine carry their own
+// estimatedCostToday; older records are priced at the profile's base rate.
+export function getDailyRecordCost(dailyRecord, profile) {
+  if (!dailyRecord) return 0;
+  if (typeof dailyRecord.estimatedCostToday === 'number') return dailyRecord.estimatedCostToday;
+  return ((dailyRecord.estimatedEnergyWhToday || 0) / 1000) * getBaseRate(profile);
+}
+
+export function getFixedChargesForDays(profile, dayCount) {
+  return (profile.fixedDailyCharge || 0) * dayCount;
+}
+
+export function roundCost(cost) {
+  return parseFloat((cost || 0).toFixed(4));
+}
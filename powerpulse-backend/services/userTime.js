@@ -0,0 +1,183 @@
+import { ObjectId } from 'mongodb';
+
+// --- User Time Zones ---
+// Every user has an IANA time zone (users.timeZone) and a week start (users.weekStartsOn: 'sunday' or 'monday').
+// Day, week and month bucketing (daily consumption records, "this week"/"this month" totals, budgets, history
+// buckets) uses them instead of the server's local time. Users without preferences get the server's zone
+// (or DEFAULT_TIME_ZONE) and Sunday-start weeks, which is what the app did before per-user zones existed.
+export const WEEK_START_DAYS = ['sunday', 'monday'];
+const PREFERENCES_CACHE_TTL_MS = 60 * 1000; // Readings arrive every few seconds; the users document is not read for each
+
+const OFFSET_CACHE_SPAN_MS = 15 * 60 * 1000; // UTC offsets change on quarter hours (in every zone since 1972)
+const MAX_CACHED_OFFSETS = 50000;
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+const offsets = new Map(); // `${timeZone}|${quarter hour since the epoch}` -> offset in ms
+const preferencesCache = new Map(); // userId -> { preferences, loadedAt }
+
+export function getDefaultTimeZone() {
+  return process.env.DEFAULT_TIME_ZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+export function getDefaultTimePreferences() {
+  return { timeZone: getDefaultTimeZone(), weekStartsOn: 'sunday' };
+}
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Validates time preferences from the API (partial updates allowed) and returns { preferences } or { error }.
+export function normalizeTimePreferences(input = {}, existing = getDefaultTimePreferences()) {
+  const preferences = { ...getDefaultTimePreferences(), ...existing };
+  if (input.timeZone !== undefined) {
+    if (!isValidTimeZone(input.timeZone)) return { error: 'timeZone must be an IANA time zone name, e.g. "Europe/Berlin"' };
+    preferences.timeZone = new Intl.DateTimeFormat('en-US', { timeZone: input.timeZone }).resolvedOptions().timeZone;
+  }
+  if (input.weekStartsOn !== undefined) {
+    if (!WEEK_START_DAYS.includes(input.weekStartsOn)) return { error: `weekStartsOn must be one of: ${WEEK_START_DAYS.join(', ')}` };
+    preferences.weekStartsOn = input.weekStartsOn;
+  }
+  return { preferences };
+}
+
+// The user's { timeZone, weekStartsOn }. Cached briefly; clearTimePreferencesCache() drops a user after a change.
+export async function getUserTimePreferences(db, userId) {
+  const key = userId.toString();
+  const cached = preferencesCache.get(key);
+  if (cached && Date.now() - cached.loadedAt < PREFERENCES_CACHE_TTL_MS) return cached.preferences;
+
+  const user = db ? await db.collection('users').findOne({ _id: new ObjectId(key) }, { projection: { timeZone: 1, weekStartsOn: 1 } }) : null;
+  const defaults = getDefaultTimePreferences();
+  const preferences = {
+    timeZone: isValidTimeZone(user?.timeZone) ? user.timeZone : defaults.timeZone,
+    weekStartsOn: WEEK_START_DAYS.includes(user?.weekStartsOn) ? user.weekStartsOn : defaults.weekStartsOn
+  };
+  if (db) preferencesCache.set(key, { preferences, loadedAt: Date.now() });
+  return preferences;
+}
+
+export function clearTimePreferencesCache(userId) {
+  preferencesCache.delete(userId.toString());
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Offset of `timeZone` from UTC at `date`, in milliseconds (positive east of Greenwich). Intl is slow, so offsets
+// are cached per quarter hour.
+export function getOffsetMs(date, timeZone) {
+  const time = new Date(date).getTime();
+  const key = `${timeZone}|${Math.floor(time / OFFSET_CACHE_SPAN_MS)}`;
+  let offset = offsets.get(key);
+  if (offset === undefined) {
+    const p = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(time)) p[type] = Number(value);
+    offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - (time - (((time % 1000) + 1000) % 1000));
+    if (offsets.size >= MAX_CACHED_OFFSETS) offsets.clear();
+    offsets.set(key, offset);
+  }
+  return offset;
+}
+
+// Wall-clock fields of `date` in `timeZone`: { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }.
+export function getZonedParts(date, timeZone) {
+  const time = new Date(date).getTime();
+  const local = new Date(time + getOffsetMs(time, timeZone));
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    second: local.getUTCSeconds(),
+    weekday: local.getUTCDay()
+  };
+}
+
+// The instant at which the wall clock in `timeZone` shows the given time. Fields may overflow (day 32, month 0, ...).
+// A time skipped by a DST change is moved forward by the change; a repeated one resolves to its first occurrence.
+export function zonedTimeToUtc({ year, month, day = 1, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offsetBefore = getOffsetMs(new Date(wallClock - 43200000), timeZone);
+  const offsetAfter = getOffsetMs(new Date(wallClock + 43200000), timeZone);
+  const matching = [offsetBefore, offsetAfter]
+    .map(offset => wallClock - offset)
+    .filter(candidate => wallClock - getOffsetMs(new Date(candidate), timeZone) === candidate);
+  return new Date(matching.length > 0 ? Math.min(...matching) : wallClock - offsetBefore);
+}
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// 'YYYY-MM-DD' of `date` in `timeZone`, as used for dateString on the daily consumption records.
+export function getDateString(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Calendar arithmetic on 'YYYY-MM-DD' strings (independent of any time zone).
+export function addDaysToDateString(dateString, days) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+}
+
+// Start of the day `dateString` in `timeZone` (not always 00:00 local, e.g. where DST starts at midnight).
+export function getStartOfDay(dateString, timeZone) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+}
+
+// Number of days from the start of the week to `date` (0-6) under the user's week start.
+export function getDayOfWeek(date, { timeZone, weekStartsOn = 'sunday' }) {
+  const { weekday } = getZonedParts(date, timeZone);
+  return weekStartsOn === 'monday' ? (weekday + 6) % 7 : weekday;
+}
+
+// Dates of the week containing `date`, from its first day up to and including that date.
+export function getDatesForWeek(date, preferences) {
+  const today = getDateString(date, preferences.timeZone);
+  const dates = [];
+  for (let offset = getDayOfWeek(date, preferences); offset >= 0; offset--) dates.push(addDaysToDateString(today, -offset));
+  return dates;
+}
+
+// Dates of the month containing `date`, from the 1st up to and including that date.
+export function getDatesForMonth(date, { timeZone }) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const dates = [];
+  for (let d = 1; d <= day; d++) dates.push(`${year}-${pad(month)}-${pad(d)}`);
+  return dates;
+}
+
+// Splits [start, end) at the user's midnights: [{ dateString, start, end }], in order.
+export function splitIntervalByDay(start, end, timeZone) {
+  const slices = [];
+  let cursor = new Date(start);
+  while (cursor < end) {
+    const dateString = getDateString(cursor, timeZone);
+    const nextMidnight = getStartOfDay(addDaysToDateString(dateString, 1), timeZone);
+    const sliceEnd = nextMidnight < end ? nextMidnight : new Date(end);
+    slices.push({ dateString, start: cursor, end: sliceEnd });
+    cursor = sliceEnd;
+  }
+  return slices;
+}
@@ -1,111 +1,92 @@
 import dotenv from 'dotenv';
 dotenv.config();
-import fs from 'fs';
-import axios from 'axios';
-import { MongoClient, ObjectId } from 'mongodb'; // Import ObjectId
+import http from 'http';
+import { MongoClient } from 'mongodb';
+import { createOfflineQueue } from './services/offlineQueue.js';
+import { createSinkHealth } from './services/syncHealth.js';
 
 const mongoUriCloud = process.env.MONGO_URI_CLOUD;
 const dbName = process.env.DB_NAME;
 const powerReadingsCollectionName = process.env.COLLECTION_NAME; // Collection for power/energy readings
-const dbFilePath = './db.json'; // Local file for unsynced data
+const dbFilePath = process.env.OFFLINE_QUEUE_FILE || './db.json'; // Local queue of unsynced records (see services/offlineQueue.js)
+const offlineQueue = createOfflineQueue({ filePath: dbFilePath, readingsCollection: powerReadingsCollectionName, logPrefix: '[Sync Service]' });
 
 console.log(`[Sync Service] Using collection for power/energy readings: "${powerReadingsCollectionName}"`);
 
-const isConnectedToInternet = async () => {
-  try {
-    await axios.get('https://www.google.com', { timeout: 5000 });
-    return true;
-  } catch {
-    return false;
-  }
-};
+// One client for the lifetime of the service; a short server selection timeout keeps failed probes quick.
+const client = new MongoClient(mongoUriCloud, { serverSelectionTimeoutMS: 5000 });
+const sinkHealth = createSinkHealth({ logPrefix: '[Sync Service]' });
+let lastKnownQueue = { size: 0, oldestEnqueuedAt: null }; // The queue is only open during a sync attempt
 
-const readLocalData = () => {
-  if (!fs.existsSync(dbFilePath)) return [];
-  try {
-    const rawData = fs.readFileSync(dbFilePath, 'utf-8');
-    if (rawData.trim() === "") return []; // Handle empty file
-    const jsonData = JSON.parse(rawData);
-    // Ensure data is an array and items have deviceId and timeStamp
-    return Array.isArray(jsonData) ? jsonData.filter(item => {
-        // console.log("[Sync Service] Reading item from local DB:", JSON.stringify(item)); // For debugging
-        return item.deviceId && item.timeStamp; // userId is optional for old data but good to have for new
-    }) : [];
-  } catch (err) {
-    console.error('[Sync Service] Error reading local data file:', err.message);
-    return [];
-  }
-};
-
-const clearLocalData = () => {
-  try {
-    fs.writeFileSync(dbFilePath, JSON.stringify([])); // Write an empty array
-    console.log('[Sync Service] Local data file cleared.');
-  } catch (err) {
-    console.error('[Sync Service] Error clearing local data file:', err.message);
-  }
+// Reachability is judged by pinging the database we sync to (Atlas or a local MongoDB alike).
+const pingSink = async () => {
+  await client.connect();
+  await client.db(dbName).command({ ping: 1 });
 };
 
+// mqttSubscriber.js buffers and replays its own writes while it runs. This service drains a queue it left
+// behind (e.g. it was stopped while MongoDB was unreachable); the queue's lock file keeps the two apart.
 const syncDataToMongoDB = async () => {
-  if (!(await isConnectedToInternet())) {
-    console.log('[Sync Service] Offline. Skipping sync attempt.');
-    return;
-  }
+  if (!sinkHealth.canAttempt()) return;
 
-  const localData = readLocalData();
-  if (localData.length === 0) {
-    // console.log('[Sync Service] No local data to sync.');
+  if (!(await offlineQueue.open())) {
+    // console.log('[Sync Service] Queue file is in use by mqttSubscriber.js. Skipping.');
     return;
   }
 
-  let client;
   try {
-    client = new MongoClient(mongoUriCloud);
-    await client.connect();
-    const db = client.db(dbName);
-    const collection = db.collection(powerReadingsCollectionName);
-
-    // Convert timeStamp strings back to Date objects and userId string to ObjectId
-    const dataToSync = localData.map(item => ({
-      ...item,
-      timeStamp: new Date(item.timeStamp), // Crucial for MongoDB date queries
-      // Convert userId string back to ObjectId if it exists and is a string
-      userId: item.userId && typeof item.userId === 'string' ? new ObjectId(item.userId) : item.userId
-    }));
-
-    console.log(`[Sync Service] Attempting to sync ${dataToSync.length} records.`);
-    // For debugging, log the first item to be synced
-    // if (dataToSync.length > 0) {
-    //   console.log("[Sync Service] First item to sync:", JSON.stringify(dataToSync[0]));
-    // }
-
-    const result = await collection.insertMany(dataToSync, { ordered: false }); // ordered:false allows partial success
-    console.log(`[Sync Service] Synced ${result.insertedCount} of ${localData.length} readings to MongoDB.`);
-    
-    // If all were inserted, clear local data. 
-    // A more robust solution for partial success would be to remove only successfully synced items.
-    // For now, if any items were inserted, we assume the batch was processed and clear.
-    if (result.insertedCount > 0) {
-        clearLocalData();
+    lastKnownQueue = { size: offlineQueue.size, oldestEnqueuedAt: offlineQueue.oldestEnqueuedAt };
+    // Pinged even with nothing to sync, so /health reports the sink's state while the service is idle
+    await pingSink();
+    if (offlineQueue.size === 0) {
+      sinkHealth.recordSuccess();
+      return;
     }
 
+    console.log(`[Sync Service] Attempting to sync ${offlineQueue.size} records.`);
+    // Records are removed only once written; a partial failure leaves the rest queued for the next attempt
+    const { applied, remaining } = await offlineQueue.replay(client.db(dbName));
+    console.log(`[Sync Service] Synced ${applied} records to MongoDB. ${remaining} still queued.`);
+    sinkHealth.recordSuccess();
   } catch (err) {
     console.error('[Sync Service] Sync to MongoDB failed:', err.message);
-    if (err.writeErrors) {
-        err.writeErrors.forEach(e => console.error(`[Sync Service] Write Error Detail: Index ${e.index}, Code ${e.code}, Message: ${e.errmsg}`));
-    }
-    // Don't clear local data if sync failed entirely or partially in a way we can't easily reconcile
+    sinkHealth.recordFailure(err);
   } finally {
-    if (client) {
-      await client.close();
-    }
+    lastKnownQueue = { size: offlineQueue.size, oldestEnqueuedAt: offlineQueue.oldestEnqueuedAt };
+    offlineQueue.close();
   }
 };
 
-// Run sync check periodically
+// Run sync periodically; while the database is unreachable the circuit breaker's backoff decides the next attempt
 const syncInterval = 60000; // Sync every 60 seconds
-setInterval(syncDataToMongoDB, syncInterval);
+const runSyncLoop = async () => {
+  await syncDataToMongoDB();
+  const delay = sinkHealth.state === 'open' ? sinkHealth.getDelayUntilNextAttempt() : syncInterval;
+  setTimeout(runSyncLoop, delay);
+};
 console.log(`[Sync Service] Started. Will attempt to sync every ${syncInterval / 1000} seconds.`);
 
 // Initial sync attempt on startup after a short delay
-setTimeout(syncDataToMongoDB, 5000);
+setTimeout(runSyncLoop, 5000);
+
+// Optional status endpoint: GET /health on SYNC_HEALTH_PORT
+if (process.env.SYNC_HEALTH_PORT) {
+  http.createServer((req, res) => {
+    if (req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ status: 'ok', sync: sinkHealth.getStatus(lastKnownQueue) }));
+    } else {
+      res.writeHead(404); res.end('Not Found');
+    }
+  }).listen(process.env.SYNC_HEALTH_PORT, () => {
+    console.log(`[Sync Service] Health endpoint on port ${process.env.SYNC_HEALTH_PORT}.`);
+  });
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    offlineQueue.close();
+    await client.close();
+    process.exit(0);
+  });
+}